@@ -33,6 +33,8 @@ class Settings(BaseSettings):
     max_results_per_query: int = Field(default=5, ge=1, le=10)
     request_timeout_seconds: float = Field(default=25.0, ge=5.0, le=120.0)
     http_user_agent: str = "JBAI-WebSearch/1.0"
+    # Debug traces expose ranking internals and timings, so a request's `debug: true` is ignored unless this is on.
+    allow_debug_trace: bool = False
 
     tavily_search_url: str = "https://api.tavily.com/search"
     openai_chat_completions_url: str = "https://api.openai.com/v1/chat/completions"
@@ -0,0 +1,100 @@
+from __future__ import annotations
+
+import time
+from collections import Counter
+from dataclasses import dataclass, field
+
+from .models import GroundingBundle, PlannedQuery, RankedSource, SourceDocument
+
+
+@dataclass(slots=True)
+class DebugTrace:
+    """
+    Timeline of one search request, returned as `debug` on the response when the request sets `debug: true`.
+    Each step records when it started and how long it took (milliseconds from the start of the request)
+    plus whatever the stage wants to expose for tuning: the query plan, rerank score components,
+    the token budget split and per-source extraction timings.
+    """
+
+    started: float = field(default_factory=time.perf_counter)
+    steps: list[dict] = field(default_factory=list)
+    enabled = True
+
+    def begin(self, stage: str, label: str) -> dict:
+        step = {"stage": stage, "label": label, "started_ms": self.elapsed_ms(), "duration_ms": 0.0, "data": {}}
+        self.steps.append(step)
+        return step
+
+    def end(self, step: dict, **data) -> None:
+        step["duration_ms"] = round(self.elapsed_ms() - step["started_ms"], 1)
+        step["data"].update(data)
+
+    def elapsed_ms(self) -> float:
+        return round((time.perf_counter() - self.started) * 1000, 1)
+
+    def to_dict(self) -> dict:
+        return {"total_ms": self.elapsed_ms(), "steps": self.steps}
+
+
+class NullTrace:
+    """Stands in for `DebugTrace` when the request did not ask for a trace or the server does not allow one; records nothing."""
+
+    enabled = False
+
+    def begin(self, stage: str, label: str) -> dict:
+        return {"stage": stage, "label": label, "started_ms": 0.0, "duration_ms": 0.0, "data": {}}
+
+    def end(self, step: dict, **data) -> None:
+        return None
+
+    def elapsed_ms(self) -> float:
+        return 0.0
+
+    def to_dict(self) -> None:
+        return None
+
+
+def describe_plan(planned: list[PlannedQuery]) -> dict:
+    return {
+        "queries": [
+            {
+                "text": item.text,
+                "purpose": item.purpose,
+                "freshness_bias": item.freshness_bias,
+                "exact_match": item.exact_match,
+            }
+            for item in planned
+        ]
+    }
+
+
+def describe_results(sources: list[SourceDocument]) -> dict:
+    per_query = Counter(source.originating_query for source in sources)
+    return {"result_count": len(sources), "per_query": dict(per_query)}
+
+
+def describe_ranking(ranked: list[RankedSource]) -> dict:
+    return {
+        "sources": [
+            {
+                "url": item.source.url,
+                "domain": item.source.domain,
+                "score": round(item.rank_score, 4),
+                "components": {name: round(value, 4) for name, value in item.score_components.items()},
+            }
+            for item in ranked
+        ]
+    }
+
+
+def describe_budget(grounding: GroundingBundle) -> dict:
+    return {
+        "budget_tokens": grounding.budget_tokens,
+        "per_source_budget": grounding.per_source_budget,
+        "used_tokens": grounding.token_count,
+        "considered": grounding.considered,
+        "sources": [
+            {"id": item.citation_id, "url": item.source.url, "tokens": item.token_count, "passages": len(item.selected_passages)}
+            for item in grounding.ranked_sources
+        ],
+    }
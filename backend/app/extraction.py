@@ -1,6 +1,7 @@
 from __future__ import annotations
 
 import asyncio
+import time
 
 import httpx
 import trafilatura
@@ -15,14 +16,14 @@ class SourceExtractor:
         self.settings = settings
         self.client = client
 
-    async def enrich(self, sources: list[SourceDocument]) -> list[SourceDocument]:
+    async def enrich(self, sources: list[SourceDocument], timings: list[dict] | None = None) -> list[SourceDocument]:
         if not sources:
             return []
 
         ranked_by_provider = sorted(sources, key=lambda item: item.provider_score, reverse=True)
         candidates = [source for source in ranked_by_provider[:4] if self._needs_fetch(source)]
 
-        fetch_tasks = [self._fetch_markdown(source) for source in candidates]
+        fetch_tasks = [self._timed_fetch(source, timings) for source in candidates]
         fetched_markdown = await asyncio.gather(*fetch_tasks, return_exceptions=True)
 
         enriched_by_url: dict[str, str] = {}
@@ -53,6 +54,27 @@ class SourceExtractor:
     def _needs_fetch(self, source: SourceDocument) -> bool:
         return len((source.markdown or "").strip()) < 700
 
+    async def _timed_fetch(self, source: SourceDocument, timings: list[dict] | None) -> str | None:
+        if timings is None:
+            return await self._fetch_markdown(source)
+        started = time.perf_counter()
+        outcome = "error"
+        try:
+            markdown = await self._fetch_markdown(source)
+            outcome = "extracted" if markdown else "empty"
+            return markdown
+        except Exception as error:
+            outcome = f"error: {type(error).__name__}"
+            raise
+        finally:
+            timings.append(
+                {
+                    "url": source.url,
+                    "duration_ms": round((time.perf_counter() - started) * 1000, 1),
+                    "outcome": outcome,
+                }
+            )
+
     async def _fetch_markdown(self, source: SourceDocument) -> str | None:
         response = await self.client.get(
             source.url,
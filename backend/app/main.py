@@ -3,14 +3,15 @@ from __future__ import annotations
 import base64
 import urllib.parse
 import httpx
-from fastapi import Depends, FastAPI, Request, HTTPException
+from fastapi import Depends, FastAPI, Header, Request, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
-from fastapi.responses import StreamingResponse
+from fastapi.responses import Response, StreamingResponse
 
 from .config import Settings, get_settings
 from .models import SearchModeRequest, SearchModeResponse, SkillCatalogItemOut, ImageGenerationRequest, ImageGenerationResponse
 from .orchestrator import WebSearchOrchestrator
 from .skills_catalog import discover_skill_catalog
+from .stream_registry import RegistryFullError, StreamRegistry
 
 
 
@@ -37,6 +38,7 @@ async def on_startup() -> None:
         follow_redirects=True,
         headers={"User-Agent": settings.http_user_agent},
     )
+    app.state.stream_registry = StreamRegistry()
 
 
 @app.on_event("shutdown")
@@ -71,10 +73,45 @@ async def web_search(
 @app.post("/v1/web-search/stream")
 async def web_search_stream(
     payload: SearchModeRequest,
+    request: Request,
     orchestrator: WebSearchOrchestrator = Depends(get_orchestrator),
 ) -> StreamingResponse:
+    registry: StreamRegistry = request.app.state.stream_registry
+    try:
+        session = registry.start(orchestrator.stream(payload))
+    except RegistryFullError as error:
+        raise HTTPException(status_code=429, detail=str(error), headers={"Retry-After": "10"}) from error
+    return _event_stream_response(registry.subscribe(session))
+
+
+@app.get("/v1/web-search/stream/{stream_id}")
+async def resume_web_search_stream(
+    stream_id: str,
+    request: Request,
+    last_event_id: str | None = Header(default=None),
+) -> StreamingResponse:
+    registry: StreamRegistry = request.app.state.stream_registry
+    session = registry.get(stream_id)
+    if session is None:
+        raise HTTPException(status_code=404, detail="Stream not found or expired.")
+    if session.cancelled:
+        raise HTTPException(status_code=410, detail="Stream was cancelled.")
+    return _event_stream_response(registry.subscribe(session, after=registry.sequence_from(session, last_event_id)))
+
+
+@app.delete("/v1/web-search/stream/{stream_id}", status_code=204)
+async def cancel_web_search_stream(stream_id: str, request: Request) -> Response:
+    registry: StreamRegistry = request.app.state.stream_registry
+    session = registry.get(stream_id)
+    if session is None:
+        raise HTTPException(status_code=404, detail="Stream not found or expired.")
+    registry.cancel(session)
+    return Response(status_code=204)
+
+
+def _event_stream_response(frames) -> StreamingResponse:
     return StreamingResponse(
-        orchestrator.stream(payload),
+        frames,
         media_type="text/event-stream",
         headers={
             "Cache-Control": "no-cache",
@@ -1,9 +1,11 @@
 from __future__ import annotations
 
+import base64
+import binascii
 from dataclasses import dataclass, field
 from typing import Literal
 
-from pydantic import BaseModel, Field
+from pydantic import BaseModel, Field, model_validator
 
 
 class ChatTurn(BaseModel):
@@ -11,9 +13,43 @@ class ChatTurn(BaseModel):
     content: str = Field(min_length=1, max_length=12_000)
 
 
+MAX_ATTACHMENTS = 4
+MAX_ATTACHMENT_BYTES = 1_500_000
+
+
+class AttachmentIn(BaseModel):
+    name: str = Field(min_length=1, max_length=200)
+    mime_type: str = Field(default="text/plain", max_length=120)
+    kind: Literal["document", "image"] = "document"
+    text: str | None = Field(default=None, max_length=MAX_ATTACHMENT_BYTES)
+    data: str | None = Field(default=None, max_length=(MAX_ATTACHMENT_BYTES + 2) // 3 * 4)
+
+    @model_validator(mode="after")
+    def _check_payload(self) -> AttachmentIn:
+        if self.kind == "document" and not self.text:
+            raise ValueError("document attachments need inline text")
+        if self.kind == "image" and (not self.data or not self.mime_type.startswith("image/")):
+            raise ValueError("image attachments need base64 data and an image/* mime type")
+        # SVG is markup that can carry scripts, so it is neither shown to the model as an image nor read as text.
+        if self.mime_type.split(";")[0].strip().lower() == "image/svg+xml" or self.name.lower().endswith(".svg"):
+            raise ValueError("SVG attachments are not supported")
+        if self.kind == "image":
+            try:
+                base64.b64decode(self.data, validate=True)
+            except (binascii.Error, ValueError) as error:
+                raise ValueError("image attachment data is not valid base64") from error
+        return self
+
+
 class SearchModeRequest(BaseModel):
     query: str = Field(min_length=2, max_length=4_000)
     conversation: list[ChatTurn] = Field(default_factory=list)
+    # The per-file limit is advertised in /openapi.json so the client can skip oversized files before sending.
+    attachments: list[AttachmentIn] = Field(
+        default_factory=list,
+        max_length=MAX_ATTACHMENTS,
+        json_schema_extra={"x-max-attachment-bytes": MAX_ATTACHMENT_BYTES},
+    )
     mode: Literal["fast", "balanced", "deep"] = "balanced"
     search_topic: Literal["general", "news", "finance"] = "general"
     time_range: Literal["day", "week", "month", "year"] | None = None
@@ -54,6 +90,7 @@ class RankedSource:
     selected_passages: list[str] = field(default_factory=list)
     citation_id: int = 0
     token_count: int = 0
+    score_components: dict[str, float] = field(default_factory=dict)
 
 
 @dataclass(slots=True)
@@ -61,6 +98,9 @@ class GroundingBundle:
     context_text: str
     ranked_sources: list[RankedSource]
     token_count: int
+    budget_tokens: int = 0
+    per_source_budget: int = 0
+    considered: int = 0
 
 
 class CitationOut(BaseModel):
@@ -81,12 +121,26 @@ class SourceSummaryOut(BaseModel):
     published_at: str | None = None
 
 
+class FetchedSourceOut(BaseModel):
+    # `id` is the citation number when the source was passed to the model, otherwise None.
+    id: int | None = None
+    title: str
+    url: str
+    domain: str
+    score: float
+    used: bool
+    published_at: str | None = None
+
+
 class SearchModeResponse(BaseModel):
     answer: str
     citations: list[CitationOut]
     sources: list[SourceSummaryOut]
+    # Every source the search returned, ranked, including those left out of the model's context.
+    fetched: list[FetchedSourceOut] = Field(default_factory=list)
     queries: list[str]
     insufficient_context: bool
+    debug: dict | None = None
 
 
 class SkillCatalogItemOut(BaseModel):
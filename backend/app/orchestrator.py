@@ -5,7 +5,18 @@ from dataclasses import dataclass
 import httpx
 
 from .config import Settings
-from .models import CitationOut, GroundingBundle, SearchModeRequest, SearchModeResponse, SourceSummaryOut
+from .debug_trace import DebugTrace, NullTrace, describe_budget, describe_plan, describe_ranking, describe_results
+from .models import (
+    CitationOut,
+    FetchedSourceOut,
+    GroundingBundle,
+    PlannedQuery,
+    RankedSource,
+    SearchModeRequest,
+    SearchModeResponse,
+    SourceDocument,
+    SourceSummaryOut,
+)
 from .prompting import build_grounded_messages
 from .query_planner import QueryPlanner
 from .reranker import SourceReranker
@@ -20,8 +31,10 @@ from .extraction import SourceExtractor
 class PreparedSearch:
     request: SearchModeRequest
     queries: list[str]
+    ranked: list[RankedSource]
     grounding: GroundingBundle
     insufficient_context: bool
+    trace: DebugTrace | NullTrace
 
 
 class WebSearchOrchestrator:
@@ -46,7 +59,7 @@ class WebSearchOrchestrator:
             self.synthesizer = GroqSynthesizer(settings, client)
 
     async def execute(self, request: SearchModeRequest) -> SearchModeResponse:
-        prepared = await self._prepare(request)
+        prepared = await self._prepare(request, self._new_trace(request))
         if prepared.insufficient_context:
             answer = "I do not have enough grounded evidence in the retrieved sources to answer that confidently."
         else:
@@ -55,39 +68,35 @@ class WebSearchOrchestrator:
                 conversation=request.conversation,
                 grounding=prepared.grounding,
                 skill_instructions=request.skill_instructions,
+                attachments=request.attachments,
+                include_images=self.synthesizer.supports_images,
             )
+            step = prepared.trace.begin("synthesis", "Answer synthesis")
             answer = await self.synthesizer.complete(messages)
+            prepared.trace.end(step, **self._describe_synthesis(answer))
 
         return self._build_response(prepared, answer)
 
     async def stream(self, request: SearchModeRequest):
+        trace = self._new_trace(request)
         try:
             yield format_sse("status", {"phase": "query_planning", "message": "Optimizing search queries..."})
+            step = trace.begin("query_planning", "Query plan")
             planned = self.query_planner.plan(request)
+            trace.end(step, **describe_plan(planned))
             yield format_sse(
                 "query_plan",
                 {"queries": [item.text for item in planned], "count": len(planned)},
             )
 
             yield format_sse("status", {"phase": "searching", "message": "Searching the web..."})
-            raw_sources = await self.search_provider.search_many(planned, request)
+            raw_sources = await self._search(planned, request, trace)
 
             yield format_sse("status", {"phase": "reading", "message": "Reading and extracting sources..."})
-            enriched_sources = await self.extractor.enrich(raw_sources)
+            enriched_sources = await self._extract(raw_sources, trace)
 
             yield format_sse("status", {"phase": "ranking", "message": "Ranking source evidence..."})
-            ranked = self.reranker.rank(request.query, enriched_sources)
-            grounding = self.budgeter.build(
-                request.query,
-                ranked_sources=ranked,
-                max_sources=min(request.max_sources, self.settings.max_sources),
-            )
-            prepared = PreparedSearch(
-                request=request,
-                queries=[item.text for item in planned],
-                grounding=grounding,
-                insufficient_context=self._insufficient_context(grounding),
-            )
+            prepared = self._ground(request, planned, enriched_sources, trace)
 
             yield format_sse("sources", self._sources_payload(prepared))
 
@@ -102,36 +111,90 @@ class WebSearchOrchestrator:
                 conversation=request.conversation,
                 grounding=prepared.grounding,
                 skill_instructions=request.skill_instructions,
+                attachments=request.attachments,
+                include_images=self.synthesizer.supports_images,
             )
 
+            step = trace.begin("synthesis", "Answer synthesis")
             answer_parts: list[str] = []
             async for delta in self.synthesizer.stream(messages):
+                if not answer_parts:
+                    step["data"]["first_token_ms"] = round(trace.elapsed_ms() - step["started_ms"], 1)
                 answer_parts.append(delta)
                 yield format_sse("answer_delta", {"delta": delta})
 
             answer = "".join(answer_parts).strip()
+            trace.end(step, **self._describe_synthesis(answer))
             yield format_sse("complete", self._build_response(prepared, answer).model_dump())
         except Exception as error:  # pragma: no cover
-            yield format_sse("error", {"message": str(error)})
+            payload = {"message": str(error)}
+            if trace.enabled:
+                payload["debug"] = trace.to_dict()
+            yield format_sse("error", payload)
+
+    def _new_trace(self, request: SearchModeRequest) -> DebugTrace | NullTrace:
+        return DebugTrace() if request.debug and self.settings.allow_debug_trace else NullTrace()
 
-    async def _prepare(self, request: SearchModeRequest) -> PreparedSearch:
+    async def _prepare(self, request: SearchModeRequest, trace: DebugTrace | NullTrace) -> PreparedSearch:
+        step = trace.begin("query_planning", "Query plan")
         planned = self.query_planner.plan(request)
+        trace.end(step, **describe_plan(planned))
+        raw_sources = await self._search(planned, request, trace)
+        enriched_sources = await self._extract(raw_sources, trace)
+        return self._ground(request, planned, enriched_sources, trace)
+
+    async def _search(self, planned: list[PlannedQuery], request: SearchModeRequest, trace: DebugTrace | NullTrace) -> list[SourceDocument]:
+        step = trace.begin("searching", "Web search")
         raw_sources = await self.search_provider.search_many(planned, request)
-        enriched_sources = await self.extractor.enrich(raw_sources)
+        trace.end(step, **describe_results(raw_sources))
+        return raw_sources
+
+    async def _extract(self, raw_sources: list[SourceDocument], trace: DebugTrace | NullTrace) -> list[SourceDocument]:
+        step = trace.begin("extraction", "Source extraction")
+        timings: list[dict] | None = [] if trace.enabled else None
+        enriched_sources = await self.extractor.enrich(raw_sources, timings=timings)
+        trace.end(step, fetches=timings)
+        return enriched_sources
+
+    def _ground(
+        self,
+        request: SearchModeRequest,
+        planned: list[PlannedQuery],
+        enriched_sources: list[SourceDocument],
+        trace: DebugTrace | NullTrace,
+    ) -> PreparedSearch:
+        step = trace.begin("ranking", "Rerank")
         ranked = self.reranker.rank(request.query, enriched_sources)
+        trace.end(step, **describe_ranking(ranked))
+
+        step = trace.begin("token_budget", "Token budget")
         grounding = self.budgeter.build(
             request.query,
             ranked_sources=ranked,
             max_sources=min(request.max_sources, self.settings.max_sources),
         )
+        trace.end(step, **describe_budget(grounding))
         return PreparedSearch(
             request=request,
             queries=[item.text for item in planned],
+            ranked=ranked,
             grounding=grounding,
-            insufficient_context=self._insufficient_context(grounding),
+            insufficient_context=self._insufficient_context(request, grounding),
+            trace=trace,
         )
 
-    def _insufficient_context(self, grounding: GroundingBundle) -> bool:
+    def _describe_synthesis(self, answer: str) -> dict:
+        return {
+            "provider": self.settings.synthesis_provider,
+            "model": self.settings.synthesis_model,
+            "answer_tokens": self.budgeter.count_tokens(answer),
+        }
+
+    def _insufficient_context(self, request: SearchModeRequest, grounding: GroundingBundle) -> bool:
+        # Attached files are evidence of their own, so thin web results alone should not block the answer.
+        # Images only count when the synthesis model can see them.
+        if any(item.kind == "document" or self.synthesizer.supports_images for item in request.attachments):
+            return False
         return len(grounding.ranked_sources) < 2 or grounding.token_count < 300
 
     def _build_response(self, prepared: PreparedSearch, answer: str) -> SearchModeResponse:
@@ -162,7 +225,9 @@ class WebSearchOrchestrator:
             citations=citations,
             sources=sources,
             queries=prepared.queries,
+            fetched=self._fetched_sources(prepared),
             insufficient_context=prepared.insufficient_context,
+            debug=prepared.trace.to_dict(),
         )
 
     def _sources_payload(self, prepared: PreparedSearch) -> dict:
@@ -176,5 +241,22 @@ class WebSearchOrchestrator:
                     "score": round(ranked.rank_score, 4),
                 }
                 for ranked in prepared.grounding.ranked_sources
-            ]
+            ],
+            "fetched": [item.model_dump() for item in self._fetched_sources(prepared)],
         }
+
+    def _fetched_sources(self, prepared: PreparedSearch) -> list[FetchedSourceOut]:
+        # Sources the budget skipped keep a provisional citation id, so membership decides what was used.
+        used = {id(ranked) for ranked in prepared.grounding.ranked_sources}
+        return [
+            FetchedSourceOut(
+                id=ranked.citation_id if id(ranked) in used else None,
+                title=ranked.source.title,
+                url=ranked.source.url,
+                domain=ranked.source.domain,
+                score=round(ranked.rank_score, 4),
+                used=id(ranked) in used,
+                published_at=ranked.source.published_at,
+            )
+            for ranked in prepared.ranked
+        ]
@@ -1,6 +1,9 @@
 from __future__ import annotations
 
-from .models import ChatTurn, GroundingBundle
+from .models import AttachmentIn, ChatTurn, GroundingBundle
+
+
+MAX_DOCUMENT_PROMPT_CHARS = 24_000
 
 
 SYSTEM_PROMPT = """You are J.B.A.I., an advanced AI assistant created by Jeremiah (gokuthug1).
@@ -11,8 +14,9 @@ Rules:
 2. For factual claims drawn from the sources, use inline citations in the form [1], [2], or [1][3].
 3. For coding tasks, creative writing, or general problem-solving, use your extensive internal knowledge to provide high-quality, comprehensive answers (code examples, architectures, HTML/CSS/JS, etc.).
 4. Do not refuse to write code or help with a task just because the web sources don't contain the exact code. Combine the context from the web (e.g. current API docs) with your internal expertise.
-5. If the user's message is purely conversational (e.g., "thanks", "hello", "good job"), simply respond conversationally. Do NOT try to define the word or cite sources.
-6. If the user asks a strictly factual question and the sources are insufficient AND you don't know the answer, explain the limitation clearly.
+5. When the user attaches files, treat them as primary context for their question and combine them with the web sources. Refer to attached files by name; do not cite them with [n] markers.
+6. If the user's message is purely conversational (e.g., "thanks", "hello", "good job"), simply respond conversationally. Do NOT try to define the word or cite sources.
+7. If the user asks a strictly factual question and the sources are insufficient AND you don't know the answer, explain the limitation clearly.
 
 Output requirements:
 - Write clear Markdown.
@@ -26,6 +30,8 @@ def build_grounded_messages(
     conversation: list[ChatTurn],
     grounding: GroundingBundle,
     skill_instructions: str | None = None,
+    attachments: list[AttachmentIn] | None = None,
+    include_images: bool = False,
 ) -> list[dict]:
     history_lines: list[str] = []
     for turn in conversation[-4:]:
@@ -34,13 +40,14 @@ def build_grounded_messages(
         history_lines.append(f"{turn.role.upper()}: {turn.content.strip()}")
 
     history_block = "\n".join(history_lines) if history_lines else "None"
+    documents_block = _format_documents(attachments or [], include_images)
 
     user_prompt = f"""User question:
 {query}
 
 Recent conversation context:
 {history_block}
-
+{documents_block}
 Grounding sources:
 {grounding.context_text}
 
@@ -54,7 +61,34 @@ Write the answer now. Remember:
     if skill_instructions:
         system += f"\n\nActive Skill Instructions:\n{skill_instructions.strip()}\n\nPlease abide by these skill instructions above all else."
 
+    images = [item for item in attachments or [] if item.kind == "image"] if include_images else []
+    user_content: str | list[dict] = user_prompt
+    if images:
+        user_content = [{"type": "text", "text": user_prompt}] + [
+            {"type": "image_url", "image_url": {"url": f"data:{item.mime_type};base64,{item.data}"}}
+            for item in images
+        ]
+
     return [
         {"role": "system", "content": system},
-        {"role": "user", "content": user_prompt},
+        {"role": "user", "content": user_content},
     ]
+
+
+def _format_documents(attachments: list[AttachmentIn], include_images: bool) -> str:
+    if not attachments:
+        return ""
+    blocks: list[str] = []
+    remaining = MAX_DOCUMENT_PROMPT_CHARS
+    for item in attachments:
+        if item.kind == "image":
+            note = "(shown below)" if include_images else "(the current model cannot view images)"
+            blocks.append(f"[Image: {item.name}] {note}")
+            continue
+        text = (item.text or "").strip()
+        if len(text) > remaining:
+            text = text[: max(0, remaining)].rstrip() + "\n[...truncated]"
+        remaining -= len(text)
+        blocks.append(f"[File: {item.name} ({item.mime_type})]\n<<<\n{text}\n>>>")
+    return "\nAttached files:\n" + "\n\n".join(blocks) + "\n"
+
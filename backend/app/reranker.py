@@ -36,7 +36,15 @@ class SourceReranker:
                 + 0.05 * freshness_score
                 + 0.03 * length_score
             )
-            scored.append(RankedSource(source=source, rank_score=rank_score))
+            components = {
+                "title": title_score,
+                "snippet": snippet_score,
+                "body": body_score,
+                "provider": provider_score,
+                "freshness": freshness_score,
+                "length": length_score,
+            }
+            scored.append(RankedSource(source=source, rank_score=rank_score, score_components=components))
 
         scored.sort(key=lambda item: item.rank_score, reverse=True)
 
@@ -46,6 +54,7 @@ class SourceReranker:
             domain_hits = seen_domains.get(ranked.source.domain, 0)
             penalty = 0.08 * domain_hits
             ranked.rank_score = max(0.0, ranked.rank_score - penalty)
+            ranked.score_components["domain_penalty"] = -penalty if penalty else 0.0
             diversified.append(ranked)
             seen_domains[ranked.source.domain] = domain_hits + 1
 
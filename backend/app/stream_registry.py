@@ -0,0 +1,145 @@
+from __future__ import annotations
+
+import asyncio
+import time
+import uuid
+from collections.abc import AsyncIterator
+from dataclasses import dataclass, field
+
+
+class RegistryFullError(RuntimeError):
+    """Raised by `StreamRegistry.start` when `max_running` searches are already in progress."""
+
+
+@dataclass(slots=True)
+class StreamSession:
+    id: str
+    frames: list[str] = field(default_factory=list)
+    done: bool = False
+    cancelled: bool = False
+    finished_at: float | None = None
+    subscribers: int = 0
+    condition: asyncio.Condition = field(default_factory=asyncio.Condition)
+    task: asyncio.Task | None = None
+    orphan_timer: asyncio.TimerHandle | None = None
+
+
+class StreamRegistry:
+    """
+    Runs search streams independently of the HTTP connection so a client that drops can resume.
+    Every frame gets an SSE id of the form `<stream id>:<sequence>`; a reconnecting client sends the last id
+    it saw as `Last-Event-ID` and receives the frames after it, followed by the live remainder.
+    A running stream with no reader is cancelled after `grace_seconds`, at most `max_running` streams run at once,
+    and finished streams are kept for `ttl_seconds`.
+    Sessions live in process memory, so a resume only works when it reaches the process that started the stream.
+    """
+
+    def __init__(
+        self,
+        ttl_seconds: float = 300.0,
+        max_sessions: int = 64,
+        max_running: int = 16,
+        grace_seconds: float = 45.0,
+    ) -> None:
+        self.ttl_seconds = ttl_seconds
+        self.max_sessions = max_sessions
+        self.max_running = max_running
+        self.grace_seconds = grace_seconds
+        self._sessions: dict[str, StreamSession] = {}
+
+    def start(self, frames: AsyncIterator[str]) -> StreamSession:
+        self._expire()
+        if sum(1 for session in self._sessions.values() if not session.done) >= self.max_running:
+            raise RegistryFullError("Too many searches are running. Try again shortly.")
+        session = StreamSession(id=uuid.uuid4().hex)
+        self._sessions[session.id] = session
+        session.task = asyncio.create_task(self._pump(session, frames))
+        session.task.add_done_callback(lambda _: self._on_task_done(session))
+        # Covers a client that disconnects before its response starts streaming.
+        self._watch_orphan(session)
+        return session
+
+    def get(self, stream_id: str) -> StreamSession | None:
+        self._expire()
+        return self._sessions.get(stream_id)
+
+    def cancel(self, session: StreamSession) -> None:
+        session.cancelled = True
+        self._clear_orphan_timer(session)
+        if session.task is not None and not session.task.done():
+            session.task.cancel()
+
+    def sequence_from(self, session: StreamSession, last_event_id: str | None) -> int:
+        stream_id, _, sequence = (last_event_id or "").rpartition(":")
+        if stream_id != session.id or not sequence.isdigit():
+            return 0
+        return min(int(sequence), len(session.frames))
+
+    async def subscribe(self, session: StreamSession, after: int = 0):
+        index = after
+        session.subscribers += 1
+        self._clear_orphan_timer(session)
+        try:
+            while True:
+                async with session.condition:
+                    await session.condition.wait_for(lambda: len(session.frames) > index or session.done)
+                    pending = session.frames[index:]
+                    finished = session.done
+                for frame in pending:
+                    yield frame
+                index += len(pending)
+                if finished and index >= len(session.frames):
+                    return
+        finally:
+            session.subscribers -= 1
+            if session.subscribers == 0:
+                self._watch_orphan(session)
+
+    async def _pump(self, session: StreamSession, frames: AsyncIterator[str]) -> None:
+        try:
+            async for frame in frames:
+                async with session.condition:
+                    session.frames.append(f"id: {session.id}:{len(session.frames) + 1}\n{frame}")
+                    session.condition.notify_all()
+        finally:
+            await self._finish(session)
+
+    async def _finish(self, session: StreamSession) -> None:
+        self._clear_orphan_timer(session)
+        async with session.condition:
+            session.done = True
+            if session.finished_at is None:
+                session.finished_at = time.monotonic()
+            session.condition.notify_all()
+
+    def _on_task_done(self, session: StreamSession) -> None:
+        # A task cancelled before its first step never runs `_pump`, so its readers are released here.
+        if not session.done:
+            asyncio.get_running_loop().create_task(self._finish(session))
+
+    def _watch_orphan(self, session: StreamSession) -> None:
+        if session.done or session.orphan_timer is not None:
+            return
+        session.orphan_timer = asyncio.get_running_loop().call_later(self.grace_seconds, self._cancel_orphan, session)
+
+    def _cancel_orphan(self, session: StreamSession) -> None:
+        session.orphan_timer = None
+        if session.subscribers == 0:
+            self.cancel(session)
+
+    def _clear_orphan_timer(self, session: StreamSession) -> None:
+        if session.orphan_timer is not None:
+            session.orphan_timer.cancel()
+            session.orphan_timer = None
+
+    def _expire(self) -> None:
+        now = time.monotonic()
+        for stream_id, session in list(self._sessions.items()):
+            if session.finished_at is not None and now - session.finished_at > self.ttl_seconds:
+                del self._sessions[stream_id]
+        finished = sorted(
+            (session for session in self._sessions.values() if session.finished_at is not None),
+            key=lambda session: session.finished_at,
+        )
+        while len(self._sessions) >= self.max_sessions and finished:
+            del self._sessions[finished.pop(0).id]
@@ -57,6 +57,8 @@ async def _complete_openai_compat(
 
 
 class OpenAISynthesizer:
+    supports_images = True
+
     def __init__(self, settings: Settings, client: httpx.AsyncClient) -> None:
         self.settings = settings
         self.client = client
@@ -130,6 +132,7 @@ class GroqSynthesizer:
     """
 
     GROQ_CHAT_URL = "https://api.groq.com/openai/v1/chat/completions"
+    supports_images = False
 
     def __init__(self, settings: Settings, client: httpx.AsyncClient) -> None:
         self.settings = settings
@@ -203,6 +206,7 @@ class GeminiSynthesizer:
     """
 
     GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models"
+    supports_images = True
 
     def __init__(self, settings: Settings, client: httpx.AsyncClient) -> None:
         self.settings = settings
@@ -217,15 +221,29 @@ class GeminiSynthesizer:
         contents: list[dict] = []
         for msg in messages:
             role = msg.get("role", "user")
-            text = msg.get("content", "")
+            content = msg.get("content", "")
+            parts = self._to_gemini_parts(content)
             if role == "system":
-                system_text.append(text)
+                system_text.append(content if isinstance(content, str) else "")
             elif role == "assistant":
-                contents.append({"role": "model", "parts": [{"text": text}]})
+                contents.append({"role": "model", "parts": parts})
             else:
-                contents.append({"role": "user", "parts": [{"text": text}]})
+                contents.append({"role": "user", "parts": parts})
         return contents, "\n\n".join(system_text) if system_text else None
 
+    def _to_gemini_parts(self, content: str | list[dict]) -> list[dict]:
+        if isinstance(content, str):
+            return [{"text": content}]
+        parts: list[dict] = []
+        for item in content:
+            if item.get("type") == "text":
+                parts.append({"text": item.get("text", "")})
+            elif item.get("type") == "image_url":
+                header, _, data = item.get("image_url", {}).get("url", "").partition(",")
+                mime_type = header.removeprefix("data:").removesuffix(";base64")
+                parts.append({"inlineData": {"mimeType": mime_type, "data": data}})
+        return parts
+
     async def complete(self, messages: list[dict]) -> str:
         if not self.settings.gemini_api_key:
             raise RuntimeError("GEMINI_API_KEY is not configured.")
@@ -292,6 +310,8 @@ class HuggingFaceSynthesizer:
       https://router.huggingface.co/v1/chat/completions
     """
 
+    supports_images = False
+
     def __init__(self, settings: Settings, client: httpx.AsyncClient) -> None:
         self.settings = settings
         self.client = client
@@ -347,6 +367,8 @@ class DeepSeekSynthesizer:
     DeepSeek uses an OpenAI-compatible API format — just a different base URL and key.
     """
 
+    supports_images = False
+
     def __init__(self, settings: Settings, client: httpx.AsyncClient) -> None:
         self.settings = settings
         self.client = client
@@ -20,9 +20,9 @@ class TokenBudgeter:
         selected_sources: list[RankedSource] = []
         blocks: list[str] = []
         used_tokens = 0
+        per_source_budget = max(250, total_budget // max(1, max_sources))
 
         for ranked in ranked_sources[:max_sources]:
-            per_source_budget = max(250, total_budget // max(1, max_sources))
             passages = self._select_relevant_passages(query, ranked.source.markdown, ranked.source.snippet, per_source_budget)
             if not passages:
                 passages = [trim_text(ranked.source.snippet or ranked.source.markdown, 600)]
@@ -45,6 +45,9 @@ class TokenBudgeter:
             context_text="\n\n".join(blocks),
             ranked_sources=selected_sources,
             token_count=used_tokens,
+            budget_tokens=total_budget,
+            per_source_budget=per_source_budget,
+            considered=min(len(ranked_sources), max_sources),
         )
 
     def count_tokens(self, text: str) -> int:
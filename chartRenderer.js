@@ -0,0 +1,266 @@
+/**
+ * A dependency-free renderer for the ```chart fenced block.
+ * A spec is either JSON ({ type, title, labels, series: [{ name, data }], xLabel, yLabel })
+ * or CSV whose first column holds the labels (the x values for scatter) and whose other
+ * columns are series, optionally preceded by `type:`, `title:`, `x:` and `y:` lines.
+ * Output is a static SVG string; hover tooltips are read from `data-chart-tip` by the UI.
+ *
+ * @namespace ChartRenderer
+ */
+export const ChartRenderer = {
+    TYPES: ['line', 'bar', 'pie', 'scatter'],
+    COLORS: ['#4f46e5', '#0891b2', '#16a34a', '#ca8a04', '#ea580c', '#dc2626', '#db2777', '#7c3aed'],
+    WIDTH: 640,
+    HEIGHT: 360,
+    MAX_POINTS: 500,
+    MAX_SERIES: 8,
+
+    /**
+     * Parses and validates a chart block. Throws on anything that cannot be drawn.
+     * @param {string} source - The fence body.
+     * @returns {object} A normalized spec.
+     */
+    parse(source) {
+        const text = String(source || '').trim();
+        if (!text) throw new Error('Chart block is empty');
+        const spec = text.startsWith('{') ? JSON.parse(text) : this.parseCsv(text);
+        return this.normalize(spec);
+    },
+
+    parseCsv(text) {
+        const spec = {};
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const directiveKeys = { type: 'type', title: 'title', x: 'xLabel', y: 'yLabel' };
+        while (lines.length > 0) {
+            const directive = /^(type|title|x|y)\s*:\s*(.*)$/i.exec(lines[0]);
+            if (!directive) break;
+            spec[directiveKeys[directive[1].toLowerCase()]] = directive[2].trim();
+            lines.shift();
+        }
+        const rows = lines.map(line => this.splitCsvLine(line));
+        if (rows.length < 2 || rows[0].length < 2) throw new Error('CSV charts need a header row, a label column and at least one data row');
+
+        const [header, ...body] = rows;
+        spec.labels = body.map(row => row[0]);
+        spec.series = header.slice(1).map((name, column) => ({
+            name,
+            data: body.map(row => String(spec.type).toLowerCase() === 'scatter' ? [row[0], row[column + 1]] : row[column + 1])
+        }));
+        return spec;
+    },
+
+    splitCsvLine(line) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else current += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === '\t') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    },
+
+    toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || !value.trim()) return null;
+        const number = Number(value.replace(/[,$%\s]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    },
+
+    normalize(spec) {
+        if (!spec || typeof spec !== 'object') throw new Error('Chart spec must be an object');
+        const type = String(spec.type || 'bar').toLowerCase();
+        if (!this.TYPES.includes(type)) throw new Error(`Unknown chart type "${spec.type}"`);
+        const rawSeries = Array.isArray(spec.series) ? spec.series : (Array.isArray(spec.data) ? [{ name: spec.title || 'Series', data: spec.data }] : []);
+        if (rawSeries.length === 0) throw new Error('Chart has no series');
+
+        const series = rawSeries.slice(0, this.MAX_SERIES).map((item, index) => {
+            const data = (Array.isArray(item?.data) ? item.data : []).slice(0, this.MAX_POINTS);
+            return {
+                name: String(item?.name ?? `Series ${index + 1}`),
+                color: /^#[0-9a-f]{3,8}$/i.test(item?.color) ? item.color : this.COLORS[index % this.COLORS.length],
+                data: type === 'scatter'
+                    ? data.map(point => Array.isArray(point)
+                        ? { x: this.toNumber(point[0]), y: this.toNumber(point[1]) }
+                        : { x: this.toNumber(point?.x), y: this.toNumber(point?.y) })
+                        .filter(point => point.x !== null && point.y !== null)
+                    : data.map(value => this.toNumber(value))
+            };
+        });
+        const pointCount = Math.max(...series.map(item => item.data.length));
+        if (pointCount === 0) throw new Error('Chart has no numeric data');
+
+        const labels = Array.from({ length: pointCount }, (_, i) => String(spec.labels?.[i] ?? i + 1));
+        return {
+            type,
+            title: spec.title ? String(spec.title) : '',
+            xLabel: spec.xLabel ? String(spec.xLabel) : '',
+            yLabel: spec.yLabel ? String(spec.yLabel) : '',
+            labels,
+            series
+        };
+    },
+
+    escape(value) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, m => map[m]);
+    },
+
+    formatValue(value) {
+        if (Math.abs(value) >= 1e6 || (Math.abs(value) > 0 && Math.abs(value) < 1e-3)) return value.toExponential(2);
+        return Number(value.toFixed(6)).toLocaleString('en-US', { maximumFractionDigits: 4 });
+    },
+
+    /**
+     * Picks round tick values covering [min, max] ("nice numbers" from Heckbert's Graphics Gems).
+     */
+    niceTicks(min, max, count = 5) {
+        if (min === max) { min -= 1; max += 1; }
+        const nice = (range, round) => {
+            const exponent = Math.floor(Math.log10(range));
+            const fraction = range / 10 ** exponent;
+            const niceFraction = round
+                ? (fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10)
+                : (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10);
+            return niceFraction * 10 ** exponent;
+        };
+        const step = nice(nice(max - min, false) / (count - 1), true);
+        const start = Math.floor(min / step) * step;
+        const end = Math.ceil(max / step) * step;
+        const ticks = [];
+        for (let value = start; value <= end + step / 2; value += step) ticks.push(Number(value.toPrecision(12)));
+        return ticks;
+    },
+
+    /**
+     * Renders a normalized spec (see `parse`) to an SVG string.
+     * @param {object} spec
+     * @returns {string}
+     */
+    render(spec) {
+        const { WIDTH, HEIGHT } = this;
+        const top = spec.title ? 40 : 16;
+        const legendHeight = spec.series.length > 1 || spec.type === 'pie' ? 28 : 0;
+        const body = spec.type === 'pie'
+            ? this.renderPie(spec, top, legendHeight)
+            : this.renderCartesian(spec, top, legendHeight);
+        const legendItems = spec.type === 'pie'
+            ? spec.labels.slice(0, spec.series[0].data.length).map((label, i) => ({ name: label, color: this.COLORS[i % this.COLORS.length] }))
+            : spec.series;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${this.escape(spec.title || `${spec.type} chart`)}" font-family="system-ui, sans-serif" font-size="12" fill="currentColor">`
+            + (spec.title ? `<text x="${WIDTH / 2}" y="24" text-anchor="middle" font-size="15" font-weight="600">${this.escape(spec.title)}</text>` : '')
+            + body
+            + (legendHeight ? this.renderLegend(legendItems, HEIGHT - legendHeight + 8) : '')
+            + '</svg>';
+    },
+
+    renderLegend(items, y) {
+        const itemWidth = Math.min(140, this.WIDTH / Math.max(items.length, 1));
+        const startX = (this.WIDTH - itemWidth * items.length) / 2;
+        return `<g class="chart-legend">${items.map((item, i) => {
+            const x = startX + i * itemWidth;
+            const name = item.name.length > 16 ? `${item.name.slice(0, 15)}…` : item.name;
+            return `<g data-chart-series="${i}"><rect x="${x}" y="${y}" width="10" height="10" rx="2" fill="${item.color}"/><text x="${x + 14}" y="${y + 9}">${this.escape(name)}</text></g>`;
+        }).join('')}</g>`;
+    },
+
+    renderCartesian(spec, top, legendHeight) {
+        const left = spec.yLabel ? 64 : 52;
+        const right = 16;
+        const bottom = (spec.xLabel ? 48 : 32) + legendHeight;
+        const plotWidth = this.WIDTH - left - right;
+        const plotHeight = this.HEIGHT - top - bottom;
+        const isScatter = spec.type === 'scatter';
+
+        const yValues = spec.series.flatMap(item => item.data.map(point => isScatter ? point.y : point)).filter(value => value !== null);
+        const yTicks = this.niceTicks(Math.min(0, ...yValues), Math.max(0, ...yValues));
+        const yMin = yTicks[0];
+        const yMax = yTicks[yTicks.length - 1];
+        const yScale = value => top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+        let xScale;
+        let xAxis = '';
+        const categories = spec.labels.length;
+        if (isScatter) {
+            const xValues = spec.series.flatMap(item => item.data.map(point => point.x));
+            const xTicks = this.niceTicks(Math.min(...xValues), Math.max(...xValues));
+            const xMin = xTicks[0];
+            const xMax = xTicks[xTicks.length - 1];
+            xScale = value => left + ((value - xMin) / (xMax - xMin)) * plotWidth;
+            xAxis = xTicks.map(tick => `<text x="${xScale(tick)}" y="${top + plotHeight + 18}" text-anchor="middle">${this.escape(this.formatValue(tick))}</text>`).join('');
+        } else {
+            const band = plotWidth / categories;
+            xScale = index => left + band * index + band / 2;
+            // Thin out labels so they do not overlap.
+            const every = Math.ceil(categories / Math.max(1, Math.floor(plotWidth / 60)));
+            xAxis = spec.labels.map((label, i) => i % every === 0
+                ? `<text x="${xScale(i)}" y="${top + plotHeight + 18}" text-anchor="middle">${this.escape(label.length > 12 ? `${label.slice(0, 11)}…` : label)}</text>`
+                : '').join('');
+        }
+
+        const grid = yTicks.map(tick => `<line x1="${left}" x2="${left + plotWidth}" y1="${yScale(tick)}" y2="${yScale(tick)}" stroke="currentColor" stroke-opacity="${tick === 0 ? 0.5 : 0.12}"/><text x="${left - 8}" y="${yScale(tick) + 4}" text-anchor="end">${this.escape(this.formatValue(tick))}</text>`).join('');
+        const axisLabels = (spec.xLabel ? `<text x="${left + plotWidth / 2}" y="${top + plotHeight + 38}" text-anchor="middle" font-weight="600">${this.escape(spec.xLabel)}</text>` : '')
+            + (spec.yLabel ? `<text transform="translate(14 ${top + plotHeight / 2}) rotate(-90)" text-anchor="middle" font-weight="600">${this.escape(spec.yLabel)}</text>` : '');
+
+        const marks = spec.series.map((item, seriesIndex) => {
+            const tip = (label, value) => `data-chart-tip="${this.escape(`${item.name} · ${label}: ${this.formatValue(value)}`)}"`;
+            let content = '';
+            if (spec.type === 'bar') {
+                const band = plotWidth / categories;
+                const barWidth = Math.max(1, (band * 0.8) / spec.series.length);
+                content = item.data.map((value, i) => {
+                    if (value === null) return '';
+                    const x = left + band * i + band * 0.1 + barWidth * seriesIndex;
+                    const y = Math.min(yScale(value), yScale(0));
+                    const height = Math.abs(yScale(value) - yScale(0));
+                    return `<rect x="${x}" y="${y}" width="${barWidth}" height="${height}" fill="${item.color}" ${tip(spec.labels[i], value)}/>`;
+                }).join('');
+            } else if (spec.type === 'line') {
+                const points = item.data.map((value, i) => value === null ? null : [xScale(i), yScale(value), i, value]).filter(Boolean);
+                content = `<polyline points="${points.map(([x, y]) => `${x},${y}`).join(' ')}" fill="none" stroke="${item.color}" stroke-width="2"/>`
+                    + points.map(([x, y, i, value]) => `<circle cx="${x}" cy="${y}" r="3.5" fill="${item.color}" ${tip(spec.labels[i], value)}/>`).join('');
+            } else {
+                content = item.data.map(point => `<circle cx="${xScale(point.x)}" cy="${yScale(point.y)}" r="4" fill="${item.color}" fill-opacity="0.75" data-chart-tip="${this.escape(`${item.name} · (${this.formatValue(point.x)}, ${this.formatValue(point.y)})`)}"/>`).join('');
+            }
+            return `<g data-chart-series="${seriesIndex}">${content}</g>`;
+        }).join('');
+
+        return `<g class="chart-axes">${grid}${xAxis}${axisLabels}</g>${marks}`;
+    },
+
+    renderPie(spec, top, legendHeight) {
+        const values = spec.series[0].data.map(value => Math.max(0, value || 0));
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (total <= 0) throw new Error('Pie charts need positive values');
+        const radius = Math.min(this.WIDTH, this.HEIGHT - top - legendHeight) / 2 - 12;
+        const cx = this.WIDTH / 2;
+        const cy = top + (this.HEIGHT - top - legendHeight) / 2;
+        let angle = -Math.PI / 2;
+
+        const slices = values.map((value, i) => {
+            if (value === 0) return '';
+            const share = value / total;
+            const start = angle;
+            angle += share * Math.PI * 2;
+            const color = this.COLORS[i % this.COLORS.length];
+            const tip = `data-chart-tip="${this.escape(`${spec.labels[i]}: ${this.formatValue(value)} (${(share * 100).toFixed(1)}%)`)}"`;
+            if (share >= 0.9999) return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}" data-chart-series="${i}" ${tip}/>`;
+            const point = theta => `${(cx + radius * Math.cos(theta)).toFixed(2)},${(cy + radius * Math.sin(theta)).toFixed(2)}`;
+            return `<path d="M${cx},${cy} L${point(start)} A${radius},${radius} 0 ${share > 0.5 ? 1 : 0} 1 ${point(angle)} Z" fill="${color}" stroke="#fff" stroke-opacity="0.7" stroke-width="1" data-chart-series="${i}" ${tip}/>`;
+        }).join('');
+        return `<g class="chart-pie">${slices}</g>`;
+    }
+};
@@ -0,0 +1,330 @@
+import { SyntaxHighlighter } from './syntaxHighlighter.js';
+
+/**
+ * Unified-diff support for ```diff / ```patch blocks and for comparing two code blocks.
+ * Parsed files have the shape { oldPath, newPath, hunks: [{ oldStart, oldLines, newStart, newLines, header, lines }] }
+ * where each line is { type: 'context' | 'add' | 'del', text }. Hunks without an `@@` header (common in model
+ * output) have null starts and are located by content when applied.
+ * Rendering emits both an inline and a side-by-side table; the UI switches between them with `data-diff-mode`.
+ *
+ * @namespace DiffRenderer
+ */
+export const DiffRenderer = {
+    CONTEXT_LINES: 3,
+    // Above this many cells the line diff falls back to replacing the changed middle wholesale.
+    MAX_DIFF_CELLS: 4000000,
+
+    /**
+     * Parses unified diff text into files and hunks.
+     * @param {string} text - The diff source.
+     * @returns {Array<object>} Files; empty when nothing looks like a diff.
+     */
+    parse(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const files = [];
+        let file = null;
+        let hunk = null;
+        let remainingOld = 0;
+        let remainingNew = 0;
+
+        const startFile = (oldPath = '', newPath = '') => {
+            file = { oldPath, newPath, hunks: [] };
+            files.push(file);
+            hunk = null;
+        };
+        const cleanPath = (path) => {
+            const name = path.split('\t')[0].trim();
+            return name === '/dev/null' ? '' : name.replace(/^[ab]\//, '');
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if ((match = /^diff --git a\/(.+?) b\/(.+)$/.exec(line))) {
+                startFile(match[1], match[2]);
+                continue;
+            }
+            if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ') && (!hunk || (remainingOld <= 0 && remainingNew <= 0))) {
+                if (!file || file.hunks.length > 0) startFile();
+                file.oldPath = cleanPath(line.slice(4));
+                file.newPath = cleanPath(lines[i + 1].slice(4));
+                hunk = null;
+                i++;
+                continue;
+            }
+            if ((match = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/.exec(line))) {
+                if (!file) startFile();
+                hunk = {
+                    oldStart: Number(match[1]), oldLines: match[2] === undefined ? 1 : Number(match[2]),
+                    newStart: Number(match[3]), newLines: match[4] === undefined ? 1 : Number(match[4]),
+                    header: match[5] || '', lines: []
+                };
+                remainingOld = hunk.oldLines;
+                remainingNew = hunk.newLines;
+                file.hunks.push(hunk);
+                continue;
+            }
+            if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+            if (!hunk && /^(?:index |new file mode|deleted file mode|old mode|new mode|similarity index|rename (?:from|to) |Binary files)/.test(line)) continue;
+
+            if (hunk && hunk.oldStart !== null && remainingOld <= 0 && remainingNew <= 0) hunk = null;
+            const sign = line[0];
+            if (!hunk) {
+                // Bare +/- lines with no header still form a hunk.
+                if (sign !== '+' && sign !== '-') continue;
+                if (!file) startFile();
+                hunk = { oldStart: null, oldLines: 0, newStart: null, newLines: 0, header: '', lines: [] };
+                file.hunks.push(hunk);
+            }
+
+            // Lines without a marker are treated as context (editors often strip the leading space).
+            const type = sign === '+' ? 'add' : sign === '-' ? 'del' : 'context';
+            const content = type === 'context' && sign !== ' ' ? line : line.slice(1);
+            hunk.lines.push({ type, text: content });
+            if (type !== 'add') remainingOld--;
+            if (type !== 'del') remainingNew--;
+        }
+
+        for (const parsed of files) {
+            for (const h of parsed.hunks) {
+                // A headerless hunk cannot tell a trailing blank context line from the fence's final newline.
+                while (h.oldStart === null && h.lines.length && h.lines[h.lines.length - 1].type === 'context' && !h.lines[h.lines.length - 1].text) h.lines.pop();
+                if (h.oldStart === null) {
+                    h.oldLines = h.lines.filter(l => l.type !== 'add').length;
+                    h.newLines = h.lines.filter(l => l.type !== 'del').length;
+                }
+            }
+            parsed.hunks = parsed.hunks.filter(h => h.lines.length > 0);
+        }
+        return files.filter(f => f.hunks.length > 0);
+    },
+
+    /** True when the parsed files contain at least one added or removed line. */
+    hasChanges(files) {
+        return files.some(f => f.hunks.some(h => h.lines.some(l => l.type !== 'context')));
+    },
+
+    /**
+     * Applies parsed hunks to a source text. Each hunk is searched for near its stated position, then anywhere
+     * after the previous hunk, first exactly and then ignoring whitespace differences.
+     * With several files in the patch, the one whose hunks fit the source best is used.
+     * @param {string} source - Text to patch.
+     * @param {Array<object>} files - Output of `parse`.
+     * @returns {{text: string, applied: number, failed: number[], total: number, path: string}}
+     */
+    apply(source, files) {
+        const candidates = files.filter(f => f.hunks.length > 0);
+        if (candidates.length === 0) return { text: source, applied: 0, failed: [], total: 0, path: '' };
+        const results = candidates.map(file => ({ ...this._applyHunks(source, file.hunks), path: file.newPath || file.oldPath }));
+        return results.reduce((best, result) => result.applied > best.applied ? result : best);
+    },
+
+    _applyHunks(source, hunks) {
+        const eol = source.includes('\r\n') ? '\r\n' : '\n';
+        const lines = source.split(/\r?\n/);
+        const failed = [];
+        let applied = 0;
+        let offset = 0;
+        let minIndex = 0;
+
+        hunks.forEach((hunk, index) => {
+            const before = hunk.lines.filter(l => l.type !== 'add').map(l => l.text);
+            const after = hunk.lines.filter(l => l.type !== 'del').map(l => l.text);
+            // A hunk that only adds lines after line N has oldStart N; one that changes lines starts at oldStart.
+            const base = hunk.oldStart === null ? null : (before.length === 0 ? hunk.oldStart : hunk.oldStart - 1);
+            const stated = base === null ? minIndex : base + offset;
+            const at = this._locate(lines, before, Math.max(minIndex, stated), minIndex);
+            if (at < 0) { failed.push(index + 1); return; }
+            lines.splice(at, before.length, ...after);
+            if (base !== null) offset = at - base + after.length - before.length;
+            minIndex = at + after.length;
+            applied++;
+        });
+        return { text: lines.join(eol), applied, failed, total: hunks.length };
+    },
+
+    _locate(lines, needle, expected, minIndex) {
+        if (needle.length === 0) return Math.min(expected, lines.length);
+        const comparers = [
+            (a, b) => a === b,
+            (a, b) => a.trimEnd() === b.trimEnd(),
+            (a, b) => a.replace(/\s+/g, '') === b.replace(/\s+/g, '')
+        ];
+        const last = lines.length - needle.length;
+        for (const same of comparers) {
+            const fits = (start) => needle.every((text, i) => same(lines[start + i], text));
+            // Search outward from the expected position.
+            for (let distance = 0; distance <= Math.max(expected - minIndex, last - expected); distance++) {
+                for (const start of [expected + distance, expected - distance]) {
+                    if (start >= minIndex && start <= last && fits(start)) return start;
+                }
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Diffs two texts line by line into hunks with surrounding context, in the same shape as `parse`.
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array<object>} Hunks; empty when the texts are equal.
+     */
+    diffTexts(oldText, newText) {
+        const a = String(oldText || '').replace(/\r\n?/g, '\n').split('\n');
+        const b = String(newText || '').replace(/\r\n?/g, '\n').split('\n');
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const ops = a.slice(0, start).map(text => ({ type: 'context', text }));
+        ops.push(...this._diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+        ops.push(...a.slice(endA).map(text => ({ type: 'context', text })));
+        return this._groupHunks(ops);
+    },
+
+    // Longest-common-subsequence diff of the part between the shared prefix and suffix.
+    _diffMiddle(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 || m === 0 || n * m > this.MAX_DIFF_CELLS) {
+            return [...a.map(text => ({ type: 'del', text })), ...b.map(text => ({ type: 'add', text }))];
+        }
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) { ops.push({ type: 'context', text: a[i] }); i++; j++; }
+            else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) ops.push({ type: 'del', text: a[i++] });
+            else ops.push({ type: 'add', text: b[j++] });
+        }
+        while (i < n) ops.push({ type: 'del', text: a[i++] });
+        while (j < m) ops.push({ type: 'add', text: b[j++] });
+        return ops;
+    },
+
+    _groupHunks(ops) {
+        const hunks = [];
+        const changed = ops.map((op, index) => op.type !== 'context' ? index : -1).filter(index => index >= 0);
+        if (changed.length === 0) return hunks;
+
+        // Changes closer than twice the context share a hunk.
+        let groupStart = changed[0];
+        let groupEnd = changed[0];
+        const ranges = [];
+        for (const index of changed.slice(1)) {
+            if (index - groupEnd > this.CONTEXT_LINES * 2) { ranges.push([groupStart, groupEnd]); groupStart = index; }
+            groupEnd = index;
+        }
+        ranges.push([groupStart, groupEnd]);
+
+        let oldLine = 1;
+        let newLine = 1;
+        let cursor = 0;
+        for (const [first, last] of ranges) {
+            const from = Math.max(cursor, first - this.CONTEXT_LINES);
+            const to = Math.min(ops.length - 1, last + this.CONTEXT_LINES);
+            for (; cursor < from; cursor++) {
+                if (ops[cursor].type !== 'add') oldLine++;
+                if (ops[cursor].type !== 'del') newLine++;
+            }
+            const lines = ops.slice(from, to + 1);
+            const oldLines = lines.filter(l => l.type !== 'add').length;
+            const newLines = lines.filter(l => l.type !== 'del').length;
+            hunks.push({ oldStart: oldLines ? oldLine : oldLine - 1, oldLines, newStart: newLines ? newLine : newLine - 1, newLines, header: '', lines });
+            for (; cursor <= to; cursor++) {
+                if (ops[cursor].type !== 'add') oldLine++;
+                if (ops[cursor].type !== 'del') newLine++;
+            }
+        }
+        return hunks;
+    },
+
+    /**
+     * Renders parsed files as inline and side-by-side tables.
+     * @param {Array<object>} files - Output of `parse` (or `[{ newPath, hunks: diffTexts(...) }]`).
+     * @param {string} [language] - Highlighting language when the file names do not give one.
+     * @returns {string} HTML
+     */
+    render(files, language = '') {
+        const body = files.map(file => this._renderFile(file, language)).join('');
+        return `<div class="diff-view" data-diff-mode="inline"><div class="diff-toolbar"><button type="button" class="diff-mode-button is-active" data-diff-mode="inline">Inline</button><button type="button" class="diff-mode-button" data-diff-mode="split">Side by side</button></div>${body}</div>`;
+    },
+
+    _renderFile(file, language) {
+        const path = file.newPath || file.oldPath;
+        const lang = (/\.([a-z0-9+#]+)$/i.exec(path || '')?.[1] || language || '').toLowerCase();
+        const highlight = (text) => text ? SyntaxHighlighter.highlight(text, lang) : '';
+        let added = 0;
+        let removed = 0;
+        let inline = '';
+        let split = '';
+
+        for (const hunk of file.hunks) {
+            const range = hunk.oldStart === null ? '' : `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@ ${hunk.header}`.trim();
+            inline += `<tr class="diff-hunk-header"><td colspan="3">${this.escape(range || '…')}</td></tr>`;
+            split += `<tr class="diff-hunk-header"><td colspan="4">${this.escape(range || '…')}</td></tr>`;
+
+            let oldNo = hunk.oldStart;
+            let newNo = hunk.newStart;
+            const next = (value) => value === null ? '' : value;
+            const lines = hunk.lines;
+            for (let i = 0; i < lines.length;) {
+                if (lines[i].type === 'context') {
+                    const code = highlight(lines[i].text);
+                    inline += `<tr class="diff-line"><td class="diff-num">${next(oldNo)}</td><td class="diff-num">${next(newNo)}</td><td class="diff-code"><span class="diff-sign"> </span>${code}</td></tr>`;
+                    split += `<tr class="diff-line"><td class="diff-num">${next(oldNo)}</td><td class="diff-code">${code}</td><td class="diff-num">${next(newNo)}</td><td class="diff-code">${code}</td></tr>`;
+                    if (oldNo !== null) { oldNo++; newNo++; }
+                    i++;
+                    continue;
+                }
+                // A run of removals and additions is paired row by row in the split view.
+                const dels = [];
+                const adds = [];
+                while (i < lines.length && lines[i].type === 'del') dels.push(lines[i++]);
+                while (i < lines.length && lines[i].type === 'add') adds.push(lines[i++]);
+                removed += dels.length;
+                added += adds.length;
+                const delRows = dels.map(line => {
+                    const row = { no: next(oldNo), code: highlight(line.text) };
+                    if (oldNo !== null) oldNo++;
+                    return row;
+                });
+                const addRows = adds.map(line => {
+                    const row = { no: next(newNo), code: highlight(line.text) };
+                    if (newNo !== null) newNo++;
+                    return row;
+                });
+                delRows.forEach(row => { inline += `<tr class="diff-line diff-del"><td class="diff-num">${row.no}</td><td class="diff-num"></td><td class="diff-code"><span class="diff-sign">-</span>${row.code}</td></tr>`; });
+                addRows.forEach(row => { inline += `<tr class="diff-line diff-add"><td class="diff-num"></td><td class="diff-num">${row.no}</td><td class="diff-code"><span class="diff-sign">+</span>${row.code}</td></tr>`; });
+                for (let k = 0; k < Math.max(delRows.length, addRows.length); k++) {
+                    const del = delRows[k];
+                    const add = addRows[k];
+                    split += '<tr class="diff-line">'
+                        + (del ? `<td class="diff-num">${del.no}</td><td class="diff-code diff-del">${del.code}</td>` : '<td class="diff-num"></td><td class="diff-code diff-empty"></td>')
+                        + (add ? `<td class="diff-num">${add.no}</td><td class="diff-code diff-add">${add.code}</td>` : '<td class="diff-num"></td><td class="diff-code diff-empty"></td>')
+                        + '</tr>';
+                }
+            }
+        }
+
+        const name = path ? `<span class="diff-file-name">${this.escape(path)}</span>` : '';
+        const header = `<div class="diff-file-header">${name}<span class="diff-stat"><span class="diff-stat-add">+${added}</span> <span class="diff-stat-del">-${removed}</span></span></div>`;
+        return `<div class="diff-file">${header}<div class="diff-scroll"><table class="diff-table diff-inline"><tbody>${inline}</tbody></table><table class="diff-table diff-split"><tbody>${split}</tbody></table></div></div>`;
+    },
+
+    escape(value) {
+        return SyntaxHighlighter.escapeHtml(String(value ?? ''));
+    }
+};
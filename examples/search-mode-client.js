@@ -7,6 +7,8 @@
   - generation lifecycle near script.js:1753
 */
 
+import { JbAiStream } from "../jbaiStream.js";
+
 export const SEARCH_PHASE_LABELS = {
     query_planning: "Optimizing search...",
     searching: "Searching the web...",
@@ -18,95 +20,56 @@ export const SEARCH_PHASE_LABELS = {
 export async function streamWebSearchMode({
     apiBaseUrl,
     payload,
+    readEvents,
     signal,
+    checkpoint = null,
     onStatus = () => {},
     onQueryPlan = () => {},
     onSources = () => {},
     onDelta = () => {},
     onComplete = () => {},
     onError = () => {},
+    onReconnect = () => {},
 }) {
-    const response = await fetch(`${apiBaseUrl.replace(/\/$/, "")}/v1/web-search/stream`, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            Accept: "text/event-stream",
-        },
-        body: JSON.stringify(payload),
+    // Dropped connections are retried and resumed by JbAiStream. If that fails, the thrown error's
+    // `checkpoint` can be passed back in as `checkpoint` to pick the answer up where it stopped.
+    // `readEvents` is the app's SSE parser, e.g. `(response, signal) => ChatApp.Api.readSseEvents(response, signal)`.
+    const events = JbAiStream.events({
+        url: `${apiBaseUrl.replace(/\/$/, "")}/v1/web-search/stream`,
+        body: payload,
+        checkpoint,
+        readEvents,
         signal,
     });
 
-    if (!response.ok || !response.body) {
-        const message = await response.text().catch(() => "");
-        throw new Error(message || `Search mode request failed with ${response.status}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
-
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        let boundaryIndex = buffer.indexOf("\n\n");
-
-        while (boundaryIndex !== -1) {
-            const chunk = buffer.slice(0, boundaryIndex);
-            buffer = buffer.slice(boundaryIndex + 2);
-            boundaryIndex = buffer.indexOf("\n\n");
-
-            const event = parseSseChunk(chunk);
-            if (!event) continue;
-
-            switch (event.type) {
-                case "status":
-                    onStatus({
-                        ...event.data,
-                        label: SEARCH_PHASE_LABELS[event.data.phase] || event.data.message,
-                    });
-                    break;
-                case "query_plan":
-                    onQueryPlan(event.data);
-                    break;
-                case "sources":
-                    onSources(event.data);
-                    break;
-                case "answer_delta":
-                    onDelta(event.data.delta || "");
-                    break;
-                case "complete":
-                    onComplete(event.data);
-                    break;
-                case "error":
-                    onError(event.data);
-                    break;
-                default:
-                    break;
-            }
+    for await (const event of events) {
+        switch (event.type) {
+            case "status":
+                onStatus({
+                    ...event.data,
+                    label: SEARCH_PHASE_LABELS[event.data.phase] || event.data.message,
+                });
+                break;
+            case "query_plan":
+                onQueryPlan(event.data);
+                break;
+            case "sources":
+                onSources(event.data);
+                break;
+            case "answer_delta":
+                onDelta(event.data.delta || "");
+                break;
+            case "complete":
+                onComplete(event.data);
+                break;
+            case "error":
+                onError(event.data);
+                break;
+            case "reconnecting":
+                onReconnect(event.data);
+                break;
+            default:
+                break;
         }
     }
 }
-
-function parseSseChunk(chunk) {
-    const lines = chunk.split("\n");
-    let type = "message";
-    let data = "";
-
-    for (const line of lines) {
-        if (line.startsWith("event:")) {
-            type = line.slice(6).trim();
-        } else if (line.startsWith("data:")) {
-            data += line.slice(5).trim();
-        }
-    }
-
-    if (!data) return null;
-
-    try {
-        return { type, data: JSON.parse(data) };
-    } catch {
-        return { type, data };
-    }
-}
@@ -1,4 +1,7 @@
 import { SyntaxHighlighter } from './syntaxHighlighter.js';
+import { ChartRenderer } from './chartRenderer.js';
+import { DiffRenderer } from './diffRenderer.js';
+import { HtmlSanitizer } from './htmlSanitizer.js';
 
 const LANGUAGE_MAP = {
     html: 'HTML', css: 'CSS', javascript: 'JavaScript', js: 'JavaScript',
@@ -7,9 +10,11 @@ const LANGUAGE_MAP = {
     bat: 'Batch', cmd: 'Batch', batch: 'Batch',
     cpp: 'C++', cs: 'C#', csharp: 'C#', java: 'Java', go: 'Go', rust: 'Rust',
     sql: 'SQL', yaml: 'YAML', md: 'Markdown', latex: 'LaTeX',
-    mermaid: 'Mermaid', typescript: 'TypeScript', ts: 'TypeScript',
+    mermaid: 'Mermaid', chart: 'Chart', typescript: 'TypeScript', ts: 'TypeScript',
     php: 'PHP', ruby: 'Ruby', rb: 'Ruby', swift: 'Swift',
-    kotlin: 'Kotlin', kt: 'Kotlin', dart: 'Dart', r: 'R'
+    kotlin: 'Kotlin', kt: 'Kotlin', dart: 'Dart', r: 'R',
+    jsx: 'JSX', tsx: 'TSX', c: 'C', yml: 'YAML', toml: 'TOML', tex: 'LaTeX',
+    dockerfile: 'Dockerfile', docker: 'Dockerfile', diff: 'Diff', patch: 'Diff'
 };
 
 const EMOJI_MAP = {
@@ -33,6 +38,39 @@ function sanitizeUrl(url, allowedProtocols = ['http:', 'https:']) {
     } catch { return null; }
 }
 
+/**
+ * Reads the fence info that follows the language, e.g. ```js {1,3-5} title="app.js" showLineNumbers wrap
+ * @param {string} info - Text after the language on the opening fence line.
+ * @returns {{ranges: Array<[number, number]>, title: string, lineNumbers: boolean, wrap: boolean}}
+ */
+function parseFenceMeta(info = '') {
+    const meta = { ranges: [], title: '', lineNumbers: false, wrap: false };
+    const rest = String(info).replace(/\{([\d\s,-]*)\}/, (match, list) => {
+        for (const part of list.split(',')) {
+            const range = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+            if (range) meta.ranges.push([Number(range[1]), Number(range[2] || range[1])]);
+        }
+        return ' ';
+    });
+    const title = /\b(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(rest);
+    if (title) meta.title = (title[1] ?? title[2] ?? title[3]).trim();
+    meta.lineNumbers = /(?:^|\s)(?:showLineNumbers|linenos|numberLines)(?=\s|$)/.test(rest);
+    meta.wrap = /(?:^|\s)wrap(?=\s|$)/.test(rest);
+    return meta;
+}
+
+// Splits highlighter output into per-line HTML, closing and reopening token spans that cross line breaks.
+function splitHighlightedLines(html) {
+    const open = [];
+    return html.split('\n').map(line => {
+        const prefix = open.join('');
+        for (const [tag] of line.matchAll(/<span\b[^>]*>|<\/span>/g)) {
+            if (tag === '</span>') open.pop(); else open.push(tag);
+        }
+        return prefix + line + '</span>'.repeat(open.length);
+    });
+}
+
 function sanitizeImageUrl(url) {
     const safeUrl = sanitizeUrl(url, ['http:', 'https:', 'blob:', 'data:']);
     if (safeUrl?.startsWith('data:')) {
@@ -41,88 +79,130 @@ function sanitizeImageUrl(url) {
     return safeUrl;
 }
 
-function sanitizeHtmlTag(tag) {
-    const match = /^(<\/?)(u|details|summary|div|span)(\s+[^>]*?)?>/i.exec(tag);
-    if (!match) return '';
-    const isClose = match[1] === '</';
-    const name = match[2].toLowerCase();
-    if (isClose) return `</${name}>`;
-    
-    const attrs = match[3] || '';
-    let safeAttrs = '';
-    const attrRegex = /([a-z]+)="([^"]*)"/gi;
-    let attrMatch;
-    while ((attrMatch = attrRegex.exec(attrs)) !== null) {
-        const attrName = attrMatch[1].toLowerCase();
-        if (['class', 'id', 'open'].includes(attrName)) {
-            safeAttrs += ` ${attrName}="${escapeHtml(attrMatch[2])}"`;
-        }
-    }
-    return `<${name}${safeAttrs}>`;
-}
-
 // --------------------------------------------------------------------------------
 // CUSTOM MARKDOWN LEXER & PARSER
 // A fully featured, dependency-free tokenizer/parser to securely process GFM Markdown
 // --------------------------------------------------------------------------------
 
+const LINK_TEXT = String.raw`((?:\\.|[^\[\]\\]|\[(?:\\.|[^\[\]\\])*\])+)`;
+const LINK_TARGET = String.raw`\(\s*(<[^<>\n]*>|(?:\\.|[^\s()\\]|\((?:\\.|[^\s()\\])*\))*)(?:\s+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^()\\])*\)))?\s*\)`;
+
 const INLINE_RULES = [
-    { type: 'escape', regex: /^\\([\\`*{}\[\]()#+\-.!_>~|=])/ },
-    { type: 'footnote', regex: /^\[\^([a-zA-Z0-9]+)\]/ },
-    { type: 'image', regex: /^!\[([^\]]*)\]\(([^)]+)\)/ },
-    { type: 'link', regex: /^\[([^\]]+)\]\(([^)]+(?:\([^)]+\)[^)]*)*)\)/ },
-    { type: 'ref-link', regex: /^\[([^\]]+)\]\[([^\]]+)\]/ },
-    { type: 'strong-em', regex: /^\*\*\*([^*]+)\*\*\*/ },
-    { type: 'strong', regex: /^\*\*([^*]+)\*\*/ },
-    { type: 'strong-ul', regex: /^__([^_]+)__/ },
-    { type: 'em', regex: /^\*([^*]+)\*/ },
-    { type: 'em-ul', regex: /^_([^_]+)_/ },
-    { type: 'strike', regex: /^~~([^~]+)~~/ },
+    { type: 'hard-break', regex: /^\\\n/ },
+    { type: 'escape', regex: /^\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/ },
+    { type: 'autolink', regex: /^<((?:https?|ftp):\/\/[^\s<>]+|[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+)>/i },
+    { type: 'footnote', regex: /^\[\^([\w-]+)\]/ },
+    { type: 'image', regex: new RegExp(String.raw`^!\[([^\]]*)\]` + LINK_TARGET) },
+    { type: 'link', regex: new RegExp(String.raw`^\[` + LINK_TEXT + String.raw`\]` + LINK_TARGET) },
+    // Full [text][label], collapsed [text][] and shortcut [text] references; unresolved ones render literally.
+    { type: 'ref-link', regex: new RegExp(String.raw`^\[` + LINK_TEXT + String.raw`\](?:\[([^\]]*)\])?`) },
+    { type: 'strong-em', regex: /^\*\*\*(?!\s)([^*]+?)(?<!\s)\*\*\*/ },
+    // Emphasis may nest the other delimiter length: **bold *and italic***, *italic **and bold***
+    { type: 'strong', regex: /^\*\*(?!\s)((?:\\[\s\S]|[^\\*]|\*(?!\*)(?:\\[\s\S]|[^\\*])+?\*(?!\*))+?)(?<!\s)\*\*/ },
+    { type: 'strong-ul', regex: /^__(?!\s)((?:\\[\s\S]|[^\\_]|_(?!_)(?:\\[\s\S]|[^\\_])+?_(?!_))+?)(?<!\s)__(?![a-zA-Z0-9])/, intraword: false },
+    { type: 'em', regex: /^\*(?![\s*])((?:\\[\s\S]|[^\\*]|\*\*(?:\\[\s\S]|[^\\*])+?\*\*)+?)(?<!\s)\*(?!\*)/ },
+    { type: 'em-ul', regex: /^_(?![\s_])((?:\\[\s\S]|[^\\_])+?)(?<!\s)_(?![a-zA-Z0-9_])/, intraword: false },
+    { type: 'strike', regex: /^~~(?!\s)([^~]+?)(?<!\s)~~/ },
     { type: 'highlight', regex: /^==([^=]+)==/ },
     { type: 'spoiler', regex: /^\|\|([^|]+)\|\|/ },
-    { type: 'code', regex: /^`([^`]+)`/ },
+    { type: 'code', regex: /^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/ },
+    { type: 'entity', regex: /^&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/i },
     { type: 'emoji', regex: /^:([a-z0-9_+-]+):/ },
-    { type: 'html-tag', regex: /^(<\/?(?:u|details|summary|div|span)(?:\s+[^>]*)?>)/i },
+    { type: 'html-tag', regex: new RegExp(`^(<\\/?(?:${Object.keys(HtmlSanitizer.ELEMENTS).join('|')})(?=[\\s/>])[^<>]*>)`, 'i') },
     { type: 'placeholder', regex: /^(JBAIBLOCK\d+END)/ }
 ];
 
+// GFM extended autolinks: trailing punctuation and an unbalanced ")" stay outside the link.
+function matchBareUrl(text) {
+    const match = /^(?:https?:\/\/|www\.)[^\s<]+/.exec(text);
+    if (!match) return null;
+    let url = match[0];
+    while (url) {
+        const last = url[url.length - 1];
+        if (/[?!.,:*_~'"]/.test(last)) { url = url.slice(0, -1); continue; }
+        if (last === ')' && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) { url = url.slice(0, -1); continue; }
+        break;
+    }
+    return /^(?:https?:\/\/|www\.)[^./]/.test(url) ? url : null;
+}
+
+function unescapeMarkdown(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+}
+
+function parseLinkTarget(destination, title) {
+    const url = unescapeMarkdown(destination.replace(/^<([\s\S]*)>$/, '$1'));
+    return { url, title: title ? unescapeMarkdown(title.slice(1, -1)) : '' };
+}
+
+function normalizeLinkLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
 function lexInline(text) {
     let tokens = [];
+    let prevChar = '';
+    // Text inside a raw <a> tag is not autolinked again.
+    let inAnchor = false;
     while (text) {
         let matched = false;
+        const bareUrl = !inAnchor && !/[a-zA-Z0-9]/.test(prevChar) && matchBareUrl(text);
+        if (bareUrl) {
+            tokens.push({ type: 'url', raw: bareUrl });
+            prevChar = bareUrl[bareUrl.length - 1];
+            text = text.substring(bareUrl.length);
+            continue;
+        }
         for (let rule of INLINE_RULES) {
+            // "_" never opens emphasis inside a word (snake_case_names).
+            if (rule.intraword === false && /[a-zA-Z0-9]/.test(prevChar)) continue;
             let match = rule.regex.exec(text);
             if (match) {
                 let token = { type: rule.type, raw: match[0] };
                 if (rule.type === 'escape') token.val = match[1];
-                if (rule.type === 'footnote') token.id = match[1];
+                if (rule.type === 'footnote') token.id = match[1].toLowerCase();
                 if (rule.type === 'emoji') token.code = match[1];
+                if (rule.type === 'autolink') token.url = match[1];
+                if (rule.type === 'html-tag' && /^<\/?a\b/i.test(match[0])) inAnchor = !match[0].startsWith('</');
                 if (['strong-em', 'strong', 'strong-ul', 'em', 'em-ul', 'strike', 'highlight', 'spoiler'].includes(rule.type)) {
                     token.tokens = lexInline(match[1]); // Recursive inline
                 }
-                if (rule.type === 'link' || rule.type === 'ref-link') {
+                if (rule.type === 'link') {
+                    token.tokens = lexInline(match[1]);
+                    Object.assign(token, parseLinkTarget(match[2], match[3]));
+                }
+                if (rule.type === 'ref-link') {
                     token.tokens = lexInline(match[1]);
-                    token.url = match[2];
+                    token.label = normalizeLinkLabel(match[2] || match[1]);
+                    token.suffix = match[2] !== undefined ? `[${match[2]}]` : '';
                 }
                 if (rule.type === 'image') {
                     token.alt = match[1];
-                    token.url = match[2];
+                    Object.assign(token, parseLinkTarget(match[2], match[3]));
+                }
+                if (rule.type === 'code') {
+                    // Line endings become spaces; one space of padding on both sides is stripped.
+                    let code = match[2].replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                    token.rawCode = code;
                 }
-                if (rule.type === 'code') token.rawCode = match[1];
                 
                 tokens.push(token);
+                prevChar = match[0][match[0].length - 1];
                 text = text.substring(match[0].length);
                 matched = true;
                 break;
             }
         }
         if (!matched) {
-            let nextIndex = text.search(/[\\\[!*~_=`:|<J]/);
+            let nextIndex = text.search(/[\\\[!*~_=`:|<&J]|https?:\/\/|www\./);
             if (nextIndex === 0) {
                 tokens.push({ type: 'text', text: text[0] });
+                prevChar = text[0];
                 text = text.substring(1);
             } else if (nextIndex > 0) {
                 tokens.push({ type: 'text', text: text.substring(0, nextIndex) });
+                prevChar = text[nextIndex - 1];
                 text = text.substring(nextIndex);
             } else {
                 tokens.push({ type: 'text', text: text });
@@ -133,10 +213,70 @@ function lexInline(text) {
     return tokens;
 }
 
+/**
+ * Pulls `[label]: destination "title"` definitions out of the text so reference links can resolve
+ * them wherever they appear. Footnote definitions (`[^id]:`) are left in place.
+ */
+function extractLinkDefinitions(text) {
+    const refs = new Map();
+    const stripped = text.replace(/^ {0,3}\[(?!\^)((?:\\.|[^\[\]\\])+)\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]+("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|\((?:\\.|[^()\\\n])*\)))?[ \t]*$\n?/gm, (match, label, destination, title) => {
+        const key = normalizeLinkLabel(label);
+        // The first definition of a label wins.
+        if (key && !refs.has(key)) refs.set(key, parseLinkTarget(destination, title));
+        return '';
+    });
+    return { text: stripped, refs };
+}
+
+// Footnote anchors are prefixed per rendered message so several messages on one page do not collide.
+let footnoteScopeCounter = 0;
+
+const FOOTNOTE_DEF_REGEX = /^ {0,3}\[\^([\w-]+)\]:[ \t]*(.*)$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DELIMITER_REGEX = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const PLACEHOLDER_LINE_REGEX = /^\s*JBAIBLOCK\d+END\s*$/;
+// CommonMark HTML block (type 6): a line opening or closing a block-level tag starts raw HTML that runs to a blank line.
+const HTML_BLOCK_REGEX = /^ {0,3}<\/?(?:address|article|aside|blockquote|caption|center|col|colgroup|dd|details|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|ol|p|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)(?=[\s/>]|$)/i;
+
+// Pipes split cells unless escaped or inside a code span, so `a | b` stays in one cell.
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    const cells = [];
+    let start = 0;
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\') {
+            i++;
+        } else if (row[i] === '`') {
+            const fence = /^`+/.exec(row.slice(i))[0];
+            const close = new RegExp(`(?<!\`)${fence}(?!\`)`, 'g');
+            close.lastIndex = i + fence.length;
+            const match = close.exec(row);
+            i = (match ? match.index : i) + fence.length - 1;
+        } else if (row[i] === '|') {
+            cells.push(row.slice(start, i));
+            start = i + 1;
+        }
+    }
+    cells.push(row.slice(start));
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
 class BlockLexer {
-    constructor(src) {
+    // `footnotes` collects `[^id]:` definitions (id -> block tokens) from every nested lexer.
+    constructor(src, footnotes = new Map()) {
         this.lines = src.split(/\r?\n/);
         this.tokens = [];
+        this.footnotes = footnotes;
+    }
+
+    // Lines that end a paragraph (or a lazy list continuation) without a blank line.
+    static startsBlock(line, nextLine) {
+        if (/^ {0,3}(?:#{1,6}(?:[ \t]|$)|>|(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$)/.test(line)) return true;
+        if (/^\s*(?:[-*+]|\d{1,9}[.)])[ \t]+\S/.test(line)) return true;
+        if (PLACEHOLDER_LINE_REGEX.test(line) || FOOTNOTE_DEF_REGEX.test(line) || HTML_BLOCK_REGEX.test(line)) return true;
+        return line.includes('|') && nextLine !== undefined && TABLE_DELIMITER_REGEX.test(nextLine) && nextLine.includes('-');
     }
     
     lex() {
@@ -145,17 +285,66 @@ class BlockLexer {
             let line = this.lines[i];
             
             if (!line.trim()) { i++; continue; }
+
+            // Footnote definition: indented lines (and lazy paragraph lines) continue it
+            let fnMatch = FOOTNOTE_DEF_REGEX.exec(line);
+            if (fnMatch) {
+                let defLines = [fnMatch[2]];
+                let previousBlank = false;
+                i++;
+                while (i < this.lines.length) {
+                    let defLine = this.lines[i];
+                    if (!defLine.trim()) {
+                        let j = i + 1;
+                        while (j < this.lines.length && !this.lines[j].trim()) j++;
+                        if (j < this.lines.length && /^(?: {2,}|\t)\S/.test(this.lines[j]) && !FOOTNOTE_DEF_REGEX.test(this.lines[j])) {
+                            defLines.push(''); i++; previousBlank = true; continue;
+                        } else break;
+                    }
+                    if (/^(?: {2,}|\t)/.test(defLine)) {
+                        defLines.push(defLine.replace(/^(?: {1,4}|\t)/, ''));
+                    } else if (!previousBlank && !BlockLexer.startsBlock(defLine, this.lines[i + 1])) {
+                        defLines.push(defLine);
+                    } else break;
+                    previousBlank = false;
+                    i++;
+                }
+                const id = fnMatch[1].toLowerCase();
+                // The first definition of an id wins.
+                if (!this.footnotes.has(id)) this.footnotes.set(id, new BlockLexer(defLines.join('\n'), this.footnotes).lex());
+                continue;
+            }
+
+            // Indented code (4 spaces or a tab); an indented fence placeholder is not code.
+            if (/^(?: {4}|\t)/.test(line) && !PLACEHOLDER_LINE_REGEX.test(line)) {
+                let codeLines = [];
+                while (i < this.lines.length && (/^(?: {4}|\t)/.test(this.lines[i]) || !this.lines[i].trim()) && !PLACEHOLDER_LINE_REGEX.test(this.lines[i])) {
+                    codeLines.push(this.lines[i].replace(/^(?: {4}|\t)/, ''));
+                    i++;
+                }
+                while (codeLines.length && !codeLines[codeLines.length - 1].trim()) codeLines.pop();
+                this.tokens.push({ type: 'code', text: codeLines.join('\n') });
+                continue;
+            }
             
+            if (HTML_BLOCK_REGEX.test(line)) {
+                let htmlLines = [];
+                while (i < this.lines.length && this.lines[i].trim()) htmlLines.push(this.lines[i++]);
+                this.tokens.push({ type: 'html', text: htmlLines.join('\n') });
+                continue;
+            }
+
             // HR
-            if (/^\s*(?:[-*_]\s*){3,}$/.test(line)) {
+            if (/^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/.test(line)) {
                 this.tokens.push({ type: 'hr' });
                 i++; continue;
             }
             
-            // Heading
-            let hMatch = /^\s*(#{1,6})\s+(.*)$/.exec(line);
+            // ATX heading; an optional closing run of #s is dropped
+            let hMatch = /^\s{0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/.exec(line);
             if (hMatch) {
-                this.tokens.push({ type: 'heading', depth: hMatch[1].length, text: hMatch[2], inlineTokens: lexInline(hMatch[2]) });
+                const text = (hMatch[2] || '').replace(/(?:^|[ \t]+)#+$/, '').trim();
+                this.tokens.push({ type: 'heading', depth: hMatch[1].length, text, inlineTokens: lexInline(text) });
                 i++; continue;
             }
             
@@ -172,34 +361,32 @@ class BlockLexer {
                     const calloutType = calloutMatch[1].toLowerCase();
                     const titleRaw = bqLines[0].substring(calloutMatch[0].length).trim() || calloutMatch[1];
                     const body = bqLines.slice(1).join('\n');
-                    this.tokens.push({ type: 'callout', calloutType, titleTokens: lexInline(titleRaw), tokens: new BlockLexer(body).lex() });
+                    this.tokens.push({ type: 'callout', calloutType, titleTokens: lexInline(titleRaw), tokens: new BlockLexer(body, this.footnotes).lex() });
                 } else {
-                    this.tokens.push({ type: 'blockquote', tokens: new BlockLexer(content).lex() });
+                    this.tokens.push({ type: 'blockquote', tokens: new BlockLexer(content, this.footnotes).lex() });
                 }
                 continue;
             }
             
-            // Table
-            let tableHeader = /^\s*\|?(.+?)\|?\s*$/.exec(line);
-            if (tableHeader && i + 1 < this.lines.length) {
-                let tableSep = /^\s*\|?([-:| ]+)\|?\s*$/.exec(this.lines[i+1]);
-                if (tableSep && tableHeader[1].includes('|') && tableSep[1].includes('-')) {
-                    let headerCells = tableHeader[1].split(/(?<!\\)\|/).map(c => c.trim()).filter(c => c);
-                    let aligns = tableSep[1].split('|').map(s => {
-                        let tr = s.trim();
-                        if (tr.startsWith(':') && tr.endsWith(':')) return 'center';
-                        if (tr.endsWith(':')) return 'right';
+            // Table: a header row followed by a delimiter row with the same number of cells
+            if (line.includes('|') && i + 1 < this.lines.length && TABLE_DELIMITER_REGEX.test(this.lines[i + 1]) && this.lines[i + 1].includes('-')) {
+                let headerCells = splitTableRow(line);
+                let delimiterCells = splitTableRow(this.lines[i + 1]);
+                if (headerCells.length === delimiterCells.length) {
+                    let aligns = delimiterCells.map(cell => {
+                        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                        if (cell.endsWith(':')) return 'right';
                         return 'left';
-                    }).filter((_, idx) => idx < headerCells.length);
+                    });
                     
                     i += 2;
                     let rows = [];
                     while (i < this.lines.length) {
-                        let rLine = this.lines[i].trim();
-                        if (!rLine.includes('|')) break;
-                        let rMatch = /^\s*\|?(.+?)\|?\s*$/.exec(this.lines[i]);
-                        let cells = rMatch ? rMatch[1].split(/(?<!\\)\|/).map(c => c.trim()).filter(c => c) : [];
-                        rows.push(cells.map(c => lexInline(c)));
+                        let rLine = this.lines[i];
+                        if (!rLine.trim() || !rLine.includes('|') || BlockLexer.startsBlock(rLine)) break;
+                        // Short rows are padded and long rows cut to the header width.
+                        let cells = splitTableRow(rLine);
+                        rows.push(headerCells.map((_, idx) => lexInline(cells[idx] || '')));
                         i++;
                     }
                     this.tokens.push({ type: 'table', header: headerCells.map(c => lexInline(c)), aligns, rows });
@@ -208,66 +395,91 @@ class BlockLexer {
             }
             
             // Lists (Ordered & Unordered)
-            let listMatch = /^\s*([-*+]|\d+\.)\s+(.*)$/.exec(line);
+            let listMatch = LIST_ITEM_REGEX.exec(line);
             if (listMatch) {
                 let listTokens = [];
-                let isOrdered = /^\d/.test(listMatch[1]);
-                let bullet = listMatch[1];
-                let itemLines = [listMatch[2]];
-                let baseIndent = /^\s*/.exec(line)[0].length;
+                let bullet = listMatch[2];
+                let isOrdered = /^\d/.test(bullet);
+                let start = isOrdered ? parseInt(bullet, 10) : 1;
+                let itemLines = [listMatch[3] || ''];
+                let baseIndent = listMatch[1].length;
                 let itemIndent = baseIndent + bullet.length + 1;
+                let previousBlank = false;
+                let loose = false;
                 
                 i++;
                 while (i < this.lines.length) {
                     let nextLine = this.lines[i];
                     if (!nextLine.trim()) {
-                        if (i + 1 < this.lines.length && /^\s*([-*+]|\d+\.)\s+/.test(this.lines[i+1])) {
-                             itemLines.push(''); i++; continue;
-                        } else if (i + 1 < this.lines.length && /^\s+/.test(this.lines[i+1])) {
-                             itemLines.push(''); i++; continue;
+                        // Blank lines stay in the list only if the next content is another item or indented under it.
+                        let j = i + 1;
+                        while (j < this.lines.length && !this.lines[j].trim()) j++;
+                        if (j < this.lines.length && (LIST_ITEM_REGEX.test(this.lines[j]) || /^\s+\S/.test(this.lines[j]))) {
+                             itemLines.push(''); i++; previousBlank = true; continue;
                         } else break;
                     }
                     
-                    let nextListMatch = /^\s*([-*+]|\d+\.)\s+(.*)$/.exec(nextLine);
+                    let nextListMatch = LIST_ITEM_REGEX.exec(nextLine);
+                    let nextIndent = /^\s*/.exec(nextLine)[0].length;
                     if (nextListMatch) {
-                        let nextIndent = /^\s*/.exec(nextLine)[0].length;
                         if (nextIndent <= baseIndent + 1) { // Same level list item
+                            // A different bullet character or ordered delimiter starts a new list.
+                            if (nextListMatch[2].slice(-1) !== bullet.slice(-1) || /^\d/.test(nextListMatch[2]) !== isOrdered) break;
+                            // A blank line between items makes the whole list loose.
+                            if (previousBlank) loose = true;
                             listTokens.push(this.parseListItem(itemLines));
-                            itemLines = [nextListMatch[2]];
-                            i++; continue;
+                            itemLines = [nextListMatch[3] || ''];
+                            i++; previousBlank = false; continue;
                         } else {
                             // Sublist, push un-indented
                             itemLines.push(nextLine.substring(Math.min(itemIndent, nextIndent)));
                         }
-                    } else {
-                        let nextIndent = /^\s*/.exec(nextLine)[0].length;
-                        if (nextIndent >= itemIndent || !nextLine.trim()) {
-                            itemLines.push(nextLine.substring(Math.min(itemIndent, nextIndent)));
-                        } else break;
-                    }
+                    } else if (nextIndent >= itemIndent) {
+                        itemLines.push(nextLine.substring(itemIndent));
+                    } else if (!previousBlank && !BlockLexer.startsBlock(nextLine, this.lines[i + 1])) {
+                        // Lazy continuation of the item's paragraph
+                        itemLines.push(nextLine.trim());
+                    } else if (nextIndent > baseIndent && PLACEHOLDER_LINE_REGEX.test(nextLine)) {
+                        // A fenced block indented under the item belongs to it
+                        itemLines.push(nextLine.trim());
+                    } else break;
+                    previousBlank = false;
                     i++;
                 }
                 if (itemLines.length > 0) listTokens.push(this.parseListItem(itemLines));
-                this.tokens.push({ type: 'list', ordered: isOrdered, items: listTokens });
+                loose = loose || listTokens.some(item => item.loose);
+                this.tokens.push({ type: 'list', ordered: isOrdered, start, loose, items: listTokens });
                 continue;
             }
             
-            // Paragraph (Fallback)
+            // Paragraph (Fallback); a following === or --- line turns it into a setext heading
             let pLines = [];
+            let setextDepth = 0;
             while (i < this.lines.length) {
                 let pLine = this.lines[i];
-                if (!pLine.trim() || /^\s*(#{1,6}|>|[-*_]{3,})/.test(pLine)) break;
-                if (/^\s*([-*+]|\d+\.)\s+/.test(pLine)) break;
-                if (/^\s*\|?(.+?)\|?\s*$/.test(pLine) && i+1 < this.lines.length && /^\s*\|?([-:| ]+)\|?\s*$/.test(this.lines[i+1])) break;
-                pLines.push(pLine);
+                if (!pLine.trim()) break;
+                if (pLines.length > 0) {
+                    const underline = /^ {0,3}(=+|-+)[ \t]*$/.exec(pLine);
+                    if (underline) { setextDepth = underline[1][0] === '=' ? 1 : 2; i++; break; }
+                    if (BlockLexer.startsBlock(pLine, this.lines[i + 1])) break;
+                }
+                pLines.push(pLine.replace(/^[ \t]+/, ''));
                 i++;
             }
-            this.tokens.push({ type: 'paragraph', inlineTokens: lexInline(pLines.join('\n')) });
+            const text = pLines.join('\n');
+            if (setextDepth) {
+                this.tokens.push({ type: 'heading', depth: setextDepth, text: text.trim(), inlineTokens: lexInline(text.trim()) });
+            } else {
+                this.tokens.push({ type: 'paragraph', inlineTokens: lexInline(text) });
+            }
         }
         return this.tokens;
     }
     
     parseListItem(lines) {
+        while (lines.length > 1 && !lines[lines.length - 1].trim()) lines = lines.slice(0, -1);
+        // Blank lines between the item's own blocks (not inside a nested list) make it loose.
+        let loose = lines.some((l, idx) => !l.trim() && idx + 1 < lines.length && lines[idx + 1].trim() && !/^\s/.test(lines[idx + 1]) && !LIST_ITEM_REGEX.test(lines[idx + 1]));
         let text = lines.join('\n');
         let checked = null;
         let taskMatch = /^\[([ xX])\]\s+(.*)/s.exec(text);
@@ -275,20 +487,52 @@ class BlockLexer {
             checked = taskMatch[1].toLowerCase() === 'x';
             text = taskMatch[2];
         }
-        return { type: 'list_item', checked, tokens: new BlockLexer(text).lex() };
+        return { type: 'list_item', checked, loose, tokens: new BlockLexer(text, this.footnotes).lex() };
     }
 }
 
 class MarkdownRenderer {
-    constructor(footnoteMap) { this.footnoteMap = footnoteMap; }
+    /**
+     * `footnoteMap` numbers footnote ids in order of first reference. `footnotes` carries the collected
+     * `definitions`, per-id `refCounts`, the id `scope` that keeps anchors unique per message, and
+     * `deferred` for partial text whose definitions may not have arrived yet.
+     */
+    constructor(footnoteMap, refs = new Map(), footnotes = {}) {
+        this.footnoteMap = footnoteMap;
+        this.refs = refs;
+        this.footnotes = { definitions: new Map(), refCounts: new Map(), scope: 'fn', deferred: true, ...footnotes };
+        this.trusted = [];
+    }
     
     renderBlocks(tokens) {
         return tokens.map(t => this.renderBlock(t)).join('\n');
     }
+
+    // A whole document: raw HTML from the source is cleaned once its nesting is complete.
+    render(tokens) {
+        const html = HtmlSanitizer.sanitize(this.renderBlocks(tokens));
+        return html.replace(/JBAITRUSTED(\d+)END/g, (match, index) => this.trusted[index] ?? '');
+    }
+
+    // Markup the app relies on (ids, behavioural classes) is held back from the sanitizer and restored after it.
+    trust(html) {
+        this.trusted.push(html);
+        return `JBAITRUSTED${this.trusted.length - 1}END`;
+    }
+    
+    renderListItem(item, loose) {
+        // Tight lists render their paragraphs as bare text.
+        let content = item.tokens.map(t => (!loose && t.type === 'paragraph') ? this.renderInline(t.inlineTokens) : this.renderBlock(t)).join('\n');
+        if (item.checked !== null) {
+            return `<li class="task-list-item ${item.checked ? 'checked' : ''}"><input type="checkbox" ${item.checked ? 'checked' : ''} disabled> ${content}</li>`;
+        }
+        return `<li>${content}</li>`;
+    }
     
     renderBlock(t) {
         switch (t.type) {
             case 'hr': return '<hr>';
+            case 'code': return MessageFormatter._renderCodeBlock({ lang: 'plaintext', content: t.text });
             case 'heading': 
                 const id = t.text.toLowerCase().replace(/[^\w]+/g, '-');
                 return `<h${t.depth} id="${id}">${this.renderInline(t.inlineTokens)}</h${t.depth}>`;
@@ -306,21 +550,17 @@ class MarkdownRenderer {
             case 'list':
                 const tag = t.ordered ? 'ol' : 'ul';
                 let classes = t.items.some(i => i.checked !== null) ? ' class="contains-task-list"' : '';
-                return `<${tag}${classes}>${t.items.map(item => this.renderBlock(item)).join('')}</${tag}>`;
-            case 'list_item':
-                let content = this.renderBlocks(t.tokens);
-                // Strip redundant outer <p> for tight lists
-                if (content.startsWith('<p>') && content.endsWith('</p>') && (content.match(/<p>/g)||[]).length === 1) {
-                    content = content.slice(3, -4);
-                }
-                if (t.checked !== null) {
-                    return `<li class="task-list-item ${t.checked ? 'checked' : ''}"><input type="checkbox" ${t.checked ? 'checked' : ''} disabled> ${content}</li>`;
-                }
-                return `<li>${content}</li>`;
+                if (t.ordered && t.start !== 1) classes += ` start="${t.start}"`;
+                return `<${tag}${classes}>${t.items.map(item => this.renderListItem(item, t.loose)).join('')}</${tag}>`;
             case 'table':
                 let headers = t.header.map((h, i) => `<th style="text-align: ${t.aligns[i] || 'left'}">${this.renderInline(h)}</th>`).join('');
                 let rows = t.rows.map(r => `<tr>${r.map((c, i) => `<td style="text-align: ${t.aligns[i] || 'left'}">${this.renderInline(c)}</td>`).join('')}</tr>`).join('');
-                return `<table><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>`;
+                // The wrapper class turns on the table toolbar, so only tables rendered here may carry it.
+                return `${this.trust('<div class="data-table-wrapper">')}<table><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>${this.trust('</div>')}`;
+            case 'html':
+                // Raw HTML is only passed on where the DOM sanitizer can clean it; elsewhere it shows as text.
+                if (HtmlSanitizer.isSupported()) return t.text;
+                return `<p>${escapeHtml(t.text).replace(/\n/g, '<br>')}</p>`;
             case 'paragraph':
                 if (t.inlineTokens.length === 1 && t.inlineTokens[0].type === 'placeholder') {
                     return this.renderInline(t.inlineTokens);
@@ -333,36 +573,60 @@ class MarkdownRenderer {
         if (!tokens) return '';
         return tokens.map(t => {
             switch(t.type) {
-                case 'text': return escapeHtml(t.text).replace(/\n/g, '<br>');
+                // Chat keeps every newline as a break; two trailing spaces (the spec's hard break) add nothing extra.
+                case 'text': return escapeHtml(t.text.replace(/ {2,}\n/g, '\n')).replace(/\n/g, '<br>');
+                case 'hard-break': return '<br>';
+                case 'entity': return t.raw;
                 case 'escape': return escapeHtml(t.val);
                 case 'strong-em': return `<strong><em>${this.renderInline(t.tokens)}</em></strong>`;
                 case 'strong': case 'strong-ul': return `<strong>${this.renderInline(t.tokens)}</strong>`;
                 case 'em': case 'em-ul': return `<em>${this.renderInline(t.tokens)}</em>`;
                 case 'strike': return `<s>${this.renderInline(t.tokens)}</s>`;
                 case 'highlight': return `<mark>${this.renderInline(t.tokens)}</mark>`;
-                case 'spoiler': return `<span class="spoiler" onclick="this.classList.add('revealed')">${this.renderInline(t.tokens)}</span>`;
+                case 'spoiler': return `<span class="spoiler">${this.renderInline(t.tokens)}</span>`;
                 case 'code': return `<code>${escapeHtml(t.rawCode)}</code>`;
                 case 'link': 
-                    const safeUrl = sanitizeUrl(t.url);
-                    return safeUrl ? `<a href="${escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer">${this.renderInline(t.tokens)}</a>` : this.renderInline(t.tokens);
+                    return this.renderLink(t.url, t.title, this.renderInline(t.tokens));
                 case 'ref-link':
-                    return `<a href="#ref-${escapeHtml(t.url)}">${this.renderInline(t.tokens)}</a>`;
+                    const ref = this.refs.get(t.label);
+                    if (!ref) return `[${this.renderInline(t.tokens)}]${escapeHtml(t.suffix)}`;
+                    return this.renderLink(ref.url, ref.title, this.renderInline(t.tokens));
+                case 'autolink':
+                    const isEmail = !/^[a-z]+:\/\//i.test(t.url);
+                    return this.renderLink(isEmail ? `mailto:${t.url}` : t.url, '', escapeHtml(t.url));
+                case 'url':
+                    return this.renderLink(t.raw.startsWith('www.') ? `http://${t.raw}` : t.raw, '', escapeHtml(t.raw));
                 case 'image':
                     const safeImg = sanitizeImageUrl(t.url);
-                    return safeImg ? `<img src="${escapeHtml(safeImg)}" alt="${escapeHtml(t.alt)}" class="markdown-image" loading="lazy">` : '';
-                case 'footnote':
+                    const imgTitle = t.title ? ` title="${escapeHtml(t.title)}"` : '';
+                    return safeImg ? `<img src="${escapeHtml(safeImg)}" alt="${escapeHtml(t.alt)}"${imgTitle} class="markdown-image" loading="lazy">` : '';
+                case 'footnote': {
+                    const { definitions, refCounts, scope, deferred } = this.footnotes;
+                    // A reference without a definition is plain text once the whole message is known.
+                    if (!deferred && !definitions.has(t.id)) return escapeHtml(t.raw);
                     if (!this.footnoteMap.has(t.id)) this.footnoteMap.set(t.id, this.footnoteMap.size + 1);
                     const num = this.footnoteMap.get(t.id);
-                    return `<sup class="footnote-ref"><a href="#fn-${t.id}" id="fnref-${t.id}">[${num}]</a></sup>`;
+                    const count = (refCounts.get(t.id) || 0) + 1;
+                    refCounts.set(t.id, count);
+                    const refId = `${scope}-ref-${t.id}${count > 1 ? `-${count}` : ''}`;
+                    return this.trust(`<sup class="footnote-ref"><a href="#${scope}-${t.id}" id="${refId}">[${num}]</a></sup>`);
+                }
                 case 'emoji':
                     return EMOJI_MAP[t.code] || `:${t.code}:`;
                 case 'html-tag':
-                    return sanitizeHtmlTag(t.raw);
+                    return HtmlSanitizer.isSupported() ? t.raw : escapeHtml(t.raw);
                 case 'placeholder':
                     return t.raw;
             }
         }).join('');
     }
+
+    renderLink(url, title, labelHtml) {
+        const safeUrl = sanitizeUrl(url, ['http:', 'https:', 'mailto:']);
+        if (!safeUrl) return labelHtml;
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+        return `<a href="${escapeHtml(safeUrl)}"${titleAttr} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
 }
 
 // --------------------------------------------------------------------------------
@@ -370,40 +634,42 @@ class MarkdownRenderer {
 // --------------------------------------------------------------------------------
 
 export const MessageFormatter = {
-    async format(input, metadata = null) {
+    /**
+     * Renders message parts to HTML.
+     * `options.streaming` keeps previews inert (no iframes, SVG images or footnote list) for a block that may still change;
+     * `options.footnoteMap` shares footnote numbering across separately rendered segments;
+     * `options.toolCallKey` is the message's key for the tool steps the app recorded (other tool markup stays text).
+     */
+    async format(input, metadata = null, options = {}) {
         if (!input) return '';
         let parts = Array.isArray(input) ? input : [{ text: input }];
         let finalHtml = '';
-        let footnoteMap = new Map();
+        let footnoteMap = options.footnoteMap || new Map();
+        const linkRefs = new Map();
+        const footnotes = {
+            definitions: new Map(),
+            refCounts: new Map(),
+            scope: `fn${++footnoteScopeCounter}`,
+            deferred: options.streaming === true || Boolean(options.footnoteMap)
+        };
 
         for (const part of parts) {
             if (part.text) {
-                let textContent = part.text;
-                if (metadata && metadata.groundingChunks) {
-                    textContent = this._processCitations(textContent, metadata.groundingChunks);
-                }
-                
-                // 1. EXTRACT RAW BLOCKS
-                const { processedText, blocks } = this._extractAndReplaceBlocks(textContent);
+                // 1. EXTRACT RAW BLOCKS (and citation links, once code is out of the way)
+                const { processedText, blocks } = this._extractAndReplaceBlocks(part.text, metadata?.groundingChunks, options.toolCallKey);
                 
                 // 2. TOKENIZE & PARSE MARKDOWN
-                const lexer = new BlockLexer(processedText);
+                const { text: markdown, refs } = extractLinkDefinitions(processedText);
+                refs.forEach((target, label) => { if (!linkRefs.has(label)) linkRefs.set(label, target); });
+                const lexer = new BlockLexer(markdown, footnotes.definitions);
                 const ast = lexer.lex();
                 
                 // 3. RENDER HTML
-                const renderer = new MarkdownRenderer(footnoteMap);
-                let html = renderer.renderBlocks(ast);
+                const renderer = new MarkdownRenderer(footnoteMap, refs, footnotes);
+                let html = renderer.render(ast);
                 
-                // 4. RESTORE BLOCKS
-                html = await this._reinsertBlocks(html, blocks);
-                
-                // 5. RESTORE CITATIONS & GENERAL HTML LINKS
-                html = html.replace(/&lt;a\s+([\s\S]*?)href=(?:&quot;|&#39;|"|')([\s\S]*?)(?:&quot;|&#39;|"|')([\s\S]*?)&gt;([\s\S]*?)&lt;\/a&gt;/gi, (match, before, url, after, label) => {
-                    const cleanUrl = url.replace(/&amp;amp;/g, '&').replace(/&amp;/g, '&').trim();
-                    const isCitation = match.includes('citation-ref') || before.includes('citation-ref') || after.includes('citation-ref');
-                    const className = isCitation ? 'class="citation-ref" ' : '';
-                    return `<a href="${escapeHtml(cleanUrl)}" ${className}target="_blank" rel="noopener noreferrer">${label}</a>`;
-                });
+                // 4. RESTORE BLOCKS (after sanitizing, so previews and code blocks are not subject to it)
+                html = await this._reinsertBlocks(html, blocks, options.streaming === true);
 
                 finalHtml += html;
             } 
@@ -418,13 +684,13 @@ export const MessageFormatter = {
         }
 
         // APPEND FOOTNOTES & SOURCES
-        if (footnoteMap.size > 0) finalHtml += this._renderFootnotes(footnoteMap);
+        if (footnoteMap.size > 0 && !footnotes.deferred) finalHtml += this._renderFootnotes(new MarkdownRenderer(footnoteMap, linkRefs, footnotes));
         if (metadata && metadata.groundingChunks) finalHtml += this._renderSourcesList(metadata.groundingChunks);
         
         return finalHtml;
     },
 
-    _extractAndReplaceBlocks(text) {
+    _extractAndReplaceBlocks(text, groundingChunks = null, toolCallKey = null) {
         if (!text) return { processedText: '', blocks:[] };
         let processedText = text;
         const blocks = [];
@@ -440,8 +706,26 @@ export const MessageFormatter = {
             return generatePlaceholder({ type: 'agent-process', content: content.trim() }, true);
         });
 
-        processedText = processedText.replace(/```([a-zA-Z0-9_+-]+)?\s*\r?\n([\s\S]*?)(?:```|$)/g, (match, lang, code) => {
-            return generatePlaceholder({ type: 'code', lang: lang || 'plaintext', content: code.trim() }, true);
+        processedText = processedText.replace(/```chart(?![\w+-])([^\n`]*)\r?\n([\s\S]*?)(?:```|$)/g, (match, info, content) => {
+            return generatePlaceholder({ type: 'chart', lang: 'chart', meta: parseFenceMeta(info), content: content.trim() }, true);
+        });
+
+        processedText = processedText.replace(/```([a-zA-Z0-9_+-]+)?([^\n`]*)\r?\n([\s\S]*?)(?:```|$)/g, (match, lang, info, code, offset, whole) => {
+            // A fence indented under a list item keeps its indentation so the item continues past it.
+            const lineStart = whole.lastIndexOf('\n', offset - 1) + 1;
+            const atLineStart = /^[ \t]*$/.test(whole.slice(lineStart, offset));
+            // Fence info (highlighted lines, a title) is only read from a fence that opens its own line.
+            if (info.trim() && !atLineStart) return match;
+            const indent = atLineStart ? whole.slice(lineStart, offset) : '';
+            const content = indent ? code.split('\n').map(line => line.startsWith(indent) ? line.slice(indent.length) : line.trimStart()).join('\n') : code;
+            const placeholder = generatePlaceholder({ type: 'code', lang: lang || 'plaintext', meta: parseFenceMeta(info), content: content.trim() }, true);
+            return indent ? placeholder.replace(/JBAIBLOCK/, `${indent}JBAIBLOCK`) : placeholder;
+        });
+
+        // After fences, so a <tool_call> quoted in a code block stays code.
+        processedText = processedText.replace(/<tool_call key="([\w-]+)">([\s\S]*?)<\/tool_call>/g, (match, key, content) => {
+            if (!toolCallKey || key !== toolCallKey) return match;
+            return generatePlaceholder({ type: 'tool-call', content: content.trim() }, true);
         });
 
         processedText = processedText.replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (match, c1, c2) => {
@@ -462,21 +746,77 @@ export const MessageFormatter = {
             return generatePlaceholder({ type: 'files', blockId, blobUrl, fileList, fileCount: parseInt(fileCount, 10) }, true);
         });
 
+        if (groundingChunks) processedText = this._processCitations(processedText, groundingChunks, generatePlaceholder);
+
         return { processedText, blocks };
     },
 
-    _processCitations(text, chunks) {
-        return text.replace(/\[(\d+)\]/g, (match, index) => {
-            const i = parseInt(index, 10) - 1;
-            if (chunks[i]?.web?.uri) {
-                const safeUrl = sanitizeUrl(chunks[i].web.uri, ['http:', 'https:']);
-                if (safeUrl) return `<a href="${escapeHtml(safeUrl)}" class="citation-ref">[${index}]</a>`;
+    /**
+     * Returns the offset (>= start) up to which `text` holds only closed blocks, so a streaming
+     * renderer can render that prefix once and re-render just the remainder on each chunk.
+     * `start` must itself be a boundary returned earlier for the same text.
+     */
+    findStableBoundary(text, start = 0) {
+        const lines = text.slice(start).split('\n');
+        let offset = start;
+        let boundary = start;
+        let open = null;
+        let bracketDepth = 0;
+        // The last line may still be growing, so it never closes a block.
+        for (let i = 0; i < lines.length - 1; i++) {
+            const line = lines[i];
+            const lineEnd = offset + line.length + 1;
+            offset = lineEnd;
+
+            if (open === 'fence') {
+                if (line.includes('```')) { open = null; boundary = lineEnd; }
+                continue;
             }
-            return match;
+            if (open === '$$') {
+                if ((line.match(/\$\$/g) || []).length % 2) { open = null; boundary = lineEnd; }
+                continue;
+            }
+            if (open === '\\[') {
+                bracketDepth += this._countBracketMath(line);
+                if (bracketDepth <= 0) { open = null; boundary = lineEnd; }
+                continue;
+            }
+            if (open) {
+                if (line.includes(`</${open}>`)) { open = null; boundary = lineEnd; }
+                continue;
+            }
+
+            if (/```[a-zA-Z0-9_+-]*\s*$|^\s*```[^`]*$/.test(line) && (line.match(/```/g) || []).length === 1) { open = 'fence'; continue; }
+            const tag = /<(agent_process|tool_call|svg)\b/.exec(line);
+            if (tag && !line.includes(`</${tag[1]}>`)) { open = tag[1]; continue; }
+            if ((line.match(/\$\$/g) || []).length % 2) { open = '$$'; continue; }
+            bracketDepth = this._countBracketMath(line);
+            if (bracketDepth > 0) { open = '\\['; continue; }
+
+            // A blank line ends the block unless the lexer would carry a list item over it.
+            if (!line.trim() && i + 1 < lines.length - 1) {
+                const next = lines[i + 1];
+                if (next.trim() && !/^\s/.test(next) && !/^([-*+]|\d+\.)\s+/.test(next)) boundary = lineEnd;
+            }
+        }
+        return boundary;
+    },
+
+    _countBracketMath(line) {
+        return (line.match(/\\\[/g) || []).length - (line.match(/\\\]/g) || []).length;
+    },
+
+    // `[n]` markers become citation links, except inside code spans; they are placeholders so the sanitizer never sees `citation-ref`.
+    _processCitations(text, chunks, generatePlaceholder) {
+        return text.replace(/(`+)[^`]*?\1|\[(\d+)\]/g, (match, ticks, index) => {
+            if (ticks) return match;
+            const i = parseInt(index, 10) - 1;
+            const url = chunks[i]?.web?.uri ? sanitizeUrl(chunks[i].web.uri, ['http:', 'https:']) : null;
+            return url ? generatePlaceholder({ type: 'citation', url, index }) : match;
         });
     },
 
-    async _reinsertBlocks(html, blocks) {
+    async _reinsertBlocks(html, blocks, inert = false) {
         const parts = html.split(/(JBAIBLOCK\d+END)/g);
         const processedParts = await Promise.all(parts.map(async (part) => {
             const match = part.match(/JBAIBLOCK(\d+)END/);
@@ -485,11 +825,21 @@ export const MessageFormatter = {
             if (!block) return '';
 
             if (block.type === 'agent-process') return this._renderAgentBlock(block);
-            if (block.type === 'code') return block.lang.toLowerCase() === 'html' ? this._renderHtmlPreview(block) : this._renderCodeBlock(block);
+            if (block.type === 'tool-call') return this._renderToolCallBlock(block);
+            if (block.type === 'code') {
+                const lang = block.lang.toLowerCase();
+                if (inert) return this._renderCodeBlock(block);
+                if (lang === 'html') return this._renderHtmlPreview(block);
+                if (lang === 'mermaid') return this._renderMermaidPreview(block);
+                if (lang === 'diff' || lang === 'patch') return this._renderDiffPreview(block);
+                return this._renderCodeBlock(block);
+            }
             if (block.type === 'math-block') return `<div class="math-block" data-latex="true">${escapeHtml(block.content)}</div>`;
             if (block.type === 'math-inline') return `<span class="math-inline" data-latex="true">${escapeHtml(block.content)}</span>`;
-            if (block.type === 'svg') return this._renderSvgPreview(block);
+            if (block.type === 'chart') return inert ? this._renderCodeBlock(block) : this._renderChartPreview(block);
+            if (block.type === 'svg') return inert ? this._renderCodeBlock({ lang: 'svg', content: block.content }) : this._renderSvgPreview(block);
             if (block.type === 'files') return this._renderFilesBlock(block);
+            if (block.type === 'citation') return `<a href="${escapeHtml(block.url)}" class="citation-ref" target="_blank" rel="noopener noreferrer">[${block.index}]</a>`;
             return '';
         }));
         return processedParts.join('');
@@ -508,15 +858,49 @@ export const MessageFormatter = {
 
         const lexer = new BlockLexer(content);
         const renderer = new MarkdownRenderer(new Map());
-        const internalHtml = renderer.renderBlocks(lexer.lex());
+        const internalHtml = renderer.render(lexer.lex());
 
         return `<div class="agent-process-container collapsed"><div class="agent-process-header"><div class="agent-status"><span class="status-spinner"></span><span class="status-text">${statusText}</span></div><div class="agent-toggle-icon"><svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg></div></div><div class="agent-process-body">${internalHtml}</div></div>`;
     },
 
+    _renderToolCallBlock(block) {
+        let step = null;
+        try {
+            step = JSON.parse(block.content);
+        } catch {
+            step = null;
+        }
+        if (!step || typeof step.name !== 'string') return `<p>${escapeHtml(block.content)}</p>`;
+
+        const hasError = typeof step.error === 'string' && step.error;
+        const statusText = hasError ? `Tool failed: ${escapeHtml(step.name)}` : `Used tool: ${escapeHtml(step.name)}`;
+        const statusIcon = hasError
+            ? '<svg viewBox="0 0 24 24" width="14" height="14" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>'
+            : '<svg viewBox="0 0 24 24" width="14" height="14" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path></svg>';
+        const inputJson = JSON.stringify(step.args ?? {}, null, 2);
+        const outputHtml = hasError
+            ? `<pre class="tool-call-error">${escapeHtml(step.error)}</pre>`
+            : `<pre class="language-json"><code class="language-json">${SyntaxHighlighter.highlight(JSON.stringify(step.result ?? null, null, 2), 'json')}</code></pre>`;
+
+        return `<div class="agent-process-container tool-call-step collapsed${hasError ? ' has-error' : ''}"><div class="agent-process-header"><div class="agent-status"><span class="tool-call-icon">${statusIcon}</span><span class="status-text">${statusText}</span></div><div class="agent-toggle-icon"><svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg></div></div><div class="agent-process-body"><div class="tool-call-label">Input</div><pre class="language-json"><code class="language-json">${SyntaxHighlighter.highlight(inputJson, 'json')}</code></pre><div class="tool-call-label">Output</div>${outputHtml}</div></div>`;
+    },
+
     _renderCodeBlock(block) {
         const lang = block.lang.toLowerCase();
-        const highlightedCode = SyntaxHighlighter.highlight(block.content, lang);
-        return `<div class="code-block-wrapper is-collapsible is-collapsed" data-previewable="${lang}" data-raw-content="${encodeURIComponent(block.content)}"><div class="code-block-header"><span>${LANGUAGE_MAP[lang] || lang}</span><div class="code-block-actions"></div></div><div class="collapsible-content"><pre class="language-${lang}"><code class="language-${lang}">${highlightedCode}</code></pre></div></div>`;
+        const meta = block.meta || parseFenceMeta();
+        const lines = splitHighlightedLines(SyntaxHighlighter.highlight(block.content, lang));
+        const isMarked = (n) => meta.ranges.some(([from, to]) => n >= from && n <= to);
+        // Each line keeps its newline so copying the <pre> text still yields the original code.
+        const codeHtml = lines.map((line, i) => `<span class="code-line${isMarked(i + 1) ? ' is-highlighted' : ''}" data-line="${i + 1}">${line}${i < lines.length - 1 ? '\n' : ''}</span>`).join('');
+
+        // Blocks that point at specific lines start open so the highlight is visible.
+        let classes = `code-block-wrapper is-collapsible${meta.ranges.length ? '' : ' is-collapsed'}`;
+        if (meta.lineNumbers) classes += ' has-line-numbers';
+        if (meta.wrap) classes += ' is-wrapped';
+        const label = LANGUAGE_MAP[lang] || lang;
+        const title = meta.title ? `<span class="code-block-title">${escapeHtml(meta.title)}</span><span class="code-block-lang">${label}</span>` : `<span>${label}</span>`;
+        const filename = meta.title ? ` data-filename="${escapeHtml(meta.title)}"` : '';
+        return `<div class="${classes}" data-previewable="${lang}"${filename} data-raw-content="${encodeURIComponent(block.content)}"><div class="code-block-header">${title}<div class="code-block-actions"></div></div><div class="collapsible-content"><pre class="language-${lang}"><code class="language-${lang}">${codeHtml}</code></pre></div></div>`;
     },
 
     _renderTerminalBlock(code, lang) {
@@ -525,18 +909,40 @@ export const MessageFormatter = {
     },
     
     _renderHtmlPreview(block) {
-        const highlightedCode = SyntaxHighlighter.highlight(block.content, 'html');
-        const codeBlockHtml = `<div class="code-block-wrapper is-collapsible is-collapsed" data-previewable="html" data-raw-content="${encodeURIComponent(block.content)}"><div class="code-block-header"><span>HTML</span><div class="code-block-actions"></div></div><div class="collapsible-content"><pre class="language-html"><code class="language-html">${highlightedCode}</code></pre></div></div>`;
+        const codeBlockHtml = this._renderCodeBlock({ ...block, lang: 'html' });
         return `<div class="html-preview-container"><div class="html-render-box"><iframe srcdoc="${escapeHtml(block.content)}" sandbox="allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox" loading="lazy"></iframe></div>${codeBlockHtml}</div>`;
     },
 
     _renderSvgPreview(block) {
-        const highlightedCode = SyntaxHighlighter.highlight(block.content, 'html');
-        const codeBlockHtml = `<div class="code-block-wrapper is-collapsible is-collapsed" data-previewable="svg" data-raw-content="${encodeURIComponent(block.content)}"><div class="code-block-header"><span>SVG</span><div class="code-block-actions"></div></div><div class="collapsible-content"><pre class="language-xml"><code class="language-xml">${highlightedCode}</code></pre></div></div>`;
+        const codeBlockHtml = this._renderCodeBlock({ lang: 'svg', content: block.content });
         const base64 = btoa(new TextEncoder().encode(block.content).reduce((data, byte) => data + String.fromCharCode(byte), ''));
         return `<div class="svg-preview-container"><div class="svg-render-box"><img src="data:image/svg+xml;base64,${base64}" alt="SVG Preview"></div>${codeBlockHtml}</div>`;
     },
 
+    _renderMermaidPreview(block) {
+        // The diagram itself is drawn later by the UI (mermaid loads on demand); until then, or on a parse error, the source block stands alone.
+        return `<div class="mermaid-preview-container"><div class="mermaid-render-box" data-mermaid-source="${encodeURIComponent(block.content)}"></div>${this._renderCodeBlock(block)}</div>`;
+    },
+
+    _renderChartPreview(block) {
+        let svg;
+        try {
+            svg = ChartRenderer.render(ChartRenderer.parse(block.content));
+        } catch (error) {
+            // An unreadable spec still shows its source, opened, with the reason.
+            const codeBlock = this._renderCodeBlock(block).replace(' is-collapsed', '');
+            return `<div class="chart-preview-container has-error"><p class="chart-error">Chart could not be drawn: ${escapeHtml(error.message)}</p>${codeBlock}</div>`;
+        }
+        return `<div class="chart-preview-container"><div class="chart-render-box">${svg}</div>${this._renderCodeBlock(block)}</div>`;
+    },
+
+    _renderDiffPreview(block) {
+        const files = DiffRenderer.parse(block.content);
+        // Text that only looks like a diff (no added or removed lines) stays a plain code block.
+        if (!DiffRenderer.hasChanges(files)) return this._renderCodeBlock(block);
+        return `<div class="diff-preview-container"><div class="diff-render-box">${DiffRenderer.render(files)}</div>${this._renderCodeBlock(block)}</div>`;
+    },
+
     _renderFilesBlock(block) {
         const fileCount = block.fileCount;
         const blobUrl = sanitizeUrl(block.blobUrl,['blob:']) || '#';
@@ -546,10 +952,23 @@ export const MessageFormatter = {
         return `<div class="files-download-wrapper"><div class="files-download-container"><div class="files-download-info"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="files-icon"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg><div class="files-download-details"><div class="files-download-title">${fileCount} file${fileCount !== 1 ? 's' : ''} ready for download</div><div class="files-download-list">${escapeHtml(String(block.fileList || ''))}</div></div></div><a href="${escapeHtml(blobUrl)}" download="${safeBaseName}.zip" class="download-files-button" data-tooltip="Download all files as ZIP"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg> Download ZIP</a></div></div>`;
     },
 
-    _renderFootnotes(footnoteMap) {
-        let html = '<div class="footnotes"><hr><h4>Footnotes</h4><ol>';
-        footnoteMap.forEach((num, id) => html += `<li id="fn-${id}">${id} <a href="#fnref-${id}">&#8617;</a></li>`);
-        return html + '</ol></div>';
+    _renderFootnotes(renderer) {
+        const { definitions, refCounts, scope } = renderer.footnotes;
+        let html = '<section class="footnotes"><hr><h4>Footnotes</h4><ol>';
+        // Definitions may reference further footnotes; Map.forEach also visits ids added while rendering.
+        renderer.footnoteMap.forEach((num, id) => {
+            let content = renderer.render(definitions.get(id) || []);
+            const count = refCounts.get(id) || 1;
+            let backlinks = '';
+            for (let n = 1; n <= count; n++) {
+                const label = count > 1 ? `Back to reference ${num}.${n}` : `Back to reference ${num}`;
+                backlinks += ` <a href="#${scope}-ref-${id}${n > 1 ? `-${n}` : ''}" class="footnote-backref" aria-label="${label}">&#8617;${n > 1 ? `<sup>${n}</sup>` : ''}</a>`;
+            }
+            // Backlinks sit at the end of the last paragraph when there is one.
+            content = content.endsWith('</p>') ? `${content.slice(0, -4)}${backlinks}</p>` : `${content}<p>${backlinks.trim()}</p>`;
+            html += `<li id="${scope}-${id}">${content}</li>`;
+        });
+        return html + '</ol></section>';
     },
 
     _renderSourcesList(chunks) {
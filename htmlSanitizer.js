@@ -0,0 +1,215 @@
+/**
+ * Allowlist sanitizer for the HTML that reaches a message from model output.
+ * Markup is parsed into an inert document (DOMParser runs no scripts and loads no images), then every element
+ * is checked against ELEMENTS: dangerous elements are dropped with their content, unknown ones are replaced
+ * by their children, attributes are kept only when listed for the element (or in GLOBAL_ATTRIBUTES) and pass
+ * their check, URLs are limited by scheme and inline styles keep only the STYLE_PROPERTIES with plain values.
+ * Only the presentational CLASSES survive, so content cannot borrow the app's own classes (modals, code blocks,
+ * citations), and every `id` and `#fragment` link gets ID_PREFIX so it cannot collide with app or footnote ids.
+ * Without a DOM (e.g. Node) `isSupported()` is false and callers escape raw HTML instead of passing it here.
+ *
+ * @namespace HtmlSanitizer
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const keep = value => value;
+const flag = () => '';
+const oneOf = (...options) => value => options.includes(value.trim().toLowerCase()) ? value.trim().toLowerCase() : null;
+const integer = max => value => /^\d{1,5}$/.test(value.trim()) && Number(value) <= max ? value.trim() : null;
+const size = value => /^\d{1,4}%?$/.test(value.trim()) && parseInt(value, 10) <= 4096 ? value.trim() : null;
+
+// Elements removed together with everything inside them.
+const DROP = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'noscript', 'noembed',
+    'textarea', 'select', 'option', 'button', 'form', 'link', 'meta', 'base', 'title', 'head', 'math',
+    'audio', 'video', 'source', 'track', 'canvas', 'portal', 'dialog'
+]);
+
+const CELL = { colspan: integer(1000), rowspan: integer(1000), align: oneOf('left', 'center', 'right', 'justify'), valign: oneOf('top', 'middle', 'bottom', 'baseline'), width: size };
+
+const ELEMENTS = {
+    a: {
+        href: (value) => {
+            const url = HtmlSanitizer.safeUrl(value, ['http:', 'https:', 'mailto:'], true);
+            return url?.startsWith('#') ? `#${prefixId(url.slice(1))}` : url;
+        }
+    },
+    abbr: {}, b: {}, bdi: {}, bdo: {}, blockquote: {}, br: {}, caption: {}, cite: {}, code: {},
+    col: { span: integer(1000), width: size }, colgroup: { span: integer(1000), width: size },
+    dd: {}, del: {}, details: { open: flag }, dfn: {}, div: { align: oneOf('left', 'center', 'right') }, dl: {}, dt: {},
+    em: {}, figcaption: {}, figure: {},
+    h1: {}, h2: {}, h3: {}, h4: {}, h5: {}, h6: {}, hr: {}, i: {},
+    img: { src: value => HtmlSanitizer.safeImageUrl(value), alt: keep, width: size, height: size },
+    input: { type: oneOf('checkbox'), checked: flag },
+    ins: {}, kbd: {}, li: { value: integer(99999) }, mark: {},
+    ol: { start: integer(99999), reversed: flag, type: value => /^[1aAiI]$/.test(value.trim()) ? value.trim() : null },
+    p: { align: oneOf('left', 'center', 'right') }, pre: {}, q: {}, rp: {}, rt: {}, ruby: {}, s: {}, samp: {}, section: {},
+    small: {}, span: {}, strong: {}, sub: {}, summary: {}, sup: {},
+    table: { border: integer(10), cellpadding: integer(100), cellspacing: integer(100), width: size },
+    tbody: {}, td: CELL, tfoot: {}, th: { ...CELL, scope: oneOf('row', 'col', 'rowgroup', 'colgroup') }, thead: {},
+    time: { datetime: keep }, tr: {}, u: {}, ul: {}, var: {}, wbr: {}
+};
+
+// Inline SVG is limited to simple icons (e.g. the callout glyphs); any other SVG element is dropped.
+const SVG_ELEMENTS = {
+    svg: { viewbox: keep, width: size, height: size, fill: keep, stroke: keep, 'stroke-width': keep, 'stroke-linecap': keep, 'stroke-linejoin': keep, xmlns: keep },
+    path: { d: keep, fill: keep, stroke: keep, 'fill-rule': keep, 'clip-rule': keep, 'stroke-width': keep }
+};
+
+// Classes the Markdown renderer emits for its own presentational markup; any other class is removed.
+const CLASSES = new Set([
+    'callout', 'callout-note', 'callout-tip', 'callout-important', 'callout-warning', 'callout-caution', 'callout-title', 'callout-body',
+    'task-list-item', 'checked', 'contains-task-list', 'spoiler'
+]);
+
+const ID_PREFIX = 'user-content-';
+const prefixId = value => (value.startsWith(ID_PREFIX) ? value : `${ID_PREFIX}${value}`);
+
+const GLOBAL_ATTRIBUTES = {
+    class: value => value.split(/\s+/).filter(name => CLASSES.has(name)).join(' ') || null,
+    id: value => /^[\w-]{1,100}$/.test(value) ? prefixId(value) : null,
+    title: keep,
+    lang: value => /^[a-z]{2,3}(?:-[\w]{2,8})*$/i.test(value) ? value : null,
+    dir: oneOf('ltr', 'rtl', 'auto'),
+    'aria-label': keep,
+    'aria-hidden': oneOf('true', 'false'),
+    style: value => HtmlSanitizer.sanitizeStyle(value) || null
+};
+
+const COLOR = String.raw`(?:#[0-9a-f]{3,8}|[a-z]{3,20}|(?:rgb|hsl)a?\(\s*[\d.%,\s]+\))`;
+const LENGTH = String.raw`(?:0|\d{1,4}(?:\.\d+)?(?:px|em|rem|%|ch|ex|pt))`;
+const LENGTHS = new RegExp(`^${LENGTH}(?:\\s+${LENGTH}){0,3}$`, 'i');
+const BORDER = new RegExp(`^(?:${LENGTH}\\s+)?(?:none|solid|dashed|dotted|double)(?:\\s+${COLOR})?$`, 'i');
+
+// Each property maps to the pattern its whole value must match; nothing can position, hide or overlay content.
+const STYLE_PROPERTIES = {
+    'color': new RegExp(`^${COLOR}$`, 'i'),
+    'background-color': new RegExp(`^${COLOR}$`, 'i'),
+    'font-weight': /^(?:normal|bold|bolder|lighter|[1-9]00)$/i,
+    'font-style': /^(?:normal|italic|oblique)$/i,
+    'font-family': /^(?:serif|sans-serif|monospace|cursive|system-ui)$/i,
+    'font-size': /^(?:(?:[0-2](?:\.\d+)?|3)(?:em|rem)|(?:[89]|[1-3]\d|4[0-8])px|(?:[5-9]\d|[12]\d\d)%|x-small|small|medium|large|x-large|smaller|larger)$/i,
+    'font-variant': /^(?:normal|small-caps)$/i,
+    'text-align': /^(?:left|right|center|justify|start|end)$/i,
+    'text-decoration': /^(?:none|underline|overline|line-through)(?:\s+(?:underline|overline|line-through|solid|double|dotted|dashed|wavy))*$/i,
+    'text-transform': /^(?:none|uppercase|lowercase|capitalize)$/i,
+    'vertical-align': /^(?:baseline|sub|super|top|middle|bottom|text-top|text-bottom)$/i,
+    'white-space': /^(?:normal|nowrap|pre|pre-wrap|pre-line)$/i,
+    'width': new RegExp(`^(?:auto|${LENGTH})$`, 'i'),
+    'min-width': new RegExp(`^${LENGTH}$`, 'i'),
+    'max-width': new RegExp(`^${LENGTH}$`, 'i'),
+    'padding': LENGTHS,
+    'margin': LENGTHS,
+    'border': BORDER, 'border-top': BORDER, 'border-right': BORDER, 'border-bottom': BORDER, 'border-left': BORDER,
+    'border-collapse': /^(?:collapse|separate)$/i,
+    'border-radius': LENGTHS
+};
+
+export const HtmlSanitizer = {
+    ELEMENTS,
+    STYLE_PROPERTIES,
+    CLASSES,
+    ID_PREFIX,
+
+    isSupported() {
+        return typeof DOMParser !== 'undefined';
+    },
+
+    /**
+     * Returns `html` with everything outside the allowlist removed.
+     * @param {string} html - Untrusted markup.
+     * @returns {string} Sanitized markup.
+     */
+    sanitize(html) {
+        if (!html || !this.isSupported()) return html || '';
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html');
+        this._cleanChildren(doc.body);
+        return doc.body.innerHTML;
+    },
+
+    _cleanChildren(parent) {
+        for (const node of [...parent.childNodes]) {
+            if (node.nodeType === Node.TEXT_NODE) continue;
+            if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); continue; }
+            this._cleanElement(node);
+        }
+    },
+
+    _cleanElement(el) {
+        const name = el.localName.toLowerCase();
+        const isSvg = el.namespaceURI === SVG_NS;
+        const allowed = isSvg ? SVG_ELEMENTS[name] : (el.namespaceURI === 'http://www.w3.org/1999/xhtml' ? ELEMENTS[name] : undefined);
+
+        if (!allowed) {
+            if (isSvg || DROP.has(name) || el.namespaceURI !== 'http://www.w3.org/1999/xhtml') { el.remove(); return; }
+            // Unknown but harmless wrappers (<font>, <center>, …) give way to their content.
+            this._cleanChildren(el);
+            el.replaceWith(...el.childNodes);
+            return;
+        }
+
+        for (const attr of [...el.attributes]) {
+            const attrName = attr.name.toLowerCase();
+            const check = allowed[attrName] || GLOBAL_ATTRIBUTES[attrName];
+            const value = check ? check(attr.value) : null;
+            if (value === null || value === undefined) el.removeAttribute(attr.name);
+            else if (value !== attr.value) el.setAttribute(attr.name, value);
+        }
+
+        if (name === 'a' && el.hasAttribute('href') && !el.getAttribute('href').startsWith('#')) {
+            el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer');
+        } else if (name === 'img') {
+            el.classList.add('markdown-image');
+            el.setAttribute('loading', 'lazy');
+        } else if (name === 'input') {
+            if (el.getAttribute('type') !== 'checkbox') { el.remove(); return; }
+            el.setAttribute('disabled', '');
+        }
+        this._cleanChildren(el);
+    },
+
+    /**
+     * Keeps only allowed `property: value` declarations.
+     * @param {string} style - An inline style attribute value.
+     * @returns {string} The declarations that passed, joined with `; `.
+     */
+    sanitizeStyle(style) {
+        const kept = [];
+        for (const declaration of String(style || '').split(';')) {
+            const colon = declaration.indexOf(':');
+            if (colon < 0) continue;
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).trim().replace(/\s*!important$/i, '');
+            const pattern = STYLE_PROPERTIES[property];
+            // Escapes, comments, quotes and functions other than colors never get as far as the pattern.
+            if (!pattern || !/^[#\w\s.,%()-]+$/.test(value) || /\b(?:url|expression|image|var|calc|attr|env)\s*\(/i.test(value)) continue;
+            if (pattern.test(value)) kept.push(`${property}: ${value}`);
+        }
+        return kept.join('; ');
+    },
+
+    /**
+     * Resolves a URL and returns it only when its scheme is allowed; `#fragment` links pass when `allowFragment` is set.
+     * @returns {string|null}
+     */
+    safeUrl(url, protocols = ['http:', 'https:'], allowFragment = false) {
+        const value = String(url || '').trim();
+        if (allowFragment && /^#[\w-]+$/.test(value)) return value;
+        try {
+            const parsed = new URL(value, window.location.origin);
+            return protocols.includes(parsed.protocol) ? parsed.href : null;
+        } catch {
+            return null;
+        }
+    },
+
+    safeImageUrl(url) {
+        const value = this.safeUrl(url, ['http:', 'https:', 'blob:', 'data:']);
+        if (value?.startsWith('data:')) {
+            return /^data:image\/(?:png|jpeg|jpg|gif|webp|bmp|svg\+xml);base64,[a-z0-9+/=\s]+$/i.test(value) ? value : null;
+        }
+        return value;
+    }
+};
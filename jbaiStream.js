@@ -0,0 +1,124 @@
+/**
+ * Reader for the J.B.A.I `/v1/web-search/stream` endpoint that survives dropped connections.
+ * The backend keeps each search running on its side and tags every event with `id: <stream id>:<sequence>`.
+ * When the connection fails, or the body ends before a `complete` or `error` event, the reader waits with
+ * exponential backoff and reconnects to `GET <stream url>/<stream id>` with a `Last-Event-ID` header,
+ * receiving only the events it missed. Used by the app and by examples/search-mode-client.js.
+ *
+ * @namespace JbAiStream
+ */
+export const JbAiStream = {
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 800,
+    MAX_DELAY_MS: 8000,
+    TERMINAL_EVENTS: ['complete', 'error'],
+    RETRYABLE_STATUSES: [502, 503, 504],
+
+    /**
+     * Yields `{ type, data, id }` for each server event, plus `{ type: 'reconnecting', data: { attempt, maxRetries, delayMs } }`
+     * before each retry. When recovery fails it throws an Error named `JbAiStreamError` whose `checkpoint`
+     * (`{ url, lastEventId }`) can be passed back in to resume later; `expired` is set when the server no longer has the stream.
+     * @param {object} options
+     * @param {string} options.url - The stream endpoint.
+     * @param {object} [options.body] - The search request; not needed when resuming from `checkpoint`.
+     * @param {{url: string, lastEventId: string}} [options.checkpoint] - Where an earlier read stopped.
+     * @param {(response: Response, signal?: AbortSignal) => AsyncIterable<{type: string, data: any, id: string}>} options.readEvents -
+     *     The SSE parser; the app passes `ChatApp.Api.readSseEvents`.
+     * @param {AbortSignal} [options.signal]
+     * @param {(response: Response) => Promise<string>} [options.describeError] - Builds the message for a failed HTTP response.
+     */
+    async *events({ url, body = null, checkpoint = null, readEvents, signal, maxRetries = this.MAX_RETRIES, describeError = null, fetchImpl = fetch }) {
+        const streamUrl = checkpoint?.url || url;
+        let lastEventId = checkpoint?.lastEventId || '';
+        let attempt = 0;
+
+        while (true) {
+            let failure = null;
+            try {
+                const response = lastEventId
+                    ? await fetchImpl(this.resumeUrl(streamUrl, lastEventId), {
+                        method: 'GET',
+                        headers: { Accept: 'text/event-stream', 'Last-Event-ID': lastEventId },
+                        signal
+                    })
+                    : await fetchImpl(streamUrl, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+                        body: JSON.stringify(body),
+                        signal
+                    });
+
+                if (!response.ok) {
+                    const message = describeError ? await describeError(response) : `J.B.A.I stream failed with HTTP ${response.status}.`;
+                    if (lastEventId && (response.status === 404 || response.status === 410)) {
+                        throw this._error('The J.B.A.I server no longer has this answer.', { url: streamUrl, lastEventId }, { expired: true, status: response.status });
+                    }
+                    if (!this.RETRYABLE_STATUSES.includes(response.status)) {
+                        throw Object.assign(new Error(message), { status: response.status });
+                    }
+                    failure = new Error(message);
+                } else if (!response.body) {
+                    throw new Error('J.B.A.I backend did not return a readable stream.');
+                } else {
+                    for await (const event of readEvents(response, signal)) {
+                        if (event.id) lastEventId = event.id;
+                        // Progress resets the retry budget; the limit applies to one outage, not the whole answer.
+                        attempt = 0;
+                        yield event;
+                        if (this.TERMINAL_EVENTS.includes(event.type)) return;
+                    }
+                    failure = new Error('The J.B.A.I stream ended before the answer was complete.');
+                }
+            } catch (error) {
+                if (error?.name === 'AbortError' || signal?.aborted) throw error;
+                // Network failures surface as TypeError from fetch() or from the body reader.
+                if (!(error instanceof TypeError)) throw error;
+                failure = error;
+            }
+
+            attempt += 1;
+            if (attempt > maxRetries) {
+                const checkpointOut = lastEventId ? { url: streamUrl, lastEventId } : null;
+                throw this._error(`Lost the connection to J.B.A.I: ${failure.message}`, checkpointOut, { cause: failure });
+            }
+            const delayMs = Math.min(this.MAX_DELAY_MS, this.BASE_DELAY_MS * 2 ** (attempt - 1)) + Math.floor(Math.random() * 250);
+            yield { type: 'reconnecting', data: { attempt, maxRetries, delayMs }, id: '' };
+            await this._wait(delayMs, signal);
+        }
+    },
+
+    /**
+     * Asks the backend to stop the search behind `checkpoint` (used by Stop); the answer cannot be resumed afterwards.
+     * @returns {Promise<boolean>} Whether the backend acknowledged the cancel.
+     */
+    async cancel(checkpoint, fetchImpl = fetch) {
+        if (!checkpoint?.url || !checkpoint?.lastEventId) return false;
+        const response = await fetchImpl(this.resumeUrl(checkpoint.url, checkpoint.lastEventId), { method: 'DELETE' });
+        return response.ok;
+    },
+
+    /** `Last-Event-ID` values look like `<stream id>:<sequence>`; the stream id names the resume route. */
+    resumeUrl(url, lastEventId) {
+        const streamId = lastEventId.slice(0, lastEventId.lastIndexOf(':'));
+        return `${url.replace(/\/+$/, '')}/${encodeURIComponent(streamId)}`;
+    },
+
+    _error(message, checkpoint, extra = {}) {
+        return Object.assign(new Error(message), { name: 'JbAiStreamError', checkpoint, expired: false, ...extra });
+    },
+
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal?.aborted) onAbort();
+            else signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+};
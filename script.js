@@ -1,5 +1,7 @@
 import { MessageFormatter } from './formatter.js';
 import { SyntaxHighlighter } from './syntaxHighlighter.js';
+import { DiffRenderer } from './diffRenderer.js';
+import { JbAiStream } from './jbaiStream.js';
 
 const isLocalBrowserContext = () => {
     const { protocol, hostname } = window.location;
@@ -27,6 +29,7 @@ const ChatApp = {
             DEEPSEEK: 'deepseek',
             GPTFREE: 'gpt-free'
         },
+        CUSTOM_PROVIDER_PREFIX: 'custom:',
         API_ENDPOINTS: {
             GOOGLE_BASE: 'https://generativelanguage.googleapis.com/v1beta/models',
             OPENAI_CHAT: 'https://api.openai.com/v1/chat/completions',
@@ -45,7 +48,11 @@ const ChatApp = {
             TOOLS: 'jbai_tools_config',
             PROVIDER_SETTINGS: 'jbai_provider_settings',
             JBAI_BACKEND_CONFIRMATION: 'jbai_backend_url_confirmed',
-            CUSTOM_PRESETS: 'jbai_custom_presets'
+            CUSTOM_PRESETS: 'jbai_custom_presets',
+            ACCOUNTS: 'jbai_accounts',
+            ACTIVE_ACCOUNT: 'jbai_active_account',
+            VAULT: 'jbai_vault',
+            VAULT_API_KEYS: 'jbai_vault_api_keys'
         },
         JBAI_BACKEND_STATES: {
             UNKNOWN: 'unknown',
@@ -56,6 +63,13 @@ const ChatApp = {
             CONNECTED: 'connected'
         },
         DEFAULT_THEME: 'light',
+        DEFAULT_ACCOUNT: { id: 'default', username: 'User', pfp: null, themeColor: '#4f46e5' },
+        ACCOUNT_COLORS: ['#4f46e5', '#0891b2', '#16a34a', '#ca8a04', '#ea580c', '#dc2626', '#db2777', '#7c3aed'],
+        AVATAR_SIZE_PX: 96,
+        MERMAID_MODULE_URL: 'https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.esm.min.mjs',
+        VAULT_KDF_ITERATIONS: 310000,
+        VAULT_AUTO_LOCK_OPTIONS: [0, 5, 15, 30, 60],
+        DEFAULT_VAULT_AUTO_LOCK_MINUTES: 15,
         DEFAULT_PROVIDER_SETTINGS: {
             provider: 'jbai',
             baseUrls: {
@@ -76,7 +90,9 @@ const ChatApp = {
                 groq: '',
                 deepseek: '',
                 'gpt-free': ''
-            }
+            },
+            contextWindows: {},
+            customProviders: []
         },
         PROMPT_LIBRARY_DEFAULT_CATEGORY: 'All',
         BUILTIN_PROMPT_PRESETS,
@@ -85,7 +101,10 @@ const ChatApp = {
             codeExecution: false,
             agentMode: false,
             autoRunPreviews: true,
-            hideScrollbar: false
+            hideScrollbar: false,
+            showLineNumbers: false,
+            summarizeHistory: false,
+            jbAiDebug: false
         },
         TYPING_SPEED_MS: 15,
         MAX_FILE_SIZE_BYTES: 4 * 1024 * 1024,
@@ -94,6 +113,35 @@ const ChatApp = {
         MAX_GENERATED_FILE_BYTES: 1024 * 1024,
         MAX_GENERATED_TOTAL_BYTES: 10 * 1024 * 1024,
         MAX_GENERATED_FILENAME_LENGTH: 120,
+        MAX_TOOL_ROUNDS: 5,
+        // Matched in order against the model name; first hit wins.
+        CONTEXT_WINDOWS: [
+            { pattern: /^gemini-1\.0/i, tokens: 32768 },
+            { pattern: /^gemini-/i, tokens: 1048576 },
+            { pattern: /^gpt-4\.1/i, tokens: 1047576 },
+            { pattern: /^gpt-5/i, tokens: 400000 },
+            { pattern: /^gpt-4o|^gpt-4-turbo/i, tokens: 128000 },
+            { pattern: /^gpt-3\.5/i, tokens: 16385 },
+            { pattern: /^o\d/i, tokens: 200000 },
+            { pattern: /^claude-/i, tokens: 200000 },
+            { pattern: /^deepseek-/i, tokens: 65536 },
+            { pattern: /llama-3\.[1-3]|llama-4|qwen|kimi/i, tokens: 131072 },
+            { pattern: /mixtral/i, tokens: 32768 },
+            { pattern: /gemma/i, tokens: 8192 }
+        ],
+        DEFAULT_CONTEXT_WINDOW: 32768,
+        CONTEXT_OUTPUT_RESERVE_TOKENS: 4096,
+        CONTEXT_SUMMARY_RESERVE_TOKENS: 1024,
+        IMAGE_TOKEN_ESTIMATE: 1000,
+        JBAI_CONVERSATION_TOKEN_BUDGET: 3000,
+        JBAI_MAX_CONVERSATION_MESSAGES: 8,
+        // Used until /openapi.json has been read; mirrors the backend's defaults.
+        JBAI_DEFAULT_ATTACHMENT_LIMITS: { maxBytes: 1500000, maxFiles: 4 },
+        JBAI_SEARCH_TOPICS: ['general', 'news', 'finance'],
+        JBAI_SEARCH_DEPTHS: ['balanced', 'deep'],
+        JBAI_TIME_RANGES: { day: 'Past day', week: 'Past week', month: 'Past month', year: 'Past year' },
+        JBAI_MAX_SEARCH_SOURCES: 10,
+        JBAI_MAX_SEARCH_DOMAINS: 10,
         ICONS: {
             COPY: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`,
             CHECK: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`,
@@ -106,23 +154,36 @@ const ChatApp = {
             JS: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 18h2a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-2v12z"></path><path d="M8 12h2a2 2 0 1 0 0-4H8v4z"></path><path d="M6 18V6"></path></svg>`,
             SVG: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><path d="m14.31 8 5.74 9.94M9.69 8h11.48M12 2.25 2.25 18H21.75L12 2.25z"></path></svg>`,
             CHEVRON_DOWN: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>`,
+            CHEVRON_LEFT: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>`,
+            CHEVRON_RIGHT: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>`,
+            EDIT: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>`,
+            REGENERATE: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>`,
             STOP: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2" ry="2"/></svg>`,
             PLAY: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
             PAUSE: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
-            AGENT_ACTIVITY: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2a10 10 0 1 0 10 10A10 10 0 0 0 12 2zm0 18a8 8 0 1 1 8-8 8 8 0 0 1-8 8z"></path><path d="M12 6v6l4 2"></path></svg>`
+            AGENT_ACTIVITY: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2a10 10 0 1 0 10 10A10 10 0 0 0 12 2zm0 18a8 8 0 1 1 8-8 8 8 0 0 1-8 8z"></path><path d="M12 6v6l4 2"></path></svg>`,
+            APPLY_PATCH: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="12" y1="11" x2="12" y2="17"></line><line x1="9" y1="14" x2="15" y2="14"></line></svg>`,
+            RESEARCH: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="7"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line><line x1="8" y1="9" x2="14" y2="9"></line><line x1="8" y1="13" x2="12" y2="13"></line></svg>`,
+            WARNING: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>`,
+            WRAP: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="3" y1="6" x2="21" y2="6"></line><path d="M3 12h15a3 3 0 0 1 0 6h-4"></path><polyline points="16 16 14 18 16 20"></polyline><line x1="3" y1="18" x2="10" y2="18"></line></svg>`,
+            COMPARE: `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="18" r="3"></circle><circle cx="6" cy="6" r="3"></circle><path d="M13 6h3a2 2 0 0 1 2 2v7"></path><path d="M11 18H8a2 2 0 0 1-2-2V9"></path></svg>`
         }
     },
     DB: {
         dbName: 'JBAI_Database',
         storeName: 'conversations',
+        searchIndexStoreName: 'search_index',
         async init() {
             return new Promise((resolve, reject) => {
-                const request = indexedDB.open(this.dbName, 1);
+                const request = indexedDB.open(this.dbName, 2);
                 request.onupgradeneeded = (event) => {
                     const db = event.target.result;
                     if (!db.objectStoreNames.contains(this.storeName)) {
                         db.createObjectStore(this.storeName, { keyPath: 'id' });
                     }
+                    if (!db.objectStoreNames.contains(this.searchIndexStoreName)) {
+                        db.createObjectStore(this.searchIndexStoreName, { keyPath: 'id' });
+                    }
                 };
                 request.onsuccess = () => { this.db = request.result; resolve(); };
                 request.onerror = () => reject(request.error);
@@ -147,6 +208,36 @@ const ChatApp = {
                 req.onsuccess = () => resolve(req.result ? req.result.data : null);
                 req.onerror = () => reject(req.error);
             });
+        },
+        async saveSearchIndex(accountId, index) {
+            if (!this.db) await this.init();
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.searchIndexStoreName, 'readwrite');
+                const store = tx.objectStore(this.searchIndexStoreName);
+                const req = store.put({ id: accountId, data: index });
+                req.onsuccess = () => resolve();
+                req.onerror = () => reject(req.error);
+            });
+        },
+        async deleteAccountData(accountId) {
+            if (!this.db) await this.init();
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction([this.storeName, this.searchIndexStoreName], 'readwrite');
+                tx.objectStore(this.storeName).delete(accountId);
+                tx.objectStore(this.searchIndexStoreName).delete(accountId);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        },
+        async getSearchIndex(accountId) {
+            if (!this.db) await this.init();
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.searchIndexStoreName, 'readonly');
+                const store = tx.objectStore(this.searchIndexStoreName);
+                const req = store.get(accountId);
+                req.onsuccess = () => resolve(req.result ? req.result.data : null);
+                req.onerror = () => reject(req.error);
+            });
         }
     },
 
@@ -163,6 +254,8 @@ const ChatApp = {
         abortController: null,
         toolsConfig: {},
         providerSettings: {},
+        // Search options picked in the composer; copied onto each J.B.A.I message until reset.
+        jbAiSearchOptions: {},
         jbAiBackend: {
             status: 'unknown',
             title: 'Not checked yet',
@@ -185,8 +278,12 @@ const ChatApp = {
         activeCommand: null,
         activeTab: 'chats',
         folders: [],
-        profiles: [],
-        activeProfileId: 'default',
+        accounts: [],
+        activeAccountId: 'default',
+        pendingBranch: null,
+        contextSummaries: new Map(),
+        contextTrimNoticeChatId: null,
+        searchQuery: '',
         setCurrentConversation(history) {
             this.currentConversation = Array.isArray(history)
                 ? history.map((msg, index) => ChatApp.Utils.normalizeMessage(msg, index)).filter(Boolean)
@@ -194,6 +291,30 @@ const ChatApp = {
         },
         addMessage(message) { this.currentConversation.push(message); },
         removeMessage(messageId) { this.currentConversation = this.currentConversation.filter(msg => msg.id !== messageId); },
+        getMessageIndex(messageId) { return this.currentConversation.findIndex(msg => String(msg.id) === String(messageId)); },
+        getBranchTails(index) {
+            // Every alternative at a fork is stored as the full tail of the conversation from that point,
+            // so switching branches also restores everything that was said after the alternative.
+            const head = this.currentConversation[index];
+            if (!head) return [];
+            const branches = Array.isArray(head.branches) ? head.branches : [];
+            const activeIndex = Math.min(Math.max(head.branchIndex || 0, 0), branches.length);
+            const activeHead = { ...head };
+            delete activeHead.branches;
+            delete activeHead.branchIndex;
+            const tails = [...branches];
+            tails.splice(activeIndex, 0, [activeHead, ...this.currentConversation.slice(index + 1)]);
+            return tails;
+        },
+        activateBranch(index, tails, targetIndex) {
+            const [head, ...rest] = tails[targetIndex] || [];
+            if (!head) return;
+            const inactiveTails = tails.filter((_, tailIndex) => tailIndex !== targetIndex);
+            const activeHead = inactiveTails.length > 0
+                ? { ...head, branches: inactiveTails, branchIndex: targetIndex }
+                : head;
+            this.currentConversation = [...this.currentConversation.slice(0, index), activeHead, ...rest];
+        },
         registerGeneratedDownloadUrl(url) {
             if (typeof url !== 'string' || !url.startsWith('blob:')) return;
             this.generatedDownloadUrls.push(url);
@@ -225,6 +346,7 @@ const ChatApp = {
             if (this.isGenerating && this.abortController) {
                 this.abortController.abort();
             }
+            this.pendingBranch = null;
             this.setCurrentConversation([]);
             this.currentChatId = null;
             this.attachedFiles = [];
@@ -330,6 +452,62 @@ const ChatApp = {
                 return raw.replace(/\/$/, '');
             }
         },
+        // Continue sends a request to the URL saved with an interrupted answer, so imported chats may only name the configured backend.
+        isJbAiBackendUrl(url) {
+            const baseUrl = this.normalizeJbAiBaseUrl(ChatApp.Store.getProviderSettings().baseUrls?.jbai);
+            if (typeof url !== 'string' || !baseUrl) return false;
+            try {
+                const target = new URL(url);
+                return ['http:', 'https:'].includes(target.protocol) && target.origin === new URL(baseUrl).origin;
+            } catch {
+                return false;
+            }
+        },
+        // Keeps only recognised composer choices; an empty object means every setting is automatic.
+        normalizeJbAiSearchOptions(options) {
+            if (!options || typeof options !== 'object') return {};
+            const { JBAI_SEARCH_TOPICS, JBAI_SEARCH_DEPTHS, JBAI_TIME_RANGES, JBAI_MAX_SEARCH_SOURCES } = ChatApp.Config;
+            const normalized = {};
+            if (JBAI_SEARCH_TOPICS.includes(options.topic)) normalized.topic = options.topic;
+            if (JBAI_SEARCH_DEPTHS.includes(options.depth)) normalized.depth = options.depth;
+            const maxSources = Number.parseInt(options.maxSources, 10);
+            if (maxSources >= 1 && maxSources <= JBAI_MAX_SEARCH_SOURCES) normalized.maxSources = maxSources;
+            if (Object.hasOwn(JBAI_TIME_RANGES, options.timeRange || '')) normalized.timeRange = options.timeRange;
+            ['includeDomains', 'excludeDomains'].forEach((key) => {
+                const domains = this.parseDomainList(options[key]);
+                if (domains.length > 0) normalized[key] = domains;
+            });
+            return normalized;
+        },
+        parseDomainList(value) {
+            const items = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+            const domains = items
+                .map(item => String(item).trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/^www\./, '').split(/[/?#:]/)[0])
+                .filter(domain => /^[a-z0-9-]+(?:\.[a-z0-9-]+)+$/.test(domain));
+            return [...new Set(domains)].slice(0, ChatApp.Config.JBAI_MAX_SEARCH_DOMAINS);
+        },
+        isCustomProvider(provider) {
+            return typeof provider === 'string' && provider.startsWith(ChatApp.Config.CUSTOM_PROVIDER_PREFIX);
+        },
+        buildChatCompletionsUrl(baseUrl) {
+            const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+            if (!trimmed) return '';
+            return /\/chat\/completions$/i.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+        },
+        parseHeaderLines(text) {
+            const headers = {};
+            String(text || '').split('\n').forEach((line) => {
+                const separatorIndex = line.indexOf(':');
+                if (separatorIndex <= 0) return;
+                const name = line.slice(0, separatorIndex).trim();
+                const value = line.slice(separatorIndex + 1).trim();
+                if (/^[A-Za-z0-9-]+$/.test(name) && value) headers[name] = value;
+            });
+            return headers;
+        },
+        formatHeaderLines(headers) {
+            return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+        },
         getRemoteJbAiPlaceholder() {
             return this.isLocalBrowserContext() ? getDefaultJbAiBaseUrl() : JBAI_REMOTE_PLACEHOLDER;
         },
@@ -433,6 +611,41 @@ const ChatApp = {
                 normalized.searchMetadata = searchMetadata;
             }
 
+            if (typeof message.toolCallKey === 'string' && /^[\w-]{1,64}$/.test(message.toolCallKey)) {
+                normalized.toolCallKey = message.toolCallKey;
+            }
+
+            if (Number.isFinite(message.createdAt)) {
+                normalized.createdAt = message.createdAt;
+            }
+
+            const searchOptions = this.normalizeJbAiSearchOptions(message?.searchOptions);
+            if (Object.keys(searchOptions).length > 0) normalized.searchOptions = searchOptions;
+
+            // Settings come back from backups as-is, so they get the same checks as the options the user picks.
+            const searchSettings = this.normalizeJbAiSearchOptions(message?.searchSettings);
+            if (Object.keys(searchSettings).length > 0) {
+                const auto = Array.isArray(message.searchSettings.auto) ? message.searchSettings.auto : [];
+                normalized.searchSettings = {
+                    ...searchSettings,
+                    auto: auto.filter(key => ['topic', 'depth', 'maxSources'].includes(key))
+                };
+            }
+
+            const debugTrace = message?.debugTrace;
+            if (debugTrace && Array.isArray(debugTrace.steps)) {
+                normalized.debugTrace = debugTrace;
+            }
+
+            const interrupted = message?.interrupted;
+            if (interrupted && typeof interrupted.lastEventId === 'string' && this.isJbAiBackendUrl(interrupted.url)) {
+                normalized.interrupted = {
+                    url: interrupted.url,
+                    lastEventId: interrupted.lastEventId,
+                    ...(interrupted.expired ? { expired: true } : {})
+                };
+            }
+
             if (Array.isArray(message.attachments)) {
                 const attachments = message.attachments
                     .map((attachment, attachmentIndex) => this.normalizeAttachment(attachment, attachmentIndex))
@@ -440,6 +653,21 @@ const ChatApp = {
                 if (attachments.length > 0) normalized.attachments = attachments;
             }
 
+            if (Array.isArray(message.branches)) {
+                const branches = message.branches
+                    .map((tail) => (Array.isArray(tail)
+                        ? tail.map((msg, msgIndex) => this.normalizeMessage(msg, msgIndex)).filter(Boolean)
+                        : []))
+                    .filter((tail) => tail.length > 0);
+                if (branches.length > 0) {
+                    const branchIndex = Number.parseInt(message.branchIndex, 10);
+                    normalized.branches = branches;
+                    normalized.branchIndex = Number.isFinite(branchIndex)
+                        ? Math.min(Math.max(branchIndex, 0), branches.length)
+                        : branches.length;
+                }
+            }
+
             return normalized;
         },
         normalizeConversations(conversations) {
@@ -482,6 +710,104 @@ const ChatApp = {
             document.body.removeChild(temp);
             return copied;
         },
+        evaluateMathExpression(expression) {
+            const source = String(expression || '').replace(/\*\*/g, '^');
+            const tokens = source.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[A-Za-z_][A-Za-z0-9_]*|[-+*/%^(),]/gi) || [];
+            if (tokens.length === 0 || tokens.join('') !== source.replace(/\s+/g, '')) {
+                throw new Error('Expression contains unsupported characters.');
+            }
+
+            const constants = { pi: Math.PI, e: Math.E };
+            const functions = {
+                sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+                sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+                ln: Math.log, log: Math.log10, log2: Math.log2,
+                floor: Math.floor, ceil: Math.ceil, round: Math.round, min: Math.min, max: Math.max, pow: Math.pow
+            };
+            let position = 0;
+            const peek = () => tokens[position];
+            const take = (expected) => {
+                const token = tokens[position];
+                if (expected && token !== expected) throw new Error(`Expected "${expected}".`);
+                position += 1;
+                return token;
+            };
+
+            let parseExpression;
+            const parsePrimary = () => {
+                const token = take();
+                if (token === undefined) throw new Error('Unexpected end of expression.');
+                if (token === '(') {
+                    const value = parseExpression();
+                    take(')');
+                    return value;
+                }
+                if (/^[\d.]/.test(token)) return Number(token);
+                const name = token.toLowerCase();
+                if (Object.hasOwn(functions, name)) {
+                    take('(');
+                    const args = [parseExpression()];
+                    while (peek() === ',') {
+                        take();
+                        args.push(parseExpression());
+                    }
+                    take(')');
+                    return functions[name](...args);
+                }
+                if (Object.hasOwn(constants, name)) return constants[name];
+                throw new Error(`Unknown symbol "${token}".`);
+            };
+            const parseFactor = () => {
+                if (peek() === '-') { take(); return -parseFactor(); }
+                if (peek() === '+') { take(); return parseFactor(); }
+                const base = parsePrimary();
+                if (peek() === '^') { take(); return base ** parseFactor(); }
+                return base;
+            };
+            const parseTerm = () => {
+                let value = parseFactor();
+                while (['*', '/', '%'].includes(peek())) {
+                    const operator = take();
+                    const right = parseFactor();
+                    if (operator === '*') value *= right;
+                    else if (operator === '/') value /= right;
+                    else value %= right;
+                }
+                return value;
+            };
+            parseExpression = () => {
+                let value = parseTerm();
+                while (peek() === '+' || peek() === '-') {
+                    const operator = take();
+                    const right = parseTerm();
+                    value = operator === '+' ? value + right : value - right;
+                }
+                return value;
+            };
+
+            const result = parseExpression();
+            if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}".`);
+            if (!Number.isFinite(result)) throw new Error('Result is not a finite number.');
+            return result;
+        },
+        estimateTokens(text) {
+            // Roughly four characters per token across the supported tokenizers.
+            return Math.ceil(String(text || '').length / 4);
+        },
+        estimateContentTokens(content) {
+            const parts = Array.isArray(content?.parts) ? content.parts : [];
+            return parts.reduce((total, part) => {
+                if (typeof part?.text === 'string') return total + this.estimateTokens(part.text);
+                if (part?.inlineData) {
+                    if (String(part.inlineData.mimeType || '').startsWith('image/')) {
+                        return total + ChatApp.Config.IMAGE_TOKEN_ESTIMATE;
+                    }
+                    // Other media is billed by size; base64 inflates the payload by a third.
+                    return total + Math.ceil(String(part.inlineData.data || '').length * 0.75 / 4);
+                }
+                return total + this.estimateTokens(JSON.stringify(part || {}));
+            }, 4);
+        },
         debounce(func, wait) {
             let timeout;
             return function executedFunction(...args) {
@@ -496,9 +822,32 @@ const ChatApp = {
     },
 
     Store: {
+        normalizeCustomProvider(customProvider, index = 0) {
+            if (!customProvider || typeof customProvider !== 'object') return null;
+            if (!ChatApp.Utils.isCustomProvider(customProvider.id)) return null;
+            const name = typeof customProvider.name === 'string' && customProvider.name.trim()
+                ? customProvider.name.trim().slice(0, 60)
+                : `Custom Provider ${index + 1}`;
+            const headers = {};
+            if (customProvider.headers && typeof customProvider.headers === 'object') {
+                Object.entries(customProvider.headers).forEach(([headerName, value]) => {
+                    if (/^[A-Za-z0-9-]+$/.test(headerName) && typeof value === 'string' && value.trim()) {
+                        headers[headerName] = value.trim();
+                    }
+                });
+            }
+            return { id: customProvider.id, name, headers };
+        },
+        isKnownProvider(provider, customProviders = []) {
+            return Object.values(ChatApp.Config.PROVIDERS).includes(provider)
+                || customProviders.some(customProvider => customProvider.id === provider);
+        },
         normalizeProviderSettings(settings) {
             const defaultSettings = ChatApp.Config.DEFAULT_PROVIDER_SETTINGS;
-            const provider = Object.values(ChatApp.Config.PROVIDERS).includes(settings?.provider)
+            const customProviders = Array.isArray(settings?.customProviders)
+                ? settings.customProviders.map((item, index) => this.normalizeCustomProvider(item, index)).filter(Boolean)
+                : [];
+            const provider = this.isKnownProvider(settings?.provider, customProviders)
                 ? settings.provider
                 : defaultSettings.provider;
 
@@ -515,9 +864,16 @@ const ChatApp = {
                 apiKeys: {
                     ...defaultSettings.apiKeys,
                     ...(settings?.apiKeys || {})
-                }
+                },
+                contextWindows: {},
+                customProviders
             };
 
+            Object.entries(settings?.contextWindows || {}).forEach(([key, value]) => {
+                const tokens = Number.parseInt(value, 10);
+                if (Number.isFinite(tokens) && tokens > 0) merged.contextWindows[key] = tokens;
+            });
+
             merged.baseUrls.jbai = ChatApp.Utils.normalizeJbAiBaseUrl(merged.baseUrls?.jbai);
 
             // On a deployed (non-local) host, auto-confirm the origin as the backend URL
@@ -538,13 +894,13 @@ const ChatApp = {
 
             return merged;
         },
-        getProfileKey(key) {
-            const accountId = ChatApp.State.activeAccountId || 'default';
+        getProfileKey(key, accountId = ChatApp.State.activeAccountId || 'default') {
             if (key === ChatApp.Config.STORAGE_KEYS.THEME) return key; // Theme remains global
             return `${accountId}_${key}`;
         },
         async saveAllConversations() { 
             // Save to local storage without attachments to act as a lightweight backup
+            if (ChatApp.Vault.isLocked()) return;
             const leanConversations = ChatApp.State.allConversations.map(chat => ({
                 ...chat,
                 history: chat.history.map(msg => {
@@ -560,8 +916,12 @@ const ChatApp = {
                 })
             }));
 
+            // An encrypted vault must not leave a plaintext copy behind
+            const encrypt = ChatApp.Vault.shouldEncryptConversations();
             try {
-                localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.CONVERSATIONS), JSON.stringify(leanConversations));
+                const backupKey = this.getProfileKey(ChatApp.Config.STORAGE_KEYS.CONVERSATIONS);
+                if (encrypt) localStorage.removeItem(backupKey);
+                else localStorage.setItem(backupKey, JSON.stringify(leanConversations));
             } catch (e) {
                 console.warn("Storage limit reached for lightweight history", e);
             }
@@ -569,10 +929,12 @@ const ChatApp = {
             // Save to IndexedDB with full attachments and base64 images
             const accountId = ChatApp.State.activeAccountId || 'default';
             try {
-                await ChatApp.DB.saveConversations(accountId, ChatApp.State.allConversations);
+                const payload = await ChatApp.Vault.sealConversations(ChatApp.State.allConversations);
+                await ChatApp.DB.saveConversations(accountId, payload);
             } catch(e) {
                 console.error("Failed to save to IndexedDB", e);
             }
+            ChatApp.Search.scheduleIndexSync();
         },
         saveCustomPresets(presets) {
             localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.CUSTOM_PRESETS), JSON.stringify(presets));
@@ -589,14 +951,14 @@ const ChatApp = {
         async loadAllConversations() {
             const accountId = ChatApp.State.activeAccountId || 'default';
             try {
-                let parsed = await ChatApp.DB.getConversations(accountId);
+                let parsed = await ChatApp.Vault.openConversations(await ChatApp.DB.getConversations(accountId));
                 
                 // If IndexedDB is empty, fallback to LocalStorage Migration
                 if (!parsed || parsed.length === 0) {
                     const stored = localStorage.getItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.CONVERSATIONS));
                     parsed = stored ? JSON.parse(stored) : [];
                     if (parsed.length > 0) {
-                        await ChatApp.DB.saveConversations(accountId, parsed);
+                        await ChatApp.DB.saveConversations(accountId, await ChatApp.Vault.sealConversations(parsed));
                     }
                 }
                 
@@ -614,19 +976,32 @@ const ChatApp = {
 
             ChatApp.Utils.setJbAiConfirmationValue(sanitized.baseUrls?.jbai);
 
-            localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.PROVIDER_SETTINGS), JSON.stringify(sanitized));
+            this.writeProviderSettings(sanitized);
             ChatApp.State.providerSettings = sanitized;
             return sanitized;
         },
+        writeProviderSettings(settings) {
+            // With a vault, API keys live only in the encrypted blob
+            if (ChatApp.Vault.isEnabled()) {
+                if (ChatApp.Vault.isUnlocked()) {
+                    ChatApp.Vault.saveApiKeys(settings.apiKeys).catch(e => console.error('Failed to encrypt API keys', e));
+                }
+                settings = { ...settings, apiKeys: {} };
+            }
+            localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.PROVIDER_SETTINGS), JSON.stringify(settings));
+        },
         getProviderSettings() {
             try {
                 const stored = localStorage.getItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.PROVIDER_SETTINGS));
                 const parsed = stored ? JSON.parse(stored) : {};
                 const merged = this.normalizeProviderSettings(parsed);
-                ChatApp.State.providerSettings = merged;
                 if (JSON.stringify(parsed) !== JSON.stringify(merged)) {
-                    localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.PROVIDER_SETTINGS), JSON.stringify(merged));
+                    this.writeProviderSettings(merged);
+                }
+                if (ChatApp.Vault.isUnlocked()) {
+                    merged.apiKeys = { ...merged.apiKeys, ...ChatApp.Vault.apiKeys };
                 }
+                ChatApp.State.providerSettings = merged;
                 return merged;
             } catch (error) {
                 const fallback = this.normalizeProviderSettings(ChatApp.Config.DEFAULT_PROVIDER_SETTINGS);
@@ -637,17 +1012,24 @@ const ChatApp = {
         getActiveProviderSettings() {
             const hasSettings = ChatApp.State.providerSettings && typeof ChatApp.State.providerSettings === 'object';
             const settings = hasSettings ? ChatApp.State.providerSettings : this.getProviderSettings();
-            const provider = Object.values(ChatApp.Config.PROVIDERS).includes(settings?.provider)
+            const customProviders = Array.isArray(settings?.customProviders) ? settings.customProviders : [];
+            const provider = this.isKnownProvider(settings?.provider, customProviders)
                 ? settings.provider
                 : ChatApp.Config.DEFAULT_PROVIDER_SETTINGS.provider;
+            const customProvider = customProviders.find(item => item.id === provider);
 
             return {
                 provider,
                 baseUrl: String(settings?.baseUrls?.[provider] || '').trim(),
                 model: String(settings?.models?.[provider] || '').trim(),
-                apiKey: String(settings?.apiKeys?.[provider] || '').trim()
+                apiKey: String(settings?.apiKeys?.[provider] || '').trim(),
+                headers: customProvider ? { ...customProvider.headers } : {}
             };
         },
+        getCustomProvider(provider) {
+            const customProviders = ChatApp.State.providerSettings?.customProviders || this.getProviderSettings().customProviders;
+            return customProviders.find(item => item.id === provider) || null;
+        },
         saveToolsConfig(config) { 
             localStorage.setItem(this.getProfileKey(ChatApp.Config.STORAGE_KEYS.TOOLS), JSON.stringify(config)); 
             ChatApp.State.toolsConfig = config;
@@ -666,34 +1048,406 @@ const ChatApp = {
         }
     },
 
+    Vault: {
+        VERSION: 1,
+        VERIFIER_TEXT: 'jbai-vault',
+        key: null,
+        apiKeys: null,
+        lockTimer: null,
+        activityBound: false,
+        toBase64(bytes) {
+            let binary = '';
+            const view = new Uint8Array(bytes);
+            for (let i = 0; i < view.length; i += 0x8000) {
+                binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        },
+        fromBase64(text) {
+            return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        },
+        getMeta(accountId = ChatApp.State.activeAccountId || 'default') {
+            try {
+                const meta = JSON.parse(localStorage.getItem(ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT, accountId)) || 'null');
+                return meta?.version === this.VERSION ? meta : null;
+            } catch (e) {
+                return null;
+            }
+        },
+        saveMeta(meta) {
+            const key = ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT);
+            if (meta) localStorage.setItem(key, JSON.stringify(meta));
+            else localStorage.removeItem(key);
+        },
+        isEnabled() { return Boolean(this.getMeta()); },
+        isUnlocked() { return Boolean(this.key); },
+        isLocked() { return this.isEnabled() && !this.isUnlocked(); },
+        shouldEncryptConversations() { return this.getMeta()?.encryptConversations === true; },
+        async deriveKey(passphrase, salt, iterations) {
+            const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        },
+        async encryptJson(value, key = this.key) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+            return { vault: this.VERSION, iv: this.toBase64(iv), data: this.toBase64(data) };
+        },
+        async decryptJson(payload, key = this.key) {
+            const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data));
+            return JSON.parse(new TextDecoder().decode(data));
+        },
+        isSealed(payload) {
+            return Boolean(payload && !Array.isArray(payload) && payload.vault === this.VERSION && payload.iv && payload.data);
+        },
+        async createMeta(passphrase, options) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const iterations = ChatApp.Config.VAULT_KDF_ITERATIONS;
+            const key = await this.deriveKey(passphrase, salt, iterations);
+            return {
+                key,
+                meta: {
+                    version: this.VERSION,
+                    salt: this.toBase64(salt),
+                    iterations,
+                    verifier: await this.encryptJson(this.VERIFIER_TEXT, key),
+                    encryptConversations: options.encryptConversations === true,
+                    autoLockMinutes: Number.isFinite(options.autoLockMinutes) ? options.autoLockMinutes : ChatApp.Config.DEFAULT_VAULT_AUTO_LOCK_MINUTES
+                }
+            };
+        },
+        async unlock(passphrase) {
+            const meta = this.getMeta();
+            if (!meta) return true;
+            try {
+                const key = await this.deriveKey(passphrase, this.fromBase64(meta.salt), meta.iterations);
+                if (await this.decryptJson(meta.verifier, key) !== this.VERIFIER_TEXT) return false;
+                this.key = key;
+            } catch (e) {
+                // AES-GCM authentication fails on a wrong passphrase.
+                return false;
+            }
+            await this.loadApiKeys();
+            this.bindActivityTracking();
+            this.resetLockTimer();
+            return true;
+        },
+        lock() {
+            this.key = null;
+            this.apiKeys = null;
+            clearTimeout(this.lockTimer);
+        },
+        async loadApiKeys() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT_API_KEYS)) || 'null');
+                this.apiKeys = stored ? await this.decryptJson(stored) : {};
+            } catch (e) {
+                console.error('Failed to decrypt stored API keys', e);
+                this.apiKeys = {};
+            }
+        },
+        async saveApiKeys(apiKeys) {
+            if (!this.key) return;
+            this.apiKeys = { ...apiKeys };
+            const sealed = await this.encryptJson(this.apiKeys);
+            localStorage.setItem(ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT_API_KEYS), JSON.stringify(sealed));
+        },
+        async sealConversations(conversations) {
+            if (!this.shouldEncryptConversations() || !this.key) return conversations;
+            return this.encryptJson(conversations);
+        },
+        async openConversations(payload) {
+            if (!this.isSealed(payload)) return payload;
+            if (!this.key) throw new Error('Vault is locked.');
+            return this.decryptJson(payload);
+        },
+        async rewriteProtectedData(apiKeys) {
+            // Re-persist through the normal save paths so they pick up the new vault state.
+            ChatApp.Store.saveProviderSettings({ ...ChatApp.State.providerSettings, apiKeys });
+            await ChatApp.Store.saveAllConversations();
+            await ChatApp.Search.persistIndex();
+        },
+        async enable(passphrase, options = {}) {
+            const apiKeys = { ...(ChatApp.State.providerSettings?.apiKeys || {}) };
+            const { key, meta } = await this.createMeta(passphrase, options);
+            this.saveMeta(meta);
+            this.key = key;
+            this.apiKeys = apiKeys;
+            await this.rewriteProtectedData(apiKeys);
+            this.bindActivityTracking();
+            this.resetLockTimer();
+        },
+        async changePassphrase(passphrase) {
+            const current = this.getMeta();
+            if (!current || !this.key) throw new Error('Unlock the vault first.');
+            const apiKeys = { ...(this.apiKeys || {}) };
+            const { key, meta } = await this.createMeta(passphrase, current);
+            this.saveMeta(meta);
+            this.key = key;
+            await this.saveApiKeys(apiKeys);
+            await ChatApp.Store.saveAllConversations();
+        },
+        async updateOptions(changes) {
+            const meta = this.getMeta();
+            if (!meta || !this.key) return;
+            this.saveMeta({ ...meta, ...changes });
+            if ('encryptConversations' in changes) {
+                await ChatApp.Store.saveAllConversations();
+                await ChatApp.Search.persistIndex();
+            }
+            this.resetLockTimer();
+        },
+        async disable() {
+            if (!this.key) throw new Error('Unlock the vault first.');
+            const apiKeys = { ...(this.apiKeys || {}) };
+            this.saveMeta(null);
+            localStorage.removeItem(ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT_API_KEYS));
+            this.lock();
+            await this.rewriteProtectedData(apiKeys);
+        },
+        async reset() {
+            // Forgotten passphrase: encrypted data cannot be recovered, so drop it and start clean.
+            this.lock();
+            this.saveMeta(null);
+            localStorage.removeItem(ChatApp.Store.getProfileKey(ChatApp.Config.STORAGE_KEYS.VAULT_API_KEYS));
+            const accountId = ChatApp.State.activeAccountId || 'default';
+            const stored = await ChatApp.DB.getConversations(accountId);
+            if (this.isSealed(stored)) await ChatApp.DB.saveConversations(accountId, []);
+        },
+        bindActivityTracking() {
+            if (this.activityBound) return;
+            this.activityBound = true;
+            const onActivity = ChatApp.Utils.debounce(() => this.resetLockTimer(), 1000);
+            ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+                document.addEventListener(type, onActivity, { passive: true, capture: true });
+            });
+        },
+        resetLockTimer() {
+            clearTimeout(this.lockTimer);
+            const minutes = this.getMeta()?.autoLockMinutes;
+            if (!this.key || !minutes) return;
+            this.lockTimer = setTimeout(() => {
+                // A long reply counts as activity; check again once it finishes.
+                if (ChatApp.State.isGenerating) { this.resetLockTimer(); return; }
+                void ChatApp.Accounts.lockProfile();
+            }, minutes * 60 * 1000);
+        },
+        promptUnlock({ cancelable = false } = {}) {
+            return new Promise((resolve) => {
+                document.querySelector('.auth-overlay')?.remove();
+                const account = ChatApp.Accounts.getActiveAccount();
+                const overlay = document.createElement('div');
+                overlay.className = 'auth-overlay';
+                overlay.innerHTML = `
+                <div class="auth-container" role="dialog" aria-modal="true" aria-labelledby="vault-unlock-title">
+                    <div class="auth-title" id="vault-unlock-title">Unlock J.B.A.I</div>
+                    <p class="auth-subtitle">Enter the passphrase for <strong></strong>.</p>
+                    <form class="auth-form">
+                        <div class="input-group">
+                            <label for="vault-passphrase-input">Passphrase</label>
+                            <input id="vault-passphrase-input" type="password" autocomplete="current-password" required>
+                        </div>
+                        <p class="vault-unlock-error" role="alert" hidden>Wrong passphrase.</p>
+                        <button type="submit" class="btn-primary">Unlock</button>
+                    </form>
+                    <div class="auth-switch">
+                        ${cancelable ? '<a href="#" data-vault-action="cancel">Cancel</a> · ' : ''}<a href="#" data-vault-action="reset">Forgot passphrase?</a>
+                    </div>
+                </div>`;
+                overlay.querySelector('.auth-subtitle strong').textContent = account.username;
+                document.body.appendChild(overlay);
+
+                const form = overlay.querySelector('form');
+                const input = overlay.querySelector('#vault-passphrase-input');
+                const errorEl = overlay.querySelector('.vault-unlock-error');
+                const submitBtn = form.querySelector('button[type="submit"]');
+                const finish = (result) => { overlay.remove(); resolve(result); };
+
+                form.addEventListener('submit', async (e) => {
+                    e.preventDefault();
+                    submitBtn.disabled = true;
+                    errorEl.hidden = true;
+                    const ok = await this.unlock(input.value);
+                    submitBtn.disabled = false;
+                    if (ok) { finish(true); return; }
+                    errorEl.hidden = false;
+                    input.select();
+                });
+                overlay.querySelector('[data-vault-action="cancel"]')?.addEventListener('click', (e) => { e.preventDefault(); finish(false); });
+                overlay.querySelector('[data-vault-action="reset"]').addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    if (!confirm('Reset the vault? Encrypted API keys and encrypted conversations for this profile will be permanently deleted.')) return;
+                    await this.reset();
+                    finish(true);
+                });
+                input.focus();
+            });
+        }
+    },
+
     Accounts: {
         async init() {
             try {
-                // Auto-login as default user (no auth overlay)
-                ChatApp.State.activeAccountId = 'default';
-                ChatApp.State.accounts = [{ id: 'default', username: 'User', pfp: null, themeColor: '#4f46e5' }];
-                
+                // No sign-in: profiles only partition local data between people sharing this browser.
+                ChatApp.State.accounts = this.loadAccounts();
+                const storedActiveId = localStorage.getItem(ChatApp.Config.STORAGE_KEYS.ACTIVE_ACCOUNT);
+                ChatApp.State.activeAccountId = ChatApp.State.accounts.some(a => a.id === storedActiveId)
+                    ? storedActiveId
+                    : ChatApp.State.accounts[0].id;
+
                 ChatApp.UI.applyTheme(ChatApp.Store.getTheme());
-                await ChatApp.Store.loadAllConversations();
-                ChatApp.Store.loadCustomPresets();
-                ChatApp.Store.getProviderSettings();
-                ChatApp.Store.getToolsConfig();
-                ChatApp.Folders.loadFolders();
-                ChatApp.State.resetCurrentChat();
-                ChatApp.UI.renderSidebar();
-                ChatApp.UI.renderProfileWidget();
-                
-                ChatApp.UI.toggleSendButtonState();
-                ChatApp.UI.renderConversationSurface();
-                ChatApp.Controller.applyDisplaySettings();
-                ChatApp.Controller.markJbAiBackendStatusUnknown(ChatApp.Store.getProviderSettings().baseUrls?.jbai || '');
-                void ChatApp.Controller.refreshJbAiBackendStatus({ force: false, silent: true });
+                if (ChatApp.Vault.isEnabled()) await ChatApp.Vault.promptUnlock();
+                await this.loadActiveProfile();
             } catch (e) {
                 console.error("Failed to initialize:", e);
             }
         },
+        async loadActiveProfile() {
+            await ChatApp.Store.loadAllConversations();
+            void ChatApp.Search.loadIndex();
+            ChatApp.Store.loadCustomPresets();
+            ChatApp.Store.getProviderSettings();
+            ChatApp.Store.getToolsConfig();
+            ChatApp.Folders.loadFolders();
+            ChatApp.State.resetCurrentChat();
+            ChatApp.UI.renderSidebar();
+            ChatApp.UI.renderProfileWidget();
+            
+            ChatApp.UI.toggleSendButtonState();
+            ChatApp.UI.renderSearchOptionsButton();
+            ChatApp.UI.renderConversationSurface();
+            ChatApp.Controller.applyDisplaySettings();
+            ChatApp.Controller.markJbAiBackendStatusUnknown(ChatApp.Store.getProviderSettings().baseUrls?.jbai || '');
+            void ChatApp.Controller.refreshJbAiBackendStatus({ force: false, silent: true });
+        },
+        async lockProfile() {
+            if (!ChatApp.Vault.isUnlocked()) return;
+            await ChatApp.Search.flushIndexSync();
+            ChatApp.Vault.lock();
+            document.querySelector('.modal-overlay')?.remove();
+            ChatApp.State.resetCurrentChat();
+            ChatApp.State.allConversations = [];
+            ChatApp.State.contextSummaries.clear();
+            ChatApp.Search.index = null;
+            ChatApp.Store.getProviderSettings();
+            ChatApp.UI.clearChatArea();
+            ChatApp.UI.renderSidebar();
+            await ChatApp.Vault.promptUnlock();
+            await this.loadActiveProfile();
+        },
+        normalizeAccount(account, index = 0) {
+            if (!account || typeof account !== 'object') return null;
+            const id = typeof account.id === 'string' && /^[\w-]+$/.test(account.id) ? account.id : null;
+            if (!id) return null;
+            const username = typeof account.username === 'string' && account.username.trim()
+                ? account.username.trim().slice(0, 40)
+                : `Profile ${index + 1}`;
+            const pfp = typeof account.pfp === 'string' && account.pfp.startsWith('data:image/') ? account.pfp : null;
+            const themeColor = /^#[0-9a-f]{6}$/i.test(account.themeColor) ? account.themeColor : ChatApp.Config.DEFAULT_ACCOUNT.themeColor;
+            return { id, username, pfp, themeColor };
+        },
+        loadAccounts() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(ChatApp.Config.STORAGE_KEYS.ACCOUNTS) || '[]');
+                const accounts = Array.isArray(stored)
+                    ? stored.map((account, index) => this.normalizeAccount(account, index)).filter(Boolean)
+                    : [];
+                if (accounts.length > 0) return accounts;
+            } catch (e) {
+                console.error("Failed to load profiles:", e);
+            }
+            return [{ ...ChatApp.Config.DEFAULT_ACCOUNT }];
+        },
+        saveAccounts() {
+            try {
+                localStorage.setItem(ChatApp.Config.STORAGE_KEYS.ACCOUNTS, JSON.stringify(ChatApp.State.accounts));
+            } catch (e) {
+                console.error("Failed to save profiles:", e);
+                ChatApp.UI.showToast('Could not save profiles. The avatar may be too large.', 'error');
+            }
+        },
         getActiveAccount() {
-            return ChatApp.State.accounts.find(a => a.id === ChatApp.State.activeAccountId) || { id: 'default', username: 'User', pfp: null, themeColor: '#4f46e5' };
+            return ChatApp.State.accounts.find(a => a.id === ChatApp.State.activeAccountId) || { ...ChatApp.Config.DEFAULT_ACCOUNT };
+        },
+        createAccount({ username, themeColor, pfp = null }) {
+            const account = this.normalizeAccount({
+                id: `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                username,
+                themeColor,
+                pfp
+            }, ChatApp.State.accounts.length);
+            ChatApp.State.accounts.push(account);
+            this.saveAccounts();
+            return account;
+        },
+        updateAccount(id, changes) {
+            const index = ChatApp.State.accounts.findIndex(a => a.id === id);
+            if (index === -1) return null;
+            const updated = this.normalizeAccount({ ...ChatApp.State.accounts[index], ...changes, id }, index);
+            ChatApp.State.accounts[index] = updated;
+            this.saveAccounts();
+            if (id === ChatApp.State.activeAccountId) ChatApp.UI.renderProfileWidget();
+            return updated;
+        },
+        async switchAccount(id) {
+            if (id === ChatApp.State.activeAccountId) return;
+            if (!ChatApp.State.accounts.some(a => a.id === id)) return;
+            if (ChatApp.State.isGenerating) {
+                ChatApp.UI.showToast('Stop the current reply before switching profiles.', 'error');
+                return;
+            }
+            // Pending index work belongs to the profile being left, so it is finished before anything is swapped.
+            await ChatApp.Search.flushIndexSync();
+            const previousId = ChatApp.State.activeAccountId;
+            ChatApp.State.activeAccountId = id;
+            if (ChatApp.Vault.isEnabled()) {
+                if (!await ChatApp.Vault.promptUnlock({ cancelable: true })) {
+                    ChatApp.State.activeAccountId = previousId;
+                    return;
+                }
+            } else {
+                ChatApp.Vault.lock();
+            }
+            localStorage.setItem(ChatApp.Config.STORAGE_KEYS.ACTIVE_ACCOUNT, id);
+            ChatApp.State.searchQuery = '';
+            const searchInput = document.getElementById('chat-search-input');
+            if (searchInput) searchInput.value = '';
+            ChatApp.State.contextTrimNoticeChatId = null;
+            ChatApp.State.activeSkill = null;
+            ChatApp.UI.clearChatArea();
+            await this.loadActiveProfile();
+            ChatApp.UI.showToast(`Switched to ${this.getActiveAccount().username}.`);
+        },
+        async deleteAccount(id) {
+            if (ChatApp.State.accounts.length <= 1) {
+                ChatApp.UI.showToast('At least one profile is required.', 'error');
+                return false;
+            }
+            if (id === ChatApp.State.activeAccountId) {
+                const fallback = ChatApp.State.accounts.find(a => a.id !== id);
+                await this.switchAccount(fallback.id);
+                if (ChatApp.State.activeAccountId === id) return false;
+            }
+            ChatApp.State.accounts = ChatApp.State.accounts.filter(a => a.id !== id);
+            this.saveAccounts();
+            this.clearAccountStorage(id);
+            try {
+                await ChatApp.DB.deleteAccountData(id);
+            } catch (e) {
+                console.error("Failed to delete profile data from IndexedDB", e);
+            }
+            return true;
+        },
+        clearAccountStorage(id) {
+            const prefix = ChatApp.Store.getProfileKey('', id);
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => localStorage.removeItem(key));
         }
     },
 
@@ -754,8 +1508,694 @@ const ChatApp = {
         }
     },
 
+    Search: {
+        INDEX_VERSION: 1,
+        index: null,
+        syncTimer: null,
+        createEmptyIndex() {
+            return { version: this.INDEX_VERSION, chats: {}, docs: {}, postings: {} };
+        },
+        tokenize(text) {
+            return String(text || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .split(/[^\p{L}\p{N}]+/u)
+                .filter(term => term.length > 1 || /[^\x00-\x7f]/.test(term));
+        },
+        getMessageText(message) {
+            const isModel = message?.content?.role === 'model';
+            const text = ChatApp.Api.extractTextFromParts(message?.content?.parts);
+            const cleaned = isModel ? ChatApp.Api.stripToolCallMarkup(text) : text;
+            const attachmentNames = (message?.attachments || []).map(attachment => attachment.name).filter(Boolean);
+            return [cleaned, ...attachmentNames].join('\n');
+        },
+        // Message ids alone miss replies rewritten in place (e.g. a resumed answer), so each id carries a hash of its text.
+        getChatSignature(chat) {
+            const history = Array.isArray(chat.history) ? chat.history : [];
+            return `${chat.title || ''}\u0000${history.map(message => `${message.id}:${this.hashText(this.getMessageText(message))}`).join(',')}`;
+        },
+        hashText(text) {
+            // 32-bit FNV-1a over UTF-16 code units, prefixed with the length.
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return `${text.length.toString(36)}.${(hash >>> 0).toString(36)}`;
+        },
+        addDocument(docKey, chatId, messageId, text) {
+            const terms = this.tokenize(text);
+            if (terms.length === 0) return false;
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            counts.forEach((count, term) => {
+                if (!Object.hasOwn(this.index.postings, term)) this.index.postings[term] = {};
+                this.index.postings[term][docKey] = count;
+            });
+            this.index.docs[docKey] = { chatId: String(chatId), messageId, length: terms.length, terms: [...counts.keys()] };
+            return true;
+        },
+        removeChat(chatId) {
+            const entry = this.index.chats[chatId];
+            if (!entry) return;
+            entry.docs.forEach((docKey) => {
+                const doc = this.index.docs[docKey];
+                (doc?.terms || []).forEach((term) => {
+                    const posting = this.index.postings[term];
+                    if (!posting) return;
+                    delete posting[docKey];
+                    if (Object.keys(posting).length === 0) delete this.index.postings[term];
+                });
+                delete this.index.docs[docKey];
+            });
+            delete this.index.chats[chatId];
+        },
+        addChat(chat) {
+            const chatId = String(chat.id);
+            const docs = [];
+            const titleKey = `${chatId}:title`;
+            if (this.addDocument(titleKey, chatId, null, chat.title)) docs.push(titleKey);
+            (chat.history || []).forEach((message) => {
+                const docKey = `${chatId}:${message.id}`;
+                if (this.addDocument(docKey, chatId, message.id, this.getMessageText(message))) docs.push(docKey);
+            });
+            this.index.chats[chatId] = { signature: this.getChatSignature(chat), docs };
+        },
+        async loadIndex() {
+            const accountId = ChatApp.State.activeAccountId || 'default';
+            try {
+                const stored = await ChatApp.DB.getSearchIndex(accountId);
+                this.index = stored?.version === this.INDEX_VERSION ? stored : this.createEmptyIndex();
+            } catch (e) {
+                console.warn('Failed to load search index', e);
+                this.index = this.createEmptyIndex();
+            }
+            await this.syncIndex();
+        },
+        async syncIndex() {
+            // A locked profile has no chats loaded; syncing would empty the stored index.
+            if (ChatApp.Vault.isLocked()) return;
+            if (!this.index) this.index = this.createEmptyIndex();
+            const liveIds = new Set();
+            let changed = false;
+            for (const chat of ChatApp.State.allConversations) {
+                const chatId = String(chat.id);
+                liveIds.add(chatId);
+                if (this.index.chats[chatId]?.signature === this.getChatSignature(chat)) continue;
+                this.removeChat(chatId);
+                this.addChat(chat);
+                changed = true;
+            }
+            Object.keys(this.index.chats).forEach((chatId) => {
+                if (liveIds.has(chatId)) return;
+                this.removeChat(chatId);
+                changed = true;
+            });
+            if (!changed) return;
+            await this.persistIndex();
+            if (ChatApp.State.searchQuery) ChatApp.UI.renderSidebar();
+        },
+        async persistIndex() {
+            // The index holds message terms in the clear, so encrypted profiles keep it in memory only
+            const stored = ChatApp.Vault.shouldEncryptConversations() ? null : this.index;
+            try {
+                await ChatApp.DB.saveSearchIndex(ChatApp.State.activeAccountId || 'default', stored);
+            } catch (e) {
+                console.warn('Failed to save search index', e);
+            }
+        },
+        scheduleIndexSync() {
+            clearTimeout(this.syncTimer);
+            const accountId = ChatApp.State.activeAccountId;
+            this.syncTimer = setTimeout(() => {
+                this.syncTimer = null;
+                // The chats and index belong to the profile that scheduled the sync; after a switch they are gone.
+                if (ChatApp.State.activeAccountId === accountId) void this.syncIndex();
+            }, 800);
+        },
+        // Runs a pending sync straight away, while the profile that scheduled it is still loaded.
+        async flushIndexSync() {
+            if (!this.syncTimer) return;
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            await this.syncIndex();
+        },
+        search(query, limit = 30) {
+            if (!this.index) return [];
+            const queryTerms = [...new Set(this.tokenize(query))];
+            if (queryTerms.length === 0) return [];
+
+            const docKeys = Object.keys(this.index.docs);
+            const docCount = docKeys.length || 1;
+            const averageLength = docKeys.reduce((sum, key) => sum + this.index.docs[key].length, 0) / docCount || 1;
+            const allTerms = Object.keys(this.index.postings);
+            const scores = new Map();
+            const matched = new Map();
+
+            queryTerms.forEach((queryTerm, termIndex) => {
+                // The last term is still being typed, so it matches as a prefix.
+                const isPrefix = termIndex === queryTerms.length - 1;
+                const terms = isPrefix
+                    ? allTerms.filter(term => term.startsWith(queryTerm))
+                    : (Object.hasOwn(this.index.postings, queryTerm) ? [queryTerm] : []);
+                terms.forEach((term) => {
+                    const posting = this.index.postings[term];
+                    const documentFrequency = Object.keys(posting).length;
+                    const idf = Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                    Object.entries(posting).forEach(([docKey, frequency]) => {
+                        const doc = this.index.docs[docKey];
+                        const norm = frequency + 1.2 * (0.25 + 0.75 * doc.length / averageLength);
+                        const weight = doc.messageId ? 1 : 2;
+                        scores.set(docKey, (scores.get(docKey) || 0) + weight * idf * (frequency * 2.2) / norm);
+                        if (!matched.has(docKey)) matched.set(docKey, new Set());
+                        matched.get(docKey).add(queryTerm);
+                    });
+                });
+            });
+
+            return [...scores.entries()]
+                // Every query term has to appear; a document that matches more of them ranks first.
+                .filter(([docKey]) => matched.get(docKey).size === queryTerms.length)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([docKey, score]) => {
+                    const doc = this.index.docs[docKey];
+                    return { chatId: doc.chatId, messageId: doc.messageId, score, terms: queryTerms };
+                });
+        },
+        buildSnippet(text, terms, radius = 60) {
+            const source = String(text || '').replace(/\s+/g, ' ').trim();
+            // Fold character by character so match positions map back onto the original text.
+            let folded = '';
+            const offsets = [];
+            for (let i = 0; i < source.length; i++) {
+                const piece = source[i].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+                folded += piece;
+                for (let j = 0; j < piece.length; j++) offsets.push(i);
+            }
+            offsets.push(source.length);
+
+            const ranges = [];
+            terms.forEach((term) => {
+                let from = 0;
+                let position;
+                while ((position = folded.indexOf(term, from)) !== -1) {
+                    ranges.push([offsets[position], offsets[position + term.length]]);
+                    from = position + term.length;
+                }
+            });
+            ranges.sort((a, b) => a[0] - b[0]);
+
+            const first = ranges.length ? ranges[0][0] : 0;
+            const start = Math.max(0, first - radius);
+            const end = Math.min(source.length, first + radius * 2);
+            let html = start > 0 ? '…' : '';
+            let cursor = start;
+            ranges.forEach(([rangeStart, rangeEnd]) => {
+                if (rangeStart < cursor || rangeEnd > end) return;
+                html += ChatApp.Utils.escapeHTML(source.slice(cursor, rangeStart));
+                html += `<mark>${ChatApp.Utils.escapeHTML(source.slice(rangeStart, rangeEnd))}</mark>`;
+                cursor = rangeEnd;
+            });
+            html += ChatApp.Utils.escapeHTML(source.slice(cursor, end));
+            if (end < source.length) html += '…';
+            return html;
+        }
+    },
+
+    Export: {
+        getChatSlug(chat) {
+            const slug = String(chat?.title || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '')
+                .slice(0, 60);
+            return slug || `chat-${chat?.id || Date.now()}`;
+        },
+        getRoleLabel(message) {
+            return message.content.role === 'model' ? 'J.B.A.I' : 'You';
+        },
+        getMessageText(message) {
+            const text = ChatApp.Api.extractTextFromParts(message.content.parts);
+            return message.content.role === 'model' ? ChatApp.Api.stripToolCallMarkup(text).trim() : text;
+        },
+        getMessageFiles(message) {
+            if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+                return message.attachments.map(attachment => ({ name: attachment.name, type: attachment.type, data: attachment.data }));
+            }
+            return message.content.parts
+                .filter(part => part.inlineData)
+                .map((part, index) => ({
+                    name: `file-${index + 1}.${part.inlineData.mimeType.split('/')[1] || 'bin'}`,
+                    type: part.inlineData.mimeType,
+                    data: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`
+                }));
+        },
+        async fileToBlob(file) {
+            if (!file.data) return null;
+            if (file.data.startsWith('data:')) return (await fetch(file.data)).blob();
+            return new Blob([file.data], { type: file.type || 'text/plain' });
+        },
+        getSources(message) {
+            const chunks = message.content.groundingMetadata?.groundingChunks;
+            if (!Array.isArray(chunks)) return [];
+            return chunks
+                .map(chunk => chunk?.web)
+                .filter(web => web?.uri)
+                .map(web => ({ title: web.title || web.uri, uri: web.uri }));
+        },
+        async buildMarkdown(chat, attachmentDir = 'attachments') {
+            const lines = [`# ${chat.title || 'Untitled Chat'}`, '', `_Exported from J.B.A.I on ${new Date().toLocaleString()}_`, ''];
+            const files = [];
+
+            for (const [index, message] of chat.history.entries()) {
+                lines.push(`## ${this.getRoleLabel(message)}`, '');
+
+                const messageFiles = this.getMessageFiles(message);
+                for (const file of messageFiles) {
+                    const blob = await this.fileToBlob(file);
+                    if (!blob) {
+                        lines.push(`- Attachment: ${file.name} (not stored)`);
+                        continue;
+                    }
+                    const path = `${attachmentDir}/${index + 1}-${ChatApp.Utils.sanitizeGeneratedFilename(file.name, files.length)}`;
+                    files.push({ path, blob });
+                    const href = encodeURI(path);
+                    lines.push(String(file.type).startsWith('image/') ? `![${file.name}](${href})` : `- Attachment: [${file.name}](${href})`);
+                }
+                if (messageFiles.length > 0) lines.push('');
+
+                const text = this.getMessageText(message);
+                if (text) lines.push(text, '');
+
+                const sources = this.getSources(message);
+                if (sources.length > 0) {
+                    lines.push('**Sources**', '');
+                    sources.forEach((source, sourceIndex) => lines.push(`${sourceIndex + 1}. [${source.title.replace(/[[\]]/g, '')}](${source.uri})`));
+                    lines.push('');
+                }
+            }
+
+            return { markdown: lines.join('\n'), files };
+        },
+        collectStyles() {
+            const rules = [];
+            Array.from(document.styleSheets).forEach((sheet) => {
+                try {
+                    Array.from(sheet.cssRules).forEach(rule => rules.push(rule.cssText));
+                } catch (e) {
+                    // Cross-origin stylesheets (KaTeX from the CDN) cannot be read; they are linked instead.
+                }
+            });
+            return rules.join('\n');
+        },
+        async buildHtml(chat) {
+            const container = document.createElement('div');
+            for (const message of chat.history) {
+                const messageEl = document.createElement('div');
+                messageEl.className = `message ${message.content.role === 'model' ? 'bot' : 'user'}`;
+                const contentEl = document.createElement('div');
+                contentEl.className = 'message-content';
+                const text = this.getMessageText(message);
+                contentEl.innerHTML = await MessageFormatter.format(
+                    message.content.role === 'model' ? [{ text }] : text,
+                    message.content.groundingMetadata || null
+                );
+                const attachments = this.getMessageFiles(message);
+                if (attachments.length > 0) contentEl.prepend(ChatApp.UI._createAttachmentsContainer(attachments));
+                messageEl.appendChild(contentEl);
+                container.appendChild(messageEl);
+            }
+            ChatApp.UI._renderMathInElement(container);
+            await ChatApp.UI._renderDiagramsInElement(container);
+            // Copy, run and fullscreen controls have no handlers outside the app.
+            container.querySelectorAll('button').forEach(button => button.remove());
+
+            const title = ChatApp.Utils.escapeHTML(chat.title || 'Untitled Chat');
+            const theme = ChatApp.Utils.escapeHTML(document.documentElement.getAttribute('data-theme') || ChatApp.Config.DEFAULT_THEME);
+            return `<!DOCTYPE html>
+<html lang="en" data-theme="${theme}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
+<style>
+${this.collectStyles()}
+html, body { height: auto; overflow: auto; }
+body { display: block; background: var(--bg-color); color: var(--text-color); }
+.export-transcript { max-width: 860px; margin: 0 auto; padding: 32px 20px; }
+.export-transcript > header { margin-bottom: 24px; border-bottom: 1px solid var(--border-color); padding-bottom: 12px; }
+.export-transcript > header p { color: var(--text-secondary); font-size: 0.85em; }
+.export-transcript .message-area { overflow: visible; height: auto; }
+@media print {
+    html, body { background: #fff; color: #000; }
+    .export-transcript { max-width: none; padding: 0; }
+    .message { break-inside: avoid-page; animation: none; }
+    pre, table, img, .math-block { break-inside: avoid; }
+    pre, code { white-space: pre-wrap; word-break: break-word; }
+    a { color: inherit; }
+    .message-content a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.8em; }
+}
+</style>
+</head>
+<body>
+<main class="export-transcript">
+<header><h1>${title}</h1><p>Exported from J.B.A.I on ${ChatApp.Utils.escapeHTML(new Date().toLocaleString())}</p></header>
+<div class="message-area">
+${container.innerHTML}
+</div>
+</main>
+</body>
+</html>`;
+        },
+        downloadBlob(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url; a.download = filename;
+            document.body.appendChild(a); a.click(); document.body.removeChild(a);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+        findChat(chatId) {
+            return ChatApp.State.allConversations.find(c => String(c.id) === String(chatId)) || null;
+        },
+        async exportMarkdown(chatId) {
+            const chat = this.findChat(chatId);
+            if (!chat) return;
+            const slug = this.getChatSlug(chat);
+            const { markdown, files } = await this.buildMarkdown(chat);
+            if (files.length > 0 && typeof JSZip !== 'undefined') {
+                const zip = new JSZip();
+                zip.file(`${slug}.md`, markdown);
+                files.forEach(file => zip.file(file.path, file.blob));
+                this.downloadBlob(await zip.generateAsync({ type: 'blob' }), `${slug}.zip`);
+                return;
+            }
+            this.downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${slug}.md`);
+        },
+        async exportHtml(chatId) {
+            const chat = this.findChat(chatId);
+            if (!chat) return;
+            const html = await this.buildHtml(chat);
+            this.downloadBlob(new Blob([html], { type: 'text/html' }), `${this.getChatSlug(chat)}.html`);
+        },
+        async printChat(chatId) {
+            const chat = this.findChat(chatId);
+            if (!chat) return;
+            const frame = document.createElement('iframe');
+            frame.className = 'export-print-frame';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.addEventListener('load', () => {
+                // Give images and the KaTeX stylesheet a moment to settle before the print dialog snapshots the page.
+                setTimeout(() => {
+                    frame.contentWindow.focus();
+                    frame.contentWindow.print();
+                    setTimeout(() => frame.remove(), 1000);
+                }, 300);
+            }, { once: true });
+            frame.srcdoc = await this.buildHtml(chat);
+            document.body.appendChild(frame);
+        },
+        async exportAll(format) {
+            if (typeof JSZip === 'undefined') {
+                ChatApp.UI.showToast('JSZip is not loaded, so bulk export is unavailable.', 'error');
+                return;
+            }
+            if (ChatApp.State.allConversations.length === 0) {
+                ChatApp.UI.showToast('No conversations to export.');
+                return;
+            }
+            const zip = new JSZip();
+            const usedSlugs = new Set();
+            for (const chat of ChatApp.State.allConversations) {
+                let slug = this.getChatSlug(chat);
+                for (let n = 2; usedSlugs.has(slug); n++) slug = `${this.getChatSlug(chat)}-${n}`;
+                usedSlugs.add(slug);
+                if (format === 'html') {
+                    zip.file(`${slug}.html`, await this.buildHtml(chat));
+                } else {
+                    const { markdown, files } = await this.buildMarkdown(chat, `${slug}-attachments`);
+                    zip.file(`${slug}.md`, markdown);
+                    files.forEach(file => zip.file(file.path, file.blob));
+                }
+            }
+            this.downloadBlob(await zip.generateAsync({ type: 'blob' }), `jbai_conversations_${format === 'html' ? 'html' : 'markdown'}.zip`);
+        },
+        async run(task) {
+            try {
+                await task();
+            } catch (e) {
+                console.error('Export failed:', e);
+                ChatApp.UI.showToast('Export failed. Please try again.', 'error');
+            }
+        }
+    },
+
+    Import: {
+        async readFile(file) {
+            const isZip = /\.zip$/i.test(file.name) || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+            let zip = null;
+            let text;
+            if (isZip) {
+                if (typeof JSZip === 'undefined') throw new Error('JSZip is not loaded, so ZIP archives cannot be read.');
+                zip = await JSZip.loadAsync(file);
+                const entry = zip.file(/(^|\/)conversations\.json$/i)[0];
+                if (!entry) throw new Error('No conversations.json found in the archive.');
+                text = await entry.async('string');
+            } else {
+                text = await file.text();
+            }
+            const data = JSON.parse(text);
+            const conversations = await this.convert(data, zip);
+            const normalized = ChatApp.Utils.normalizeConversations(conversations);
+            if (normalized.length === 0) throw new Error('No valid conversations found.');
+            return normalized;
+        },
+        detectFormat(data) {
+            const sample = Array.isArray(data) ? data.find(item => item && typeof item === 'object') : null;
+            if (!sample) return 'jbai';
+            if (sample.mapping && typeof sample.mapping === 'object') return 'chatgpt';
+            if (Array.isArray(sample.chat_messages)) return 'claude';
+            return 'jbai';
+        },
+        async convert(data, zip) {
+            switch (this.detectFormat(data)) {
+                case 'chatgpt':
+                    return this.fromChatGpt(data, zip);
+                case 'claude':
+                    return this.fromClaude(data);
+                default:
+                    return data;
+            }
+        },
+        encodeTextBase64(text) {
+            const bytes = new TextEncoder().encode(text);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        },
+        // Existing chats win. An imported chat whose id is taken is skipped when it holds the same messages
+        // (a backup imported twice) and is added under a new id otherwise.
+        mergeConversations(existing, imported) {
+            const byId = new Map(existing.map(chat => [String(chat.id), chat]));
+            const usedIds = new Set(existing.map(chat => Number(chat.id)).filter(Number.isFinite));
+            const counts = { added: 0, reassigned: 0, skipped: 0 };
+            imported.forEach((chat) => {
+                const current = byId.get(String(chat.id));
+                if (current && JSON.stringify(current.history) === JSON.stringify(chat.history)) {
+                    counts.skipped++;
+                    return;
+                }
+                if (current) {
+                    chat = { ...chat, id: this.assignChatId(Date.now(), usedIds) };
+                    counts.reassigned++;
+                }
+                byId.set(String(chat.id), chat);
+                usedIds.add(Number(chat.id));
+                counts.added++;
+            });
+            return { conversations: Array.from(byId.values()), ...counts };
+        },
+        assignChatId(timestampMs, usedIds) {
+            let id = Number.isFinite(timestampMs) && timestampMs > 0 ? Math.round(timestampMs) : Date.now();
+            while (usedIds.has(id)) id++;
+            usedIds.add(id);
+            return id;
+        },
+        pushMessage(history, message) {
+            // Providers expect alternating roles; tool hops on the source side can leave two replies in a row.
+            const previous = history[history.length - 1];
+            if (previous && previous.content.role === message.content.role) {
+                previous.content.parts.push(...message.content.parts);
+                if (message.attachments) previous.attachments = [...(previous.attachments || []), ...message.attachments];
+                return;
+            }
+            history.push(message);
+        },
+        getChatGptActivePath(conversation) {
+            const mapping = conversation.mapping || {};
+            let nodeId = conversation.current_node;
+            if (!nodeId || !mapping[nodeId]) {
+                // Fall back to the newest leaf when the export has no pointer.
+                const leaves = Object.values(mapping).filter(node => !node.children || node.children.length === 0);
+                leaves.sort((a, b) => (a.message?.create_time || 0) - (b.message?.create_time || 0));
+                nodeId = leaves[leaves.length - 1]?.id;
+            }
+            const path = [];
+            const seen = new Set();
+            while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+                seen.add(nodeId);
+                path.unshift(mapping[nodeId]);
+                nodeId = mapping[nodeId].parent;
+            }
+            return path;
+        },
+        async readChatGptAsset(pointer, zip) {
+            if (!zip || typeof pointer !== 'string') return null;
+            const fileId = pointer.replace(/^[a-z-]+:\/\//i, '');
+            if (!fileId) return null;
+            const entry = zip.file(new RegExp(`(^|/)${fileId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^/]*$`))[0];
+            if (!entry) return null;
+            const name = entry.name.split('/').pop();
+            const type = ChatApp.Utils.inferMimeType(name);
+            try {
+                const blob = await entry.async('blob');
+                const dataUrl = await ChatApp.Utils.blobToBase64(new Blob([blob], { type }));
+                return { name, type, dataUrl };
+            } catch (e) {
+                console.warn(`Skipped ChatGPT asset ${name}:`, e);
+                return null;
+            }
+        },
+        async fromChatGpt(conversations, zip) {
+            const usedIds = new Set();
+            const result = [];
+            for (const conversation of conversations) {
+                if (!conversation?.mapping) continue;
+                const history = [];
+                for (const node of this.getChatGptActivePath(conversation)) {
+                    const message = node.message;
+                    const role = message?.author?.role;
+                    if (role !== 'user' && role !== 'assistant') continue;
+                    if (message.metadata?.is_visually_hidden_from_conversation) continue;
+                    if (role === 'assistant' && message.recipient && message.recipient !== 'all') continue;
+
+                    const content = message.content || {};
+                    const parts = [];
+                    const attachments = [];
+                    if (content.content_type === 'code' && typeof content.text === 'string') {
+                        parts.push({ text: `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n${content.text}\n\`\`\`` });
+                    } else if (content.content_type === 'text' || content.content_type === 'multimodal_text') {
+                        const textChunks = [];
+                        for (const part of content.parts || []) {
+                            if (typeof part === 'string') {
+                                if (part.trim()) textChunks.push(part);
+                                continue;
+                            }
+                            if (part?.content_type === 'image_asset_pointer') {
+                                const asset = await this.readChatGptAsset(part.asset_pointer, zip);
+                                if (asset) {
+                                    parts.push({ inlineData: { mimeType: asset.type, data: asset.dataUrl.split(',')[1] } });
+                                    attachments.push({ name: asset.name, type: asset.type, data: asset.dataUrl });
+                                } else {
+                                    textChunks.push('[Image not included in export]');
+                                }
+                            }
+                        }
+                        if (textChunks.length > 0) parts.push({ text: textChunks.join('\n\n') });
+                    }
+                    if (parts.length === 0) continue;
+
+                    this.pushMessage(history, {
+                        id: message.id || node.id,
+                        createdAt: message.create_time ? Math.round(message.create_time * 1000) : undefined,
+                        content: { role: role === 'assistant' ? 'model' : 'user', parts },
+                        ...(attachments.length > 0 ? { attachments } : {})
+                    });
+                }
+                if (history.length === 0) continue;
+                result.push({
+                    id: this.assignChatId((conversation.create_time || 0) * 1000, usedIds),
+                    title: conversation.title || ChatApp.Utils.deriveChatTitle(ChatApp.Api.extractTextFromParts(history[0].content.parts)),
+                    history
+                });
+            }
+            return result;
+        },
+        getClaudeActivePath(conversation) {
+            const messages = conversation.chat_messages.filter(message => message && typeof message === 'object');
+            const hasTree = messages.some(message => message.parent_message_uuid);
+            if (!hasTree) return messages;
+            const byId = new Map(messages.map(message => [message.uuid, message]));
+            let current = byId.get(conversation.current_leaf_message_uuid) || messages[messages.length - 1];
+            const path = [];
+            const seen = new Set();
+            while (current && !seen.has(current.uuid)) {
+                seen.add(current.uuid);
+                path.unshift(current);
+                current = byId.get(current.parent_message_uuid);
+            }
+            return path;
+        },
+        fromClaude(conversations) {
+            const usedIds = new Set();
+            const result = [];
+            conversations.forEach((conversation) => {
+                if (!Array.isArray(conversation?.chat_messages)) return;
+                const history = [];
+                this.getClaudeActivePath(conversation).forEach((message) => {
+                    const role = message.sender === 'assistant' ? 'model' : message.sender === 'human' ? 'user' : null;
+                    if (!role) return;
+
+                    const blocks = Array.isArray(message.content) ? message.content : [];
+                    const blockText = blocks
+                        .filter(block => block?.type === 'text' && typeof block.text === 'string')
+                        .map(block => block.text)
+                        .join('\n\n');
+                    const text = (blockText || message.text || '').trim();
+                    const parts = [];
+                    const attachments = [];
+                    (message.attachments || []).forEach((attachment) => {
+                        const name = attachment?.file_name || 'attachment.txt';
+                        attachments.push({ name, type: ChatApp.Utils.inferMimeType(name), data: null });
+                        if (typeof attachment?.extracted_content === 'string' && attachment.extracted_content) {
+                            parts.push({ inlineData: { mimeType: 'text/plain', data: this.encodeTextBase64(attachment.extracted_content) } });
+                        }
+                    });
+                    (message.files || []).forEach((file) => {
+                        if (file?.file_name) attachments.push({ name: file.file_name, type: ChatApp.Utils.inferMimeType(file.file_name), data: null });
+                    });
+                    if (text) parts.push({ text });
+                    if (parts.length === 0) return;
+
+                    const createdAt = Date.parse(message.created_at);
+                    this.pushMessage(history, {
+                        id: message.uuid,
+                        createdAt: Number.isFinite(createdAt) ? createdAt : undefined,
+                        content: { role, parts },
+                        ...(attachments.length > 0 ? { attachments } : {})
+                    });
+                });
+                if (history.length === 0) return;
+                result.push({
+                    id: this.assignChatId(Date.parse(conversation.created_at), usedIds),
+                    title: conversation.name || ChatApp.Utils.deriveChatTitle(ChatApp.Api.extractTextFromParts(history[0].content.parts)),
+                    history
+                });
+            });
+            return result;
+        }
+    },
+
     UI: {
         elements: {},
+        _streamRenderers: new WeakMap(),
+        _codeBlockIndex: new Map(),
+        _mermaidPromise: null,
+        _diagramCounter: 0,
         cacheElements() {
             this.elements = {
                 body: document.body,
@@ -771,6 +2211,7 @@ const ChatApp = {
                 settingsButton: document.getElementById('toggle-options-button'),
                 promptLauncherButton: document.getElementById('prompt-launcher-button'),
                 attachFileButton: document.getElementById('attach-file-button'),
+                searchOptionsButton: document.getElementById('search-options-button'),
                 fileInput: document.getElementById('file-input'),
                 filePreviewsContainer: document.getElementById('file-previews-container'),
                 fullscreenOverlay: document.getElementById('fullscreen-preview-overlay'),
@@ -794,11 +2235,10 @@ const ChatApp = {
                 profileAvatar: document.getElementById('profile-avatar'),
                 profileName: document.getElementById('profile-display-name'),
                 
-                splitCanvasPanel: document.getElementById('split-canvas-panel'),
+                splitCanvasPanel: document.getElementById('split-canvas-container'),
                 canvasCloseBtn: document.getElementById('canvas-close-btn'),
                 canvasCodeTextarea: document.getElementById('canvas-code-textarea'),
-                canvasPreviewIframe: document.getElementById('canvas-preview-iframe'),
-                profileName: document.getElementById('profile-name')
+                canvasPreviewIframe: document.getElementById('canvas-preview-iframe')
             };
         },
 
@@ -890,6 +2330,165 @@ const ChatApp = {
             });
             observer.observe(document.body, { childList: true, subtree: true });
         },
+        initFootnotePreviews() {
+            // One shared popover previews a footnote's definition while its reference is hovered or focused.
+            const preview = document.createElement('div');
+            preview.className = 'footnote-preview';
+            preview.setAttribute('role', 'tooltip');
+            preview.hidden = true;
+            document.body.appendChild(preview);
+            let hideTimeout;
+            let activeRef = null;
+
+            const show = (ref) => {
+                const note = document.getElementById(decodeURIComponent(ref.hash.slice(1)));
+                if (!note) return;
+                clearTimeout(hideTimeout);
+                const content = note.cloneNode(true);
+                content.querySelectorAll('.footnote-backref').forEach(link => link.remove());
+                content.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+                preview.innerHTML = content.innerHTML;
+                preview.hidden = false;
+                activeRef = ref;
+                const refRect = ref.getBoundingClientRect();
+                const previewRect = preview.getBoundingClientRect();
+                let top = refRect.top - previewRect.height - 8;
+                if (top < 10) top = refRect.bottom + 8;
+                const left = Math.max(10, Math.min(refRect.left - 20, window.innerWidth - previewRect.width - 10));
+                preview.style.top = `${top}px`;
+                preview.style.left = `${left}px`;
+            };
+            const scheduleHide = () => {
+                clearTimeout(hideTimeout);
+                hideTimeout = setTimeout(() => { preview.hidden = true; activeRef = null; }, 200);
+            };
+
+            document.body.addEventListener('mouseover', (e) => {
+                const ref = e.target.closest('.footnote-ref a');
+                if (ref && ref !== activeRef) show(ref);
+                else if (ref || preview.contains(e.target)) clearTimeout(hideTimeout);
+            });
+            document.body.addEventListener('mouseout', (e) => {
+                const from = e.target.closest('.footnote-ref a') || (preview.contains(e.target) ? preview : null);
+                if (from && !from.contains(e.relatedTarget)) scheduleHide();
+            });
+            document.addEventListener('focusin', (e) => {
+                const ref = e.target.closest?.('.footnote-ref a');
+                if (ref) show(ref);
+                else if (!preview.hidden) scheduleHide();
+            });
+            document.addEventListener('scroll', () => { preview.hidden = true; activeRef = null; }, { capture: true, passive: true });
+        },
+        _loadMermaid() {
+            if (!this._mermaidPromise) {
+                this._mermaidPromise = import(ChatApp.Config.MERMAID_MODULE_URL)
+                    .then(module => module.default)
+                    .catch(error => { this._mermaidPromise = null; throw error; });
+            }
+            return this._mermaidPromise;
+        },
+        async _renderDiagramsInElement(element) {
+            const boxes = [...element.querySelectorAll('.mermaid-render-box[data-mermaid-source]')];
+            if (boxes.length === 0) return;
+            let mermaid;
+            try {
+                mermaid = await this._loadMermaid();
+            } catch (error) {
+                console.warn('Mermaid library not loaded. Diagrams are shown as source.', error);
+                boxes.forEach(box => this._showDiagramFallback(box));
+                return;
+            }
+            const theme = document.documentElement.getAttribute('data-theme') === 'light' ? 'default' : 'dark';
+            // Plain SVG labels (no foreignObject) keep PNG export from tainting the canvas.
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme, flowchart: { htmlLabels: false } });
+            for (const box of boxes) {
+                const source = decodeURIComponent(box.dataset.mermaidSource);
+                box.removeAttribute('data-mermaid-source');
+                const id = `mermaid-diagram-${++this._diagramCounter}`;
+                try {
+                    const { svg } = await mermaid.render(id, source);
+                    box.innerHTML = svg;
+                    box.closest('.mermaid-preview-container')?.classList.add('is-rendered');
+                } catch (error) {
+                    // Mermaid leaves its error graphic in the body on a failed parse.
+                    document.getElementById(`d${id}`)?.remove();
+                    this._showDiagramFallback(box);
+                }
+            }
+        },
+        _showDiagramFallback(box) {
+            const container = box.closest('.mermaid-preview-container');
+            box.remove();
+            container?.querySelector('.code-block-wrapper')?.classList.remove('is-collapsed');
+        },
+        buildMermaidDocument(source) {
+            const theme = document.documentElement.getAttribute('data-theme') === 'light' ? 'default' : 'dark';
+            return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Diagram</title>
+<style>body{margin:0;padding:16px;display:flex;justify-content:center;background:${theme === 'dark' ? '#1e1e1e' : '#ffffff'};}</style>
+</head><body>
+<pre class="mermaid">${ChatApp.Utils.escapeHTML(source)}</pre>
+<script type="module">
+import mermaid from '${ChatApp.Config.MERMAID_MODULE_URL}';
+mermaid.initialize({ startOnLoad: true, securityLevel: 'strict', theme: '${theme}' });
+</script>
+</body></html>`;
+        },
+        _serializeSvg(svgEl) {
+            // Charts draw with currentColor; pin it so the file keeps the on-screen text color.
+            const clone = svgEl.cloneNode(true);
+            clone.setAttribute('color', getComputedStyle(svgEl).color);
+            clone.querySelectorAll('.is-hidden').forEach(el => el.remove());
+            return new XMLSerializer().serializeToString(clone);
+        },
+        _enhanceChart(box) {
+            const svgEl = box.querySelector('svg');
+            if (!svgEl || box.querySelector('.chart-tooltip')) return;
+            const tooltip = document.createElement('div');
+            tooltip.className = 'chart-tooltip';
+            tooltip.hidden = true;
+            box.appendChild(tooltip);
+
+            box.addEventListener('pointermove', (e) => {
+                const target = e.target.closest('[data-chart-tip]');
+                if (!target) { tooltip.hidden = true; return; }
+                const bounds = box.getBoundingClientRect();
+                tooltip.textContent = target.dataset.chartTip;
+                tooltip.hidden = false;
+                tooltip.style.left = `${e.clientX - bounds.left + 12}px`;
+                tooltip.style.top = `${e.clientY - bounds.top + 12}px`;
+            });
+            box.addEventListener('pointerleave', () => { tooltip.hidden = true; });
+
+            // Legend entries toggle their series.
+            svgEl.querySelectorAll('.chart-legend [data-chart-series]').forEach(entry => {
+                entry.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const hidden = entry.classList.toggle('is-muted');
+                    svgEl.querySelectorAll(`[data-chart-series="${entry.dataset.chartSeries}"]:not(.chart-legend *)`)
+                        .forEach(el => el.classList.toggle('is-hidden', hidden));
+                });
+            });
+        },
+        async _diagramToPngBlob(svgEl, scale = 2) {
+            const viewBox = svgEl.viewBox?.baseVal;
+            const rect = svgEl.getBoundingClientRect();
+            const width = viewBox?.width || rect.width;
+            const height = viewBox?.height || rect.height;
+            const image = new Image();
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this._serializeSvg(svgEl))}`;
+            await image.decode();
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--chat-container-bg').trim() || '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            });
+        },
         applyTheme(themeName) {
             document.documentElement.setAttribute('data-theme', themeName);
             ChatApp.Store.saveTheme(themeName);
@@ -920,8 +2519,18 @@ const ChatApp = {
             if (!area) return;
             requestAnimationFrame(() => { area.scrollTop = area.scrollHeight; });
         },
+        revealMessage(messageId) {
+            const messageEl = this.elements.messageArea?.querySelector(`[data-message-id='${CSS.escape(String(messageId))}']`);
+            if (!messageEl) { this.forceScrollToBottom(); return; }
+            messageEl.scrollIntoView({ block: 'center' });
+            messageEl.classList.remove('search-hit');
+            void messageEl.offsetWidth;
+            messageEl.classList.add('search-hit');
+            setTimeout(() => messageEl.classList.remove('search-hit'), 2000);
+        },
         clearChatArea() {
             this.elements.messageArea.innerHTML = '';
+            this._codeBlockIndex.clear();
             this.elements.chatInput.value = '';
             this.elements.chatInput.style.height = 'auto';
             this.toggleSendButtonState();
@@ -949,6 +2558,98 @@ const ChatApp = {
         toggleStopButton(isGenerating) {
             this.elements.stopButton.style.display = isGenerating ? 'flex' : 'none';
         },
+        initSearchOptions() {
+            const button = this.elements.searchOptionsButton;
+            const inputContainer = document.querySelector('.chat-input-container');
+            if (!button || !inputContainer) return;
+
+            const { JBAI_SEARCH_TOPICS, JBAI_SEARCH_DEPTHS, JBAI_TIME_RANGES, JBAI_MAX_SEARCH_SOURCES } = ChatApp.Config;
+            const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+            const field = (name, label, choices, emptyLabel = 'Auto') => `
+                <label class="search-options-field">
+                    <span>${label}</span>
+                    <select data-search-option="${name}">
+                        <option value="">${emptyLabel}</option>
+                        ${choices.map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+                    </select>
+                </label>`;
+            const sourceCounts = Array.from({ length: JBAI_MAX_SEARCH_SOURCES - 2 }, (_, i) => [String(i + 3), String(i + 3)]);
+
+            const popover = document.createElement('div');
+            popover.id = 'search-options-popover';
+            popover.className = 'search-options-popover';
+            popover.setAttribute('role', 'dialog');
+            popover.setAttribute('aria-label', 'Search options');
+            popover.hidden = true;
+            popover.innerHTML = `
+                <div class="search-options-header">
+                    <span>Search options</span>
+                    <button type="button" class="search-options-reset">Reset</button>
+                </div>
+                <div class="search-options-grid">
+                    ${field('topic', 'Topic', JBAI_SEARCH_TOPICS.map(topic => [topic, capitalize(topic)]))}
+                    ${field('depth', 'Depth', JBAI_SEARCH_DEPTHS.map(depth => [depth, capitalize(depth)]))}
+                    ${field('maxSources', 'Sources', sourceCounts)}
+                    ${field('timeRange', 'Recency', Object.entries(JBAI_TIME_RANGES), 'Any time')}
+                </div>
+                <label class="search-options-field">
+                    <span>Only these domains</span>
+                    <input type="text" data-search-option="includeDomains" placeholder="example.com, docs.python.org" spellcheck="false">
+                </label>
+                <label class="search-options-field">
+                    <span>Exclude domains</span>
+                    <input type="text" data-search-option="excludeDomains" placeholder="pinterest.com" spellcheck="false">
+                </label>
+                <p class="search-options-note">Applies to each J.B.A.I message until reset. Open Research under a reply to see the settings it used.</p>`;
+            inputContainer.appendChild(popover);
+            this.elements.searchOptionsPopover = popover;
+
+            const update = (options) => {
+                ChatApp.State.jbAiSearchOptions = ChatApp.Utils.normalizeJbAiSearchOptions(options);
+                this.syncSearchOptionsPopover();
+                this.renderSearchOptionsButton();
+            };
+            popover.addEventListener('change', (e) => {
+                const name = e.target.dataset.searchOption;
+                if (name) update({ ...ChatApp.State.jbAiSearchOptions, [name]: e.target.value });
+            });
+            popover.querySelector('.search-options-reset').addEventListener('click', () => update({}));
+            popover.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.stopPropagation();
+                this.toggleSearchOptions(false);
+                button.focus();
+            });
+            button.addEventListener('click', () => this.toggleSearchOptions());
+            document.addEventListener('click', (e) => {
+                if (!popover.hidden && !popover.contains(e.target) && !button.contains(e.target)) this.toggleSearchOptions(false);
+            });
+            this.renderSearchOptionsButton();
+        },
+        toggleSearchOptions(open = this.elements.searchOptionsPopover?.hidden) {
+            const popover = this.elements.searchOptionsPopover;
+            if (!popover) return;
+            if (open) this.syncSearchOptionsPopover();
+            popover.hidden = !open;
+            this.elements.searchOptionsButton.setAttribute('aria-expanded', String(Boolean(open)));
+            if (open) popover.querySelector('select')?.focus();
+        },
+        syncSearchOptionsPopover() {
+            const options = ChatApp.State.jbAiSearchOptions;
+            this.elements.searchOptionsPopover?.querySelectorAll('[data-search-option]').forEach((input) => {
+                const value = options[input.dataset.searchOption];
+                input.value = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+            });
+        },
+        // The options only mean something to the J.B.A.I backend, so the button follows the active provider.
+        renderSearchOptionsButton() {
+            const button = this.elements.searchOptionsButton;
+            if (!button) return;
+            const isJbAi = ChatApp.Store.getActiveProviderSettings().provider === ChatApp.Config.PROVIDERS.JBAI;
+            button.style.display = isJbAi ? '' : 'none';
+            button.classList.toggle('has-custom-options', Object.keys(ChatApp.State.jbAiSearchOptions).length > 0);
+            if (!isJbAi) this.toggleSearchOptions(false);
+        },
         initSlashAutocomplete() {
             const inputContainer = document.querySelector('.chat-input-container');
             if (!inputContainer) return;
@@ -1540,6 +3241,13 @@ const ChatApp = {
                 return;
             }
 
+            const isSearching = Boolean(ChatApp.State.searchQuery.trim());
+            this.elements.sidebarChatsContainer?.classList.toggle('is-searching', isSearching);
+            if (isSearching) {
+                this.renderSearchResults(list);
+                return;
+            }
+
             let collapsed = [];
             try {
                 const stored = localStorage.getItem(ChatApp.Store.getProfileKey('collapsed_folders'));
@@ -1694,6 +3402,43 @@ const ChatApp = {
                 });
             }
         },
+        renderSearchResults(list) {
+            const results = ChatApp.Search.search(ChatApp.State.searchQuery);
+            if (results.length === 0) {
+                const emptyState = document.createElement('div');
+                emptyState.className = 'conversation-empty';
+                emptyState.textContent = ChatApp.Search.index ? 'No matches' : 'Building search index...';
+                list.appendChild(emptyState);
+                return;
+            }
+
+            results.forEach((result) => {
+                const chat = ChatApp.State.allConversations.find(c => String(c.id) === result.chatId);
+                if (!chat) return;
+                const message = result.messageId ? chat.history.find(msg => msg.id === result.messageId) : null;
+                const title = chat.title || 'Untitled Chat';
+
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'search-result';
+                item.setAttribute('role', 'listitem');
+
+                const titleEl = document.createElement('span');
+                titleEl.className = 'search-result-title';
+                titleEl.innerHTML = message ? ChatApp.Utils.escapeHTML(title) : ChatApp.Search.buildSnippet(title, result.terms);
+
+                item.appendChild(titleEl);
+                if (message) {
+                    const snippetEl = document.createElement('span');
+                    snippetEl.className = 'search-result-snippet';
+                    snippetEl.innerHTML = ChatApp.Search.buildSnippet(ChatApp.Search.getMessageText(message), result.terms);
+                    item.appendChild(snippetEl);
+                }
+
+                item.addEventListener('click', () => ChatApp.Controller.loadChat(chat.id, { messageId: result.messageId }));
+                list.appendChild(item);
+            });
+        },
         createChatSidebarItem(chat) {
             const item = document.createElement('div');
             item.className = 'conversation-item';
@@ -1982,7 +3727,7 @@ const ChatApp = {
                     canvasBtn.className = 'my-stuff-action-btn';
                     canvasBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon></svg>';
                     canvasBtn.title = 'Open in Canvas';
-                    canvasBtn.addEventListener('click', (e) => { e.stopPropagation(); this.openCanvasPanel(item.content, item.type === 'html' ? 'preview' : 'code'); });
+                    canvasBtn.addEventListener('click', (e) => { e.stopPropagation(); this.openCanvasPanel(item.content, item.type === 'html' ? 'preview' : 'editor'); });
                     actions.appendChild(canvasBtn);
                 } else if (item.type === 'image') {
                     const viewBtn = document.createElement('button');
@@ -2003,19 +3748,234 @@ const ChatApp = {
             const chatMain = document.getElementById('chat-main-area');
             if (chatMain) chatMain.style.display = 'flex';
         },
+        _fillAvatar(element, account) {
+            element.innerHTML = '';
+            element.style.backgroundColor = account.pfp ? 'transparent' : account.themeColor;
+            if (account.pfp) {
+                const img = document.createElement('img');
+                img.src = account.pfp;
+                img.alt = '';
+                img.style.width = '100%';
+                img.style.height = '100%';
+                img.style.borderRadius = '50%';
+                img.style.objectFit = 'cover';
+                element.appendChild(img);
+            } else {
+                element.textContent = (account.username.trim()[0] || 'U').toUpperCase();
+            }
+        },
         renderProfileWidget() {
             const avatar = this.elements.profileAvatar;
             const nameEl = this.elements.profileName;
             if (avatar && nameEl) {
-                avatar.innerHTML = '';
-                avatar.textContent = 'U';
-                avatar.style.backgroundColor = '#4f46e5';
-                nameEl.textContent = 'User';
+                const account = ChatApp.Accounts.getActiveAccount();
+                this._fillAvatar(avatar, account);
+                nameEl.textContent = account.username;
+                this.elements.profileWidget?.setAttribute('aria-label', `Profile: ${account.username}. Manage profiles`);
             }
         },
+        resizeAvatar(file) {
+            return new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const img = new Image();
+                img.onload = () => {
+                    const size = ChatApp.Config.AVATAR_SIZE_PX;
+                    const canvas = document.createElement('canvas');
+                    canvas.width = size; canvas.height = size;
+                    // Center-crop to a square so the circle mask never squashes the picture.
+                    const side = Math.min(img.naturalWidth, img.naturalHeight);
+                    const sx = (img.naturalWidth - side) / 2;
+                    const sy = (img.naturalHeight - side) / 2;
+                    canvas.getContext('2d').drawImage(img, sx, sy, side, side, 0, 0, size, size);
+                    URL.revokeObjectURL(url);
+                    resolve(canvas.toDataURL('image/jpeg', 0.85));
+                };
+                img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not read that image.')); };
+                img.src = url;
+            });
+        },
         showAccountManagerModal() {
-            // Open settings modal instead of account manager
-            this.renderSettingsModal();
+            if (document.querySelector('.modal-overlay')) return;
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+            <div class="settings-card" role="dialog" aria-modal="true" aria-labelledby="profiles-title">
+                <h2 id="profiles-title">Profiles</h2>
+                <p style="font-size:0.85em; color:var(--text-secondary); margin-bottom:16px;">
+                    Each profile keeps its own chats, folders, presets, provider keys and settings in this browser. Profiles are not password protected.
+                </p>
+                <div class="profile-modal-grid"></div>
+                <div class="profile-creator">
+                    <h3 id="profile-form-title">New Profile</h3>
+                    <form class="profile-creator-form">
+                        <div class="avatar-upload">
+                            <div class="avatar-preview profile-card-avatar"></div>
+                            <div class="profile-creator-row">
+                                <button type="button" id="profile-avatar-upload-btn">Upload Picture</button>
+                                <button type="button" id="profile-avatar-clear-btn">Remove Picture</button>
+                            </div>
+                            <input type="file" id="profile-avatar-input" accept="image/*" hidden>
+                        </div>
+                        <div class="input-group">
+                            <label for="profile-name-input">Name</label>
+                            <input id="profile-name-input" type="text" maxlength="40" autocomplete="off" required>
+                        </div>
+                        <div class="profile-creator-row">
+                            <div class="color-dot-selector" role="radiogroup" aria-label="Profile color"></div>
+                        </div>
+                        <div class="profile-creator-row">
+                            <button type="submit" class="btn-primary" id="profile-submit-btn">Create Profile</button>
+                            <button type="button" id="profile-cancel-edit-btn" hidden>Cancel</button>
+                        </div>
+                    </form>
+                </div>
+                <button id="closeProfilesBtn" type="button" class="btn-primary">Close</button>
+            </div>`;
+            document.body.appendChild(overlay);
+            overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+
+            const grid = overlay.querySelector('.profile-modal-grid');
+            const form = overlay.querySelector('.profile-creator-form');
+            const formTitle = overlay.querySelector('#profile-form-title');
+            const nameInput = overlay.querySelector('#profile-name-input');
+            const avatarPreview = overlay.querySelector('.avatar-preview');
+            const avatarInput = overlay.querySelector('#profile-avatar-input');
+            const colorSelector = overlay.querySelector('.color-dot-selector');
+            const submitBtn = overlay.querySelector('#profile-submit-btn');
+            const cancelEditBtn = overlay.querySelector('#profile-cancel-edit-btn');
+            const colors = ChatApp.Config.ACCOUNT_COLORS;
+            let draft = null;
+
+            const renderDraft = () => {
+                formTitle.textContent = draft.id ? 'Edit Profile' : 'New Profile';
+                submitBtn.textContent = draft.id ? 'Save Changes' : 'Create Profile';
+                cancelEditBtn.hidden = !draft.id;
+                this._fillAvatar(avatarPreview, { ...draft, username: nameInput.value || draft.username || '?' });
+                colorSelector.querySelectorAll('.color-dot').forEach((dot) => {
+                    const selected = dot.dataset.color === draft.themeColor;
+                    dot.classList.toggle('selected', selected);
+                    dot.setAttribute('aria-checked', String(selected));
+                });
+            };
+            const resetDraft = (account = null) => {
+                draft = account
+                    ? { ...account }
+                    : { id: null, username: '', pfp: null, themeColor: colors[ChatApp.State.accounts.length % colors.length] };
+                nameInput.value = draft.username;
+                renderDraft();
+            };
+
+            colors.forEach((color) => {
+                const dot = document.createElement('span');
+                dot.className = 'color-dot';
+                dot.dataset.color = color;
+                dot.style.backgroundColor = color;
+                dot.tabIndex = 0;
+                dot.setAttribute('role', 'radio');
+                dot.setAttribute('aria-label', color);
+                const pick = () => { draft.themeColor = color; renderDraft(); };
+                dot.addEventListener('click', pick);
+                dot.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); pick(); } });
+                colorSelector.appendChild(dot);
+            });
+
+            const renderCards = () => {
+                grid.innerHTML = '';
+                ChatApp.State.accounts.forEach((account) => {
+                    const card = document.createElement('div');
+                    card.className = 'profile-card' + (account.id === ChatApp.State.activeAccountId ? ' active' : '');
+                    card.tabIndex = 0;
+                    card.setAttribute('role', 'button');
+                    card.setAttribute('aria-label', `Switch to ${account.username}`);
+
+                    const avatar = document.createElement('div');
+                    avatar.className = 'profile-card-avatar';
+                    this._fillAvatar(avatar, account);
+                    const name = document.createElement('div');
+                    name.className = 'profile-card-name';
+                    name.textContent = account.username;
+
+                    const editBtn = document.createElement('button');
+                    editBtn.type = 'button';
+                    editBtn.className = 'profile-card-edit';
+                    editBtn.title = 'Edit profile';
+                    editBtn.innerHTML = ChatApp.Config.ICONS.EDIT;
+                    editBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        resetDraft(account);
+                        nameInput.focus();
+                    });
+
+                    card.append(avatar, name, editBtn);
+                    if (ChatApp.State.accounts.length > 1) {
+                        const deleteBtn = document.createElement('button');
+                        deleteBtn.type = 'button';
+                        deleteBtn.className = 'profile-card-delete';
+                        deleteBtn.title = 'Delete profile';
+                        deleteBtn.textContent = '✕';
+                        deleteBtn.addEventListener('click', async (e) => {
+                            e.stopPropagation();
+                            if (!confirm(`Delete "${account.username}" and all of its chats, folders and settings? This cannot be undone.`)) return;
+                            if (await ChatApp.Accounts.deleteAccount(account.id)) {
+                                if (draft.id === account.id) resetDraft();
+                                renderCards();
+                                ChatApp.UI.showToast('Profile deleted.');
+                            }
+                        });
+                        card.appendChild(deleteBtn);
+                    }
+
+                    const activate = async () => {
+                        await ChatApp.Accounts.switchAccount(account.id);
+                        renderCards();
+                    };
+                    card.addEventListener('click', activate);
+                    card.addEventListener('keydown', (e) => {
+                        if (e.target !== card || (e.key !== 'Enter' && e.key !== ' ')) return;
+                        e.preventDefault();
+                        activate();
+                    });
+                    grid.appendChild(card);
+                });
+            };
+
+            nameInput.addEventListener('input', renderDraft);
+            overlay.querySelector('#profile-avatar-upload-btn').addEventListener('click', () => avatarInput.click());
+            overlay.querySelector('#profile-avatar-clear-btn').addEventListener('click', () => { draft.pfp = null; renderDraft(); });
+            avatarInput.addEventListener('change', async () => {
+                const file = avatarInput.files[0];
+                avatarInput.value = '';
+                if (!file) return;
+                if (!file.type.startsWith('image/') || file.size > ChatApp.Config.MAX_FILE_SIZE_BYTES) {
+                    ChatApp.UI.showToast('Pick an image under 4MB.', 'error');
+                    return;
+                }
+                try {
+                    draft.pfp = await this.resizeAvatar(file);
+                    renderDraft();
+                } catch (error) {
+                    ChatApp.UI.showToast(error.message, 'error');
+                }
+            });
+            cancelEditBtn.addEventListener('click', () => resetDraft());
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const username = nameInput.value.trim();
+                if (!username) { nameInput.focus(); return; }
+                if (draft.id) {
+                    ChatApp.Accounts.updateAccount(draft.id, { username, pfp: draft.pfp, themeColor: draft.themeColor });
+                    ChatApp.UI.showToast('Profile updated.');
+                } else {
+                    ChatApp.Accounts.createAccount({ username, pfp: draft.pfp, themeColor: draft.themeColor });
+                    ChatApp.UI.showToast(`Profile "${username}" created.`);
+                }
+                resetDraft();
+                renderCards();
+            });
+            overlay.querySelector('#closeProfilesBtn').addEventListener('click', () => overlay.remove());
+
+            resetDraft();
+            renderCards();
         },
         openCanvasPanel(code, tab = 'preview') {
             const panel = this.elements.splitCanvasPanel;
@@ -2032,9 +3992,84 @@ const ChatApp = {
             const tabs = document.querySelectorAll('.canvas-tab');
             tabs.forEach(btn => { if (btn.dataset.tab === tabName) btn.classList.add('active'); else btn.classList.remove('active'); });
             const contents = document.querySelectorAll('.canvas-tab-content');
-            contents.forEach(cont => { if (cont.dataset.tab === tabName) cont.style.display = 'flex'; else cont.style.display = 'none'; });
+            contents.forEach(cont => { if (cont.id === `canvas-${tabName}-tab`) cont.style.display = 'flex'; else cont.style.display = 'none'; });
             if (tabName === 'preview') this.runCanvasCode();
         },
+        applyPatchToCanvas(patchText) {
+            const textarea = this.elements.canvasCodeTextarea;
+            if (!textarea || !textarea.value) { this.showToast('Open the code to patch in the Canvas editor first.', 'error'); return; }
+            const files = DiffRenderer.parse(patchText);
+            if (!DiffRenderer.hasChanges(files)) { this.showToast('This block has no changes to apply.', 'error'); return; }
+            const result = DiffRenderer.apply(textarea.value, files);
+            if (result.applied === 0) { this.showToast('None of the hunks match the Canvas code.', 'error'); return; }
+            textarea.value = result.text;
+            this.elements.splitCanvasPanel.style.display = 'flex';
+            this.switchCanvasTab('editor');
+            if (result.failed.length) this.showToast(`Applied ${result.applied} of ${result.total} hunks. Hunk ${result.failed.join(', ')} did not match.`, 'error');
+            else this.showToast(`Applied ${result.total} hunk${result.total !== 1 ? 's' : ''} to Canvas.`);
+        },
+        // Code blocks are indexed by language and trimmed line as the chat renders, so finding the version a block
+        // revises only visits blocks that share a line with it instead of rescanning the whole chat.
+        _indexCodeBlock(wrapper) {
+            const lang = wrapper.dataset.previewable;
+            if (!this._codeBlockIndex.has(lang)) this._codeBlockIndex.set(lang, new Map());
+            const byLine = this._codeBlockIndex.get(lang);
+            const entry = { wrapper, content: this._decodeRawContent(wrapper) };
+            const lines = new Set(entry.content.split('\n').map(line => line.trim()).filter(Boolean));
+            lines.forEach((line) => {
+                if (!byLine.has(line)) byLine.set(line, []);
+                byLine.get(line).push(entry);
+            });
+            return { entry, lines, byLine };
+        },
+        _findPreviousCodeBlock(wrapper) {
+            const { entry: current, lines, byLine } = this._indexCodeBlock(wrapper);
+            const shared = new Map();
+            lines.forEach(line => byLine.get(line).forEach((entry) => {
+                if (entry !== current) shared.set(entry, (shared.get(entry) || 0) + 1);
+            }));
+            const precedes = (a, b) => Boolean(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+            let best = null;
+            let bestShared = 0;
+            // Among earlier blocks in the same language, the one sharing the most lines wins; the nearest breaks ties.
+            for (const [entry, count] of shared) {
+                if (!entry.wrapper.isConnected || entry.content === current.content || !precedes(entry.wrapper, wrapper)) continue;
+                if (count > bestShared || (count === bestShared && precedes(best.wrapper, entry.wrapper))) { best = entry; bestShared = count; }
+            }
+            return best?.wrapper || null;
+        },
+        _decodeRawContent(wrapper) {
+            try {
+                return decodeURIComponent(wrapper.dataset.rawContent || '');
+            } catch {
+                return wrapper.dataset.rawContent || '';
+            }
+        },
+        showCodeComparison(previousWrapper, wrapper) {
+            if (document.querySelector('.modal-overlay')) return;
+            const lang = wrapper.dataset.previewable;
+            const hunks = DiffRenderer.diffTexts(this._decodeRawContent(previousWrapper), this._decodeRawContent(wrapper));
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+            <div class="settings-card diff-compare-card" role="dialog" aria-modal="true" aria-labelledby="diff-compare-title">
+                <h2 id="diff-compare-title">Changes from the previous version</h2>
+                <div class="diff-compare-body">${DiffRenderer.render([{ oldPath: '', newPath: '', hunks }], lang)}</div>
+                <button type="button" class="btn-primary diff-compare-close">Close</button>
+            </div>`;
+            document.body.appendChild(overlay);
+            overlay.addEventListener('click', e => {
+                if (e.target === overlay) { overlay.remove(); return; }
+                const modeBtn = e.target.closest('.diff-mode-button');
+                if (modeBtn) this._setDiffMode(modeBtn.closest('.diff-view'), modeBtn.dataset.diffMode);
+            });
+            overlay.querySelector('.diff-compare-close').addEventListener('click', () => overlay.remove());
+        },
+        _setDiffMode(view, mode) {
+            if (!view) return;
+            view.dataset.diffMode = mode;
+            view.querySelectorAll('.diff-mode-button').forEach(btn => btn.classList.toggle('is-active', btn.dataset.diffMode === mode));
+        },
         runCanvasCode() {
             const code = this.elements.canvasCodeTextarea ? this.elements.canvasCodeTextarea.value : '';
             const iframe = this.elements.canvasPreviewIframe;
@@ -2163,7 +4198,8 @@ const ChatApp = {
                     }));
                 }
                 messageEl.className = `message ${sender}`;
-                contentEl.innerHTML = await MessageFormatter.format(rawContent, groundingMetadata);
+                contentEl.innerHTML = await MessageFormatter.format(rawContent, groundingMetadata, { toolCallKey: message.toolCallKey });
+                void this._renderDiagramsInElement(contentEl);
                 if (attachments && attachments.length > 0) {
                     const attachmentsContainer = this._createAttachmentsContainer(attachments);
                     contentEl.prepend(attachmentsContainer);
@@ -2175,6 +4211,7 @@ const ChatApp = {
                 let textRepresentation = '';
                 if (Array.isArray(rawContent)) { textRepresentation = rawContent.map(p => p.text || '').join('\n'); } else { textRepresentation = rawContent; }
                 this._addMessageInteractions(messageEl, textRepresentation, message.id); 
+                this._addMessageToolbar(messageEl, message.id);
             }
             this.scrollToBottom();
             return messageEl;
@@ -2234,29 +4271,453 @@ const ChatApp = {
             this.toggleSendButtonState();
         },
         async updateStreamingMessage(messageEl, rawText) {
-             const contentEl = messageEl.querySelector('.message-content');
-             contentEl.innerHTML = await MessageFormatter.format(rawText);
-             if (!contentEl.classList.contains('result-streaming')) {
-                 contentEl.classList.add('result-streaming');
-             }
-             this._renderMathInElement(contentEl);
+            const contentEl = messageEl.querySelector('.message-content');
+            let stream = this._streamRenderers.get(messageEl);
+            if (!stream || !rawText.startsWith(stream.committedText)) {
+                // First chunk, or the text was replaced wholesale: start over.
+                const tail = document.createElement('div');
+                tail.className = 'streaming-tail';
+                contentEl.replaceChildren(tail);
+                stream = { committedText: '', tail, footnoteMap: new Map() };
+                this._streamRenderers.set(messageEl, stream);
+            }
+            contentEl.classList.add('result-streaming');
+
+            // Closed blocks are rendered and activated once; only the open tail is re-rendered per chunk.
+            const toolCallKey = messageEl.dataset.toolCallKey;
+            const boundary = MessageFormatter.findStableBoundary(rawText, stream.committedText.length);
+            if (boundary > stream.committedText.length) {
+                const template = document.createElement('template');
+                template.innerHTML = await MessageFormatter.format(rawText.slice(stream.committedText.length, boundary), null, { footnoteMap: stream.footnoteMap, toolCallKey });
+                this._renderMathInElement(template.content);
+                void this._renderDiagramsInElement(template.content);
+                contentEl.insertBefore(template.content, stream.tail);
+                stream.committedText = rawText.slice(0, boundary);
+            }
+            stream.tail.innerHTML = await MessageFormatter.format(rawText.slice(boundary), null, { streaming: true, footnoteMap: new Map(stream.footnoteMap), toolCallKey });
         },
         async finalizeBotMessage(messageEl, contentParts, messageId, botMessageForState) {
             if (ChatApp.State.typingInterval) { clearInterval(ChatApp.State.typingInterval); ChatApp.State.typingInterval = null; }
             messageEl.classList.remove('thinking');
             messageEl.dataset.messageId = messageId;
             const contentEl = messageEl.querySelector('.message-content');
+            this._streamRenderers.delete(messageEl);
             
             contentEl.classList.remove('result-streaming');
 
             const fullText = Array.isArray(contentParts) ? contentParts.map(p => p.text || '').join('\n') : contentParts;
             const groundingMetadata = botMessageForState.content.groundingMetadata || null;
 
-            contentEl.innerHTML = await MessageFormatter.format(contentParts, groundingMetadata);
+            contentEl.innerHTML = await MessageFormatter.format(contentParts, groundingMetadata, { toolCallKey: botMessageForState.toolCallKey });
             this._renderMathInElement(contentEl);
+            void this._renderDiagramsInElement(contentEl);
             this._addMessageInteractions(messageEl, fullText, messageId);
             this.scrollToBottom();
             ChatApp.Controller.completeGeneration(botMessageForState);
+            this._addMessageToolbar(messageEl, messageId);
+        },
+        _addMessageToolbar(messageEl, messageId) {
+            const contentEl = messageEl.querySelector('.message-content');
+            const index = ChatApp.State.getMessageIndex(messageId);
+            if (!contentEl || index === -1) return;
+
+            const conversation = ChatApp.State.currentConversation;
+            const message = conversation[index];
+            const role = message.content.role;
+            const branchCount = Array.isArray(message.branches) ? message.branches.length + 1 : 1;
+            const canRegenerate = role === 'model' && index > 0 && conversation[index - 1].content.role === 'user';
+            const canEdit = role === 'user' && message.content.parts.some(part => typeof part.text === 'string');
+            const research = role === 'model' ? this._getResearchData(message) : null;
+            if (research?.insufficientContext) contentEl.prepend(this._buildResearchWarning());
+            if (role === 'model' && message.interrupted) contentEl.appendChild(this._buildInterruptedNotice(message, index === conversation.length - 1));
+            const debugTrace = role === 'model' ? this._buildDebugTrace(message.debugTrace) : null;
+            if (debugTrace) contentEl.appendChild(debugTrace);
+            if (branchCount < 2 && !canRegenerate && !canEdit && !research) return;
+
+            const { CHEVRON_LEFT, CHEVRON_RIGHT, EDIT, REGENERATE, RESEARCH } = ChatApp.Config.ICONS;
+            const toolbar = document.createElement('div');
+            toolbar.className = 'message-toolbar';
+            const addButton = (className, icon, tooltip, onClick, disabled = false) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = className;
+                button.innerHTML = icon;
+                button.disabled = disabled;
+                button.setAttribute('data-tooltip', tooltip);
+                button.setAttribute('aria-label', tooltip);
+                button.addEventListener('click', (e) => { e.stopPropagation(); onClick(); });
+                toolbar.appendChild(button);
+            };
+
+            if (branchCount > 1) {
+                const activeIndex = Math.min(message.branchIndex || 0, branchCount - 1);
+                addButton('branch-nav-btn', CHEVRON_LEFT, 'Previous version', () => ChatApp.Controller.switchBranch(messageId, -1), activeIndex === 0);
+                const counter = document.createElement('span');
+                counter.className = 'branch-counter';
+                counter.textContent = `${activeIndex + 1}/${branchCount}`;
+                toolbar.appendChild(counter);
+                addButton('branch-nav-btn', CHEVRON_RIGHT, 'Next version', () => ChatApp.Controller.switchBranch(messageId, 1), activeIndex === branchCount - 1);
+            }
+            if (canEdit) {
+                addButton('message-action-btn', EDIT, 'Edit and resend', () => ChatApp.Controller.editMessage(messageId));
+            }
+            if (canRegenerate) {
+                addButton('message-action-btn', REGENERATE, 'Regenerate response', () => ChatApp.Controller.regenerateMessage(messageId));
+            }
+            if (research) {
+                addButton('message-action-btn research-toggle-btn', RESEARCH, 'Research: queries and sources', () => this.toggleResearchDrawer(contentEl, research));
+                toolbar.lastElementChild.setAttribute('aria-expanded', 'false');
+            }
+            contentEl.appendChild(toolbar);
+        },
+        // Reads the J.B.A.I searchMetadata stored on a reply; a source counts as cited when the reply text outside code
+        // contains its [n] marker.
+        _getResearchData(message) {
+            const meta = message?.searchMetadata && typeof message.searchMetadata === 'object' ? message.searchMetadata : {};
+            const queries = (Array.isArray(meta.queries) ? meta.queries : []).filter(query => typeof query === 'string' && query.trim());
+            const text = (message.content?.parts || []).map(part => part.text || '').join('\n')
+                .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[`~]*[ \t]*$|(?![\s\S]))/gm, '')
+                .replace(/(`+)[^`]*?\1/g, '');
+            const citedIds = new Set([...text.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+
+            // `sources` carries scores and excerpts; `citations` lists the same documents, so it only fills gaps.
+            // `fetched` adds the sources the search returned but the answer was not given (older replies lack it).
+            const byUrl = new Map();
+            const sourceLists = [meta.sources, meta.citations, meta.fetched].map(list => (Array.isArray(list) ? list : []));
+            sourceLists.flat().forEach((item) => {
+                const url = typeof item?.url === 'string' ? item.url.trim() : '';
+                if (url && !byUrl.has(url)) byUrl.set(url, item);
+            });
+            const usedUrls = new Set([...sourceLists[0], ...sourceLists[1]].map(item => (typeof item?.url === 'string' ? item.url.trim() : '')));
+            const sources = [...byUrl.entries()].map(([url, item], index) => {
+                const used = usedUrls.has(url);
+                const id = used ? (Number.isInteger(item.id) ? item.id : index + 1) : null;
+                let domain = typeof item.domain === 'string' ? item.domain : '';
+                if (!domain) { try { domain = new URL(url).hostname; } catch { domain = ''; } }
+                return {
+                    id,
+                    url,
+                    domain,
+                    title: typeof item.title === 'string' && item.title.trim() ? item.title.trim() : (domain || url),
+                    publishedAt: typeof item.published_at === 'string' ? item.published_at : null,
+                    excerpt: typeof item.excerpt === 'string' ? item.excerpt : '',
+                    used,
+                    cited: used && citedIds.has(id)
+                };
+            });
+
+            const insufficientContext = meta.insufficientContext === true;
+            const settings = this._describeSearchSettings(message?.searchSettings);
+            if (!queries.length && !sources.length && !insufficientContext && !settings.length) return null;
+            return { queries, sources, insufficientContext, settings };
+        },
+        // One line per setting the answer was searched with; automatic choices are marked so they read as defaults.
+        _describeSearchSettings(settings) {
+            if (!settings || typeof settings !== 'object') return [];
+            const auto = Array.isArray(settings.auto) ? settings.auto : [];
+            const capitalize = value => String(value).charAt(0).toUpperCase() + String(value).slice(1);
+            const mark = key => (auto.includes(key) ? ' (auto)' : '');
+            const lines = [];
+            if (settings.topic) lines.push(`Topic: ${capitalize(settings.topic)}${mark('topic')}`);
+            if (settings.depth) lines.push(`Depth: ${capitalize(settings.depth)}${mark('depth')}`);
+            if (settings.maxSources) lines.push(`Sources: up to ${settings.maxSources}${mark('maxSources')}`);
+            lines.push(`Recency: ${ChatApp.Config.JBAI_TIME_RANGES[settings.timeRange] || 'Any time'}`);
+            if (settings.includeDomains?.length) lines.push(`Only: ${settings.includeDomains.join(', ')}`);
+            if (settings.excludeDomains?.length) lines.push(`Excluding: ${settings.excludeDomains.join(', ')}`);
+            return lines;
+        },
+        _buildResearchWarning() {
+            const banner = document.createElement('div');
+            banner.className = 'research-warning';
+            banner.setAttribute('role', 'note');
+            banner.innerHTML = `${ChatApp.Config.ICONS.WARNING}<span>The web search did not find enough grounded evidence for this answer. Check the sources before relying on it.</span>`;
+            return banner;
+        },
+        // Continue needs the server to still hold the stream and the reply to be the last message it would extend.
+        _buildInterruptedNotice(message, isLast) {
+            const notice = document.createElement('div');
+            notice.className = 'stream-interrupted';
+            notice.setAttribute('role', 'note');
+            const canContinue = isLast && !message.interrupted.expired;
+            notice.innerHTML = `${ChatApp.Config.ICONS.WARNING}<span>${canContinue
+                ? 'The connection dropped before this answer finished.'
+                : 'This answer was cut off and can no longer be continued. Regenerate it for a complete reply.'}</span>`;
+            if (canContinue) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'stream-continue-btn';
+                button.textContent = 'Continue';
+                button.addEventListener('click', (e) => { e.stopPropagation(); ChatApp.Controller.continueMessage(message.id); });
+                notice.appendChild(button);
+            }
+            return notice;
+        },
+        // Renders the `debug` trace J.B.A.I returns for `debug: true`: one row per pipeline step with a bar on the shared
+        // time axis. Known stages get a readable summary; anything else the backend adds is shown as raw JSON.
+        _buildDebugTrace(trace) {
+            const steps = (Array.isArray(trace?.steps) ? trace.steps : []).filter(step => step && typeof step.stage === 'string');
+            if (!steps.length) return null;
+            const ms = value => this._formatTraceMs(value);
+            const totalMs = Number(trace.total_ms) || Math.max(...steps.map(step => (Number(step.started_ms) || 0) + (Number(step.duration_ms) || 0)), 1);
+
+            const container = document.createElement('details');
+            container.className = 'debug-trace';
+            const summary = document.createElement('summary');
+            summary.textContent = `Debug trace · ${steps.length} ${steps.length === 1 ? 'step' : 'steps'} · ${ms(totalMs)}`;
+            container.appendChild(summary);
+
+            const list = document.createElement('ol');
+            list.className = 'debug-trace-steps';
+            steps.forEach((step) => {
+                const startedMs = Number(step.started_ms) || 0;
+                const durationMs = Number(step.duration_ms) || 0;
+                const item = document.createElement('li');
+                item.className = 'debug-trace-step';
+                item.dataset.stage = step.stage;
+
+                const header = document.createElement('div');
+                header.className = 'debug-trace-step-header';
+                const label = document.createElement('span');
+                label.className = 'debug-trace-label';
+                label.textContent = typeof step.label === 'string' && step.label ? step.label : step.stage;
+                const timing = document.createElement('span');
+                timing.className = 'debug-trace-timing';
+                timing.textContent = `+${ms(startedMs)} · ${ms(durationMs)}`;
+                const track = document.createElement('div');
+                track.className = 'debug-trace-track';
+                const bar = document.createElement('div');
+                bar.className = 'debug-trace-bar';
+                bar.style.left = `${Math.min(100, (startedMs / totalMs) * 100)}%`;
+                bar.style.width = `${Math.max(0.5, Math.min(100, (durationMs / totalMs) * 100))}%`;
+                track.appendChild(bar);
+                header.append(label, timing, track);
+                item.append(header, this._buildDebugTraceDetail(step.stage, step.data && typeof step.data === 'object' ? step.data : {}));
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+            return container;
+        },
+        _buildDebugTraceDetail(stage, data) {
+            const detail = document.createElement('div');
+            detail.className = 'debug-trace-detail';
+            const addLine = (text) => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                detail.appendChild(line);
+            };
+            const addTable = (columns, rows) => {
+                if (!rows.length) return;
+                const table = document.createElement('table');
+                const head = table.createTHead().insertRow();
+                columns.forEach((column) => {
+                    const cell = document.createElement('th');
+                    cell.textContent = column;
+                    head.appendChild(cell);
+                });
+                const body = table.createTBody();
+                rows.forEach((values) => {
+                    const row = body.insertRow();
+                    values.forEach((value) => { row.insertCell().textContent = value ?? ''; });
+                });
+                detail.appendChild(table);
+            };
+            const ms = value => this._formatTraceMs(value);
+            const hostOf = (url) => { try { return new URL(url).hostname; } catch { return String(url || ''); } };
+            const list = value => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+
+            switch (stage) {
+                case 'query_planning':
+                    addTable(['Query', 'Purpose', 'Flags'], list(data.queries).map(query => [
+                        query.text,
+                        query.purpose,
+                        [query.freshness_bias && 'fresh', query.exact_match && 'exact'].filter(Boolean).join(', ')
+                    ]));
+                    break;
+                case 'searching':
+                    addLine(`${Number(data.result_count) || 0} results`);
+                    addTable(['Query', 'Results'], Object.entries(data.per_query || {}).map(([query, count]) => [query, String(count)]));
+                    break;
+                case 'extraction':
+                    if (!list(data.fetches).length) addLine('No pages needed fetching.');
+                    addTable(['Page', 'Time', 'Outcome'], list(data.fetches).map(fetch => [hostOf(fetch.url), ms(fetch.duration_ms), fetch.outcome]));
+                    break;
+                case 'ranking': {
+                    const sources = list(data.sources);
+                    const components = [...new Set(sources.flatMap(source => Object.keys(source.components || {})))];
+                    addTable(['Source', 'Score', ...components], sources.map(source => [
+                        source.domain || hostOf(source.url),
+                        String(source.score),
+                        ...components.map(name => String(source.components?.[name] ?? ''))
+                    ]));
+                    break;
+                }
+                case 'token_budget':
+                    addLine(`${data.used_tokens ?? 0} of ${data.budget_tokens ?? 0} tokens used · ${data.per_source_budget ?? 0} per source · ${list(data.sources).length} of ${data.considered ?? 0} sources kept`);
+                    addTable(['#', 'Source', 'Tokens', 'Passages'], list(data.sources).map(source => [String(source.id), hostOf(source.url), String(source.tokens), String(source.passages)]));
+                    break;
+                case 'synthesis':
+                    addLine([
+                        [data.provider, data.model].filter(Boolean).join(' / '),
+                        Number.isFinite(data.first_token_ms) ? `first token after ${ms(data.first_token_ms)}` : '',
+                        Number.isFinite(data.answer_tokens) ? `${data.answer_tokens} answer tokens` : ''
+                    ].filter(Boolean).join(' · '));
+                    break;
+                default:
+                    if (Object.keys(data).length) {
+                        const pre = document.createElement('pre');
+                        pre.textContent = JSON.stringify(data, null, 2);
+                        detail.appendChild(pre);
+                    }
+            }
+            return detail;
+        },
+        _formatTraceMs(value) {
+            return `${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 1 })} ms`;
+        },
+        toggleResearchDrawer(contentEl, research) {
+            const button = contentEl.querySelector('.research-toggle-btn');
+            let drawer = contentEl.querySelector('.research-drawer');
+            if (!drawer) {
+                drawer = this._buildResearchDrawer(research);
+                drawer.hidden = true;
+                contentEl.insertBefore(drawer, contentEl.querySelector('.message-toolbar'));
+            }
+            drawer.hidden = !drawer.hidden;
+            button?.setAttribute('aria-expanded', String(!drawer.hidden));
+        },
+        _buildResearchDrawer({ queries, sources, insufficientContext, settings }) {
+            const drawer = document.createElement('div');
+            drawer.className = 'research-drawer';
+            const citedCount = sources.filter(source => source.cited).length;
+            const usedCount = sources.filter(source => source.used).length;
+            const heading = document.createElement('div');
+            heading.className = 'research-drawer-header';
+            heading.textContent = [
+                'Research',
+                `${queries.length} ${queries.length === 1 ? 'query' : 'queries'}`,
+                `${sources.length} ${sources.length === 1 ? 'source' : 'sources'}`,
+                ...(usedCount < sources.length ? [`${usedCount} used`] : []),
+                `${citedCount} cited`
+            ].join(' · ');
+            drawer.appendChild(heading);
+            if (insufficientContext) drawer.appendChild(this._buildResearchWarning());
+
+            const addSection = (title, list) => {
+                const label = document.createElement('div');
+                label.className = 'research-section-title';
+                label.textContent = title;
+                drawer.append(label, list);
+            };
+
+            if (queries.length) {
+                const list = document.createElement('ol');
+                list.className = 'research-queries';
+                queries.forEach((query) => {
+                    const item = document.createElement('li');
+                    item.textContent = query;
+                    list.appendChild(item);
+                });
+                addSection('Search queries', list);
+            }
+
+            if (sources.length) {
+                const list = document.createElement('ol');
+                list.className = 'research-sources';
+                sources.forEach((source) => {
+                    const item = document.createElement('li');
+                    item.className = `research-source${source.cited ? ' is-cited' : ''}${source.used ? '' : ' is-unused'}`;
+                    const index = document.createElement('span');
+                    index.className = 'source-index';
+                    index.textContent = source.used ? source.id : '–';
+                    const body = document.createElement('div');
+                    body.className = 'research-source-body';
+                    const title = document.createElement(/^https?:\/\//i.test(source.url) ? 'a' : 'span');
+                    title.className = 'research-source-title';
+                    title.textContent = source.title;
+                    if (title.tagName === 'A') {
+                        title.href = source.url;
+                        title.target = '_blank';
+                        title.rel = 'noopener noreferrer';
+                    }
+                    const details = document.createElement('div');
+                    details.className = 'research-source-meta';
+                    const published = source.publishedAt ? new Date(source.publishedAt) : null;
+                    const date = published && !Number.isNaN(published.getTime())
+                        ? published.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+                        : source.publishedAt;
+                    details.textContent = [source.domain, date || 'No publish date'].filter(Boolean).join(' · ');
+                    const badge = document.createElement('span');
+                    badge.className = 'research-cited-badge';
+                    badge.textContent = source.cited ? 'Cited' : source.used ? 'Not cited' : 'Not used';
+                    if (!source.used) badge.title = 'Found by the search but ranked too low to be given to the model';
+                    details.append(' ', badge);
+                    body.append(title, details);
+                    if (source.excerpt) body.title = source.excerpt;
+                    item.append(index, body);
+                    list.appendChild(item);
+                });
+                addSection('Sources', list);
+            }
+
+            if (settings.length) {
+                const list = document.createElement('ul');
+                list.className = 'research-settings';
+                settings.forEach((line) => {
+                    const item = document.createElement('li');
+                    item.textContent = line;
+                    list.appendChild(item);
+                });
+                addSection('Search settings', list);
+            }
+            return drawer;
+        },
+        openMessageEditor(messageEl, initialText, onSubmit) {
+            const contentEl = messageEl.querySelector('.message-content');
+            if (!contentEl || contentEl.querySelector('.message-editor')) return;
+
+            const editor = document.createElement('div');
+            editor.className = 'message-editor';
+            const textarea = document.createElement('textarea');
+            textarea.className = 'message-editor-input';
+            textarea.rows = 3;
+            textarea.value = initialText;
+            const actions = document.createElement('div');
+            actions.className = 'message-editor-actions';
+            actions.innerHTML = '<button type="button" class="secondary-btn" data-action="cancel">Cancel</button><button type="button" class="primary-btn" data-action="save">Save &amp; Send</button>';
+            editor.append(textarea, actions);
+
+            const close = () => {
+                editor.remove();
+                contentEl.classList.remove('is-editing');
+            };
+            const submit = () => {
+                const value = textarea.value.trim();
+                close();
+                if (value && value !== initialText.trim()) onSubmit(value);
+            };
+
+            editor.addEventListener('click', e => e.stopPropagation());
+            actions.querySelector('[data-action="cancel"]').addEventListener('click', close);
+            actions.querySelector('[data-action="save"]').addEventListener('click', submit);
+            textarea.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') { e.preventDefault(); close(); }
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); submit(); }
+            });
+
+            contentEl.classList.add('is-editing');
+            contentEl.appendChild(editor);
+            textarea.focus();
+            textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+        },
+        async renderConversationHistory() {
+            this.elements.messageArea.innerHTML = '';
+            this._codeBlockIndex.clear();
+            this.renderConversationSurface();
+            for (const msg of ChatApp.State.currentConversation) {
+                let parts = msg.content.parts;
+                if (!parts) parts = [{text: msg.text || ''}];
+                await this.renderMessage({ ...msg, content: { ...msg.content, parts: parts } });
+            }
         },
         _addMessageInteractions(messageEl, rawText, messageId) {
             this._addMessageAndCodeActions(messageEl, rawText);
@@ -2271,7 +4732,7 @@ const ChatApp = {
         _addMessageAndCodeActions(messageEl, rawText) {
             const contentEl = messageEl.querySelector('.message-content');
             if (!contentEl) return;
-            const { COPY, CHECK, OPEN_NEW_TAB, DOWNLOAD, CHEVRON_DOWN, PLAY, PAUSE } = ChatApp.Config.ICONS;
+            const { COPY, CHECK, OPEN_NEW_TAB, DOWNLOAD, CHEVRON_DOWN, PLAY, PAUSE, APPLY_PATCH, COMPARE, WRAP } = ChatApp.Config.ICONS;
             const isPreview = contentEl.querySelector('.html-preview-container, .svg-preview-container');
             if (rawText && !isPreview) {
                 const copyBtn = document.createElement('button');
@@ -2333,7 +4794,61 @@ const ChatApp = {
                         actionsContainer.appendChild(toggleBtn);
                     }
 
-                    if (wrapper.dataset.previewable === 'html' || wrapper.dataset.previewable === 'svg') {
+                    if (wrapper.dataset.previewable === 'mermaid' || (wrapper.dataset.previewable === 'chart' && wrapper.closest('.chart-preview-container:not(.has-error)'))) {
+                        const kind = wrapper.dataset.previewable === 'chart' ? 'chart' : 'diagram';
+                        [['svg', `Download ${kind} as SVG`], ['png', `Download ${kind} as PNG`]].forEach(([format, tooltip]) => {
+                            const exportBtn = document.createElement('button');
+                            exportBtn.className = 'diagram-export-button';
+                            exportBtn.type = 'button';
+                            exportBtn.setAttribute('data-tooltip', tooltip);
+                            exportBtn.textContent = format.toUpperCase();
+                            exportBtn.addEventListener('click', async (e) => {
+                                e.stopPropagation();
+                                const svgEl = wrapper.closest('.mermaid-preview-container, .chart-preview-container')?.querySelector('.mermaid-render-box svg, .chart-render-box svg');
+                                if (!svgEl) { this.showToast(`The ${kind} has not rendered.`, 'error'); return; }
+                                try {
+                                    const blob = format === 'svg'
+                                        ? new Blob([this._serializeSvg(svgEl)], { type: 'image/svg+xml' })
+                                        : await this._diagramToPngBlob(svgEl);
+                                    ChatApp.Export.downloadBlob(blob, `jbai-${kind}.${format}`);
+                                } catch (error) {
+                                    console.error('Diagram export failed', error);
+                                    this.showToast('Unable to export the diagram.', 'error');
+                                }
+                            });
+                            actionsContainer.appendChild(exportBtn);
+                        });
+                    }
+
+                    if (['diff', 'patch'].includes(wrapper.dataset.previewable)) {
+                        const applyBtn = document.createElement('button');
+                        applyBtn.className = 'apply-patch-button';
+                        applyBtn.type = 'button';
+                        applyBtn.setAttribute('data-tooltip', 'Apply patch to Canvas');
+                        applyBtn.innerHTML = APPLY_PATCH;
+                        applyBtn.addEventListener('click', (e) => {
+                            e.stopPropagation();
+                            this.applyPatchToCanvas(this._decodeRawContent(wrapper));
+                        });
+                        actionsContainer.appendChild(applyBtn);
+                    } else if (wrapper.dataset.previewable) {
+                        const previousWrapper = this._findPreviousCodeBlock(wrapper);
+                        if (previousWrapper) {
+                            const compareBtn = document.createElement('button');
+                            compareBtn.className = 'compare-code-button';
+                            compareBtn.type = 'button';
+                            compareBtn.setAttribute('data-tooltip', 'Compare with previous version');
+                            compareBtn.innerHTML = COMPARE;
+                            compareBtn.addEventListener('click', (e) => {
+                                e.stopPropagation();
+                                if (!previousWrapper.isConnected) { this.showToast('The previous version is no longer in this chat.', 'error'); return; }
+                                this.showCodeComparison(previousWrapper, wrapper);
+                            });
+                            actionsContainer.appendChild(compareBtn);
+                        }
+                    }
+
+                    if (['html', 'svg', 'mermaid'].includes(wrapper.dataset.previewable)) {
                         const canvasBtn = document.createElement('button');
                         canvasBtn.className = 'code-canvas-badge icon-btn';
                         canvasBtn.type = 'button';
@@ -2364,6 +4879,8 @@ const ChatApp = {
                             newWindow.document.open();
                             if (previewType === 'html' || previewType === 'svg') {
                                 newWindow.document.write(rawContent);
+                            } else if (previewType === 'mermaid') {
+                                newWindow.document.write(this.buildMermaidDocument(rawContent));
                             } else {
                                 newWindow.document.write(
                                     '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Code Preview</title>' +
@@ -2391,10 +4908,12 @@ const ChatApp = {
                         const extensionMap = { html: 'html', xml: 'xml', svg: 'svg', css: 'css', javascript: 'js', js: 'js', json: 'json', python: 'py', typescript: 'ts', shell: 'sh', bash: 'sh' };
                         lang = extensionMap[potentialLang] || potentialLang.split(' ')[0];
                     }
+                    // A fence title such as title="src/app.js" names the file; only its last path segment is used.
+                    const titledName = (wrapper.dataset.filename || '').split(/[\\/]/).pop().replace(/[<>:"|?*\u0000-\u001f]/g, '').trim();
                     const blob = new Blob([rawCode], { type: 'text/plain;charset=utf-8' });
                     const url = URL.createObjectURL(blob);
                     const a = document.createElement('a');
-                    a.href = url; a.download = `jbai-snippet.${lang}`;
+                    a.href = url; a.download = titledName || `jbai-snippet.${lang}`;
                     document.body.appendChild(a); a.click(); document.body.removeChild(a);
                     URL.revokeObjectURL(url);
                     this.showToast('Snippet downloaded!');
@@ -2417,12 +4936,146 @@ const ChatApp = {
                 });
                 actionsContainer.appendChild(copyCodeBtn);
 
+                const wrapBtn = document.createElement('button');
+                wrapBtn.className = 'wrap-toggle-button'; wrapBtn.type = 'button'; wrapBtn.setAttribute('data-tooltip', 'Toggle word wrap'); wrapBtn.innerHTML = WRAP;
+                wrapBtn.setAttribute('aria-pressed', String(wrapper.classList.contains('is-wrapped')));
+                wrapBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    wrapBtn.setAttribute('aria-pressed', String(wrapper.classList.toggle('is-wrapped')));
+                });
+                actionsContainer.appendChild(wrapBtn);
+
                 if (wrapper.classList.contains('is-collapsible')) {
                     const collapseBtn = document.createElement('button');
                     collapseBtn.className = 'collapse-toggle-button'; collapseBtn.type = 'button'; collapseBtn.setAttribute('data-tooltip', 'Show/Hide Code'); collapseBtn.innerHTML = CHEVRON_DOWN;
                     actionsContainer.appendChild(collapseBtn);
                 }
             });
+            contentEl.querySelectorAll('.data-table-wrapper').forEach(wrapper => this._enhanceDataTable(wrapper));
+            contentEl.querySelectorAll('.chart-render-box').forEach(box => this._enhanceChart(box));
+        },
+        _enhanceDataTable(wrapper) {
+            const table = wrapper.querySelector('table');
+            const tbody = table?.tBodies[0];
+            const headerRow = table?.tHead?.rows[0];
+            if (!tbody || !headerRow || wrapper.querySelector('.data-table-toolbar')) return;
+            const { DOWNLOAD } = ChatApp.Config.ICONS;
+            const rows = [...tbody.rows];
+            rows.forEach((row, index) => { row.dataset.order = index; });
+
+            const toolbar = document.createElement('div');
+            toolbar.className = 'data-table-toolbar';
+            toolbar.innerHTML = `
+                <input type="search" class="data-table-filter" placeholder="Filter rows" aria-label="Filter table rows">
+                <span class="data-table-count" aria-live="polite"></span>
+                <div class="code-block-actions">
+                    <button type="button" class="table-action-button" data-table-action="csv" data-tooltip="Copy as CSV">CSV</button>
+                    <button type="button" class="table-action-button" data-table-action="tsv" data-tooltip="Copy as TSV">TSV</button>
+                    <button type="button" class="download-code-button" data-table-action="download" data-tooltip="Download .csv">${DOWNLOAD}</button>
+                </div>`;
+            wrapper.prepend(toolbar);
+            const countEl = toolbar.querySelector('.data-table-count');
+
+            const filterInput = toolbar.querySelector('.data-table-filter');
+            filterInput.addEventListener('input', () => {
+                const query = filterInput.value.trim().toLowerCase();
+                let visible = 0;
+                rows.forEach(row => {
+                    row.hidden = Boolean(query) && !row.textContent.toLowerCase().includes(query);
+                    if (!row.hidden) visible++;
+                });
+                countEl.textContent = query ? `${visible} of ${rows.length}` : '';
+            });
+
+            const headers = [...headerRow.cells];
+            headers.forEach((th, column) => {
+                th.classList.add('sortable');
+                th.tabIndex = 0;
+                th.setAttribute('aria-sort', 'none');
+                const sort = () => {
+                    // Cycles ascending -> descending -> original order.
+                    const next = { none: 'ascending', ascending: 'descending', descending: 'none' }[th.getAttribute('aria-sort')];
+                    headers.forEach(other => other.setAttribute('aria-sort', 'none'));
+                    th.setAttribute('aria-sort', next);
+                    const sorted = next === 'none'
+                        ? [...rows].sort((a, b) => a.dataset.order - b.dataset.order)
+                        : this._sortTableRows(rows, column, next === 'descending');
+                    tbody.append(...sorted);
+                };
+                th.addEventListener('click', sort);
+                th.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); sort(); } });
+            });
+
+            toolbar.querySelector('.code-block-actions').addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-table-action]');
+                if (!button) return;
+                e.stopPropagation();
+                const action = button.dataset.tableAction;
+                const text = this._tableToDelimited(table, action === 'tsv' ? '\t' : ',');
+                if (action === 'download') {
+                    ChatApp.Export.downloadBlob(new Blob([text], { type: 'text/csv;charset=utf-8' }), 'jbai-table.csv');
+                    this.showToast('Table downloaded!');
+                    return;
+                }
+                const label = button.innerHTML;
+                try {
+                    const copied = await ChatApp.Utils.copyToClipboard(text);
+                    if (!copied) throw new Error('Clipboard unavailable');
+                    button.innerHTML = ChatApp.Config.ICONS.CHECK;
+                    this.showToast(`Table copied as ${action.toUpperCase()}!`);
+                    setTimeout(() => { button.innerHTML = label; }, 2000);
+                } catch (error) {
+                    this.showToast('Unable to copy table.', 'error');
+                }
+            });
+        },
+        _parseTableValue(text, type) {
+            const value = text.trim();
+            if (!value) return null;
+            if (type === 'number') {
+                // Tolerates a currency sign, thousands separators, percentages and short units ("1,200 ms").
+                const cleaned = value
+                    .replace(/\u2212/g, '-')
+                    .replace(/^([+-]?)[$€£¥₹]\s*/, '$1')
+                    .replace(/\s*(?:%|[a-zµ]{1,4}\.?)$/i, '');
+                const isNumber = /\d/.test(cleaned) && /^[+-]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?:e[+-]?\d+)?$/i.test(cleaned);
+                return isNumber ? Number.parseFloat(cleaned.replace(/,/g, '')) : NaN;
+            }
+            if (type === 'date') return Date.parse(value);
+            return value;
+        },
+        _getTableColumnType(rows, column) {
+            const values = rows.map(row => row.cells[column]?.textContent.trim() || '').filter(Boolean);
+            if (values.length === 0) return 'text';
+            if (values.every(value => Number.isFinite(this._parseTableValue(value, 'number')))) return 'number';
+            // Only strings that look like dates, so plain words or version numbers are not read as dates.
+            const looksLikeDate = value => /\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4}|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? \d{1,2}|\d{1,2} (?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i.test(value)
+                && Number.isFinite(Date.parse(value));
+            if (values.every(looksLikeDate)) return 'date';
+            return 'text';
+        },
+        _sortTableRows(rows, column, descending) {
+            const type = this._getTableColumnType(rows, column);
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const keyed = rows.map(row => ({ row, value: this._parseTableValue(row.cells[column]?.textContent || '', type) }));
+            keyed.sort((a, b) => {
+                // Empty cells always sink to the bottom.
+                if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+                const result = type === 'text' ? collator.compare(a.value, b.value) : a.value - b.value;
+                return (descending ? -result : result) || a.row.dataset.order - b.row.dataset.order;
+            });
+            return keyed.map(item => item.row);
+        },
+        _tableToDelimited(table, delimiter) {
+            const escapeCell = (text) => {
+                const value = text.replace(/\s+/g, ' ').trim();
+                if (delimiter === '\t') return value;
+                return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+            };
+            return [...table.rows]
+                .filter(row => !row.hidden)
+                .map(row => [...row.cells].map(cell => escapeCell(cell.textContent)).join(delimiter))
+                .join('\n');
         },
         renderSettingsModal() {
             if (document.querySelector('.modal-overlay')) return;
@@ -2464,8 +5117,12 @@ const ChatApp = {
                         <option value="gpt-free">GPT-Free</option>
                     </select>
                 </div>
+                <div class="settings-row settings-row-input" data-custom-provider-row="true">
+                    <label for="custom-provider-name-input">Display Name</label>
+                    <input id="custom-provider-name-input" type="text" autocomplete="off" spellcheck="false" maxlength="60">
+                </div>
                 <div class="settings-row settings-row-input" data-provider-base-url-row="true" style="display: none;">
-                    <label for="provider-base-url-input">Backend URL</label>
+                    <label for="provider-base-url-input" id="provider-base-url-label">Backend URL</label>
                     <input id="provider-base-url-input" type="text" autocomplete="off" spellcheck="false">
                 </div>
                 <div class="settings-row settings-row-input provider-status-row" data-provider-status-row="true" style="display: none;">
@@ -2488,11 +5145,23 @@ const ChatApp = {
                     <label for="provider-model-input">Model Name</label>
                     <input id="provider-model-input" type="text" autocomplete="off" spellcheck="false">
                 </div>
+                <div class="settings-row settings-row-input" data-provider-context-row="true">
+                    <label for="provider-context-window-input">Context Window (tokens)</label>
+                    <input id="provider-context-window-input" type="number" min="1024" step="1024" inputmode="numeric">
+                </div>
                 <div class="settings-row settings-row-input" data-provider-api-key-row="true">
-                    <label for="provider-api-key-input">API Key</label>
+                    <label for="provider-api-key-input" id="provider-api-key-label">API Key</label>
                     <input id="provider-api-key-input" type="password" autocomplete="off" spellcheck="false">
                 </div>
+                <div class="settings-row settings-row-input" data-custom-provider-row="true">
+                    <label for="custom-provider-headers-input">Extra Headers</label>
+                    <textarea id="custom-provider-headers-input" rows="3" autocomplete="off" spellcheck="false" placeholder="Header-Name: value (one per line)"></textarea>
+                </div>
                 <p id="provider-capability-note" style="font-size:0.85em; color:var(--text-secondary); margin-top:-10px; margin-bottom:16px;"></p>
+                <div class="settings-group">
+                    <button id="add-custom-provider-btn" type="button">Add Custom Provider</button>
+                    <button id="remove-custom-provider-btn" type="button" class="btn-danger" data-custom-provider-row="true">Remove Custom Provider</button>
+                </div>
                 <hr>
                 <h3>AI Capabilities</h3>
                 <div class="settings-row" data-agent-tool-row="true">
@@ -2503,7 +5172,7 @@ const ChatApp = {
                     </label>
                 </div>
                 <p style="font-size:0.85em; color:var(--text-secondary); margin-top:-10px; margin-bottom:20px;">
-                    Enables autonomous reasoning and planning. On Google provider, this also enables Search and Code Execution.
+                    Enables autonomous reasoning, planning, and browser tools (calculator, time, system info, J.B.A.I web search, canvas). On Google provider, turning on Search or Code Execution replaces the browser tools.
                 </p>
 
                 <div class="settings-row" data-google-tool-row="true">
@@ -2520,6 +5189,26 @@ const ChatApp = {
                         <span class="slider round"></span>
                     </label>
                 </div>
+                <div class="settings-row">
+                    <label for="toggle-summarize-history">Summarize Older Turns</label>
+                    <label class="switch">
+                        <input type="checkbox" id="toggle-summarize-history" ${tools.summarizeHistory ? 'checked' : ''}>
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <p style="font-size:0.85em; color:var(--text-secondary); margin-top:-10px; margin-bottom:20px;">
+                    Long chats are trimmed oldest-first to fit the model's context window. When on, the trimmed turns are condensed into a short summary instead of being dropped.
+                </p>
+                <div class="settings-row" data-jbai-tool-row="true">
+                    <label for="toggle-jbai-debug">J.B.A.I Debug Trace (Developer)</label>
+                    <label class="switch">
+                        <input type="checkbox" id="toggle-jbai-debug" ${tools.jbAiDebug ? 'checked' : ''}>
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <p style="font-size:0.85em; color:var(--text-secondary); margin-top:-10px; margin-bottom:20px;" data-jbai-tool-row="true">
+                    Asks the backend for its pipeline trace (query plan, rerank scores, token budget, extraction timings) and shows it as a timeline under each reply.
+                </p>
                 <hr>
                 <h3>Display Options</h3>
                 <div class="settings-row">
@@ -2536,6 +5225,16 @@ const ChatApp = {
                         <span class="slider round"></span>
                     </label>
                 </div>
+                <div class="settings-row">
+                    <label for="toggle-line-numbers">Show Line Numbers in Code</label>
+                    <label class="switch">
+                        <input type="checkbox" id="toggle-line-numbers" ${tools.showLineNumbers ? 'checked' : ''}>
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <hr>
+                <h3>Security</h3>
+                <div id="vault-settings"></div>
                 <hr>
                 <h3>Data Management</h3>
                 <div class="settings-group">
@@ -2556,6 +5255,7 @@ const ChatApp = {
             const providerSelect = overlay.querySelector('#provider-select');
             const providerBaseUrlInput = overlay.querySelector('#provider-base-url-input');
             const providerModelInput = overlay.querySelector('#provider-model-input');
+            const providerContextWindowInput = overlay.querySelector('#provider-context-window-input');
             const providerApiKeyInput = overlay.querySelector('#provider-api-key-input');
             const providerCapabilityNote = overlay.querySelector('#provider-capability-note');
             const googleToolRows = overlay.querySelectorAll('[data-google-tool-row="true"]');
@@ -2563,10 +5263,18 @@ const ChatApp = {
             const providerBaseUrlRow = overlay.querySelector('[data-provider-base-url-row="true"]');
             const providerStatusRow = overlay.querySelector('[data-provider-status-row="true"]');
             const providerModelRow = overlay.querySelector('[data-provider-model-row="true"]');
+            const providerContextRow = overlay.querySelector('[data-provider-context-row="true"]');
             const providerApiKeyRow = overlay.querySelector('[data-provider-api-key-row="true"]');
+            const providerBaseUrlLabel = overlay.querySelector('#provider-base-url-label');
+            const providerApiKeyLabel = overlay.querySelector('#provider-api-key-label');
+            const customProviderRows = overlay.querySelectorAll('[data-custom-provider-row="true"]');
+            const customProviderNameInput = overlay.querySelector('#custom-provider-name-input');
+            const customProviderHeadersInput = overlay.querySelector('#custom-provider-headers-input');
             const agentModeToggle = overlay.querySelector('#toggle-agent-mode');
             const googleSearchToggle = overlay.querySelector('#toggle-google-search');
             const codeExecToggle = overlay.querySelector('#toggle-code-exec');
+            const jbAiToolRows = overlay.querySelectorAll('[data-jbai-tool-row="true"]');
+            const jbAiDebugToggle = overlay.querySelector('#toggle-jbai-debug');
             const providerStatusCard = overlay.querySelector('#jbai-provider-status-card');
             const providerHealthcheckButton = overlay.querySelector('#provider-healthcheck-button');
             const providerStatusTitle = providerStatusCard.querySelector('.provider-status-title');
@@ -2642,15 +5350,44 @@ const ChatApp = {
                     requiresModel: true,
                     requiresApiKey: false,
                     capabilityNote: 'GPT-Free mode runs serverless and keyless in your browser powered by Puter.js (free and unlimited OpenAI models).'
+                },
+                custom: {
+                    baseUrlLabel: 'API Base URL',
+                    baseUrlPlaceholder: 'http://localhost:11434/v1',
+                    apiKeyLabel: 'API Key (optional)',
+                    modelPlaceholder: 'llama3.2',
+                    keyPlaceholder: 'Leave empty for local servers',
+                    supportsGoogleTools: false,
+                    supportsAgentMode: true,
+                    requiresBaseUrl: true,
+                    requiresModel: true,
+                    requiresApiKey: true,
+                    capabilityNote: 'Custom providers speak the OpenAI Chat Completions API (Ollama, LM Studio, vLLM, LiteLLM, internal gateways). The server must allow browser requests from this origin (CORS).'
                 }
             };
+            const getProviderMetadata = (provider) => (ChatApp.Utils.isCustomProvider(provider)
+                ? providerMetadata.custom
+                : providerMetadata[provider] || providerMetadata.jbai);
 
             let draftProviderSettings = JSON.parse(JSON.stringify(providerSettings));
             const persistProviderSettings = () => {
                 draftProviderSettings = ChatApp.Store.saveProviderSettings(draftProviderSettings);
                 ChatApp.UI.toggleSendButtonState();
+                ChatApp.UI.renderSearchOptionsButton();
                 ChatApp.UI.renderConversationSurface();
             };
+            const getDraftCustomProvider = (provider) => draftProviderSettings.customProviders.find(item => item.id === provider) || null;
+
+            const renderCustomProviderOptions = () => {
+                providerSelect.querySelectorAll('option[data-custom-provider="true"]').forEach(option => option.remove());
+                draftProviderSettings.customProviders.forEach((customProvider) => {
+                    const option = document.createElement('option');
+                    option.value = customProvider.id;
+                    option.textContent = customProvider.name;
+                    option.dataset.customProvider = 'true';
+                    providerSelect.appendChild(option);
+                });
+            };
 
             const renderProviderStatus = () => {
                 const presentation = ChatApp.UI.getJbAiStatusPresentation();
@@ -2679,7 +5416,8 @@ const ChatApp = {
 
             const refreshProviderUI = () => {
                 const provider = providerSelect.value;
-                const metadata = providerMetadata[provider] || providerMetadata.jbai;
+                const metadata = getProviderMetadata(provider);
+                const customProvider = getDraftCustomProvider(provider);
 
                 providerBaseUrlInput.value = draftProviderSettings.baseUrls?.[provider] || '';
                 providerModelInput.value = draftProviderSettings.models?.[provider] || '';
@@ -2687,10 +5425,20 @@ const ChatApp = {
                 providerBaseUrlInput.placeholder = metadata.baseUrlPlaceholder || '';
                 providerModelInput.placeholder = metadata.modelPlaceholder || '';
                 providerApiKeyInput.placeholder = metadata.keyPlaceholder || '';
+                providerContextWindowInput.value = draftProviderSettings.contextWindows?.[provider] || '';
+                providerContextWindowInput.placeholder = `Auto (${ChatApp.Api.getModelContextWindow(providerModelInput.value)})`;
+
+                providerBaseUrlLabel.textContent = metadata.baseUrlLabel || 'Backend URL';
+                providerApiKeyLabel.textContent = metadata.apiKeyLabel || 'API Key';
+                customProviderNameInput.value = customProvider?.name || '';
+                customProviderHeadersInput.value = ChatApp.Utils.formatHeaderLines(customProvider?.headers);
+                customProviderRows.forEach((row) => { row.hidden = !customProvider; });
 
                 providerBaseUrlRow.hidden = metadata.requiresBaseUrl !== true;
+                providerBaseUrlRow.style.display = customProvider ? '' : 'none';
                 providerStatusRow.hidden = provider !== ChatApp.Config.PROVIDERS.JBAI;
                 providerModelRow.hidden = metadata.requiresModel !== true;
+                providerContextRow.hidden = metadata.requiresModel !== true;
                 providerApiKeyRow.hidden = metadata.requiresApiKey !== true;
 
                 const disableGoogleTools = metadata.supportsGoogleTools !== true;
@@ -2706,10 +5454,17 @@ const ChatApp = {
                 });
                 agentModeToggle.disabled = disableAgentMode;
 
+                const disableJbAiTools = provider !== ChatApp.Config.PROVIDERS.JBAI;
+                jbAiToolRows.forEach((row) => {
+                    row.classList.toggle('settings-row-disabled', disableJbAiTools);
+                });
+                jbAiDebugToggle.disabled = disableJbAiTools;
+
                 providerCapabilityNote.textContent = metadata.capabilityNote;
                 renderProviderStatus();
             };
 
+            renderCustomProviderOptions();
             providerSelect.value = draftProviderSettings.provider;
             refreshProviderUI();
             if (providerSelect.value === ChatApp.Config.PROVIDERS.JBAI) {
@@ -2750,6 +5505,19 @@ const ChatApp = {
                 const provider = providerSelect.value;
                 draftProviderSettings.models[provider] = providerModelInput.value;
                 persistProviderSettings();
+                providerContextWindowInput.placeholder = `Auto (${ChatApp.Api.getModelContextWindow(providerModelInput.value)})`;
+            });
+
+            providerContextWindowInput.addEventListener('change', () => {
+                const provider = providerSelect.value;
+                const tokens = Number.parseInt(providerContextWindowInput.value, 10);
+                if (Number.isFinite(tokens) && tokens > 0) {
+                    draftProviderSettings.contextWindows[provider] = tokens;
+                } else {
+                    delete draftProviderSettings.contextWindows[provider];
+                }
+                persistProviderSettings();
+                providerContextWindowInput.value = draftProviderSettings.contextWindows[provider] || '';
             });
 
             providerApiKeyInput.addEventListener('input', () => {
@@ -2758,6 +5526,56 @@ const ChatApp = {
                 persistProviderSettings();
             });
 
+            customProviderNameInput.addEventListener('input', () => {
+                const customProvider = getDraftCustomProvider(providerSelect.value);
+                if (!customProvider) return;
+                customProvider.name = customProviderNameInput.value;
+                persistProviderSettings();
+                const option = providerSelect.querySelector(`option[value="${CSS.escape(customProvider.id)}"]`);
+                if (option) option.textContent = getDraftCustomProvider(customProvider.id)?.name || customProvider.name;
+            });
+
+            customProviderHeadersInput.addEventListener('input', () => {
+                const customProvider = getDraftCustomProvider(providerSelect.value);
+                if (!customProvider) return;
+                customProvider.headers = ChatApp.Utils.parseHeaderLines(customProviderHeadersInput.value);
+                persistProviderSettings();
+            });
+
+            overlay.querySelector('#add-custom-provider-btn').addEventListener('click', () => {
+                const id = `${ChatApp.Config.CUSTOM_PROVIDER_PREFIX}${ChatApp.Utils.generateUUID()}`;
+                draftProviderSettings.customProviders.push({
+                    id,
+                    name: `Custom Provider ${draftProviderSettings.customProviders.length + 1}`,
+                    headers: {}
+                });
+                draftProviderSettings.baseUrls[id] = providerMetadata.custom.baseUrlPlaceholder;
+                draftProviderSettings.provider = id;
+                persistProviderSettings();
+                renderCustomProviderOptions();
+                providerSelect.value = id;
+                refreshProviderUI();
+                customProviderNameInput.focus();
+                customProviderNameInput.select();
+            });
+
+            overlay.querySelector('#remove-custom-provider-btn').addEventListener('click', () => {
+                const customProvider = getDraftCustomProvider(providerSelect.value);
+                if (!customProvider) return;
+                if (!confirm(`Remove "${customProvider.name}"?`)) return;
+                draftProviderSettings.customProviders = draftProviderSettings.customProviders.filter(item => item.id !== customProvider.id);
+                delete draftProviderSettings.baseUrls[customProvider.id];
+                delete draftProviderSettings.models[customProvider.id];
+                delete draftProviderSettings.apiKeys[customProvider.id];
+                delete draftProviderSettings.contextWindows[customProvider.id];
+                draftProviderSettings.provider = ChatApp.Config.DEFAULT_PROVIDER_SETTINGS.provider;
+                persistProviderSettings();
+                renderCustomProviderOptions();
+                providerSelect.value = draftProviderSettings.provider;
+                refreshProviderUI();
+                runJbAiStatusCheck(false, true);
+            });
+
             overlay.querySelector('#toggle-fullscreen').addEventListener('change', (e) => {
                 ChatApp.Controller.toggleFullScreen(e.target.checked);
             });
@@ -2772,7 +5590,10 @@ const ChatApp = {
                     codeExecution: overlay.querySelector('#toggle-code-exec').checked,
                     agentMode: overlay.querySelector('#toggle-agent-mode').checked,
                     autoRunPreviews: overlay.querySelector('#toggle-auto-previews').checked,
-                    hideScrollbar: overlay.querySelector('#toggle-hide-scrollbar').checked
+                    hideScrollbar: overlay.querySelector('#toggle-hide-scrollbar').checked,
+                    showLineNumbers: overlay.querySelector('#toggle-line-numbers').checked,
+                    summarizeHistory: overlay.querySelector('#toggle-summarize-history').checked,
+                    jbAiDebug: overlay.querySelector('#toggle-jbai-debug').checked
                 };
                 ChatApp.Store.saveToolsConfig(config);
                 ChatApp.Controller.applyDisplaySettings();
@@ -2782,13 +5603,123 @@ const ChatApp = {
             overlay.querySelector('#toggle-agent-mode').addEventListener('change', updateTools);
             overlay.querySelector('#toggle-auto-previews').addEventListener('change', updateTools);
             overlay.querySelector('#toggle-hide-scrollbar').addEventListener('change', updateTools);
+            overlay.querySelector('#toggle-line-numbers').addEventListener('change', updateTools);
+            overlay.querySelector('#toggle-summarize-history').addEventListener('change', updateTools);
+            overlay.querySelector('#toggle-jbai-debug').addEventListener('change', updateTools);
             
+            this.renderVaultSettings(overlay.querySelector('#vault-settings'));
+
             overlay.querySelector('#upload-data-btn').addEventListener('click', ChatApp.Controller.handleDataUpload);
             overlay.querySelector('#merge-data-btn').addEventListener('click', ChatApp.Controller.handleDataMerge);
             overlay.querySelector('#download-data-btn').addEventListener('click', ChatApp.Controller.downloadAllData);
             overlay.querySelector('#delete-data-btn').addEventListener('click', ChatApp.Controller.deleteAllData);
             overlay.querySelector('#closeSettingsBtn').addEventListener('click', () => overlay.remove());
         },
+        renderVaultSettings(container) {
+            const vault = ChatApp.Vault;
+            const meta = vault.getMeta();
+            const autoLockOptions = ChatApp.Config.VAULT_AUTO_LOCK_OPTIONS
+                .map(minutes => `<option value="${minutes}">${minutes ? `After ${minutes} minutes` : 'Never'}</option>`)
+                .join('');
+
+            container.innerHTML = meta ? `
+                <p class="vault-settings-note">API keys are encrypted with your passphrase. It is never stored, so a forgotten passphrase cannot be recovered.</p>
+                <div class="settings-row">
+                    <label for="toggle-vault-conversations">Encrypt Conversations</label>
+                    <label class="switch">
+                        <input type="checkbox" id="toggle-vault-conversations" ${meta.encryptConversations ? 'checked' : ''}>
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <div class="settings-row">
+                    <label for="vault-auto-lock-select">Auto-lock</label>
+                    <select id="vault-auto-lock-select">${autoLockOptions}</select>
+                </div>
+                <div class="settings-row settings-row-input">
+                    <label for="vault-new-passphrase-input">Change Passphrase</label>
+                    <input id="vault-new-passphrase-input" type="password" autocomplete="new-password" placeholder="New passphrase">
+                    <input id="vault-confirm-passphrase-input" type="password" autocomplete="new-password" placeholder="Confirm new passphrase">
+                </div>
+                <div class="settings-group">
+                    <button id="vault-change-btn" type="button">Change Passphrase</button>
+                    <button id="vault-lock-btn" type="button">Lock Now</button>
+                    <button id="vault-disable-btn" type="button" class="btn-danger">Remove Passphrase</button>
+                </div>` : `
+                <p class="vault-settings-note">Set a passphrase to encrypt API keys, and optionally conversations, on this device. You will be asked for it when the app starts.</p>
+                <div class="settings-row settings-row-input">
+                    <label for="vault-new-passphrase-input">Passphrase</label>
+                    <input id="vault-new-passphrase-input" type="password" autocomplete="new-password" placeholder="New passphrase">
+                    <input id="vault-confirm-passphrase-input" type="password" autocomplete="new-password" placeholder="Confirm passphrase">
+                </div>
+                <div class="settings-row">
+                    <label for="toggle-vault-conversations">Also Encrypt Conversations</label>
+                    <label class="switch">
+                        <input type="checkbox" id="toggle-vault-conversations">
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <div class="settings-group">
+                    <button id="vault-enable-btn" type="button" class="btn-primary">Set Passphrase</button>
+                </div>`;
+
+            const readPassphrase = () => {
+                const passphrase = container.querySelector('#vault-new-passphrase-input').value;
+                const confirmation = container.querySelector('#vault-confirm-passphrase-input').value;
+                if (passphrase.length < 8) {
+                    this.showToast('Use a passphrase of at least 8 characters.', 'error');
+                    return null;
+                }
+                if (passphrase !== confirmation) {
+                    this.showToast('Passphrases do not match.', 'error');
+                    return null;
+                }
+                return passphrase;
+            };
+            const run = async (button, task, message) => {
+                button.disabled = true;
+                try {
+                    await task();
+                    if (message) this.showToast(message);
+                } catch (e) {
+                    console.error('Vault update failed', e);
+                    this.showToast(e.message || 'Vault update failed.', 'error');
+                }
+                if (container.isConnected) this.renderVaultSettings(container);
+            };
+            const conversationsToggle = container.querySelector('#toggle-vault-conversations');
+
+            if (!meta) {
+                const enableBtn = container.querySelector('#vault-enable-btn');
+                enableBtn.addEventListener('click', () => {
+                    const passphrase = readPassphrase();
+                    if (!passphrase) return;
+                    void run(enableBtn, () => vault.enable(passphrase, { encryptConversations: conversationsToggle.checked }), 'Passphrase set. Your data is now encrypted.');
+                });
+                return;
+            }
+
+            const autoLockSelect = container.querySelector('#vault-auto-lock-select');
+            autoLockSelect.value = String(meta.autoLockMinutes);
+            autoLockSelect.addEventListener('change', () => {
+                void vault.updateOptions({ autoLockMinutes: Number.parseInt(autoLockSelect.value, 10) });
+            });
+            conversationsToggle.addEventListener('change', () => {
+                void run(conversationsToggle, () => vault.updateOptions({ encryptConversations: conversationsToggle.checked }),
+                    conversationsToggle.checked ? 'Conversations encrypted.' : 'Conversations stored without encryption.');
+            });
+            const changeBtn = container.querySelector('#vault-change-btn');
+            changeBtn.addEventListener('click', () => {
+                const passphrase = readPassphrase();
+                if (!passphrase) return;
+                void run(changeBtn, () => vault.changePassphrase(passphrase), 'Passphrase changed.');
+            });
+            container.querySelector('#vault-lock-btn').addEventListener('click', () => { void ChatApp.Accounts.lockProfile(); });
+            const disableBtn = container.querySelector('#vault-disable-btn');
+            disableBtn.addEventListener('click', () => {
+                if (!confirm('Remove the passphrase? API keys and conversations will be stored unencrypted on this device.')) return;
+                void run(disableBtn, () => vault.disable(), 'Passphrase removed.');
+            });
+        },
         showFullscreenPreview(content, type) {
             const { fullscreenContent, fullscreenOverlay, body } = this.elements;
             fullscreenContent.innerHTML = '';
@@ -2877,6 +5808,7 @@ const ChatApp = {
                 };
             }
 
+            let attachmentLimits = null;
             try {
                 const schemaResponse = await this.fetchWithTimeout(
                     this.buildJbAiUrl(normalizedBaseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_OPENAPI_PATH),
@@ -2897,6 +5829,7 @@ const ChatApp = {
                 }
 
                 const schema = await schemaResponse.json();
+                attachmentLimits = this.readJbAiAttachmentLimits(schema);
                 const paths = schema?.paths || {};
                 const requiredPaths = [
                     ChatApp.Config.API_ENDPOINTS.JBAI_SEARCH_PATH,
@@ -2925,9 +5858,58 @@ const ChatApp = {
                 status: ChatApp.Config.JBAI_BACKEND_STATES.CONNECTED,
                 baseUrl: normalizedBaseUrl,
                 checkedAt,
-                detail: ''
+                detail: '',
+                attachmentLimits
+            };
+        },
+        readJbAiAttachmentLimits(schema) {
+            const field = schema?.components?.schemas?.SearchModeRequest?.properties?.attachments;
+            // Backends that predate attachments do not list the field and would reject it.
+            if (!field) return { maxBytes: 0, maxFiles: 0 };
+            const defaults = ChatApp.Config.JBAI_DEFAULT_ATTACHMENT_LIMITS;
+            const maxBytes = Number(field['x-max-attachment-bytes']);
+            const maxFiles = Number(field.maxItems);
+            return {
+                maxBytes: maxBytes > 0 ? maxBytes : defaults.maxBytes,
+                maxFiles: maxFiles > 0 ? maxFiles : defaults.maxFiles
             };
         },
+        getJbAiAttachmentLimits() {
+            return ChatApp.State.jbAiBackend?.attachmentLimits || ChatApp.Config.JBAI_DEFAULT_ATTACHMENT_LIMITS;
+        },
+        getJbAiAttachmentKind(mimeType) {
+            const type = String(mimeType || '').toLowerCase();
+            if (/^image\/(?:png|jpeg|gif|webp)$/.test(type)) return 'image';
+            if (type.startsWith('text/') || ['application/json', 'application/javascript', 'application/xml'].includes(type)) return 'document';
+            return null;
+        },
+        /** Returns why a file cannot be forwarded to J.B.A.I, or '' when it can. */
+        getJbAiAttachmentIssue(name, mimeType, bytes, limits = this.getJbAiAttachmentLimits()) {
+            if (!limits.maxFiles) return `${name}: this backend does not accept attachments`;
+            if (!this.getJbAiAttachmentKind(mimeType)) return `${name}: only text documents and images are supported`;
+            if (bytes > limits.maxBytes) return `${name}: larger than the ${(limits.maxBytes / 1048576).toFixed(1)} MB limit`;
+            return '';
+        },
+        collectJbAiAttachments(message, limits = this.getJbAiAttachmentLimits()) {
+            const attachments = [];
+            const skipped = [];
+            (message?.parts || []).filter(part => part?.inlineData?.data).forEach((part, index) => {
+                const { mimeType, data } = part.inlineData;
+                const name = message.attachments?.[index]?.name || `attachment-${index + 1}`;
+                const bytes = Math.floor(data.length * 3 / 4) - (data.match(/=*$/)?.[0].length || 0);
+                const issue = this.getJbAiAttachmentIssue(name, mimeType, bytes, limits)
+                    || (attachments.length >= limits.maxFiles ? `${name}: only ${limits.maxFiles} files are sent per message` : '');
+                if (issue) {
+                    skipped.push(issue);
+                    return;
+                }
+                const kind = this.getJbAiAttachmentKind(mimeType);
+                attachments.push(kind === 'image'
+                    ? { name, mime_type: mimeType, kind, data }
+                    : { name, mime_type: mimeType, kind, text: new TextDecoder().decode(ChatApp.Vault.fromBase64(data)) });
+            });
+            return { attachments, skipped };
+        },
         async fetchJbAiSkillCatalog(baseUrl) {
             const endpoint = this.buildJbAiUrl(baseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_SKILLS_PATH);
             const response = await this.fetchWithTimeout(endpoint, {
@@ -2963,6 +5945,7 @@ const ChatApp = {
         mapJbAiCompletionPayload(payload) {
             const citations = Array.isArray(payload?.citations) ? payload.citations : [];
             const sources = Array.isArray(payload?.sources) ? payload.sources : [];
+            const fetched = Array.isArray(payload?.fetched) ? payload.fetched : [];
             const queries = Array.isArray(payload?.queries) ? payload.queries : [];
             const groundingChunks = citations
                 .map((citation) => {
@@ -2984,12 +5967,16 @@ const ChatApp = {
                 searchMetadata: {
                     citations,
                     sources,
+                    fetched,
                     queries,
                     insufficientContext: Boolean(payload?.insufficient_context)
                 }
             };
         },
         getProviderLabel(provider) {
+            if (ChatApp.Utils.isCustomProvider(provider)) {
+                return ChatApp.Store.getCustomProvider(provider)?.name || 'Custom Provider';
+            }
             switch (provider) {
                 case ChatApp.Config.PROVIDERS.JBAI:
                     return 'J.B.A.I';
@@ -3008,8 +5995,18 @@ const ChatApp = {
             }
         },
         getActiveProviderConfig() {
-            const { provider, model, apiKey, baseUrl } = ChatApp.Store.getActiveProviderSettings();
+            const { provider, model, apiKey, baseUrl, headers } = ChatApp.Store.getActiveProviderSettings();
             const providerLabel = this.getProviderLabel(provider);
+            if (ChatApp.Utils.isCustomProvider(provider)) {
+                const endpoint = ChatApp.Utils.buildChatCompletionsUrl(baseUrl);
+                if (!endpoint) {
+                    throw new Error(`${providerLabel} base URL is missing. Add it in Settings.`);
+                }
+                if (!model) {
+                    throw new Error(`${providerLabel} model name is missing. Add it in Settings.`);
+                }
+                return { provider, model, apiKey, endpoint, headers, providerName: providerLabel };
+            }
             if (provider === ChatApp.Config.PROVIDERS.JBAI) {
                 const normalizedBaseUrl = ChatApp.Utils.normalizeJbAiBaseUrl(baseUrl);
                 if (!normalizedBaseUrl) {
@@ -3047,7 +6044,8 @@ const ChatApp = {
                     role: mappedRole,
                     parts: content.parts.map((part) => {
                         if (part?.text) {
-                            return { text: ChatApp.Utils.sanitizeTextForApi(part.text) };
+                            const text = mappedRole === 'model' ? this.stripToolCallMarkup(part.text) : part.text;
+                            return { text: ChatApp.Utils.sanitizeTextForApi(text) };
                         }
                         return part;
                     })
@@ -3076,42 +6074,178 @@ const ChatApp = {
                 })
                 .filter(Boolean);
 
-            const lastUserMessage = [...textConversation].reverse().find((message) => message.role === 'user');
-            const query = lastUserMessage?.content || '';
+            const lastUserMessage = contents.findLast((message) => message.role === 'user');
+            const { attachments } = this.collectJbAiAttachments(lastUserMessage);
+            let query = this.extractTextFromParts(lastUserMessage?.parts) || '';
+            if (!query && attachments.length > 0) {
+                query = `Answer using the attached ${attachments.length === 1 ? 'file' : 'files'}: ${attachments.map(file => file.name).join(', ')}`.slice(0, 4000);
+            }
+
+            const settings = this.resolveJbAiSearchSettings(lastUserMessage?.searchOptions, query, toolsConfig);
+            const deep = settings.depth === 'deep';
 
             return {
                 query,
-                conversation: textConversation.slice(-8),
-                mode: toolsConfig?.agentMode ? 'deep' : 'balanced',
-                search_topic: this.inferJbAiSearchTopic(query),
-                max_search_queries: toolsConfig?.agentMode ? 4 : 3,
-                max_results_per_query: toolsConfig?.agentMode ? 6 : 5,
-                max_sources: toolsConfig?.agentMode ? 8 : 6,
-                debug: false,
+                conversation: this.trimTextConversation(textConversation),
+                attachments,
+                mode: settings.depth,
+                search_topic: settings.topic,
+                time_range: settings.timeRange,
+                allowed_domains: settings.includeDomains,
+                blocked_domains: settings.excludeDomains,
+                max_search_queries: deep ? 4 : 3,
+                max_results_per_query: deep ? 6 : 5,
+                max_sources: settings.maxSources,
+                debug: toolsConfig?.jbAiDebug === true,
                 skill_instructions: (ChatApp.State.activeSkillForGeneration || ChatApp.State.activeSkill) ? (ChatApp.State.activeSkillForGeneration || ChatApp.State.activeSkill).instructions : null
             };
         },
+        // Fills in whatever the composer left on automatic: Agent Mode picks the depth and the query picks the topic.
+        resolveJbAiSearchSettings(searchOptions, query, toolsConfig) {
+            const options = ChatApp.Utils.normalizeJbAiSearchOptions(searchOptions);
+            const depth = options.depth || (toolsConfig?.agentMode ? 'deep' : 'balanced');
+            return {
+                topic: options.topic || this.inferJbAiSearchTopic(query),
+                depth,
+                maxSources: options.maxSources || (depth === 'deep' ? 8 : 6),
+                timeRange: options.timeRange || null,
+                includeDomains: options.includeDomains || [],
+                excludeDomains: options.excludeDomains || [],
+                auto: ['topic', 'depth', 'maxSources'].filter(key => !options[key])
+            };
+        },
+        trimTextConversation(conversation, budget = ChatApp.Config.JBAI_CONVERSATION_TOKEN_BUDGET) {
+            const kept = [];
+            let used = 0;
+            for (let i = conversation.length - 1; i >= 0 && kept.length < ChatApp.Config.JBAI_MAX_CONVERSATION_MESSAGES; i--) {
+                const cost = ChatApp.Utils.estimateTokens(conversation[i].content);
+                if (kept.length > 0 && used + cost > budget) break;
+                used += cost;
+                kept.unshift(conversation[i]);
+            }
+            return kept;
+        },
+        getModelContextWindow(model) {
+            const match = ChatApp.Config.CONTEXT_WINDOWS.find(entry => entry.pattern.test(String(model || '')));
+            return match ? match.tokens : ChatApp.Config.DEFAULT_CONTEXT_WINDOW;
+        },
+        getContextBudget(provider, model) {
+            const override = ChatApp.State.providerSettings?.contextWindows?.[provider];
+            const contextWindow = override > 0 ? override : this.getModelContextWindow(model);
+            const reserve = Math.min(ChatApp.Config.CONTEXT_OUTPUT_RESERVE_TOKENS, Math.floor(contextWindow / 4));
+            return contextWindow - reserve;
+        },
+        omitInlineData(content) {
+            return {
+                ...content,
+                parts: content.parts.map(part => (part?.inlineData
+                    ? { text: `[Earlier attachment omitted: ${part.inlineData.mimeType || 'file'}]` }
+                    : part))
+            };
+        },
+        trimConversationToBudget(messages, budget) {
+            const latestUserIndex = messages.findLastIndex(message => message.content?.role === 'user');
+            const protectedStart = Math.max(latestUserIndex, 0);
+            const total = messages.reduce((sum, message) => sum + ChatApp.Utils.estimateContentTokens(message.content), 0);
+            if (total <= budget) return { kept: messages, dropped: [] };
+
+            // Media is the cheapest thing to give up, so older attachments go before older turns.
+            const candidates = messages.map((message, index) => (index < protectedStart
+                ? { ...message, content: this.omitInlineData(message.content) }
+                : message));
+
+            let used = candidates
+                .slice(protectedStart)
+                .reduce((sum, message) => sum + ChatApp.Utils.estimateContentTokens(message.content), 0);
+            let start = protectedStart;
+            while (start > 0) {
+                const cost = ChatApp.Utils.estimateContentTokens(candidates[start - 1].content);
+                if (used + cost > budget) break;
+                used += cost;
+                start--;
+            }
+            // Providers expect the history to open with a user turn.
+            while (start < protectedStart && candidates[start].content?.role !== 'user') start++;
+
+            return { kept: candidates.slice(start), dropped: messages.slice(0, start) };
+        },
+        async summarizeDroppedTurns(messages, signal) {
+            const cache = ChatApp.State.contextSummaries;
+            const coveredIndex = messages.findLastIndex(message => cache.has(message.id));
+            const previousSummary = coveredIndex >= 0 ? cache.get(messages[coveredIndex].id) : '';
+            const pending = messages.slice(coveredIndex + 1);
+            if (pending.length === 0) return previousSummary;
+
+            const transcript = pending
+                .map((message) => {
+                    const isModel = message.content?.role === 'model';
+                    const text = this.extractTextFromParts(message.content?.parts);
+                    const cleaned = isModel ? this.stripToolCallMarkup(text) : text;
+                    return `${isModel ? 'Assistant' : 'User'}: ${cleaned.slice(0, 4000)}`;
+                })
+                .join('\n\n');
+            const prompt = [
+                previousSummary ? `Summary so far:\n${previousSummary}` : '',
+                `Conversation to fold in:\n${transcript}`,
+                'Write a compact summary of the conversation above for the assistant to continue from. Keep names, numbers, decisions, open questions and user preferences. Use at most 200 words.'
+            ].filter(Boolean).join('\n\n');
+
+            const summary = await this.generateText({
+                apiContents: [{ role: 'user', parts: [{ text: prompt }] }],
+                systemInstruction: { parts: [{ text: 'You summarize chat history. Reply with the summary only.' }] },
+                signal,
+                toolsConfig: {}
+            });
+            const trimmed = String(summary || '').trim();
+            if (trimmed) cache.set(messages[messages.length - 1].id, trimmed);
+            return trimmed;
+        },
+        async prepareContextWindow(messages, systemText, { signal, summarize = false, onSummarize } = {}) {
+            const { provider, model } = ChatApp.Store.getActiveProviderSettings();
+            const budget = this.getContextBudget(provider, model)
+                - ChatApp.Utils.estimateTokens(systemText)
+                - (summarize ? ChatApp.Config.CONTEXT_SUMMARY_RESERVE_TOKENS : 0);
+            const { kept, dropped } = this.trimConversationToBudget(messages, budget);
+            const contents = kept.map(message => ({ role: message.content.role, parts: message.content.parts }));
+            if (dropped.length === 0 || !summarize) {
+                return { contents, droppedCount: dropped.length, summary: '' };
+            }
+
+            let summary = '';
+            try {
+                if (typeof onSummarize === 'function') onSummarize();
+                summary = await this.summarizeDroppedTurns(dropped, signal);
+            } catch (error) {
+                if (signal?.aborted) throw new Error('Generation stopped by user.');
+                console.warn('Could not summarize older turns:', error);
+            }
+            return { contents, droppedCount: dropped.length, summary };
+        },
         parseSseChunk(chunk) {
             if (!chunk || typeof chunk !== 'string') return null;
 
             const lines = chunk.split('\n');
             let type = 'message';
             let data = '';
+            // Only the J.B.A.I backend sends ids; they are what a dropped stream resumes from.
+            let id = '';
 
             lines.forEach((line) => {
                 if (line.startsWith('event:')) {
                     type = line.slice(6).trim();
                 } else if (line.startsWith('data:')) {
                     data += line.slice(5).trim();
+                } else if (line.startsWith('id:')) {
+                    id = line.slice(3).trim();
                 }
             });
 
             if (!data) return null;
 
             try {
-                return { type, data: JSON.parse(data) };
+                return { type, data: JSON.parse(data), id };
             } catch {
-                return { type, data };
+                return { type, data, id };
             }
         },
         joinSystemInstruction(systemInstruction) {
@@ -3126,11 +6260,190 @@ const ChatApp = {
             const tools = [];
             if (!toolsConfig || typeof toolsConfig !== 'object') return tools;
 
-            const isAgent = toolsConfig.agentMode === true;
-            if (toolsConfig.googleSearch === true || isAgent) tools.push({ googleSearch: {} });
-            if (toolsConfig.codeExecution === true || isAgent) tools.push({ codeExecution: {} });
+            if (toolsConfig.googleSearch === true) tools.push({ googleSearch: {} });
+            if (toolsConfig.codeExecution === true) tools.push({ codeExecution: {} });
             return tools;
         },
+        toolRegistry: {
+            calculator: {
+                description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, cbrt, abs, exp, sin, cos, tan, asin, acos, atan, ln, log, log2, floor, ceil, round, min, max and pow.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        expression: { type: 'string', description: 'The expression to evaluate, for example "(3.5 * 4) ^ 2 / sqrt(2)".' }
+                    },
+                    required: ['expression']
+                },
+                async execute({ expression }) {
+                    return { expression, result: ChatApp.Utils.evaluateMathExpression(expression) };
+                }
+            },
+            get_current_time: {
+                description: "Get the user's current date and time, optionally in another IANA time zone.",
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        timeZone: { type: 'string', description: 'Optional IANA time zone such as "Europe/London". Defaults to the user\'s own time zone.' }
+                    }
+                },
+                async execute({ timeZone } = {}) {
+                    const now = new Date();
+                    const resolvedTimeZone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+                    return {
+                        iso: now.toISOString(),
+                        local: now.toLocaleString(undefined, { timeZone: resolvedTimeZone, dateStyle: 'full', timeStyle: 'long' }),
+                        timeZone: resolvedTimeZone
+                    };
+                }
+            },
+            get_system_info: {
+                description: "Read the user's browser, OS, screen, hardware and time zone details. The user is asked for permission the first time.",
+                parameters: { type: 'object', properties: {} },
+                async execute() {
+                    const isAllowed = await ChatApp.UI.ensureSystemInfoPermission();
+                    if (!isAllowed) throw new Error('The user denied access to system information.');
+                    return ChatApp.UI.getSystemInfoData();
+                }
+            },
+            web_search: {
+                description: 'Search the live web through the J.B.A.I backend and get a grounded answer with source links. Use it for recent events or facts you are unsure about.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'A focused search question.' }
+                    },
+                    required: ['query']
+                },
+                isAvailable() {
+                    return Boolean(ChatApp.Utils.normalizeJbAiBaseUrl(ChatApp.State.providerSettings?.baseUrls?.jbai));
+                },
+                async execute({ query }, signal) {
+                    return ChatApp.Api.searchWithJbAi(query, signal);
+                }
+            },
+            run_canvas: {
+                description: 'Open a self-contained HTML document (inline CSS and JavaScript allowed) in the canvas panel next to the chat and run it as a live preview for the user.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', description: 'The complete HTML document to run.' }
+                    },
+                    required: ['code']
+                },
+                async execute({ code }) {
+                    if (typeof code !== 'string' || !code.trim()) throw new Error('No code was provided.');
+                    ChatApp.UI.openCanvasPanel(code, 'preview');
+                    return { status: 'Opened in the canvas preview.' };
+                }
+            }
+        },
+        getClientTools(provider, toolsConfig) {
+            if (toolsConfig?.agentMode !== true) return [];
+            if (provider === ChatApp.Config.PROVIDERS.JBAI || provider === ChatApp.Config.PROVIDERS.GPTFREE) return [];
+            // Gemini rejects function declarations alongside its built-in Search/Code tools, so those win when enabled.
+            if (provider === ChatApp.Config.PROVIDERS.GOOGLE && this.buildGoogleTools(toolsConfig).length > 0) return [];
+            return Object.entries(this.toolRegistry)
+                .filter(([, tool]) => typeof tool.isAvailable !== 'function' || tool.isAvailable())
+                .map(([name, tool]) => ({ name, description: tool.description, parameters: tool.parameters }));
+        },
+        toOpenAiTools(tools) {
+            return tools.map((tool) => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        },
+        toAnthropicTools(tools) {
+            return tools.map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+        },
+        toGoogleFunctionDeclarations(tools) {
+            return tools.map((tool) => ({
+                name: tool.name,
+                description: tool.description,
+                ...(Object.keys(tool.parameters?.properties || {}).length > 0 ? { parameters: tool.parameters } : {})
+            }));
+        },
+        parseToolArguments(rawArguments) {
+            if (!rawArguments) return {};
+            try {
+                const parsed = JSON.parse(rawArguments);
+                return parsed && typeof parsed === 'object' ? parsed : {};
+            } catch {
+                return {};
+            }
+        },
+        serializeToolOutcome(outcome) {
+            return JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result ?? null);
+        },
+        async executeToolCall(name, args, signal) {
+            const tool = Object.hasOwn(this.toolRegistry, name) ? this.toolRegistry[name] : null;
+            if (!tool) return { error: `Unknown tool "${name}".` };
+            try {
+                return { result: await tool.execute(args && typeof args === 'object' ? args : {}, signal) };
+            } catch (error) {
+                if (error?.name === 'AbortError') throw error;
+                return { error: error?.message || String(error) };
+            }
+        },
+        async *runToolCalls(calls, signal) {
+            const results = [];
+            for (const call of calls) {
+                if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                yield { type: 'tool_call', id: call.id, name: call.name, args: call.args };
+                const outcome = await this.executeToolCall(call.name, call.args, signal);
+                const result = { ...call, ...outcome };
+                yield { type: 'tool_result', ...result };
+                results.push(result);
+            }
+            return results;
+        },
+        async searchWithJbAi(query, signal) {
+            const baseUrl = ChatApp.Utils.normalizeJbAiBaseUrl(ChatApp.State.providerSettings?.baseUrls?.jbai);
+            if (!baseUrl) throw new Error('J.B.A.I backend URL is not configured.');
+            if (typeof query !== 'string' || query.trim().length < 2) throw new Error('Search query is too short.');
+
+            const payload = {
+                ...this.buildJbAiPayload([{ role: 'user', parts: [{ text: query.trim() }] }], {}),
+                skill_instructions: null
+            };
+            const response = await fetch(this.buildJbAiUrl(baseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_SEARCH_PATH), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal
+            });
+
+            if (!response.ok) {
+                throw new Error(await this.getJbAiBackendErrorMessage(response, baseUrl));
+            }
+
+            const data = await response.json();
+            return {
+                answer: typeof data?.answer === 'string' ? data.answer.trim() : '',
+                insufficientContext: data?.insufficient_context === true,
+                sources: (Array.isArray(data?.sources) ? data.sources : []).slice(0, 6).map((source) => ({
+                    title: source?.title || source?.domain || '',
+                    url: source?.url || ''
+                }))
+            };
+        },
+        // `key` is the message's own toolCallKey; the formatter only renders steps carrying it, so markup the
+        // model writes (or quotes from a page) shows as text instead of as a tool the app ran.
+        formatToolStepMarkup(step, key) {
+            const json = JSON.stringify({
+                name: step.name,
+                args: step.args ?? {},
+                ...(step.error ? { error: step.error } : { result: step.result ?? null })
+            });
+            // Escaping "<" keeps tool output from closing the tag or injecting markup, and escaping "`" keeps it from
+            // opening a code fence; JSON.parse restores both.
+            return `\n\n<tool_call key="${key}">${json.replace(/</g, '\\u003c').replace(/`/g, '\\u0060')}</tool_call>\n\n`;
+        },
+        stripToolCallMarkup(text) {
+            return String(text || '').replace(/\s*<tool_call\b[^>]*>[\s\S]*?<\/tool_call>\s*/g, '\n\n').trim();
+        },
         partsToOpenAiContent(parts) {
             const content = [];
             let omittedCount = 0;
@@ -3331,7 +6644,7 @@ const ChatApp = {
             if (!text) throw new Error('Google returned an empty response.');
             return text;
         },
-        async requestOpenAiCompatibleText({ apiKey, model, contents, systemInstructionText, signal, titleMode = false, endpoint, providerName }) {
+        async requestOpenAiCompatibleText({ apiKey, model, contents, systemInstructionText, signal, titleMode = false, endpoint, providerName, headers = {} }) {
             const payload = {
                 model,
                 messages: this.toOpenAiMessages(contents, systemInstructionText),
@@ -3342,8 +6655,9 @@ const ChatApp = {
             const response = await fetch(endpoint, {
                 method: 'POST',
                 headers: {
+                    ...headers,
                     'Content-Type': 'application/json',
-                    Authorization: `Bearer ${apiKey}`
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
                 },
                 body: JSON.stringify(payload),
                 signal
@@ -3534,7 +6848,7 @@ const ChatApp = {
             const payload = this.buildJbAiPayload(contents, toolsConfig);
 
             if (!payload.query || payload.query.length < 2) {
-                throw new Error('J.B.A.I mode currently requires a text question. Attachments alone are not supported yet.');
+                throw new Error('J.B.A.I mode needs a question or a text document or image attachment.');
             }
 
             const endpoint = this.buildJbAiUrl(baseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_SEARCH_PATH);
@@ -3557,100 +6871,411 @@ const ChatApp = {
             if (!text) throw new Error('J.B.A.I returned an empty response.');
             return text;
         },
-        async *streamJbAiResponse({ contents, signal, toolsConfig }) {
-            const { baseUrl } = this.getActiveProviderConfig();
-            const payload = this.buildJbAiPayload(contents, toolsConfig);
+        async *streamJbAiResponse({ contents, signal, toolsConfig, checkpoint = null }) {
+            // A checkpoint resumes an earlier stream, so it needs neither the current provider settings nor a payload.
+            const baseUrl = checkpoint ? '' : this.getActiveProviderConfig().baseUrl;
+            const url = checkpoint ? checkpoint.url : this.buildJbAiUrl(baseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_SEARCH_STREAM_PATH);
+            const payload = checkpoint ? null : this.buildJbAiPayload(contents, toolsConfig);
 
-            if (!payload.query || payload.query.length < 2) {
-                throw new Error('J.B.A.I mode currently requires a text question. Attachments alone are not supported yet.');
+            if (payload && (!payload.query || payload.query.length < 2)) {
+                throw new Error('J.B.A.I mode needs a question or a text document or image attachment.');
+            }
+            if (payload) {
+                const lastUserMessage = contents.findLast((message) => message.role === 'user');
+                yield { type: 'search_settings', settings: this.resolveJbAiSearchSettings(lastUserMessage?.searchOptions, payload.query, toolsConfig) };
             }
 
-            const endpoint = this.buildJbAiUrl(baseUrl, ChatApp.Config.API_ENDPOINTS.JBAI_SEARCH_STREAM_PATH);
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    Accept: 'text/event-stream'
-                },
-                body: JSON.stringify(payload),
-                signal
+            const events = JbAiStream.events({
+                url,
+                body: payload,
+                checkpoint,
+                readEvents: (response, readSignal) => this.readSseEvents(response, readSignal),
+                signal,
+                describeError: (response) => this.getJbAiBackendErrorMessage(response, baseUrl || url)
             });
 
-            if (!response.ok) {
-                throw new Error(await this.getJbAiBackendErrorMessage(response, baseUrl));
-            }
+            for await (const event of events) {
+                if (event.id) {
+                    // Lets the caller keep a partial answer resumable if the stream cannot be recovered.
+                    yield { type: 'checkpoint', checkpoint: { url, lastEventId: event.id } };
+                }
+
+                if (event.type === 'reconnecting') {
+                    yield {
+                        type: 'status',
+                        phase: 'reconnecting',
+                        message: `Connection lost. Reconnecting (${event.data.attempt}/${event.data.maxRetries})...`
+                    };
+                    continue;
+                }
+
+                if (event.type === 'status') {
+                    yield {
+                        type: 'status',
+                        phase: event.data?.phase || '',
+                        message: event.data?.message || 'Working...'
+                    };
+                    continue;
+                }
+
+                if (event.type === 'answer_delta') {
+                    const delta = typeof event.data?.delta === 'string' ? event.data.delta : '';
+                    if (delta) yield { type: 'text', delta };
+                    continue;
+                }
+
+                if (event.type === 'complete') {
+                    yield { type: 'complete', payload: event.data || {} };
+                    continue;
+                }
+
+                if (event.type === 'error') {
+                    const message = typeof event.data?.message === 'string'
+                        ? event.data.message
+                        : 'J.B.A.I backend error.';
+                    throw new Error(message);
+                }
+            }
+        },
+        // Stopping an answer also stops the backend search, which otherwise keeps running for a reconnect.
+        async cancelJbAiStream(checkpoint) {
+            try {
+                await JbAiStream.cancel(checkpoint);
+            } catch (error) {
+                console.warn('Could not cancel the J.B.A.I stream:', error);
+            }
+        },
+        async *resumeJbAiResponse(checkpoint, signal) {
+            try {
+                yield* this.streamJbAiResponse({ checkpoint, signal });
+            } catch (error) {
+                if (error?.name === 'AbortError') throw new Error('Generation stopped by user.');
+                throw error;
+            }
+        },
+        async *readSseEvents(response, signal) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                    const text = done ? decoder.decode() : decoder.decode(value, { stream: true });
+                    // Gemini separates events with CRLF; normalize so one boundary check covers every provider.
+                    // A trailing CR is left alone until the next read tells us whether an LF follows it.
+                    buffer = (buffer + text).replace(/\r\n|\r(?!$)/g, '\n');
+
+                    let boundaryIndex = buffer.indexOf('\n\n');
+                    while (boundaryIndex !== -1) {
+                        const rawChunk = buffer.slice(0, boundaryIndex);
+                        buffer = buffer.slice(boundaryIndex + 2);
+                        boundaryIndex = buffer.indexOf('\n\n');
+
+                        const event = this.parseSseChunk(rawChunk);
+                        if (event) yield event;
+                    }
+
+                    if (done) {
+                        const event = this.parseSseChunk(buffer);
+                        if (event) yield event;
+                        break;
+                    }
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        },
+        async *streamOpenAiCompatibleResponse({ apiKey, model, contents, systemInstructionText, signal, endpoint, providerName, headers = {}, tools = [] }) {
+            const messages = this.toOpenAiMessages(contents, systemInstructionText);
+            let hasOutput = false;
+
+            for (let round = 0; round <= ChatApp.Config.MAX_TOOL_ROUNDS; round += 1) {
+                // The last round still declares the tools (the history holds tool calls) but asks for text only.
+                const finalRound = round === ChatApp.Config.MAX_TOOL_ROUNDS;
+                const payload = {
+                    model,
+                    messages,
+                    temperature: 0.7,
+                    stream: true,
+                    ...(tools.length > 0 ? { tools: this.toOpenAiTools(tools), ...(finalRound ? { tool_choice: 'none' } : {}) } : {})
+                };
+
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        ...headers,
+                        'Content-Type': 'application/json',
+                        Accept: 'text/event-stream',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify(payload),
+                    signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(await this.getErrorMessageFromResponse(response, providerName));
+                }
+
+                if (!response.body) {
+                    throw new Error(`${providerName} did not return a readable stream.`);
+                }
+
+                let roundText = '';
+                const toolCalls = [];
+                for await (const event of this.readSseEvents(response, signal)) {
+                    if (event.data === '[DONE]') break;
+                    if (typeof event.data?.error?.message === 'string') {
+                        throw new Error(event.data.error.message);
+                    }
+
+                    const delta = event.data?.choices?.[0]?.delta;
+                    if (typeof delta?.content === 'string' && delta.content) {
+                        hasOutput = true;
+                        roundText += delta.content;
+                        yield { type: 'text', delta: delta.content };
+                    }
+                    if (Array.isArray(delta?.tool_calls)) {
+                        delta.tool_calls.forEach((callDelta) => {
+                            const index = Number.isInteger(callDelta?.index) ? callDelta.index : toolCalls.length;
+                            if (!toolCalls[index]) toolCalls[index] = { id: '', name: '', arguments: '' };
+                            const call = toolCalls[index];
+                            if (callDelta.id) call.id = callDelta.id;
+                            if (callDelta.function?.name) call.name += callDelta.function.name;
+                            if (callDelta.function?.arguments) call.arguments += callDelta.function.arguments;
+                        });
+                    }
+                }
+
+                const pendingCalls = toolCalls
+                    .filter((call) => call?.name)
+                    .map((call, index) => ({ ...call, id: call.id || `call_${round}_${index}` }));
+                if (pendingCalls.length === 0 || finalRound) break;
 
-            if (!response.body) {
-                throw new Error('J.B.A.I backend did not return a readable stream.');
+                hasOutput = true;
+                messages.push({
+                    role: 'assistant',
+                    content: roundText || null,
+                    tool_calls: pendingCalls.map((call) => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: call.arguments || '{}' }
+                    }))
+                });
+                const results = yield* this.runToolCalls(pendingCalls.map((call) => ({
+                    id: call.id,
+                    name: call.name,
+                    args: this.parseToolArguments(call.arguments)
+                })), signal);
+                results.forEach((result) => {
+                    messages.push({ role: 'tool', tool_call_id: result.id, content: this.serializeToolOutcome(result) });
+                });
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
+            if (!hasOutput) throw new Error(`${providerName} returned an empty response.`);
+        },
+        async *streamAnthropicResponse({ apiKey, model, contents, systemInstructionText, signal, tools = [] }) {
+            const messages = this.toAnthropicMessages(contents);
+            let hasOutput = false;
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+            for (let round = 0; round <= ChatApp.Config.MAX_TOOL_ROUNDS; round += 1) {
+                // Anthropic rejects tool_use history without tool definitions, so the last round forbids calls instead.
+                const finalRound = round === ChatApp.Config.MAX_TOOL_ROUNDS;
+                const payload = {
+                    model,
+                    max_tokens: 2048,
+                    temperature: 0.7,
+                    messages,
+                    stream: true,
+                    ...(systemInstructionText ? { system: systemInstructionText } : {}),
+                    ...(tools.length > 0 ? { tools: this.toAnthropicTools(tools), ...(finalRound ? { tool_choice: { type: 'none' } } : {}) } : {})
+                };
 
-                buffer += decoder.decode(value, { stream: true });
-                let boundaryIndex = buffer.indexOf('\n\n');
+                const response = await fetch(ChatApp.Config.API_ENDPOINTS.ANTHROPIC_MESSAGES, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Accept: 'text/event-stream',
+                        'x-api-key': apiKey,
+                        'anthropic-version': '2023-06-01',
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: JSON.stringify(payload),
+                    signal
+                });
 
-                while (boundaryIndex !== -1) {
-                    const rawChunk = buffer.slice(0, boundaryIndex);
-                    buffer = buffer.slice(boundaryIndex + 2);
-                    boundaryIndex = buffer.indexOf('\n\n');
+                if (!response.ok) {
+                    throw new Error(await this.getErrorMessageFromResponse(response, 'Anthropic'));
+                }
 
-                    const event = this.parseSseChunk(rawChunk);
-                    if (!event) continue;
+                if (!response.body) {
+                    throw new Error('Anthropic did not return a readable stream.');
+                }
 
-                    if (event.type === 'status') {
-                        yield {
-                            type: 'status',
-                            phase: event.data?.phase || '',
-                            message: event.data?.message || 'Working...'
-                        };
-                        continue;
+                const blocks = [];
+                for await (const event of this.readSseEvents(response, signal)) {
+                    if (event.type === 'error') {
+                        const message = typeof event.data?.error?.message === 'string'
+                            ? event.data.error.message
+                            : 'Anthropic stream error.';
+                        throw new Error(message);
                     }
 
-                    if (event.type === 'answer_delta') {
-                        const delta = typeof event.data?.delta === 'string' ? event.data.delta : '';
-                        if (delta) yield { type: 'text', delta };
-                        continue;
-                    }
+                    if (event.type === 'message_stop') break;
 
-                    if (event.type === 'complete') {
-                        yield { type: 'complete', payload: event.data || {} };
+                    if (event.type === 'content_block_start' && event.data?.content_block) {
+                        blocks[event.data.index] = { ...event.data.content_block, text: event.data.content_block.text || '', json: '' };
                         continue;
                     }
 
-                    if (event.type === 'error') {
-                        const message = typeof event.data?.message === 'string'
-                            ? event.data.message
-                            : 'J.B.A.I backend error.';
-                        throw new Error(message);
+                    if (event.type !== 'content_block_delta') continue;
+                    const block = blocks[event.data?.index];
+                    const delta = event.data?.delta;
+                    if (delta?.type === 'text_delta' && typeof delta.text === 'string' && delta.text) {
+                        hasOutput = true;
+                        if (block) block.text += delta.text;
+                        yield { type: 'text', delta: delta.text };
+                    } else if (delta?.type === 'input_json_delta' && block) {
+                        block.json += delta.partial_json || '';
                     }
                 }
+
+                const toolUses = blocks.filter((block) => block?.type === 'tool_use');
+                if (toolUses.length === 0 || finalRound) break;
+
+                hasOutput = true;
+                messages.push({
+                    role: 'assistant',
+                    content: blocks
+                        .map((block) => {
+                            if (block?.type === 'text' && block.text) return { type: 'text', text: block.text };
+                            if (block?.type === 'tool_use') {
+                                return { type: 'tool_use', id: block.id, name: block.name, input: this.parseToolArguments(block.json) };
+                            }
+                            return null;
+                        })
+                        .filter(Boolean)
+                });
+                const results = yield* this.runToolCalls(toolUses.map((block) => ({
+                    id: block.id,
+                    name: block.name,
+                    args: this.parseToolArguments(block.json)
+                })), signal);
+                messages.push({
+                    role: 'user',
+                    content: results.map((result) => ({
+                        type: 'tool_result',
+                        tool_use_id: result.id,
+                        content: this.serializeToolOutcome(result),
+                        ...(result.error ? { is_error: true } : {})
+                    }))
+                });
             }
-        },
-        splitTextForStreaming(text, chunkSize = 120) {
-            const safeText = typeof text === 'string' ? text : '';
-            const chunks = [];
-            if (!safeText) return chunks;
-            for (let i = 0; i < safeText.length; i += chunkSize) {
-                chunks.push(safeText.slice(i, i + chunkSize));
+
+            if (!hasOutput) throw new Error('Anthropic returned an empty response.');
+        },
+        async *streamGoogleResponse({ apiKey, model, contents, systemInstruction, toolsConfig, signal, tools = [] }) {
+            const endpoint = `${ChatApp.Config.API_ENDPOINTS.GOOGLE_BASE}/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(apiKey)}`;
+            const builtInTools = this.buildGoogleTools(toolsConfig);
+            const requestContents = [...contents];
+            let hasOutput = false;
+
+            for (let round = 0; round <= ChatApp.Config.MAX_TOOL_ROUNDS; round += 1) {
+                // Gemini needs the declarations for functionCall history, so the last round sets calling mode NONE instead.
+                const finalRound = round === ChatApp.Config.MAX_TOOL_ROUNDS;
+                const requestTools = tools.length > 0
+                    ? [...builtInTools, { functionDeclarations: this.toGoogleFunctionDeclarations(tools) }]
+                    : builtInTools;
+                const payload = {
+                    contents: requestContents,
+                    ...(systemInstruction ? { systemInstruction } : {}),
+                    ...(requestTools.length > 0 ? { tools: requestTools } : {}),
+                    ...(tools.length > 0 && finalRound ? { toolConfig: { functionCallingConfig: { mode: 'NONE' } } } : {})
+                };
+
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Accept: 'text/event-stream'
+                    },
+                    body: JSON.stringify(payload),
+                    signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(await this.getErrorMessageFromResponse(response, 'Google'));
+                }
+
+                if (!response.body) {
+                    throw new Error('Google did not return a readable stream.');
+                }
+
+                // Raw parts are echoed back verbatim so fields such as thought signatures survive the tool round-trip.
+                const modelParts = [];
+                for await (const event of this.readSseEvents(response, signal)) {
+                    if (typeof event.data?.error?.message === 'string') {
+                        throw new Error(event.data.error.message);
+                    }
+
+                    const parts = event.data?.candidates?.[0]?.content?.parts;
+                    if (!Array.isArray(parts)) continue;
+                    for (const part of parts) {
+                        modelParts.push(part);
+                        if (typeof part?.text === 'string' && part.text && !part.thought) {
+                            hasOutput = true;
+                            yield { type: 'text', delta: part.text };
+                        }
+                    }
+                }
+
+                const functionCalls = modelParts.filter((part) => part?.functionCall?.name);
+                if (functionCalls.length === 0 || finalRound) break;
+
+                hasOutput = true;
+                requestContents.push({ role: 'model', parts: modelParts });
+                const results = yield* this.runToolCalls(functionCalls.map((part, index) => ({
+                    id: part.functionCall.id || `${part.functionCall.name}_${round}_${index}`,
+                    name: part.functionCall.name,
+                    args: part.functionCall.args || {}
+                })), signal);
+                requestContents.push({
+                    role: 'user',
+                    parts: results.map((result) => ({
+                        functionResponse: {
+                            name: result.name,
+                            response: result.error ? { error: result.error } : { result: result.result ?? null }
+                        }
+                    }))
+                });
             }
-            return chunks;
+
+            if (!hasOutput) throw new Error('Google returned an empty response.');
         },
         async generateText({ apiContents, systemInstruction, signal, toolsConfig, titleMode = false }) {
             if (!Array.isArray(apiContents)) {
                 throw new Error('Invalid contents for generation.');
             }
 
-            const { provider, model, apiKey, baseUrl } = this.getActiveProviderConfig();
+            const { provider, model, apiKey, baseUrl, endpoint, headers, providerName } = this.getActiveProviderConfig();
             const sanitizedContents = this.sanitizeApiContents(apiContents);
             const systemInstructionText = this.joinSystemInstruction(systemInstruction);
 
+            if (ChatApp.Utils.isCustomProvider(provider)) {
+                return this.requestOpenAiCompatibleText({
+                    apiKey,
+                    model,
+                    contents: sanitizedContents,
+                    systemInstructionText,
+                    signal,
+                    titleMode,
+                    endpoint,
+                    providerName,
+                    headers
+                });
+            }
+
             if (provider === ChatApp.Config.PROVIDERS.JBAI) {
                 return this.requestJbAiText({
                     baseUrl,
@@ -3762,6 +7387,15 @@ Rules for Image Generation:
 2. The prompt inside the [IMAGE_GEN: ...] tag should be highly detailed, descriptive, and written in English (e.g., [IMAGE_GEN: A beautiful oil painting of a cat playing with a red ball of yarn on a wooden floor, soft lighting, detailed texture]).
 3. You can write normal conversational text before or after the tag.
 
+--- CHARTS ---
+When a chart would help (trends, comparisons, proportions, correlations), draw it with a \`\`\`chart code block instead of HTML. Use JSON:
+\`\`\`chart
+{"type": "line", "title": "Monthly Sales", "xLabel": "Month", "yLabel": "Units", "labels": ["Jan", "Feb", "Mar"], "series": [{"name": "2024", "data": [120, 150, 170]}, {"name": "2025", "data": [130, 160, 210]}]}
+\`\`\`
+- "type" is one of "line", "bar", "pie" (first series only) or "scatter" (data as [[x, y], ...]).
+- Or use CSV: optional "type: bar" and "title: ..." lines, then a header row; the first column holds the labels and each other column is a series.
+- Data must be plain numbers. Keep to at most 8 series.
+
 --- MULTIPLE FILES & DOWNLOAD (CRITICAL) ---
 When users ask for multiple files, separate files, or a download link, you MUST use this format:
 \`[FILES: { "files": [{"name": "file1.ext", "content": "content here"}, {"name": "file2.ext", "content": "content here"}] }]\`
@@ -3789,9 +7423,13 @@ This creates an automatic ZIP download button. JSZip is integrated. DO NOT say y
             return baseContext;
         },
         async getAgentSystemContext(provider = ChatApp.Config.PROVIDERS.GOOGLE) {
-            const toolCapability = provider === ChatApp.Config.PROVIDERS.GOOGLE
-                ? 'Use Google Search and Code Execution tools when needed.'
-                : `No external tools are available in ${this.getProviderLabel(provider)} direct mode. Reason using only the conversation context and your own model output.`;
+            const clientTools = this.getClientTools(provider, { ...ChatApp.State.toolsConfig, agentMode: true });
+            let toolCapability = `No external tools are available in ${this.getProviderLabel(provider)} direct mode. Reason using only the conversation context and your own model output.`;
+            if (clientTools.length > 0) {
+                toolCapability = `Call the provided functions when they improve accuracy: ${clientTools.map(tool => `\`${tool.name}\``).join(', ')}. Use \`calculator\` for any non-trivial arithmetic. Results are returned to you automatically; never invent tool output.`;
+            } else if (provider === ChatApp.Config.PROVIDERS.GOOGLE) {
+                toolCapability = 'Use Google Search and Code Execution tools when needed.';
+            }
 
             return `You are J.B.A.I. in **AGENT MODE**. You are an autonomous digital worker designed to solve complex, multi-step problems.
             
@@ -3807,6 +7445,7 @@ Your final answer to the user must be OUTSIDE these tags.
 
 --- CAPABILITIES ---
 - **Files**: You can generate multiple files using the standard [FILES: {...}] format.
+- **Charts**: You can draw line, bar, pie and scatter charts with a \`\`\`chart block holding JSON such as {"type": "bar", "labels": ["A", "B"], "series": [{"name": "Count", "data": [3, 5]}]}.
 
 --- BEHAVIORAL RULES ---
 - Be autonomous. Do not ask the user for permission to proceed.
@@ -3875,18 +7514,66 @@ You are a digital professional. Be concise, accurate, and effective.`;
                     return;
                 }
 
-                const text = await this.generateText({
-                    apiContents,
+                const { apiKey, endpoint, headers, providerName } = this.getActiveProviderConfig();
+                const contents = this.sanitizeApiContents(apiContents);
+                const systemInstructionText = this.joinSystemInstruction(systemInstruction);
+                const tools = this.getClientTools(provider, toolsConfig);
+
+                if (ChatApp.Utils.isCustomProvider(provider)) {
+                    yield* this.streamOpenAiCompatibleResponse({
+                        apiKey,
+                        model,
+                        contents,
+                        systemInstructionText,
+                        signal,
+                        endpoint,
+                        providerName,
+                        headers,
+                        tools
+                    });
+                    return;
+                }
+
+                const openAiCompatibleEndpoints = {
+                    [ChatApp.Config.PROVIDERS.OPENAI]: { endpoint: ChatApp.Config.API_ENDPOINTS.OPENAI_CHAT, providerName: 'OpenAI' },
+                    [ChatApp.Config.PROVIDERS.GROQ]: { endpoint: ChatApp.Config.API_ENDPOINTS.GROQ_CHAT, providerName: 'Groq' },
+                    [ChatApp.Config.PROVIDERS.DEEPSEEK]: { endpoint: ChatApp.Config.API_ENDPOINTS.DEEPSEEK_CHAT, providerName: 'DeepSeek' }
+                };
+
+                if (openAiCompatibleEndpoints[provider]) {
+                    yield* this.streamOpenAiCompatibleResponse({
+                        apiKey,
+                        model,
+                        contents,
+                        systemInstructionText,
+                        signal,
+                        tools,
+                        ...openAiCompatibleEndpoints[provider]
+                    });
+                    return;
+                }
+
+                if (provider === ChatApp.Config.PROVIDERS.ANTHROPIC) {
+                    yield* this.streamAnthropicResponse({
+                        apiKey,
+                        model,
+                        contents,
+                        systemInstructionText,
+                        signal,
+                        tools
+                    });
+                    return;
+                }
+
+                yield* this.streamGoogleResponse({
+                    apiKey,
+                    model,
+                    contents,
                     systemInstruction,
-                    signal,
                     toolsConfig,
-                    titleMode: false
+                    signal,
+                    tools
                 });
-                const chunks = this.splitTextForStreaming(text);
-                for (const chunk of chunks) {
-                    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
-                    yield { type: 'text', delta: chunk };
-                }
             } catch (error) {
                 if (error?.name === 'AbortError') {
                     throw new Error('Generation stopped by user.');
@@ -3903,7 +7590,9 @@ You are a digital professional. Be concise, accurate, and effective.`;
         init() {
             ChatApp.UI.cacheElements();
             ChatApp.UI.initTooltips();
+            ChatApp.UI.initFootnotePreviews();
             ChatApp.UI.initSlashAutocomplete();
+            ChatApp.UI.initSearchOptions();
             this.initOfflineDetection();
             const { elements } = ChatApp.UI;
             const { Controller } = ChatApp;
@@ -3929,7 +7618,29 @@ You are a digital professional. Be concise, accurate, and effective.`;
 
             // New feature bindings
             const profileBtn = document.getElementById('profile-widget');
-            if (profileBtn) profileBtn.addEventListener('click', () => ChatApp.UI.renderSettingsModal());
+            if (profileBtn) {
+                profileBtn.addEventListener('click', () => ChatApp.UI.showAccountManagerModal());
+                profileBtn.addEventListener('keydown', (e) => {
+                    if (e.key !== 'Enter' && e.key !== ' ') return;
+                    e.preventDefault();
+                    ChatApp.UI.showAccountManagerModal();
+                });
+            }
+
+            const chatSearchInput = document.getElementById('chat-search-input');
+            if (chatSearchInput) {
+                const runSearch = ChatApp.Utils.debounce(() => {
+                    ChatApp.State.searchQuery = chatSearchInput.value;
+                    ChatApp.UI.renderSidebar();
+                }, 150);
+                chatSearchInput.addEventListener('input', runSearch);
+                chatSearchInput.addEventListener('keydown', (e) => {
+                    if (e.key !== 'Escape') return;
+                    chatSearchInput.value = '';
+                    ChatApp.State.searchQuery = '';
+                    ChatApp.UI.renderSidebar();
+                });
+            }
 
             const addFolderBtn = document.getElementById('add-folder-btn');
             if (addFolderBtn) addFolderBtn.addEventListener('click', () => {
@@ -4074,6 +7785,8 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 RELOAD: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>',
                 SELECT_ALL: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 11 12 14 22 4"></polyline><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path></svg>',
                 ZOOM: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line><line x1="11" y1="8" x2="11" y2="14"></line><line x1="8" y1="11" x2="14" y2="11"></line></svg>',
+                EXPORT: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>',
+                PRINT: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 6 2 18 2 18 9"></polyline><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path><rect x="6" y="14" width="12" height="8"></rect></svg>',
                 FOLDER: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>',
             };
             
@@ -4129,6 +7842,13 @@ You are a digital professional. Be concise, accurate, and effective.`;
                     const folderBtn = convoItem.querySelector('.folder-btn');
                     if (folderBtn) folderBtn.click();
                 }});
+                items.push({ divider: true });
+                items.push({ icon: ICONS.EXPORT, label: 'Export as Markdown', action: () => ChatApp.Export.run(() => ChatApp.Export.exportMarkdown(chatId)) });
+                items.push({ icon: ICONS.EXPORT, label: 'Export as HTML', action: () => ChatApp.Export.run(() => ChatApp.Export.exportHtml(chatId)) });
+                items.push({ icon: ICONS.PRINT, label: 'Print / Save as PDF', action: () => ChatApp.Export.run(() => ChatApp.Export.printChat(chatId)) });
+                items.push({ icon: ICONS.EXPORT, label: 'Export All Chats (Markdown)', action: () => ChatApp.Export.run(() => ChatApp.Export.exportAll('markdown')) });
+                items.push({ icon: ICONS.EXPORT, label: 'Export All Chats (HTML)', action: () => ChatApp.Export.run(() => ChatApp.Export.exportAll('html')) });
+                items.push({ divider: true });
                 items.push({ icon: ICONS.DELETE, label: 'Delete Chat', danger: true, action: () => ChatApp.Controller.deleteConversation(chatId) });
                 items.push({ divider: true });
             }
@@ -4437,31 +8157,20 @@ You are a digital professional. Be concise, accurate, and effective.`;
             if (!validation.valid) { ChatApp.UI.showToast(validation.error, 'error'); return; }
             if (ChatApp.State.isGenerating) return;
 
-            try {
-                if (provider === ChatApp.Config.PROVIDERS.JBAI) {
-                    const status = await ChatApp.Controller.refreshJbAiBackendStatus({
-                        force: ChatApp.State.jbAiBackend.status !== ChatApp.Config.JBAI_BACKEND_STATES.CONNECTED,
-                        silent: true
-                    });
-                    if (status.status !== ChatApp.Config.JBAI_BACKEND_STATES.CONNECTED) {
-                        const presentation = ChatApp.UI.getJbAiStatusPresentation(status);
-                        ChatApp.UI.showToast(presentation.label, 'error', 4200);
-                        ChatApp.UI.renderConversationSurface();
-                        return;
-                    }
-                }
-                ChatApp.Api.getActiveProviderConfig();
-            } catch (error) {
-                ChatApp.UI.showToast(error.message || 'Provider settings are incomplete.', 'error');
-                return;
-            }
+            if (!(await this.ensureProviderReady())) return;
 
-            if (provider === ChatApp.Config.PROVIDERS.JBAI && !userInput) {
-                ChatApp.UI.showToast('J.B.A.I mode currently requires a text question. Attachments alone are not supported yet.', 'error');
-                return;
-            }
             if (provider === ChatApp.Config.PROVIDERS.JBAI && files.length > 0) {
-                ChatApp.UI.showToast('Attachments stay in the chat, but J.B.A.I mode currently sends only the text prompt to the web search backend.', 'info', 4500);
+                const limits = ChatApp.Api.getJbAiAttachmentLimits();
+                const issues = files.map(file => ChatApp.Api.getJbAiAttachmentIssue(file.name, file.type || ChatApp.Utils.inferMimeType(file.name), file.size, limits));
+                const accepted = issues.filter(issue => !issue).length;
+                if (accepted > limits.maxFiles) issues.push(`Only the first ${limits.maxFiles} supported files are sent`);
+                if (!userInput && accepted === 0) {
+                    ChatApp.UI.showToast(`None of these attachments can be sent to J.B.A.I. ${issues.filter(Boolean).join('; ')}.`, 'error', 6000);
+                    return;
+                }
+                if (issues.some(Boolean)) {
+                    ChatApp.UI.showToast(`Some attachments stay in the chat only. ${issues.filter(Boolean).join('; ')}.`, 'info', 6000);
+                }
             }
 
             // Capture active skill for text generation context, prepend tag
@@ -4521,6 +8230,9 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 }));
 
                 const userMessage = { id: ChatApp.Utils.generateUUID(), content: { role: "user", parts: messageParts }, attachments: userMessageAttachments };
+                if (provider === ChatApp.Config.PROVIDERS.JBAI && Object.keys(ChatApp.State.jbAiSearchOptions).length > 0) {
+                    userMessage.searchOptions = { ...ChatApp.State.jbAiSearchOptions };
+                }
                 ChatApp.State.addMessage(userMessage);
                 await ChatApp.UI.renderMessage(userMessage);
                 await this._generateText();
@@ -4530,6 +8242,119 @@ You are a digital professional. Be concise, accurate, and effective.`;
             }
         },
 
+        async ensureProviderReady() {
+            const { provider } = ChatApp.Store.getActiveProviderSettings();
+            try {
+                if (provider === ChatApp.Config.PROVIDERS.JBAI) {
+                    const status = await ChatApp.Controller.refreshJbAiBackendStatus({
+                        force: ChatApp.State.jbAiBackend.status !== ChatApp.Config.JBAI_BACKEND_STATES.CONNECTED,
+                        silent: true
+                    });
+                    if (status.status !== ChatApp.Config.JBAI_BACKEND_STATES.CONNECTED) {
+                        const presentation = ChatApp.UI.getJbAiStatusPresentation(status);
+                        ChatApp.UI.showToast(presentation.label, 'error', 4200);
+                        ChatApp.UI.renderConversationSurface();
+                        return false;
+                    }
+                }
+                ChatApp.Api.getActiveProviderConfig();
+                return true;
+            } catch (error) {
+                ChatApp.UI.showToast(error.message || 'Provider settings are incomplete.', 'error');
+                return false;
+            }
+        },
+        async regenerateMessage(messageId) {
+            if (ChatApp.State.isGenerating) return;
+            const index = ChatApp.State.getMessageIndex(messageId);
+            const conversation = ChatApp.State.currentConversation;
+            if (index < 1 || conversation[index].content.role !== 'model' || conversation[index - 1].content.role !== 'user') return;
+            if (!(await this.ensureProviderReady())) return;
+
+            // The new reply becomes the last sibling; until it completes, the old tail is held aside so a failed
+            // or stopped generation can put it back.
+            const tails = ChatApp.State.getBranchTails(index);
+            ChatApp.State.pendingBranch = { index, tails, activeIndex: Math.min(conversation[index].branchIndex || 0, tails.length - 1) };
+            ChatApp.State.currentConversation = conversation.slice(0, index);
+            await ChatApp.UI.renderConversationHistory();
+
+            ChatApp.State.abortController = new AbortController();
+            ChatApp.State.setGenerating(true);
+            await this._generateText();
+        },
+        async continueMessage(messageId) {
+            if (ChatApp.State.isGenerating) return;
+            const conversation = ChatApp.State.currentConversation;
+            const index = ChatApp.State.getMessageIndex(messageId);
+            const message = conversation[index];
+            if (!message?.interrupted || message.interrupted.expired || index !== conversation.length - 1) return;
+
+            // The partial reply is re-rendered as a streaming message and replaced when the stream finishes or fails again.
+            ChatApp.State.currentConversation = conversation.slice(0, index);
+            await ChatApp.UI.renderConversationHistory();
+            ChatApp.State.abortController = new AbortController();
+            ChatApp.State.setGenerating(true);
+            await this._generateText({ resumeFrom: message });
+        },
+        editMessage(messageId) {
+            if (ChatApp.State.isGenerating) return;
+            const message = ChatApp.State.currentConversation[ChatApp.State.getMessageIndex(messageId)];
+            const messageEl = document.querySelector(`[data-message-id='${messageId}']`);
+            if (!message || message.content.role !== 'user' || !messageEl) return;
+            const text = message.content.parts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n');
+            ChatApp.UI.openMessageEditor(messageEl, text, (newText) => this.resendEditedMessage(messageId, newText));
+        },
+        async resendEditedMessage(messageId, newText) {
+            if (ChatApp.State.isGenerating) return;
+            const index = ChatApp.State.getMessageIndex(messageId);
+            const original = ChatApp.State.currentConversation[index];
+            if (!original) return;
+            const validation = ChatApp.Utils.validateMessage(newText, []);
+            if (!validation.valid) { ChatApp.UI.showToast(validation.error, 'error'); return; }
+            if (!(await this.ensureProviderReady())) return;
+
+            const editedMessage = {
+                id: ChatApp.Utils.generateUUID(),
+                content: {
+                    role: 'user',
+                    parts: [...original.content.parts.filter(part => part.inlineData), { text: newText }]
+                },
+                ...(original.attachments ? { attachments: original.attachments } : {}),
+                ...(original.searchOptions ? { searchOptions: original.searchOptions } : {})
+            };
+            const tails = ChatApp.State.getBranchTails(index);
+            ChatApp.State.activateBranch(index, [...tails, [editedMessage]], tails.length);
+            await ChatApp.UI.renderConversationHistory();
+
+            ChatApp.State.abortController = new AbortController();
+            ChatApp.State.setGenerating(true);
+            await this._generateText();
+        },
+        async switchBranch(messageId, direction) {
+            if (ChatApp.State.isGenerating) return;
+            const index = ChatApp.State.getMessageIndex(messageId);
+            if (index === -1) return;
+            const tails = ChatApp.State.getBranchTails(index);
+            const currentIndex = Math.min(ChatApp.State.currentConversation[index].branchIndex || 0, tails.length - 1);
+            const targetIndex = currentIndex + direction;
+            if (targetIndex < 0 || targetIndex >= tails.length) return;
+
+            ChatApp.State.activateBranch(index, tails, targetIndex);
+            await ChatApp.UI.renderConversationHistory();
+            const headId = ChatApp.State.currentConversation[index].id;
+            requestAnimationFrame(() => {
+                document.querySelector(`[data-message-id='${headId}']`)?.scrollIntoView({ block: 'nearest' });
+            });
+            await this.saveCurrentChat();
+        },
+        async restorePendingBranch() {
+            const pending = ChatApp.State.pendingBranch;
+            if (!pending) return;
+            ChatApp.State.pendingBranch = null;
+            ChatApp.State.currentConversation = ChatApp.State.currentConversation.slice(0, pending.index);
+            ChatApp.State.activateBranch(pending.index, pending.tails, pending.activeIndex);
+            await ChatApp.UI.renderConversationHistory();
+        },
         async generateImage(prompt) {
             const userMsg = {
                 id: ChatApp.Utils.generateUUID(),
@@ -4660,66 +8485,72 @@ You are a digital professional. Be concise, accurate, and effective.`;
         },
         removeAttachedFile(index) { ChatApp.State.attachedFiles.splice(index, 1); ChatApp.UI.renderFilePreviews(); ChatApp.UI.hideTooltip(); },
         clearAttachedFiles() { ChatApp.State.attachedFiles = []; ChatApp.UI.renderFilePreviews(); },
-        async _generateText() {
+        async _generateText({ resumeFrom = null } = {}) {
             // 1. Initial Placeholder
             const messageEl = await ChatApp.UI.renderMessage({ id: null }, true); // render as "thinking"
             let fullTextAccumulator = "";
-            let messageId = ChatApp.Utils.generateUUID();
+            let messageId = resumeFrom?.id || ChatApp.Utils.generateUUID();
             let hasRemovedThinking = false;
             let completionPayload = null;
+            let checkpoint = resumeFrom?.interrupted || null;
+            let searchSettings = resumeFrom?.searchSettings || null;
+            let toolCallKey = resumeFrom?.toolCallKey || null;
+            if (toolCallKey) messageEl.dataset.toolCallKey = toolCallKey;
 
             try {
                 const toolsConfig = ChatApp.State.toolsConfig;
-                const isAgentMode = toolsConfig.agentMode === true;
-                const { provider } = ChatApp.Store.getActiveProviderSettings();
-                
-                let systemText = await ChatApp.Api.getSystemContext(isAgentMode, provider);
-                const skill = ChatApp.State.activeSkillForGeneration || ChatApp.State.activeSkill;
-                if (skill) {
-                    const skillRules = skill.instructions || skill.promptTemplate || '';
-                    if (skillRules) {
-                        systemText = `Active Skill Rules for [${skill.title || skill.name || skill.id}]:\n${skillRules}\n\n${systemText}`;
-                    }
-                }
 
-                // Check for time/system requests
-                const lastMsg = ChatApp.State.currentConversation[ChatApp.State.currentConversation.length - 1];
-                let systemContextOverride = '';
-                if (lastMsg && lastMsg.content && lastMsg.content.parts) {
-                    const textVal = typeof lastMsg.content.parts === 'string' 
-                        ? lastMsg.content.parts 
-                        : (Array.isArray(lastMsg.content.parts) ? lastMsg.content.parts.map(p => p.text || '').join('') : '');
-                    const textValLower = textVal.toLowerCase();
-                    if (textValLower.includes('time') || textValLower.includes('date today') || textValLower.includes('current date')) {
-                        systemContextOverride += `\n[Time Service]: The current user time is ${new Date().toString()}.`;
-                    }
-                    if (textValLower.includes('system info') || textValLower.includes('my specs') || textValLower.includes('browser info') || textValLower.includes('hardware specs') || textValLower.includes('screen resolution')) {
-                        const isAllowed = await ChatApp.UI.ensureSystemInfoPermission();
-                        if (isAllowed) {
-                            const info = ChatApp.UI.getSystemInfoData();
-                            systemContextOverride += `\n[System Info Service]: User System Info: ${JSON.stringify(info)}.`;
-                        } else {
-                            systemContextOverride += `\n[System Info Service]: Access Denied by User.`;
-                        }
-                    }
-                }
-                if (systemContextOverride) {
-                    systemText = systemText + "\n\n" + systemContextOverride;
+                // 2. Start Stream (a resumed reply picks up its J.B.A.I stream where the connection dropped)
+                let stream;
+                if (resumeFrom) {
+                    fullTextAccumulator = resumeFrom.content.parts.map(part => part.text || '').join('');
+                    messageEl.classList.remove('thinking');
+                    messageEl.dataset.messageId = messageId;
+                    hasRemovedThinking = true;
+                    await ChatApp.UI.updateStreamingMessage(messageEl, fullTextAccumulator);
+                    stream = ChatApp.Api.resumeJbAiResponse(checkpoint, ChatApp.State.abortController.signal);
+                } else {
+                    stream = await this._openTextStream(messageEl, toolsConfig);
                 }
 
-                const systemInstruction = { parts: [{ text: systemText }] };
-                
-                const apiContents = ChatApp.State.currentConversation.map(msg => ({ role: msg.content.role, parts: msg.content.parts }));
-
-                // 2. Start Stream
-                const stream = ChatApp.Api.streamTextResponse(apiContents, systemInstruction, ChatApp.State.abortController.signal, toolsConfig);
-
                 // 3. Process Stream Chunks
                 for await (const event of stream) {
                     if (!event) continue;
 
                     if (event.type === 'status') {
                         ChatApp.UI.updateThinkingMessage(messageEl, event.message || 'Working...');
+                        if (event.phase === 'reconnecting' && hasRemovedThinking) ChatApp.UI.showToast(event.message, 'info', 2500);
+                        continue;
+                    }
+
+                    if (event.type === 'checkpoint') {
+                        checkpoint = event.checkpoint;
+                        continue;
+                    }
+
+                    if (event.type === 'search_settings') {
+                        searchSettings = event.settings;
+                        continue;
+                    }
+
+                    if (event.type === 'tool_call') {
+                        if (!hasRemovedThinking) ChatApp.UI.updateThinkingMessage(messageEl, `Running ${event.name}...`);
+                        continue;
+                    }
+
+                    if (event.type === 'tool_result') {
+                        if (!hasRemovedThinking) {
+                            messageEl.classList.remove('thinking');
+                            messageEl.dataset.messageId = messageId;
+                            hasRemovedThinking = true;
+                        }
+                        if (!toolCallKey) {
+                            toolCallKey = ChatApp.Utils.generateUUID();
+                            messageEl.dataset.toolCallKey = toolCallKey;
+                        }
+                        fullTextAccumulator += ChatApp.Api.formatToolStepMarkup(event, toolCallKey);
+                        await ChatApp.UI.updateStreamingMessage(messageEl, fullTextAccumulator);
+                        ChatApp.UI.scrollToBottom();
                         continue;
                     }
 
@@ -4774,10 +8605,13 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 if (jbAiMetadata?.groundingMetadata) {
                     contentObj.groundingMetadata = jbAiMetadata.groundingMetadata;
                 }
-                let botMessageForState = { id: messageId, content: contentObj };
+                let botMessageForState = this._withBranchState({ id: messageId, content: contentObj }, resumeFrom);
                 if (jbAiMetadata?.searchMetadata) {
                     botMessageForState.searchMetadata = jbAiMetadata.searchMetadata;
                 }
+                if (searchSettings) botMessageForState.searchSettings = searchSettings;
+                if (toolCallKey) botMessageForState.toolCallKey = toolCallKey;
+                if (completionPayload?.debug && Array.isArray(completionPayload.debug.steps)) botMessageForState.debugTrace = completionPayload.debug;
                 
                 // Check if the assistant wants to generate an image
                 const imageGenMatch = rawModelText.match(/\[IMAGE_GEN:\s*([\s\S]+?)\]/i);
@@ -4799,8 +8633,19 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 }
 
             } catch (error) {
-                // If checking for abort
-                if (error.message === "Generation stopped by user.") {
+                const stopped = error.message === 'Generation stopped by user.';
+                if (stopped && checkpoint?.lastEventId) void ChatApp.Api.cancelJbAiStream(checkpoint);
+                // A J.B.A.I reply that already has text is kept, and a dropped one can be continued from its checkpoint.
+                if (fullTextAccumulator && hasRemovedThinking && (resumeFrom || error?.name === 'JbAiStreamError')) {
+                    // Only a dropped connection leaves the server-side stream worth reconnecting to; Stop cancels it.
+                    const resumable = error?.name === 'JbAiStreamError' && !error.expired;
+                    const botMessage = this._withBranchState({ id: messageId, content: { role: 'model', parts: [{ text: fullTextAccumulator }] } }, resumeFrom);
+                    if (checkpoint?.lastEventId && !stopped) botMessage.interrupted = resumable ? checkpoint : { ...checkpoint, expired: true };
+                    if (searchSettings) botMessage.searchSettings = searchSettings;
+                    if (toolCallKey) botMessage.toolCallKey = toolCallKey;
+                    await ChatApp.UI.finalizeBotMessage(messageEl, [{ text: fullTextAccumulator }], messageId, botMessage);
+                    ChatApp.UI.showToast(stopped ? error.message : `${error.message} The partial answer was kept.`, stopped ? 'info' : 'error', 5000);
+                } else if (stopped) {
                     ChatApp.UI.showToast(error.message);
                     if (!hasRemovedThinking) messageEl.remove(); // Clean up if stopped before first chunk
                 } else if (error instanceof TypeError) {
@@ -4808,6 +8653,8 @@ You are a digital professional. Be concise, accurate, and effective.`;
                     let errorMsg = "Connection error. Please try again.";
                     if (error.message.includes('NetworkError')) { errorMsg = "Network error: Unable to reach the API."; }
                     if (!hasRemovedThinking) messageEl.remove();
+                    // Restoring a held-aside branch re-renders the chat, so it has to happen before the error bubble is added.
+                    await this.restorePendingBranch();
                     const errorBotMessage = { id: ChatApp.Utils.generateUUID(), content: { role: 'model', parts: [{ text: errorMsg }] } };
                     await ChatApp.UI.renderMessage(errorBotMessage);
                     ChatApp.UI.showToast(errorMsg, 'error', 5000);
@@ -4822,6 +8669,7 @@ You are a digital professional. Be concise, accurate, and effective.`;
 
                     // Replace/Append error message
                     if (!hasRemovedThinking && messageEl && messageEl.parentNode) messageEl.remove();
+                    await this.restorePendingBranch();
                     
                     const errorBotMessage = { id: ChatApp.Utils.generateUUID(), content: { role: 'model', parts: [{ text: errorMsg }] } };
                     await ChatApp.UI.renderMessage(errorBotMessage);
@@ -4830,7 +8678,86 @@ You are a digital professional. Be concise, accurate, and effective.`;
             } finally {
                  ChatApp.State.activeSkillForGeneration = null;
                  ChatApp.State.setGenerating(false);
+                 await this.restorePendingBranch();
+            }
+        },
+        // A regenerated reply takes the held-aside siblings; a resumed one keeps the versions it already had.
+        _withBranchState(botMessage, resumeFrom = null) {
+            const pendingBranch = ChatApp.State.pendingBranch;
+            if (pendingBranch) {
+                botMessage.branches = pendingBranch.tails;
+                botMessage.branchIndex = pendingBranch.tails.length;
+                ChatApp.State.pendingBranch = null;
+            } else if (resumeFrom?.branches) {
+                botMessage.branches = resumeFrom.branches;
+                botMessage.branchIndex = resumeFrom.branchIndex;
+            }
+            return botMessage;
+        },
+        // Builds the system prompt and trimmed history for the active provider and opens its stream.
+        async _openTextStream(messageEl, toolsConfig) {
+            const isAgentMode = toolsConfig.agentMode === true;
+            const { provider } = ChatApp.Store.getActiveProviderSettings();
+            
+            let systemText = await ChatApp.Api.getSystemContext(isAgentMode, provider);
+            const skill = ChatApp.State.activeSkillForGeneration || ChatApp.State.activeSkill;
+            if (skill) {
+                const skillRules = skill.instructions || skill.promptTemplate || '';
+                if (skillRules) {
+                    systemText = `Active Skill Rules for [${skill.title || skill.name || skill.id}]:\n${skillRules}\n\n${systemText}`;
+                }
+            }
+
+            // Check for time/system requests
+            const lastMsg = ChatApp.State.currentConversation[ChatApp.State.currentConversation.length - 1];
+            let systemContextOverride = '';
+            if (lastMsg && lastMsg.content && lastMsg.content.parts) {
+                const textVal = typeof lastMsg.content.parts === 'string' 
+                    ? lastMsg.content.parts 
+                    : (Array.isArray(lastMsg.content.parts) ? lastMsg.content.parts.map(p => p.text || '').join('') : '');
+                const textValLower = textVal.toLowerCase();
+                if (textValLower.includes('time') || textValLower.includes('date today') || textValLower.includes('current date')) {
+                    systemContextOverride += `\n[Time Service]: The current user time is ${new Date().toString()}.`;
+                }
+                if (textValLower.includes('system info') || textValLower.includes('my specs') || textValLower.includes('browser info') || textValLower.includes('hardware specs') || textValLower.includes('screen resolution')) {
+                    const isAllowed = await ChatApp.UI.ensureSystemInfoPermission();
+                    if (isAllowed) {
+                        const info = ChatApp.UI.getSystemInfoData();
+                        systemContextOverride += `\n[System Info Service]: User System Info: ${JSON.stringify(info)}.`;
+                    } else {
+                        systemContextOverride += `\n[System Info Service]: Access Denied by User.`;
+                    }
+                }
+            }
+            if (systemContextOverride) {
+                systemText = systemText + "\n\n" + systemContextOverride;
+            }
+
+            let apiContents = ChatApp.State.currentConversation.map(msg => ({
+                role: msg.content.role,
+                parts: msg.content.parts,
+                // J.B.A.I forwards attachments by file name and reads per-message search options; other providers rebuild contents below.
+                ...(msg.attachments ? { attachments: msg.attachments } : {}),
+                ...(msg.searchOptions ? { searchOptions: msg.searchOptions } : {})
+            }));
+            if (provider !== ChatApp.Config.PROVIDERS.JBAI) {
+                const contextWindow = await ChatApp.Api.prepareContextWindow(ChatApp.State.currentConversation, systemText, {
+                    signal: ChatApp.State.abortController.signal,
+                    summarize: toolsConfig.summarizeHistory === true,
+                    onSummarize: () => ChatApp.UI.updateThinkingMessage(messageEl, 'Summarizing earlier messages...')
+                });
+                apiContents = contextWindow.contents;
+                if (contextWindow.summary) {
+                    systemText += `\n\n--- Summary of earlier conversation ---\n${contextWindow.summary}`;
+                } else if (contextWindow.droppedCount > 0 && ChatApp.State.contextTrimNoticeChatId !== ChatApp.State.currentChatId) {
+                    ChatApp.State.contextTrimNoticeChatId = ChatApp.State.currentChatId;
+                    ChatApp.UI.showToast('Older messages were left out to fit the model\'s context window.', 'info', 5000);
+                }
             }
+
+            const systemInstruction = { parts: [{ text: systemText }] };
+
+            return ChatApp.Api.streamTextResponse(apiContents, systemInstruction, ChatApp.State.abortController.signal, toolsConfig);
         },
         async processResponseForFiles(rawText) {
             if (!rawText || typeof rawText !== 'string') return rawText;
@@ -4959,8 +8886,11 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 ChatApp.UI.renderSidebar();
             } catch (error) { console.error('Failed to save chat:', error); ChatApp.UI.showToast('Failed to save conversation. Please try again.', 'error'); }
         },
-        loadChat(chatId) {
-            if (String(ChatApp.State.currentChatId) === String(chatId)) return;
+        loadChat(chatId, { messageId = null } = {}) {
+            if (String(ChatApp.State.currentChatId) === String(chatId)) {
+                if (messageId) ChatApp.UI.revealMessage(messageId);
+                return;
+            }
             const chat = ChatApp.State.allConversations.find(c => String(c.id) === String(chatId));
             if (!chat) { ChatApp.UI.showToast("Load failed.", "error"); return; }
             this.startNewChat();
@@ -4969,12 +8899,11 @@ You are a digital professional. Be concise, accurate, and effective.`;
             ChatApp.UI.clearChatArea();
             ChatApp.UI.renderSidebar();
             (async () => {
-                for (const msg of ChatApp.State.currentConversation) {
-                    let parts = msg.content.parts;
-                    if (!parts) parts = [{text: msg.text || ''}]; 
-                    await ChatApp.UI.renderMessage({ ...msg, content: { ...msg.content, parts: parts } });
-                }
-                setTimeout(() => ChatApp.UI.forceScrollToBottom(), 0);
+                await ChatApp.UI.renderConversationHistory();
+                setTimeout(() => {
+                    if (messageId) ChatApp.UI.revealMessage(messageId);
+                    else ChatApp.UI.forceScrollToBottom();
+                }, 0);
             })();
         },
         async deleteMessage(messageId) {
@@ -5015,72 +8944,66 @@ You are a digital professional. Be concise, accurate, and effective.`;
         },
         handleDataUpload() {
             const fileInput = document.createElement('input');
-            fileInput.type = 'file'; fileInput.accept = '.json,application/json';
-            fileInput.onchange = (event) => {
+            fileInput.type = 'file'; fileInput.accept = '.json,.zip,application/json,application/zip';
+            fileInput.onchange = async (event) => {
                 const file = event.target.files[0];
                 if (!file) return;
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const importedData = JSON.parse(e.target.result);
-                        const normalizedData = ChatApp.Utils.normalizeConversations(importedData);
-                        if (normalizedData.length === 0) throw new Error("No valid conversations found.");
-                        if (confirm('Replace all conversations?')) {
-                            ChatApp.State.allConversations = normalizedData;
-                            ChatApp.Store.saveAllConversations();
-                            ChatApp.Controller.startNewChat();
-                            ChatApp.UI.renderSidebar();
-                            ChatApp.UI.showToast('Data imported.');
-                        }
-                    } catch (error) { ChatApp.UI.showToast(`Error: ${error.message}`, 'error'); }
-                };
-                reader.readAsText(file);
+                try {
+                    const normalizedData = await ChatApp.Import.readFile(file);
+                    if (confirm(`Replace all conversations with ${normalizedData.length} imported chat(s)?`)) {
+                        ChatApp.State.allConversations = normalizedData;
+                        ChatApp.Store.saveAllConversations();
+                        ChatApp.Controller.startNewChat();
+                        ChatApp.UI.renderSidebar();
+                        ChatApp.UI.showToast('Data imported.');
+                    }
+                } catch (error) { ChatApp.UI.showToast(`Error: ${error.message}`, 'error'); }
             };
             fileInput.click();
         },
         handleDataMerge() {
             const fileInput = document.createElement('input');
-            fileInput.type = 'file'; fileInput.accept = '.json,application/json';
-            fileInput.onchange = (event) => {
+            fileInput.type = 'file'; fileInput.accept = '.json,.zip,application/json,application/zip';
+            fileInput.onchange = async (event) => {
                 const file = event.target.files[0]; if (!file) return;
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const importedData = JSON.parse(e.target.result);
-                        const normalizedData = ChatApp.Utils.normalizeConversations(importedData);
-                        if (normalizedData.length === 0) throw new Error("No valid conversations found.");
-                        if (confirm('Merge conversations?')) {
-                            const conversationMap = new Map(ChatApp.State.allConversations.map(c => [c.id, c]));
-                            normalizedData.forEach(chat => { if (!conversationMap.has(chat.id)) conversationMap.set(chat.id, chat); });
-                            ChatApp.State.allConversations = Array.from(conversationMap.values());
-                            ChatApp.Store.saveAllConversations();
-                            ChatApp.UI.renderSidebar();
-                            ChatApp.UI.showToast('Data merged.');
-                        }
-                    } catch (error) { ChatApp.UI.showToast(`Error: ${error.message}`, 'error'); }
-                };
-                reader.readAsText(file);
+                try {
+                    const normalizedData = await ChatApp.Import.readFile(file);
+                    if (confirm(`Merge ${normalizedData.length} imported chat(s)?`)) {
+                        const { conversations, added, reassigned, skipped } = ChatApp.Import.mergeConversations(ChatApp.State.allConversations, normalizedData);
+                        ChatApp.State.allConversations = conversations;
+                        ChatApp.Store.saveAllConversations();
+                        ChatApp.UI.renderSidebar();
+                        const notes = [
+                            ...(reassigned ? [`${reassigned} got a new ID because theirs was taken`] : []),
+                            ...(skipped ? [`${skipped} already here ${skipped === 1 ? 'was' : 'were'} skipped`] : [])
+                        ];
+                        ChatApp.UI.showToast(`Merged ${added} chat${added === 1 ? '' : 's'}.${notes.length ? ` ${notes.join('; ')}.` : ''}`);
+                    }
+                } catch (error) { ChatApp.UI.showToast(`Error: ${error.message}`, 'error'); }
             };
             fileInput.click();
         },
-        deleteAllData() {
-            if (confirm('DELETE ALL DATA? This cannot be undone.')) {
-                localStorage.removeItem(ChatApp.Config.STORAGE_KEYS.CONVERSATIONS);
+        async deleteAllData() {
+            const account = ChatApp.Accounts.getActiveAccount();
+            if (confirm(`DELETE ALL DATA for "${account.username}"? This cannot be undone.`)) {
+                ChatApp.Vault.lock();
+                ChatApp.Accounts.clearAccountStorage(account.id);
                 localStorage.removeItem(ChatApp.Config.STORAGE_KEYS.THEME);
-                localStorage.removeItem(ChatApp.Config.STORAGE_KEYS.TOOLS);
-                localStorage.removeItem(ChatApp.Config.STORAGE_KEYS.PROVIDER_SETTINGS);
                 localStorage.removeItem(ChatApp.Config.STORAGE_KEYS.JBAI_BACKEND_CONFIRMATION);
-                ChatApp.State.allConversations = [];
-                ChatApp.State.currentConversation = [];
-                ChatApp.State.currentChatId = null;
-                ChatApp.State.providerSettings = {};
+                try {
+                    await ChatApp.DB.deleteAccountData(account.id);
+                } catch (e) {
+                    console.error("Failed to delete from IndexedDB", e);
+                }
                 ChatApp.State.revokeGeneratedDownloadUrls();
                 ChatApp.UI.clearChatArea();
-                ChatApp.UI.renderSidebar();
+                await ChatApp.Accounts.loadActiveProfile();
                 ChatApp.UI.showToast('All data deleted.');
             }
         },
         handleMessageAreaClick(event) {
+            event.target.closest('.spoiler')?.classList.add('revealed');
+
             const toggleBtn = event.target.closest('.collapse-toggle-button');
             if (toggleBtn) { const wrapper = toggleBtn.closest('.code-block-wrapper'); if (wrapper) wrapper.classList.toggle('is-collapsed'); return; }
             
@@ -5092,6 +9015,9 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 return;
             }
 
+            const diffModeBtn = event.target.closest('.diff-mode-button');
+            if (diffModeBtn) { ChatApp.UI._setDiffMode(diffModeBtn.closest('.diff-view'), diffModeBtn.dataset.diffMode); return; }
+
             // Handle Canvas Action Buttons
             const canvasBtn = event.target.closest('.code-canvas-badge');
             if (canvasBtn) {
@@ -5100,7 +9026,8 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 if (wrapper) {
                     const code = decodeURIComponent(wrapper.dataset.rawContent || '');
                     const lang = canvasBtn.dataset.lang || 'html';
-                    ChatApp.UI.openCanvasPanel(code, lang === 'html' ? 'preview' : 'code');
+                    if (lang === 'mermaid') ChatApp.UI.openCanvasPanel(ChatApp.UI.buildMermaidDocument(code), 'preview');
+                    else ChatApp.UI.openCanvasPanel(code, lang === 'html' ? 'preview' : 'editor');
                 }
                 return;
             }
@@ -5113,6 +9040,7 @@ You are a digital professional. Be concise, accurate, and effective.`;
                 if (mediaTarget.tagName === 'IMG') ChatApp.UI.showFullscreenPreview(mediaTarget.src, 'image');
             } 
             else if (htmlBox) { const iframe = htmlBox.querySelector('iframe'); if (iframe) ChatApp.UI.showFullscreenPreview(iframe.srcdoc, 'html'); }
+            else if (event.target.closest('.mermaid-render-box svg')) { ChatApp.UI.showFullscreenPreview(event.target.closest('.mermaid-render-box svg').outerHTML, 'svg'); }
             else { const svgWrapper = event.target.closest('.svg-preview-container'); if (svgWrapper) { const rawContent = svgWrapper.querySelector('.code-block-wrapper')?.dataset.rawContent; if (rawContent) ChatApp.UI.showFullscreenPreview(decodeURIComponent(rawContent), 'svg'); } }
         },
         closeFullscreenPreview() {
@@ -5133,6 +9061,7 @@ You are a digital professional. Be concise, accurate, and effective.`;
             } else {
                 document.body.classList.remove('hide-previews');
             }
+            document.body.classList.toggle('show-line-numbers', config.showLineNumbers === true);
         },
         initOfflineDetection() {
             const updateOnlineStatus = () => {
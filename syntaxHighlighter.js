@@ -1,145 +1,674 @@
 /**
- * A lightweight, regex-based syntax highlighter.
- * Note: Pure Regex highlighting is not an AST parser, so extreme edge-cases 
- * (like highly nested string interpolations) may fall back to default text colors.
- * 
+ * A lightweight, stateful syntax highlighter.
+ * Each grammar is a set of named states holding ordered rules. The tokenizer walks the code once,
+ * trying the rules of the state on top of a stack at every position, so constructs that open a new
+ * context (template literal interpolation, JSX, <script>/<style> bodies, heredocs) push a state and
+ * pop back out when they close.
+ *
+ * Rule fields:
+ * - `type`: token class for the matched text (omit for plain text)
+ * - `match`: RegExp, or a function of the frame's `data` returning one (used for closing delimiters)
+ * - `push` / `next` / `pop`: enter a state, replace the current state, or return to the previous one.
+ *   States are named within the rule's grammar; `lang:state` reaches into another grammar.
+ * - `data`: function of the match whose result is stored on the pushed frame
+ * - `include`: splice in another state's rules
+ *
  * @namespace SyntaxHighlighter
  */
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const words = (list, flags = '') => new RegExp(`\\b(?:${list.trim().split(/\s+/).join('|')})\\b`, flags);
+
+// Shared rule fragments. PRECEDENCE MATTERS: the first rule that matches at a position wins.
+const C_COMMENT = { type: 'comment', match: /\/\/.*|\/\*[\s\S]*?\*\// };
+const HASH_COMMENT = { type: 'comment', match: /#.*/ };
+const DQ_STRING = { type: 'string', match: /"(?:\\.|[^"\\\n])*"/ };
+const SQ_STRING = { type: 'string', match: /'(?:\\.|[^'\\\n])*'/ };
+const CHAR_LITERAL = { type: 'string', match: /'(?:\\.|[^'\\\n])'/ };
+const NUMBER = { type: 'number', match: /\b0[xX][\da-fA-F_]+[a-zA-Z]*\b|\b0[bB][01_]+[a-zA-Z]*\b|(?:\b\d[\d_]*(?:\.\d[\d_]*)?|\B\.\d[\d_]*)(?:[eE][+-]?\d+)?[a-zA-Z]*\b/ };
+const CLASS_NAME = { type: 'class-name', match: /\b[A-Z][A-Za-z0-9_]+\b/ };
+const FUNCTION_CALL = { type: 'function', match: /\b[a-zA-Z_]\w*(?=\s*\()/ };
+const C_OPERATOR = { type: 'operator', match: /=>|->|::|\.\.\.|&&|\|\||<<=?|>>=?|[-+*\/%&|^!~=<>?:]=?/ };
+const C_PUNCTUATION = { type: 'punctuation', match: /[{}[\]();,.]/ };
+const ANNOTATION = { type: 'builtin', match: /@[\w.]+/ };
+
+// Code inside `{ ... }` (string interpolation, JSX expressions), keeping nested braces balanced.
+const BRACED_CODE = [
+    { type: 'punctuation', match: /\}/, pop: true },
+    { type: 'punctuation', match: /\{/, push: 'interpolation' },
+    { include: 'root' }
+];
+
+// Heredoc bodies start on the next line and run until a line holding only the delimiter.
+const HEREDOC_STATES = {
+    'heredoc-head': [
+        { match: /\n/, next: 'heredoc' },
+        { include: 'root' }
+    ],
+    heredoc: [
+        { type: 'string', match: (id) => new RegExp(`^[ \\t]*${escapeRegex(id)}(?=\\W|$)`, 'm'), pop: true },
+        { type: 'string', match: /.*\n?/ }
+    ]
+};
+
+// Strings that close on the delimiter stored in the frame and embed `$name` / `${expr}` (Kotlin, Dart).
+const DOLLAR_STRING = [
+    { type: 'string', match: (quote) => new RegExp(escapeRegex(quote)), pop: true },
+    { type: 'string', match: /\\[\s\S]/ },
+    { type: 'punctuation', match: /\$\{/, push: 'interpolation' },
+    { type: 'variable', match: /\$[a-zA-Z_]\w*/ },
+    { type: 'string', match: /[\s\S]/ }
+];
+
+const JAVASCRIPT = {
+    root: [
+        C_COMMENT,
+        { type: 'string', match: /`/, push: 'template' },
+        DQ_STRING,
+        SQ_STRING,
+        // A slash starts a regex only where an expression may begin.
+        { type: 'regex', match: /(?<=(?:^|[=(,:;!&|?{}[]|=>|\breturn|\btypeof)\s*)\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuyv]*/m },
+        // JSX: a tag where an expression may begin.
+        { type: 'tag', match: /(?<=(?:^|[=(,:?[!&|]|=>|\breturn)\s*)<(?:[A-Za-z][\w.:-]*|(?=>))/m, push: 'jsx-tag' },
+        CLASS_NAME,
+        { type: 'jbai-keyword', match: /\b(?:ChatApp|Config|State|Utils|Store|UI|Api|Controller)\b/ },
+        { type: 'keyword', match: words('const let var if else for while do async await function return new import export from as of in class extends super this switch case default break continue try catch finally throw delete typeof instanceof void yield static get set') },
+        { type: 'boolean', match: /\b(?:true|false|null|undefined|NaN|Infinity)\b/ },
+        { type: 'function', match: /#?\b[a-z_$][\w$]*(?=\s*(?:\?\.)?\()/ },
+        NUMBER,
+        { type: 'operator', match: /=>|\.\.\.|\?\?=?|\?\.|&&=?|\|\|=?|\*\*=?|>>>=?|<<=?|>>=?|[-+*\/%&|^!~=<>]=?=?|\?|:/ },
+        C_PUNCTUATION
+    ],
+    template: [
+        { type: 'string', match: /`/, pop: true },
+        { type: 'punctuation', match: /\$\{/, push: 'interpolation' },
+        { type: 'string', match: /\\[\s\S]|[^`\\$]+|\$/ }
+    ],
+    interpolation: BRACED_CODE,
+    'jsx-tag': [
+        { type: 'punctuation', match: /\/>/, pop: true },
+        { type: 'punctuation', match: />/, next: 'jsx-children' },
+        { type: 'punctuation', match: /\{/, push: 'interpolation' },
+        { type: 'attr-value', match: /(?<==\s*)(?:"[^"]*"|'[^']*')/ },
+        { type: 'attr-name', match: /[\w:-]+/ },
+        { type: 'operator', match: /=/ }
+    ],
+    'jsx-children': [
+        { type: 'tag', match: /<\/[\w.:-]*\s*>/, pop: true },
+        { type: 'tag', match: /<(?:[A-Za-z][\w.:-]*|(?=>))/, push: 'jsx-tag' },
+        { type: 'punctuation', match: /\{/, push: 'interpolation' },
+        { type: 'entity', match: /&(?:#\d+|#x[\da-fA-F]+|\w+);/ }
+    ]
+};
+
+const TYPESCRIPT = {
+    ...JAVASCRIPT,
+    root: [
+        ...JAVASCRIPT.root.slice(0, 5),
+        { type: 'builtin', match: /@[\w.]+/ },
+        { type: 'keyword', match: words('interface type enum implements declare namespace module abstract readonly private public protected override keyof infer is asserts satisfies unique') },
+        { type: 'builtin', match: words('string number boolean any unknown never object symbol bigint') },
+        ...JAVASCRIPT.root.slice(5)
+    ]
+};
+
+// A selector ends at `{` on its own line; bounding the scan keeps long brace-free text linear instead of quadratic.
+const SELECTOR = /[^{}\s;@/][^{};/\n]{0,200}?(?=[ \t]*\n?[ \t]*\{)/;
+
+const CSS = {
+    root: [
+        { type: 'comment', match: /\/\*[\s\S]*?\*\// },
+        DQ_STRING,
+        SQ_STRING,
+        { type: 'keyword', match: /@[\w-]+/ },
+        { type: 'selector', match: SELECTOR },
+        // Lines of a selector list that continues on the next line
+        { type: 'selector', match: /[^{}\s;@/][^{};/\n]{0,200}?,(?=[ \t]*\n)/ },
+        { type: 'punctuation', match: /\{/, push: 'block' },
+        { type: 'punctuation', match: /[}();,]/ }
+    ],
+    block: [
+        { type: 'punctuation', match: /\}/, pop: true },
+        { type: 'comment', match: /\/\*[\s\S]*?\*\// },
+        DQ_STRING,
+        SQ_STRING,
+        { type: 'keyword', match: /@[\w-]+|!important\b/ },
+        { type: 'variable', match: /--[\w-]+/ },
+        { type: 'property', match: /[\w-]+(?=\s*:(?!:?[\w-]+[^;{}]*\{))/ },
+        // Nested rules (CSS nesting, rules inside @media)
+        { type: 'selector', match: SELECTOR },
+        { type: 'punctuation', match: /\{/, push: 'block' },
+        { type: 'function', match: /[\w-]+(?=\()/ },
+        { type: 'number', match: /#[\da-fA-F]{3,8}\b|-?(?:\b\d+(?:\.\d+)?|\B\.\d+)(?:[a-zA-Z]+|%)?/ },
+        { type: 'operator', match: /[:;,*\/+>~]/ },
+        { type: 'punctuation', match: /[()[\]]/ }
+    ]
+};
+
+const TAG_ATTRIBUTES = [
+    { type: 'attr-value', match: /(?<==\s*)(?:"[^"]*"|'[^']*'|[^\s>"'=`]+)/ },
+    { type: 'attr-name', match: /[^\s=/>"']+/ },
+    { type: 'punctuation', match: /=/ }
+];
+
+const HTML = {
+    root: [
+        { type: 'comment', match: /<!--[\s\S]*?(?:-->|$)/ },
+        { type: 'doctype', match: /<!DOCTYPE[\s\S]+?>/i },
+        { type: 'cdata', match: /<!\[CDATA\[[\s\S]*?\]\]>/ },
+        { type: 'prolog', match: /<\?[\s\S]+?\?>/ },
+        { type: 'tag', match: /<script\b/i, push: 'script-tag' },
+        { type: 'tag', match: /<style\b/i, push: 'style-tag' },
+        { type: 'tag', match: /<\/?[A-Za-z][\w:.-]*/, push: 'tag' },
+        { type: 'entity', match: /&(?:#\d+|#x[\da-fA-F]+|\w+);/ }
+    ],
+    tag: [{ type: 'punctuation', match: /\/?>/, pop: true }, ...TAG_ATTRIBUTES],
+    'script-tag': [{ type: 'punctuation', match: /\/>/, pop: true }, { type: 'punctuation', match: />/, next: 'script-body' }, ...TAG_ATTRIBUTES],
+    'style-tag': [{ type: 'punctuation', match: /\/>/, pop: true }, { type: 'punctuation', match: />/, next: 'style-body' }, ...TAG_ATTRIBUTES],
+    'script-body': [{ type: 'tag', match: /<\/script\s*>/i, pop: true }, { include: 'javascript:root' }],
+    'style-body': [{ type: 'tag', match: /<\/style\s*>/i, pop: true }, { include: 'css:root' }]
+};
+
+const BASH_VARIABLE = { type: 'variable', match: /\$(?:\{[^}\n]*\}|[a-zA-Z_]\w*|[@#?$!*0-9-])/ };
+
+const BASH = {
+    root: [
+        { type: 'comment', match: /(?<=^|[ \t;])#.*/m },
+        { type: 'operator', match: /<<-?[ \t]*(?:(['"])(\w+)\1|(\w+))/, push: 'heredoc-head', data: (m) => m[2] || m[3] },
+        { type: 'string', match: /\$?'[^']*'/ },
+        { type: 'string', match: /"/, push: 'dstring' },
+        { type: 'string', match: /`/, push: 'backtick' },
+        { type: 'punctuation', match: /\$\(\(?/, push: 'subshell' },
+        BASH_VARIABLE,
+        { type: 'function', match: /\b[\w-]+(?=\s*\(\)\s*\{?)/ },
+        { type: 'keyword', match: words('if then else elif fi for while until in do done case esac function select return exit break continue time') },
+        { type: 'builtin', match: words('echo printf read source export local declare readonly alias unalias set unset shift cd pwd test eval exec trap wait kill sudo cat grep sed awk find xargs curl wget chmod chown mkdir rm cp mv ls touch tar git npm pip docker') },
+        { type: 'variable', match: /\b[a-zA-Z_]\w*(?==)/ },
+        { type: 'attr-name', match: /(?<=\s)--?[a-zA-Z][\w-]*/ },
+        { type: 'number', match: /\b\d+\b/ },
+        { type: 'operator', match: /&&|\|\||;;|\[\[|\]\]|[|&;!<>]=?|=/ },
+        { type: 'punctuation', match: /[{}()[\]]/ }
+    ],
+    dstring: [
+        { type: 'string', match: /"/, pop: true },
+        { type: 'punctuation', match: /\$\(\(?/, push: 'subshell' },
+        BASH_VARIABLE,
+        { type: 'string', match: /\\[\s\S]|[^"\\$]+|\$/ }
+    ],
+    backtick: [{ type: 'string', match: /`/, pop: true }, { include: 'root' }],
+    subshell: [
+        { type: 'punctuation', match: /\)\)?/, pop: true },
+        { type: 'punctuation', match: /\(/, push: 'subshell' },
+        { include: 'root' }
+    ],
+    ...HEREDOC_STATES
+};
+
 export const SyntaxHighlighter = {
-    // PRECEDENCE MATTERS: The order of keys here dictates token matching priority.
-    // Rule of thumb: Comments > Strings > Keywords > Functions > Numbers > Operators.
     GRAMMAR: {
         json: {
-            'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-            'property': /"(?:\\.|[^"\\])*"(?=\s*:)/,
-            'string': /"(?:\\.|[^"\\])*"/,
-            'number': /\b-?\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/i,
-            'boolean': /\b(?:true|false|null)\b/,
-            'operator': /:/,
-            'punctuation': /[{}[\](),]/,
-        },
-        javascript: {
-            'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-            // Supports single, double, and template literals
-            'string': /(?:`(?:\\`|[^`])*`|'(?:\\'|[^'])*'|"(?:\\"|[^"])*")/,
-            'regex': /\/(?:\\\/|[^\n\r/])+\/[gimyus]*/,
-            'class-name': /\b[A-Z][A-Za-z0-9_]+\b/,
-            'jbai-keyword': /\b(ChatApp|Config|State|Utils|Store|UI|Api|Controller)\b/,
-            'keyword': /\b(?:const|let|var|if|else|for|while|do|async|await|function|return|new|import|export|from|class|extends|super|this|switch|case|default|break|continue|try|catch|finally|throw|delete|typeof|instanceof|void|yield)\b/,
-            'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()/,
-            'number': /\b-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b|\b0[xX][a-fA-F0-9]+\b/,
-            'boolean': /\b(?:true|false|null|undefined)\b/,
-            'operator': /=>|\.\.\.|[|&^!~*\/%<>=+-]=?|&&|\|\||\?|:/,
-            'punctuation': /[{}[\]();,.]/,
+            root: [
+                C_COMMENT,
+                { type: 'property', match: /"(?:\\.|[^"\\])*"(?=\s*:)/ },
+                { type: 'string', match: /"(?:\\.|[^"\\])*"/ },
+                { type: 'number', match: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/ },
+                { type: 'operator', match: /:/ },
+                { type: 'punctuation', match: /[{}[\](),]/ }
+            ]
         },
+        javascript: JAVASCRIPT,
+        typescript: TYPESCRIPT,
         python: {
-            'comment': /#.*/,
-            // Supports f-strings, raw strings, and triple quotes
-            'string': /[fFbrR]*(?:'''[\s\S]*?'''|"""[\s\S]*?"""|'(?:\\'|[^'])*'|"(?:\\"|[^"])*")/,
-            'keyword': /\b(?:def|class|if|else|elif|for|while|return|import|from|as|try|except|finally|with|lambda|and|or|not|is|in|pass|break|continue|global|nonlocal|yield|async|await)\b/,
-            'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()/,
-            'number': /\b-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b|\b0[xX][a-fA-F0-9]+\b/,
-            'boolean': /\b(?:True|False|None)\b/,
-            'operator': /([*\/%+\-&|~^<>=!]=?|[*\/]=|\/\/|@)/,
-            'punctuation': /[{}[\]();,.:]/,
+            root: [
+                HASH_COMMENT,
+                { type: 'string', match: /(?:[rR][fF]|[fF][rR]?)("""|'''|"|')/, push: 'fstring', data: (m) => m[1] },
+                { type: 'string', match: /[rRbBuU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/ },
+                { type: 'function', match: /(?<=^[ \t]*)@[\w.]+/m },
+                { type: 'class-name', match: /(?<=\bclass\s+)\w+/ },
+                { type: 'function', match: /(?<=\bdef\s+)\w+/ },
+                { type: 'keyword', match: words('def class if else elif for while return import from as try except finally raise with lambda and or not is in pass break continue global nonlocal yield async await del assert match case') },
+                { type: 'boolean', match: /\b(?:True|False|None)\b/ },
+                { type: 'builtin', match: /\b(?:print|len|range|enumerate|zip|map|filter|sorted|reversed|sum|min|max|abs|open|isinstance|super|int|float|str|bool|list|dict|set|tuple|type|self|cls)\b/ },
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /\*\*=?|\/\/=?|->|:=|[-+*\/%&|^~<>=!@]=?/ },
+                { type: 'punctuation', match: /[{}[\]();,.:]/ }
+            ],
+            fstring: [
+                { type: 'string', match: (quote) => new RegExp(escapeRegex(quote)), pop: true },
+                { type: 'string', match: /\{\{|\}\}|\\[\s\S]/ },
+                { type: 'punctuation', match: /\{/, push: 'interpolation' },
+                { type: 'string', match: /[\s\S]/ }
+            ],
+            interpolation: BRACED_CODE
         },
         lua: {
-            'comment': /--\[\[[\s\S]*?\]\]|--.*/,
-            'string': /'(?:\\'|[^'])*'|"(?:\\"|[^"])*"|\[\[[\s\S]*?\]\]/,
-            'keyword': /\b(?:function|end|if|then|else|elseif|for|while|do|return|local|and|or|not|break|repeat|until|in)\b/,
-            'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()/,
-            'number': /\b-?\d+(?:\.\d+)?\b/,
-            'boolean': /\b(?:true|false|nil)\b/,
-            'operator': /[+\-%*\/#^=~]=?|~=|[<>]=?|\.\.\.?/,
-            'punctuation': /[{}[\]();,.:]/,
-        },
-        html: {
-            'comment': /<!--[\s\S]*?-->/,
-            'doctype': /<!DOCTYPE[\s\S]+?>/i,
-            'attr-value': /=(?:("|')(?:\\\1|.)*?\1|[^\s>]+)/,
-            'attr-name': /\s+[a-zA-Z0-9:\-]+(?=\s*=\s*|\s*>|\s*\/>)/,
-            'tag': /<\/?[\w:-]+\b/, 
-            'punctuation': /\/?>|<|=/
-        },
-        css: {
-            'comment': /\/\*[\s\S]*?\*\//,
-            'string': /"(?:\\"|[^"])*"|'(?:\\'|[^'])*'/,
-            'function': /\b(?:rgb|rgba|hsl|hsla|url|calc|var|min|max|clamp)\b(?=\()/,
-            'selector': /[^{}\s][^{}]*(?=\s*\{)/,
-            'property': /[\w-]+(?=\s*:)/,
-            'number': /\b-?\d+(?:\.\d+)?(?:px|em|rem|%|vw|vh|deg|s|ms|pt)?\b/,
-            'operator': /!important|:|;/,
-            'punctuation': /[{}]/
+            root: [
+                { type: 'comment', match: /--\[(=*)\[[\s\S]*?\]\1\]|--.*/ },
+                { type: 'string', match: /\[(=*)\[[\s\S]*?\]\1\]/ },
+                DQ_STRING,
+                SQ_STRING,
+                { type: 'keyword', match: words('function end if then else elseif for while do return local and or not break repeat until in goto') },
+                { type: 'boolean', match: /\b(?:true|false|nil)\b/ },
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /\.\.\.?|[=~<>]=|[-+*\/%^#=<>]|\/\// },
+                { type: 'punctuation', match: /[{}[\]();,.:]/ }
+            ]
         },
-        bash: {
-             'comment': /#.*/,
-             'string': /"(?:\\"|[^"])*"|'(?:\\'|[^'])*'/,
-             'variable': /\$[a-zA-Z_][a-zA-Z0-9_]*|\$\{[^}]+\}/,
-             'keyword': /\b(?:if|then|else|elif|fi|for|while|in|do|done|case|esac|function|return|exit|echo|printf|read|source|export|local|alias|set)\b/,
-             'function': /\b[a-zA-Z_][a-zA-Z0-9_]*(?=\s*\(\))/,
-             'operator': /&&|\|\||;;|\||&|>|<|!|=/,
-             'number': /\b\d+\b/
+        html: HTML,
+        css: CSS,
+        bash: BASH,
+        batch: {
+            root: [
+                { type: 'comment', match: /(?<=^[ \t@]*)(?:rem\b.*|::.*)/im },
+                { type: 'label', match: /(?<=^[ \t]*):\w+/m },
+                DQ_STRING,
+                { type: 'variable', match: /%~[a-z]*\d|%%~?[a-z]*[a-z]|%[\w:~,=-]+%|![\w]+!/i },
+                { type: 'keyword', match: words('if else for in do goto call exit set setlocal endlocal echo off on not exist defined equ neq lss leq gtr geq errorlevel shift pause cls start title rem', 'i') },
+                { type: 'builtin', match: words('cd chdir copy xcopy robocopy del erase move ren rename mkdir md rmdir rd dir type find findstr where pushd popd choice timeout', 'i') },
+                { type: 'attr-name', match: /(?<=\s)\/[a-z?]\b/i },
+                { type: 'number', match: /\b\d+\b/ },
+                { type: 'operator', match: /@|&&|\|\||==|[|&<>]/ },
+                { type: 'punctuation', match: /[()]/ }
+            ]
         },
         sql: {
-            'comment': /--.*|\/\*[\s\S]*?\*\//,
-            'string': /'(?:''|[^'])*'|"(?:""|[^"])*"/,
-            'keyword': /\b(?:SELECT|FROM|WHERE|INSERT|INTO|UPDATE|DELETE|CREATE|DROP|ALTER|TABLE|INDEX|JOIN|INNER|OUTER|LEFT|RIGHT|ON|GROUP|BY|ORDER|HAVING|LIMIT|OFFSET|UNION|ALL|AS|DISTINCT|CASE|WHEN|THEN|ELSE|END|IS|NULL|AND|OR|NOT|IN|EXISTS|LIKE|ILIKE|VALUES|SET|PRIMARY|KEY|FOREIGN|REFERENCES|DEFAULT|AUTO_INCREMENT|SERIAL)\b/i,
-            'function': /\b(?:COUNT|SUM|AVG|MIN|MAX|NOW|DATE|CONCAT|COALESCE|CAST)\b/i,
-            'number': /\b-?\d+(?:\.\d+)?\b/,
-            'operator': /[=<>!+\-*/]+/,
-            'punctuation': /[();,.]/
+            root: [
+                { type: 'comment', match: /--.*|\/\*[\s\S]*?\*\// },
+                { type: 'string', match: /'(?:''|[^'])*'/ },
+                { type: 'variable', match: /"(?:""|[^"])*"|`[^`]*`|\[[^\]\n]+\]|[@:$]\w+/ },
+                { type: 'keyword', match: words('SELECT FROM WHERE INSERT INTO UPDATE DELETE CREATE DROP ALTER TABLE VIEW INDEX JOIN INNER OUTER LEFT RIGHT FULL CROSS ON USING GROUP BY ORDER HAVING LIMIT OFFSET UNION ALL AS DISTINCT CASE WHEN THEN ELSE END IS NULL AND OR NOT IN EXISTS BETWEEN LIKE ILIKE VALUES SET PRIMARY KEY FOREIGN REFERENCES DEFAULT AUTO_INCREMENT SERIAL WITH RECURSIVE RETURNING ASC DESC IF BEGIN COMMIT ROLLBACK TRANSACTION CONSTRAINT UNIQUE CHECK', 'i') },
+                { type: 'builtin', match: words('INT INTEGER BIGINT SMALLINT DECIMAL NUMERIC FLOAT REAL DOUBLE VARCHAR CHAR TEXT BOOLEAN DATE TIME TIMESTAMP JSON JSONB UUID BLOB', 'i') },
+                { type: 'function', match: /\b[a-zA-Z_]\w*(?=\s*\()/ },
+                { type: 'boolean', match: /\b(?:TRUE|FALSE)\b/i },
+                { type: 'number', match: /\b-?\d+(?:\.\d+)?\b/ },
+                { type: 'operator', match: /::|\|\||[=<>!+\-*/%]+/ },
+                { type: 'punctuation', match: /[();,.]/ }
+            ]
         },
         cpp: {
-             'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-             'string': /"(?:\\"|[^"])*"|'(?:\\'|[^'])*'/,
-             'keyword': /\b(?:int|float|double|char|void|if|else|for|while|do|switch|case|default|break|continue|return|struct|class|public|private|protected|static|const|virtual|override|new|delete|using|namespace|include|template|typename|bool|auto|inline)\b/,
-             'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()/,
-             'number': /\b-?\d+(?:\.\d+)?(?:[fFdD])?\b|\b0[xX][a-fA-F0-9]+\b/,
-             'boolean': /\b(?:true|false)\b/,
-             'operator': /::|->|[+\-*\/%&|^!~=<>]=?|<<|>>|&&|\|\||\?|:/,
-             'punctuation': /[{}[\]();,.]/
+            root: [
+                C_COMMENT,
+                { type: 'keyword', match: /(?<=^[ \t]*)#[ \t]*\w+/m },
+                { type: 'string', match: /(?<=#[ \t]*include[ \t]*)<[^>\n]+>/ },
+                { type: 'string', match: /(?:u8|[uUL])?R"([^(\s]*)\([\s\S]*?\)\1"/ },
+                { type: 'string', match: /(?:u8|[uUL])?"(?:\\.|[^"\\\n])*"/ },
+                CHAR_LITERAL,
+                { type: 'class-name', match: /(?<=\b(?:class|struct|enum|union)\s+)\w+/ },
+                { type: 'keyword', match: words('int float double char void short long signed unsigned bool auto if else for while do switch case default break continue return goto struct class union enum public private protected static const constexpr consteval volatile mutable virtual override final explicit inline friend operator new delete using namespace template typename typedef sizeof alignof decltype noexcept try catch throw this extern register co_await co_return co_yield concept requires static_cast dynamic_cast const_cast reinterpret_cast') },
+                { type: 'boolean', match: /\b(?:true|false|nullptr|NULL)\b/ },
+                { type: 'builtin', match: /\bstd(?=::)/ },
+                FUNCTION_CALL,
+                NUMBER,
+                C_OPERATOR,
+                C_PUNCTUATION
+            ]
         },
         java: {
-            'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-            'string': /"(?:\\"|[^"])*"|'(?:\\'|[^'])*'/,
-            'keyword': /\b(?:abstract|assert|boolean|break|byte|case|catch|char|class|const|continue|default|do|double|else|enum|extends|final|finally|float|for|goto|if|implements|import|instanceof|int|interface|long|native|new|package|private|protected|public|return|short|static|strictfp|super|switch|synchronized|this|throw|throws|transient|try|void|volatile|while)\b/,
-            'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()/,
-            'number': /\b-?\d+(?:\.\d+)?(?:[fFdDlL])?\b|\b0[xX][a-fA-F0-9]+\b/,
-            'boolean': /\b(?:true|false|null)\b/,
-            'operator': /->|[+\-*\/%&|^!~=<>]=?|&&|\|\||\?|:/,
-            'punctuation': /[{}[\]();,.]/
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /"""[\s\S]*?"""/ },
+                DQ_STRING,
+                CHAR_LITERAL,
+                ANNOTATION,
+                { type: 'class-name', match: /(?<=\b(?:class|interface|enum|record|extends|implements|new)\s+)\w+/ },
+                { type: 'keyword', match: words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public return short static strictfp super switch synchronized this throw throws transient try var void volatile while record sealed permits yield') },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/ },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                C_OPERATOR,
+                C_PUNCTUATION
+            ]
         },
-        rust: {
-            'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-            'string': /"(?:\\"|[^"])*"|r#"[^]*?"#/,
-            'keyword': /\b(?:as|async|await|break|const|continue|crate|dyn|else|enum|extern|false|fn|for|if|impl|in|let|loop|match|mod|move|mut|pub|ref|return|self|Self|static|struct|super|trait|true|type|unsafe|use|where|while)\b/,
-            'function': /\b[a-z_][A-Za-z0-9_]*(?=\s*\()|\b[a-z_][A-Za-z0-9_]*(?=!)/i,
-            'number': /\b\d+(?:_\d+)*(?:\.\d+(?:_\d+)*)?(?:[ef]\d+)?(?:[iu](?:8|16|32|64|128|size)|f(?:32|64))?\b|\b0x[a-fA-F0-9_]+\b/,
-            'boolean': /\b(?:true|false)\b/,
-            'operator': /=>|->|::|[+\-*\/%&|^!~=<>]=?|&&|\|\||\?/,
-            'punctuation': /[{}[\]();,.]/
+        csharp: {
+            root: [
+                C_COMMENT,
+                { type: 'keyword', match: /(?<=^[ \t]*)#[ \t]*\w+/m },
+                { type: 'string', match: /"""[\s\S]*?"""/ },
+                { type: 'string', match: /(?:\$@|@\$)"/, push: 'verbatim-interpolated' },
+                { type: 'string', match: /\$"/, push: 'interpolated' },
+                { type: 'string', match: /@"(?:""|[^"])*"/ },
+                DQ_STRING,
+                CHAR_LITERAL,
+                { type: 'builtin', match: /(?<=^[ \t]*)\[[\w.]+(?:\([^)\n]*\))?\]/m },
+                { type: 'class-name', match: /(?<=\b(?:class|interface|struct|enum|record|new)\s+)\w+/ },
+                { type: 'keyword', match: words('abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get goto if implicit in init int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sbyte sealed set short sizeof stackalloc static string struct switch this throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile when where while yield') },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/ },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                C_OPERATOR,
+                C_PUNCTUATION
+            ],
+            interpolated: [
+                { type: 'string', match: /"/, pop: true },
+                { type: 'string', match: /\{\{|\}\}|\\[\s\S]/ },
+                { type: 'punctuation', match: /\{/, push: 'interpolation' },
+                { type: 'string', match: /[^"\\{}]+|[\s\S]/ }
+            ],
+            'verbatim-interpolated': [
+                { type: 'string', match: /""|\{\{|\}\}/ },
+                { type: 'string', match: /"/, pop: true },
+                { type: 'punctuation', match: /\{/, push: 'interpolation' },
+                { type: 'string', match: /[^"{}]+|[\s\S]/ }
+            ],
+            interpolation: BRACED_CODE
+        },
+        kotlin: {
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /"""|"/, push: 'string', data: (m) => m[0] },
+                CHAR_LITERAL,
+                ANNOTATION,
+                { type: 'class-name', match: /(?<=\b(?:class|interface|object)\s+)\w+/ },
+                { type: 'function', match: /(?<=\bfun\s+(?:<[^>]*>\s*)?(?:\w+\.)?)\w+/ },
+                { type: 'keyword', match: words('fun val var if else when for while do return break continue class interface object companion data sealed enum open abstract override private protected public internal inline suspend import package is as in out try catch finally throw this super typealias lateinit const by init constructor where reified crossinline noinline vararg operator infix tailrec') },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/ },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /\?:|\?\.|!!|::|\.\.<?|->|&&|\|\||[-+*\/%!=<>]=?=?/ },
+                C_PUNCTUATION
+            ],
+            string: DOLLAR_STRING,
+            interpolation: BRACED_CODE
+        },
+        swift: {
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /"""|"/, push: 'string', data: (m) => m[0] },
+                { type: 'builtin', match: /[@#]\w+/ },
+                { type: 'class-name', match: /(?<=\b(?:class|struct|enum|protocol|extension|actor)\s+)\w+/ },
+                { type: 'function', match: /(?<=\bfunc\s+)\w+/ },
+                { type: 'keyword', match: words('func let var if else guard switch case default for while repeat in return break continue fallthrough class struct enum protocol extension actor import init deinit self Self super throws rethrows throw try catch do defer where as is async await public private fileprivate internal open static final override mutating nonmutating lazy weak unowned some any inout typealias associatedtype subscript convenience required indirect') },
+                { type: 'boolean', match: /\b(?:true|false|nil)\b/ },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /\.\.\.|\.\.<|\?\?|->|&&|\|\||[-+*\/%!=<>&|^~?]=?=?/ },
+                C_PUNCTUATION
+            ],
+            string: [
+                { type: 'string', match: (quote) => new RegExp(escapeRegex(quote)), pop: true },
+                { type: 'punctuation', match: /\\\(/, push: 'interpolation' },
+                { type: 'string', match: /\\[\s\S]|[\s\S]/ }
+            ],
+            interpolation: [
+                { type: 'punctuation', match: /\)/, pop: true },
+                { type: 'punctuation', match: /\(/, push: 'interpolation' },
+                { include: 'root' }
+            ]
         },
         go: {
-            'comment': /\/\/.*|\/\*[\s\S]*?\*\//,
-            'string': /"(?:\\"|[^"])*"|`(?:[^`])*`|'(?:\\'|[^'])*'/,
-            'keyword': /\b(?:break|case|chan|const|continue|default|defer|else|fallthrough|for|func|go|goto|if|import|interface|map|package|range|return|select|struct|switch|type|var)\b/,
-            'function': /\b[a-zA-Z_][a-zA-Z0-9_]*(?=\s*\()/,
-            'number': /\b-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b|\b0[xX][a-fA-F0-9]+\b/,
-            'boolean': /\b(?:true|false|nil)\b/,
-            'operator': /:=|<-|\.\.\.|[+\-*\/%&|^!~=<>]=?|&&|\|\|/,
-            'punctuation': /[{}[\]();,.]/
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /`[^`]*`/ },
+                DQ_STRING,
+                CHAR_LITERAL,
+                { type: 'keyword', match: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var') },
+                { type: 'builtin', match: words('bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any append cap close copy delete len make new panic print println recover') },
+                { type: 'boolean', match: /\b(?:true|false|nil|iota)\b/ },
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /:=|<-|\.\.\.|&\^=?|&&|\|\||<<=?|>>=?|[-+*\/%&|^!=<>]=?/ },
+                C_PUNCTUATION
+            ]
+        },
+        rust: {
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /b?r(#*)"[\s\S]*?"\1/ },
+                { type: 'string', match: /b?"(?:\\.|[^"\\])*"/ },
+                { type: 'string', match: /b?'(?:\\(?:x[\da-fA-F]{2}|u\{[\da-fA-F]{1,6}\}|.)|[^'\\\n])'/ },
+                { type: 'symbol', match: /'[a-zA-Z_]\w*\b(?!')/ },
+                { type: 'builtin', match: /#!?\[[^\]\n]*\]/ },
+                { type: 'keyword', match: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while') },
+                { type: 'boolean', match: /\b(?:true|false)\b/ },
+                { type: 'function', match: /\b[a-zA-Z_]\w*!|\b[a-zA-Z_]\w*(?=\s*(?:(?:::)?<[^<>()]*>)?\()/ },
+                CLASS_NAME,
+                { type: 'number', match: /\b0x[\da-fA-F_]+(?:[iu](?:8|16|32|64|128|size))?\b|\b\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?(?:[iu](?:8|16|32|64|128|size)|f(?:32|64))?\b/ },
+                { type: 'operator', match: /=>|->|::|\.\.=?|&&|\|\||<<=?|>>=?|[-+*\/%&|^!=<>?]=?/ },
+                C_PUNCTUATION
+            ]
+        },
+        ruby: {
+            root: [
+                { type: 'comment', match: /^=begin\b[\s\S]*?^=end\b.*|#.*/m },
+                { type: 'string', match: /<<[~-]?(?:(['"`])(\w+)\1|([A-Z_]\w*))/, push: 'heredoc-head', data: (m) => m[2] || m[3] },
+                { type: 'string', match: /"/, push: 'dstring' },
+                SQ_STRING,
+                { type: 'string', match: /%[qQwWiI]?(?:\[[^\]]*\]|\([^)]*\)|\{[^}]*\}|<[^>]*>)/ },
+                { type: 'regex', match: /(?<=(?:^|[=(,;!&|~{]|\b(?:when|if|unless|return))\s*)\/(?![\s*])(?:\\.|[^/\\\n])+\/[imxounse]*/m },
+                { type: 'symbol', match: /(?<![:\w]):(?:[a-zA-Z_]\w*[?!=]?|"(?:\\.|[^"\\])*")|\b[a-zA-Z_]\w*:(?!:)/ },
+                { type: 'variable', match: /@@?\w+|\$\w+/ },
+                { type: 'function', match: /(?<=\bdef\s+(?:self\.)?)\w+[?!=]?/ },
+                { type: 'keyword', match: words('alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require require_relative include extend attr_accessor attr_reader attr_writer private protected public lambda proc raise') },
+                { type: 'boolean', match: /\b(?:true|false|nil)\b/ },
+                { type: 'class-name', match: /\b[A-Z]\w*\b/ },
+                { type: 'function', match: /\b[a-z_]\w*[?!]?(?=\s*\()/ },
+                NUMBER,
+                { type: 'operator', match: /<=>|===?|=~|!~|\*\*|&&|\|\||<<|>>|\.\.\.?|::|[-+*\/%&|^!<>=]=?/ },
+                { type: 'punctuation', match: /[{}[\]();,.]/ }
+            ],
+            dstring: [
+                { type: 'string', match: /"/, pop: true },
+                { type: 'punctuation', match: /#\{/, push: 'interpolation' },
+                { type: 'string', match: /\\[\s\S]|[^"\\#]+|#/ }
+            ],
+            interpolation: BRACED_CODE,
+            ...HEREDOC_STATES
+        },
+        php: {
+            root: [
+                { type: 'tag', match: /<\?(?:php\b|=)?|\?>/ },
+                { type: 'comment', match: /\/\/.*|#(?!\[).*|\/\*[\s\S]*?\*\// },
+                { type: 'string', match: /<<<[ \t]*(?:(['"])(\w+)\1|(\w+))/, push: 'heredoc-head', data: (m) => m[2] || m[3] },
+                { type: 'string', match: /"/, push: 'dstring' },
+                SQ_STRING,
+                { type: 'builtin', match: /#\[[^\]\n]*\]/ },
+                { type: 'variable', match: /\$+[a-zA-Z_]\w*/ },
+                { type: 'class-name', match: /(?<=\b(?:class|interface|trait|enum|extends|implements|new)\s+)[\w\\]+/ },
+                { type: 'keyword', match: words('abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile enum extends final finally fn for foreach function global goto if implements include include_once instanceof insteadof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while yield', 'i') },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/i },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /===?|!==?|<=>|\?\?=?|\?->|->|=>|::|\.=?|&&|\|\||\*\*|[-+*\/%&|^!<>=?:]=?/ },
+                { type: 'punctuation', match: /[{}[\]();,]/ }
+            ],
+            dstring: [
+                { type: 'string', match: /"/, pop: true },
+                { type: 'punctuation', match: /\{(?=\$)/, push: 'interpolation' },
+                { type: 'variable', match: /\$[a-zA-Z_]\w*(?:->\w+|\[[^\]\n]*\])?/ },
+                { type: 'string', match: /\\[\s\S]|[^"\\${]+|[\s\S]/ }
+            ],
+            interpolation: BRACED_CODE,
+            ...HEREDOC_STATES
+        },
+        dart: {
+            root: [
+                C_COMMENT,
+                { type: 'string', match: /r(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"[^"\n]*"|'[^'\n]*')/ },
+                { type: 'string', match: /"""|'''|"|'/, push: 'string', data: (m) => m[0] },
+                ANNOTATION,
+                { type: 'class-name', match: /(?<=\b(?:class|mixin|enum|extension|extends|implements|with|new)\s+)\w+/ },
+                { type: 'keyword', match: words('abstract as assert async await base break case catch class const continue covariant default deferred do dynamic else enum export extends extension external factory final finally for get hide if implements import in interface is late library mixin new on operator part required rethrow return sealed set show static super switch sync this throw try typedef var void when while with yield') },
+                { type: 'builtin', match: words('int double num String bool List Map Set Future Stream Object Iterable') },
+                { type: 'boolean', match: /\b(?:true|false|null)\b/ },
+                CLASS_NAME,
+                FUNCTION_CALL,
+                NUMBER,
+                { type: 'operator', match: /\?\?=?|\?\.|\.\.\.?\??|=>|&&|\|\||~\/|[-+*\/%&|^!=<>?:]=?/ },
+                C_PUNCTUATION
+            ],
+            string: DOLLAR_STRING,
+            interpolation: BRACED_CODE
+        },
+        r: {
+            root: [
+                HASH_COMMENT,
+                { type: 'string', match: /[rR]"(-*)[([{][\s\S]*?[)\]}]\1"|[rR]'(-*)[([{][\s\S]*?[)\]}]\2'/ },
+                { type: 'string', match: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/ },
+                { type: 'variable', match: /`[^`]+`/ },
+                { type: 'keyword', match: words('if else repeat while function for in next break return library require source switch') },
+                { type: 'boolean', match: /\b(?:TRUE|FALSE|T|F|NULL|NA|NA_integer_|NA_real_|NA_character_|Inf|NaN)\b/ },
+                { type: 'function', match: /\b[a-zA-Z._][\w.]*(?=\s*\()/ },
+                { type: 'number', match: /\b0x[\da-fA-F]+L?\b|(?:\b\d+(?:\.\d*)?|\B\.\d+)(?:[eE][+-]?\d+)?[Li]?\b/ },
+                { type: 'operator', match: /<<-|->>|<-|->|%[^%\s]*%|\|>|&&|\|\||[-+*\/^!=<>~$@:&|]=?/ },
+                { type: 'punctuation', match: /[{}[\](),;]/ }
+            ]
+        },
+        yaml: {
+            root: [
+                { type: 'comment', match: /(?<=^|\s)#.*/m },
+                { type: 'punctuation', match: /^(?:---|\.\.\.)(?=\s|$)/m },
+                { type: 'keyword', match: /^%.*/m },
+                { type: 'property', match: /(?<=^[ \t]*(?:-[ \t]+)*|[{,][ \t]*)(?:"(?:\\.|[^"\\\n])*"|'[^'\n]*'|[^\s#:'"\-?[\]{},|>!&*][^#:\n]*?|-[^\s#:][^#:\n]*?)(?=[ \t]*:(?:\s|$))/m },
+                // Block scalars (| and >) take every following line indented past the key.
+                { type: 'operator', match: /[|>][-+]?\d*(?=[ \t]*(?:#.*)?$)/m, push: 'block-scalar-head', data: (m) => /^[ \t]*(?:-[ \t]+)*/.exec(m.input.slice(m.input.lastIndexOf('\n', m.index) + 1))[0].length },
+                { type: 'string', match: /"(?:\\.|[^"\\])*"|'(?:''|[^'])*'/ },
+                { type: 'variable', match: /[&*][\w-]+/ },
+                { type: 'builtin', match: /!!?[\w/:.-]*/ },
+                { type: 'boolean', match: /(?<=[:\-[,][ \t]*|^[ \t]*)(?:true|false|yes|no|on|off|null|~)(?=[ \t]*(?:$|#|,|\]|\}))/im },
+                { type: 'number', match: /(?<=[:\-[,][ \t]*|^[ \t]*)[-+]?(?:\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?|0x[\da-fA-F]+|\.inf|\.nan)(?=[ \t]*(?:$|#|,|\]|\}))/im },
+                { type: 'punctuation', match: /[-:?,[\]{}]/ }
+            ],
+            'block-scalar-head': [
+                { match: /[ \t]*(?:#.*)?\n/, next: 'block-scalar' }
+            ],
+            'block-scalar': [
+                { type: 'string', match: (indent) => new RegExp(`(?:[ \\t]*\\n)*[ ]{${indent + 1},}.*(?:\\n|$)`) },
+                { match: /(?=[\s\S])/, pop: true }
+            ]
+        },
+        toml: {
+            root: [
+                HASH_COMMENT,
+                { type: 'selector', match: /(?<=^[ \t]*)\[\[?[^\]\n]+\]\]?/m },
+                { type: 'property', match: /(?<=^[ \t]*|[{,][ \t]*)(?:[\w-]+|"[^"\n]*"|'[^'\n]*')(?:[ \t]*\.[ \t]*(?:[\w-]+|"[^"\n]*"|'[^'\n]*'))*(?=[ \t]*=)/m },
+                { type: 'string', match: /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'[^'\n]*'/ },
+                { type: 'number', match: /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?)?|\b\d{2}:\d{2}:\d{2}(?:\.\d+)?/ },
+                { type: 'boolean', match: /\b(?:true|false)\b/ },
+                { type: 'number', match: /[-+]?(?:0x[\da-fA-F_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|inf|nan)\b/ },
+                { type: 'operator', match: /=/ },
+                { type: 'punctuation', match: /[[\]{},.]/ }
+            ]
+        },
+        dockerfile: {
+            root: [
+                { type: 'comment', match: /(?<=^[ \t]*)#.*/m },
+                // Shell-form instructions hand the rest of the (continued) line to the shell grammar.
+                { type: 'keyword', match: /(?<=^[ \t]*)(?:RUN|CMD|ENTRYPOINT|SHELL)\b/im, push: 'shell' },
+                // FROM gets its own state until the end of the line so `AS <name>` is only a keyword there.
+                { type: 'keyword', match: /(?<=^[ \t]*)FROM\b/im, push: 'from' },
+                { type: 'keyword', match: /(?<=^[ \t]*)(?:LABEL|MAINTAINER|EXPOSE|ENV|ADD|COPY|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK)\b/im },
+                { type: 'attr-name', match: /(?<=\s)--[\w-]+/ },
+                BASH_VARIABLE,
+                DQ_STRING,
+                SQ_STRING,
+                { type: 'number', match: /\b\d+(?:\/(?:tcp|udp))?\b/ },
+                { type: 'operator', match: /[=\\]/ },
+                { type: 'punctuation', match: /[[\],:]/ }
+            ],
+            from: [
+                { match: /(?<!\\)\n/, pop: true },
+                { type: 'keyword', match: /\bAS\b/i },
+                { include: 'root' }
+            ],
+            shell: [
+                { match: /(?<!\\)\n/, pop: true },
+                { type: 'punctuation', match: /\\(?=\n)/ },
+                { include: 'bash:root' }
+            ]
+        },
+        diff: {
+            root: [
+                { type: 'keyword', match: /^(?:diff |index |--- |\+\+\+ |new file mode|deleted file mode|similarity index|rename (?:from|to) ).*/m },
+                { type: 'label', match: /^@@.*@@/m },
+                { type: 'inserted', match: /^[+>].*/m },
+                { type: 'deleted', match: /^[-<].*/m },
+                { type: 'comment', match: /^\\ .*/m }
+            ]
+        },
+        latex: {
+            root: [
+                { type: 'comment', match: /(?<!\\)%.*/ },
+                { type: 'punctuation', match: /\$\$|\\\[|\$|\\\(/, push: 'math', data: (m) => ({ '$$': '$$', '\\[': '\\]', '$': '$', '\\(': '\\)' })[m[0]] },
+                { type: 'keyword', match: /\\(?:begin|end)(?=\s*\{)/ },
+                { type: 'class-name', match: /(?<=\\(?:begin|end)\s*\{)[^}]+/ },
+                { type: 'keyword', match: /\\(?:part|chapter|(?:sub)*section|(?:sub)?paragraph|documentclass|usepackage|title|author|date|label|ref|cite|include|input)\b\*?/ },
+                { type: 'function', match: /\\(?:[a-zA-Z@]+|.)/ },
+                { type: 'number', match: /\b\d+(?:\.\d+)?(?:pt|em|ex|cm|mm|in|bp|sp|pc)?\b/ },
+                { type: 'operator', match: /[&~^_]/ },
+                { type: 'punctuation', match: /[{}[\]]/ }
+            ],
+            math: [
+                { type: 'punctuation', match: (end) => new RegExp(escapeRegex(end)), pop: true },
+                { type: 'comment', match: /(?<!\\)%.*/ },
+                { type: 'function', match: /\\(?:[a-zA-Z]+|.)/ },
+                { type: 'number', match: /\d+(?:\.\d+)?/ },
+                { type: 'operator', match: /[-+=<>_^&*\/|!']/ },
+                { type: 'punctuation', match: /[{}[\]()]/ },
+                { type: 'string', match: /[a-zA-Z]+/ }
+            ]
         },
         markdown: {
-            'comment': /<!--[\s\S]*?-->/,
-            'keyword': /^#{1,6}.*$/m, // Headers
-            'string': /(`{1,3})[\s\S]*?\1/, // Inline code & blocks
-            'variable': /\[.*?\]\(.*?\)|!\[.*?\]\(.*?\)/, // Links/Images
-            'function': /\*\*[^*]+\*\*|__[^\n]+__/, // Bold
-            'operator': /\*[^*]+\*|_[^\n]+_/, // Italic
-            'punctuation': /^[*\-+]\s|\d+\.\s/m // Lists
+            root: [
+                { type: 'comment', match: /<!--[\s\S]*?-->/ },
+                { type: 'string', match: /^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^[ \t]*\1[ \t]*$/m },
+                { type: 'keyword', match: /^#{1,6}[ \t].*$/m },
+                { type: 'punctuation', match: /^[ \t]*(?:[*\-+]|\d+[.)])(?=[ \t])|^[ \t]*>/m },
+                { type: 'punctuation', match: /^(?:[-*_][ \t]*){3,}$/m },
+                { type: 'string', match: /(`+)[^`\n][\s\S]*?\1/ },
+                { type: 'variable', match: /!?\[[^\]\n]*\](?:\([^)\n]*\)|\[[^\]\n]*\])/ },
+                { type: 'function', match: /\*\*[^*\n]+\*\*|__[^_\n]+__/ },
+                { type: 'operator', match: /\*[^*\s][^*\n]*\*|\b_[^_\n]+_\b/ },
+                { type: 'url', match: /https?:\/\/[^\s<>)\]]+/ }
+            ]
+        },
+        mermaid: {
+            root: [
+                { type: 'comment', match: /%%.*/ },
+                { type: 'keyword', match: /(?<=^[ \t]*)(?:graph|flowchart|sequenceDiagram|classDiagram(?:-v2)?|stateDiagram(?:-v2)?|erDiagram|gantt|pie|journey|gitGraph|mindmap|timeline|quadrantChart|requirementDiagram|C4Context|sankey-beta|xychart-beta|block-beta)\b/m },
+                { type: 'keyword', match: words('TB TD BT RL LR subgraph end participant actor note over left of right loop alt else opt par and rect critical break activate deactivate autonumber title section dateFormat axisFormat excludes class state style classDef linkStyle click direction') },
+                DQ_STRING,
+                { type: 'string', match: /\|[^|\n]*\|/ },
+                { type: 'operator', match: /<<?-{1,2}>>?|-{2,}[>x)o]?|-\.+->?|={2,}>?|-->>|->>|--?[x)]|[:;&]|\|/ },
+                { type: 'number', match: /\b\d+(?:\.\d+)?\b/ },
+                { type: 'punctuation', match: /[[\](){}]/ }
+            ]
         }
     },
 
+    ALIASES: {
+        xml: 'html', svg: 'html', vue: 'html', htm: 'html', xhtml: 'html',
+        sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+        js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+        ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+        c: 'cpp', h: 'cpp', hpp: 'cpp', cc: 'cpp', cxx: 'cpp', 'c++': 'cpp',
+        cs: 'csharp', 'c#': 'csharp',
+        kt: 'kotlin', kts: 'kotlin',
+        py: 'python', py3: 'python',
+        md: 'markdown',
+        yml: 'yaml',
+        bat: 'batch', cmd: 'batch',
+        rb: 'ruby',
+        rs: 'rust',
+        golang: 'go',
+        docker: 'dockerfile',
+        patch: 'diff',
+        tex: 'latex',
+        scss: 'css', less: 'css',
+        jsonc: 'json', json5: 'json', chart: 'json'
+    },
+
+    _compiled: new Map(),
+    _dynamic: new Map(),
+    DYNAMIC_CACHE_SIZE: 32,
+
     /**
      * Highlights code with syntax highlighting
      * @param {string} code - Code to highlight
@@ -150,138 +679,132 @@ export const SyntaxHighlighter = {
         if (!code || typeof code !== 'string') {
             return this.escapeHtml(String(code || ''));
         }
-        
+
         if (!lang || typeof lang !== 'string') {
             return this.escapeHtml(code);
         }
-        
-        // Expanded Alias Mapping
-        const alias = { 
-            'xml': 'html', 'svg': 'html', 'vue': 'html',
-            'sh': 'bash', 'shell': 'bash', 'zsh': 'bash',
-            'js': 'javascript', 'ts': 'javascript', 'typescript': 'javascript', 'jsx': 'javascript', 'tsx': 'javascript',
-            'c': 'cpp', 'h': 'cpp', 'hpp': 'cpp', 'cc': 'cpp', 'c++': 'cpp', 
-            'cs': 'java', 'csharp': 'java', 'kotlin': 'java', // Java is close enough for simple C#/Kotlin mapping
-            'py': 'python', 'py3': 'python',
-            'md': 'markdown', 
-            'yml': 'json', 'yaml': 'json', // JSON is a decent fallback for simple YAML syntax
-            'bat': 'bash', 'cmd': 'bash', 
-            'rb': 'ruby',
-            'rs': 'rust',
-            'golang': 'go'
-        };
-        const effectiveLang = (alias[lang.toLowerCase()] || lang).toLowerCase();
 
-        if (effectiveLang === 'html') {
-            return this.highlightHtml(code);
+        const name = lang.toLowerCase();
+        const effectiveLang = this.ALIASES[name] || name;
+        if (!this.GRAMMAR[effectiveLang]) {
+            return this.escapeHtml(code);
         }
 
-        return this._highlightBasic(code, effectiveLang);
+        try {
+            return this.tokenize(code, effectiveLang).map(token => token.type
+                ? `<span class="token ${this.escapeHtml(token.type)}">${this.escapeHtml(token.content)}</span>`
+                : this.escapeHtml(token.content)
+            ).join('');
+        } catch (error) {
+            console.warn(`Syntax Highlighter - failed to tokenize ${effectiveLang}:`, error);
+            return this.escapeHtml(code);
+        }
     },
 
-    highlightHtml(code) {
-        // Safer multi-regex for embedded JS and CSS. Matches tags more carefully.
-        const regex = /(<script[^>]*>)([\s\S]*?)(<\/script>)|(<style[^>]*>)([\s\S]*?)(<\/style>)/gi;
-        
-        let lastIndex = 0;
-        let result = '';
-        let match;
-
-        while ((match = regex.exec(code)) !== null) {
-            const htmlPart = code.slice(lastIndex, match.index);
-            if (htmlPart) {
-                result += this._highlightBasic(htmlPart, 'html');
-            }
+    /**
+     * Splits code into `{ type, content }` tokens (plain text has a null type); adjacent tokens of one type are merged.
+     * @param {string} code - Code to tokenize
+     * @param {string} lang - Grammar name (not an alias)
+     * @returns {Array<{type: (string|null), content: string}>}
+     */
+    tokenize(code, lang) {
+        const tokens = [];
+        const stack = [{ lang, state: 'root', data: null }];
+        const wordRun = /[\w$]+|[\s\S]/y;
+        let pos = 0;
+        let stalls = 0;
 
-            if (match[1]) {
-                result += this._highlightBasic(match[1], 'html');
-                result += this._highlightBasic(match[2], 'javascript');
-                result += this._highlightBasic(match[3], 'html');
-            } else if (match[4]) {
-                result += this._highlightBasic(match[4], 'html');
-                result += this._highlightBasic(match[5], 'css');
-                result += this._highlightBasic(match[6], 'html');
-            }
+        const emit = (type, content) => {
+            if (!content) return;
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === type) last.content += content;
+            else tokens.push({ type, content });
+        };
 
-            lastIndex = regex.lastIndex;
-        }
+        while (pos < code.length) {
+            const frame = stack[stack.length - 1];
+            let matched = false;
+
+            for (const entry of this._compileState(frame.lang, frame.state)) {
+                const { rule } = entry;
+                const regex = entry.regex || this._dynamicRegex(rule, frame.data);
+                regex.lastIndex = pos;
+                const match = regex.exec(code);
+                if (!match) continue;
+
+                // Empty matches are only useful for changing state, and must not loop forever.
+                const changesState = rule.push || rule.next || rule.pop;
+                if (!match[0] && (!changesState || stalls > 16)) continue;
+                stalls = match[0] ? 0 : stalls + 1;
+
+                emit(rule.type || null, match[0]);
+                pos += match[0].length;
+
+                if (rule.pop && stack.length > 1) stack.pop();
+                if (rule.next) stack[stack.length - 1] = { ...this._resolveState(rule.next, entry.owner), data: frame.data };
+                if (rule.push && stack.length < 64) stack.push({ ...this._resolveState(rule.push, entry.owner), data: rule.data ? rule.data(match) : null });
+                matched = true;
+                break;
+            }
 
-        const tail = code.slice(lastIndex);
-        if (tail) {
-            result += this._highlightBasic(tail, 'html');
+            if (!matched) {
+                // Nothing starts here; skip the rest of the identifier so keywords cannot match mid-word.
+                wordRun.lastIndex = pos;
+                const text = wordRun.exec(code)[0];
+                emit(null, text);
+                pos += text.length;
+            }
         }
+        return tokens;
+    },
 
-        return result;
+    _resolveState(ref, owner) {
+        const [lang, state] = ref.includes(':') ? ref.split(':') : [owner, ref];
+        return { lang, state };
     },
 
     /**
-     * Basic syntax highlighting using regex patterns
-     * @param {string} code - Code to highlight
-     * @param {string} lang - Language identifier
-     * @returns {string} HTML with syntax highlighting
+     * Flattens a state's rules (following `include`s) into `{ rule, owner, regex }` entries with sticky regexes.
      * @private
      */
-    _highlightBasic(code, lang) {
-        if (!code || typeof code !== 'string') {
-            return this.escapeHtml(String(code || ''));
-        }
-        
-        const grammar = this.GRAMMAR[lang];
-        if (!grammar) {
-            return this.escapeHtml(code);
-        }
+    _compileState(lang, state) {
+        const key = `${lang}:${state}`;
+        if (this._compiled.has(key)) return this._compiled.get(key);
 
-        let tokenStream =[code];
-
-        // Because JS guarantees insertion order for standard string keys in objects,
-        // this cleanly applies Tokens in the correct order (Comments -> Strings -> Keywords).
-        for (const tokenName in grammar) {
-            if (!grammar.hasOwnProperty(tokenName)) continue;
-            
-            const pattern = grammar[tokenName];
-            const newStream =[];
-
-            tokenStream.forEach(token => {
-                // If it's a string, it hasn't been tokenized yet. Parse it.
-                if (typeof token === 'string') {
-                    try {
-                        const regex = new RegExp(pattern, 'g');
-                        let lastIndex = 0;
-                        let match;
-                        
-                        while ((match = regex.exec(token)) !== null) {
-                            const prevText = token.slice(lastIndex, match.index);
-                            if (prevText) newStream.push(prevText);
-                            
-                            newStream.push({ type: tokenName, content: match[0] });
-                            lastIndex = regex.lastIndex;
-                            
-                            // Prevent infinite loops on zero-length matches
-                            if (match[0].length === 0) {
-                                regex.lastIndex++;
-                            }
-                        }
-                        
-                        const remainingText = token.slice(lastIndex);
-                        if (remainingText) newStream.push(remainingText);
-                    } catch (error) {
-                        console.warn(`Syntax Highlighter - Regex error for token ${tokenName}:`, error);
-                        newStream.push(token);
-                    }
+        const entries = [];
+        const visited = new Set();
+        const collect = (grammarName, stateName) => {
+            const ref = `${grammarName}:${stateName}`;
+            if (visited.has(ref)) return;
+            visited.add(ref);
+            for (const rule of this.GRAMMAR[grammarName]?.[stateName] || []) {
+                if (rule.include) {
+                    const target = this._resolveState(rule.include, grammarName);
+                    collect(target.lang, target.state);
                 } else {
-                    // Already a matched token, leave it alone (protects against nested overlaps)
-                    newStream.push(token);
+                    entries.push({ rule, owner: grammarName, regex: typeof rule.match === 'function' ? null : this._sticky(rule.match) });
                 }
-            });
-            tokenStream = newStream;
+            }
+        };
+        collect(lang, state);
+        this._compiled.set(key, entries);
+        return entries;
+    },
+
+    // Regexes built from state data (heredoc ids, quote characters) are cached per rule, up to DYNAMIC_CACHE_SIZE each.
+    _dynamicRegex(rule, data) {
+        let byData = this._dynamic.get(rule);
+        if (!byData) this._dynamic.set(rule, byData = new Map());
+        const key = String(data);
+        if (!byData.has(key)) {
+            if (byData.size >= this.DYNAMIC_CACHE_SIZE) byData.delete(byData.keys().next().value);
+            byData.set(key, this._sticky(rule.match(data)));
         }
+        return byData.get(key);
+    },
 
-        return tokenStream.map(token => {
-            if (typeof token === 'string') {
-                return this.escapeHtml(token);
-            }
-            return `<span class="token ${this.escapeHtml(token.type)}">${this.escapeHtml(token.content)}</span>`;
-        }).join('');
+    _sticky(regex) {
+        return new RegExp(regex.source, regex.flags.replace(/[gy]/g, '') + 'y');
     },
 
     /**
@@ -301,4 +824,4 @@ export const SyntaxHighlighter = {
         // By escaping quotes as well, we protect against payload escapes
         return String(str).replace(/[&<>"']/g, m => map[m]);
     }
-};
\ No newline at end of file
+};
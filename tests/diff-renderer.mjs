@@ -0,0 +1,138 @@
+// Fixtures for diffRenderer.js: parsing unified diffs, applying them and diffing two texts.
+// Run from the repository root with: node tests/diff-renderer.mjs
+//
+// Each case gives a name and a `run` function returning the value to compare with `expected`.
+
+import { runCases, checkOutput } from './run-cases.mjs';
+
+globalThis.window = { location: { origin: 'http://localhost' } };
+
+const { DiffRenderer } = await import('../diffRenderer.js');
+
+const lines = (...items) => items.join('\n');
+const apply = (source, diff) => {
+    const { text, applied, failed, total } = DiffRenderer.apply(source, DiffRenderer.parse(diff));
+    return { text, applied, failed, total };
+};
+const shape = files => files.map(file => ({
+    path: file.newPath || file.oldPath,
+    hunks: file.hunks.map(({ oldStart, oldLines, newStart, newLines, lines: hunkLines }) => ({
+        oldStart, oldLines, newStart, newLines, lines: hunkLines.map(line => `${line.type}:${line.text}`)
+    }))
+}));
+
+const cases = [
+    // parse
+    {
+        name: 'parse: add-only hunk',
+        run: () => shape(DiffRenderer.parse(lines('--- a/app.js', '+++ b/app.js', '@@ -2,0 +3,2 @@', '+one', '+two'))),
+        expected: [{ path: 'app.js', hunks: [{ oldStart: 2, oldLines: 0, newStart: 3, newLines: 2, lines: ['add:one', 'add:two'] }] }]
+    },
+    {
+        name: 'parse: delete-only hunk',
+        run: () => shape(DiffRenderer.parse(lines('@@ -3,2 +2,0 @@', '-one', '-two'))),
+        expected: [{ path: '', hunks: [{ oldStart: 3, oldLines: 2, newStart: 2, newLines: 0, lines: ['del:one', 'del:two'] }] }]
+    },
+    {
+        name: 'parse: multiple files and hunks',
+        run: () => shape(DiffRenderer.parse(lines(
+            'diff --git a/a.txt b/a.txt', '--- a/a.txt', '+++ b/a.txt',
+            '@@ -1,2 +1,2 @@', ' keep', '-old', '+new',
+            '@@ -10 +10 @@', '-x', '+y',
+            'diff --git a/b.txt b/b.txt', '--- a/b.txt', '+++ b/b.txt',
+            '@@ -1 +1,2 @@', ' only', '+added'
+        ))),
+        expected: [
+            { path: 'a.txt', hunks: [
+                { oldStart: 1, oldLines: 2, newStart: 1, newLines: 2, lines: ['context:keep', 'del:old', 'add:new'] },
+                { oldStart: 10, oldLines: 1, newStart: 10, newLines: 1, lines: ['del:x', 'add:y'] }
+            ] },
+            { path: 'b.txt', hunks: [{ oldStart: 1, oldLines: 1, newStart: 1, newLines: 2, lines: ['context:only', 'add:added'] }] }
+        ]
+    },
+    {
+        name: 'parse: headerless hunk is counted from its lines',
+        run: () => shape(DiffRenderer.parse(lines('-old', '+new', ' keep', ''))),
+        expected: [{ path: '', hunks: [{ oldStart: null, oldLines: 2, newStart: null, newLines: 2, lines: ['del:old', 'add:new', 'context:keep'] }] }]
+    },
+    { name: 'parse: text without changes is not a diff', run: () => DiffRenderer.parse('just some text'), expected: [] },
+
+    // apply
+    {
+        name: 'apply: add-only hunk inserts after the stated line',
+        run: () => apply(lines('a', 'b', 'c'), lines('@@ -2,0 +3 @@', '+new')),
+        expected: { text: lines('a', 'b', 'new', 'c'), applied: 1, failed: [], total: 1 }
+    },
+    {
+        name: 'apply: add-only hunk at the top of the file',
+        run: () => apply(lines('a', 'b'), lines('@@ -0,0 +1 @@', '+first')),
+        expected: { text: lines('first', 'a', 'b'), applied: 1, failed: [], total: 1 }
+    },
+    {
+        name: 'apply: delete-only hunk',
+        run: () => apply(lines('a', 'b', 'c', 'd'), lines('@@ -2,2 +1,0 @@', '-b', '-c')),
+        expected: { text: lines('a', 'd'), applied: 1, failed: [], total: 1 }
+    },
+    {
+        name: 'apply: a hunk after an add-only hunk lands on its stated line',
+        run: () => apply(lines('a', 'b', 'x', 'x', 'x', 'x', 'x'), lines('@@ -2,0 +3 @@', '+n', '@@ -5 +6 @@', '-x', '+y')),
+        expected: { text: lines('a', 'b', 'n', 'x', 'x', 'y', 'x', 'x'), applied: 2, failed: [], total: 2 }
+    },
+    {
+        name: 'apply: multiple hunks shift later positions',
+        run: () => apply(lines('1', '2', '3', '4', '5', '6', '7', '8'), lines('@@ -2 +2,3 @@', '-2', '+2a', '+2b', '+2c', '@@ -7 +9 @@', '-7', '+seven')),
+        expected: { text: lines('1', '2a', '2b', '2c', '3', '4', '5', '6', 'seven', '8'), applied: 2, failed: [], total: 2 }
+    },
+    {
+        name: 'apply: hunk is found when the stated line is wrong',
+        run: () => apply(lines('a', 'b', 'c', 'target', 'd'), lines('@@ -1,2 +1,2 @@', ' c', '-target', '+done')),
+        expected: { text: lines('a', 'b', 'c', 'done', 'd'), applied: 1, failed: [], total: 1 }
+    },
+    {
+        name: 'apply: context mismatch fails that hunk only',
+        run: () => apply(lines('a', 'b', 'c'), lines('@@ -1,2 +1,2 @@', ' a', '-b', '+B', '@@ -3,2 +3,2 @@', ' missing', '-c', '+C')),
+        expected: { text: lines('a', 'B', 'c'), applied: 1, failed: [2], total: 2 }
+    },
+    {
+        name: 'apply: whitespace differences are tolerated',
+        run: () => apply(lines('if (x) {', '    run();', '}'), lines('@@ -2 +2 @@', '-  run();', '+  stop();')),
+        expected: { text: lines('if (x) {', '  stop();', '}'), applied: 1, failed: [], total: 1 }
+    },
+    {
+        name: 'apply: CRLF sources keep their line endings',
+        run: () => apply('a\r\nb\r\n', lines('@@ -2 +2 @@', '-b', '+c')).text,
+        expected: 'a\r\nc\r\n'
+    },
+
+    // diffTexts
+    { name: 'diffTexts: equal texts have no hunks', run: () => DiffRenderer.diffTexts('a\nb', 'a\nb'), expected: [] },
+    {
+        name: 'diffTexts: add-only change',
+        run: () => shape([{ newPath: '', hunks: DiffRenderer.diffTexts(lines('a', 'b'), lines('a', 'b', 'c')) }])[0].hunks,
+        expected: [{ oldStart: 1, oldLines: 2, newStart: 1, newLines: 3, lines: ['context:a', 'context:b', 'add:c'] }]
+    },
+    {
+        name: 'diffTexts: delete-only change',
+        run: () => shape([{ newPath: '', hunks: DiffRenderer.diffTexts(lines('a', 'b', 'c'), lines('a', 'c')) }])[0].hunks,
+        expected: [{ oldStart: 1, oldLines: 3, newStart: 1, newLines: 2, lines: ['context:a', 'del:b', 'context:c'] }]
+    },
+    {
+        name: 'diffTexts: distant changes form separate hunks',
+        run: () => DiffRenderer.diffTexts(lines(...'abcdefghijklmnop'), lines('A', ...'bcdefghijklmno', 'P')).map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines]),
+        expected: [[1, 4, 1, 4], [13, 4, 13, 4]]
+    },
+    {
+        name: 'diffTexts: hunks apply back onto the old text',
+        run: () => {
+            const before = lines('one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten');
+            const after = lines('zero', 'one', 'two', 'three', 'four', 'five', 'seven', 'eight', 'nine', 'ten', 'eleven');
+            return DiffRenderer.apply(before, [{ hunks: DiffRenderer.diffTexts(before, after) }]).text === after;
+        },
+        expected: true
+    }
+];
+
+await runCases(cases, (testCase) => {
+    const output = JSON.stringify(testCase.run());
+    return { output, problems: checkOutput(output, { expected: JSON.stringify(testCase.expected) }) };
+});
@@ -0,0 +1,86 @@
+// Allowlist fixtures for htmlSanitizer.js, run against a real DOM (jsdom).
+// Run from the repository root with: node tests/html-sanitizer.mjs
+// jsdom is not a dependency of the app; install it next to the tests with: npm install --no-save jsdom
+//
+// Each case gives the untrusted markup and either the exact HTML expected (`html`)
+// or fragments that must (`includes`) or must not (`excludes`) appear.
+
+import { runCases, checkOutput } from './run-cases.mjs';
+
+let JSDOM;
+try {
+    ({ JSDOM } = await import('jsdom'));
+} catch {
+    console.error('These tests need jsdom. Install it with: npm install --no-save jsdom');
+    process.exit(1);
+}
+
+const { window } = new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' });
+Object.assign(globalThis, { window, document: window.document, DOMParser: window.DOMParser, Node: window.Node });
+
+const { HtmlSanitizer } = await import('../htmlSanitizer.js');
+const { MessageFormatter } = await import('../formatter.js');
+
+const cases = [
+    // Dangerous elements go with their content
+    { name: 'script is removed with its content', html: '<p>a<script>alert(1)</script>b</p>', expected: '<p>ab</p>' },
+    { name: 'style is removed with its content', html: '<style>body{display:none}</style><p>x</p>', expected: '<p>x</p>' },
+    { name: 'iframe, object and embed are removed', html: '<iframe src="https://e.com"></iframe><object data="x"></object><embed src="y"><p>ok</p>', expected: '<p>ok</p>' },
+    { name: 'svg outside the icon allowlist is removed', html: '<svg><script>alert(1)</script><foreignObject><p>x</p></foreignObject></svg>', excludes: ['script', 'foreignObject', '<p>'] },
+    { name: 'unknown wrappers give way to their content', html: '<font color="red"><b>bold</b></font>', expected: '<b>bold</b>' },
+
+    // Attributes
+    { name: 'event handlers are removed', html: '<img src="https://a.com/i.png" onerror="alert(1)"><b onclick="x()" onmouseover="y()">t</b>', excludes: ['onerror', 'onclick', 'onmouseover'] },
+    { name: 'javascript: links lose their href', html: '<a href="javascript:alert(1)">x</a><a href=" JaVaScRiPt:alert(1)">y</a>', expected: '<a>x</a><a>y</a>' },
+    { name: 'data: links lose their href', html: '<a href="data:text/html,<script>alert(1)</script>">x</a>', expected: '<a>x</a>' },
+    { name: 'web links open in a new tab', html: '<a href="https://a.com/x">x</a>', expected: '<a href="https://a.com/x" target="_blank" rel="noopener noreferrer">x</a>' },
+    { name: 'data: images must be base64 raster images', html: '<img src="data:image/svg+xml,<svg onload=alert(1)>"><img src="data:image/png;base64,iVBORw0KGgo=">', includes: ['<img class="markdown-image" loading="lazy">', 'src="data:image/png;base64,iVBORw0KGgo="'] },
+    { name: 'javascript: image sources are removed', html: '<img src="javascript:alert(1)">', excludes: ['javascript'] },
+
+    // Inline styles
+    { name: 'positioning and layering styles are removed', html: '<div style="position:fixed; top:0; left:0; z-index:9999; width:100%; color:red">x</div>', expected: '<div style="width: 100%; color: red">x</div>' },
+    { name: 'url() and expression() values are removed', html: '<span style="background-color: url(https://e.com/t.png); color: expression(alert(1))">x</span>', expected: '<span>x</span>' },
+    { name: 'display and visibility styles are removed', html: '<p style="display:none; visibility:hidden; opacity:0">x</p>', expected: '<p>x</p>' },
+
+    // Classes, ids and data attributes
+    { name: 'app classes are removed', html: '<div class="modal-overlay">x</div><div class="code-block-wrapper">y</div><a class="citation-ref" href="https://a.com/">z</a>', excludes: ['modal-overlay', 'code-block-wrapper', 'citation-ref', 'class='] },
+    { name: 'table wrappers from content lose their class', html: '<div class="data-table-wrapper"><table><tr><td>1</td></tr></table></div>', excludes: ['data-table-wrapper'] },
+    { name: 'presentational classes are kept', html: '<div class="callout callout-note modal-overlay">x</div>', expected: '<div class="callout callout-note">x</div>' },
+    { name: 'data attributes are removed', html: '<span class="code-canvas-badge" data-raw-content="evil" data-x="1">b</span>', expected: '<span>b</span>' },
+    { name: 'ids are prefixed', html: '<span id="chat-input">a</span><span id="fn1-a">b</span>', expected: '<span id="user-content-chat-input">a</span><span id="user-content-fn1-a">b</span>' },
+    { name: 'fragment links follow the id prefix', html: '<a href="#intro">x</a>', expected: '<a href="#user-content-intro">x</a>' },
+    { name: 'ids with unusual characters are removed', html: '<span id="a b">x</span>', expected: '<span>x</span>' }
+];
+
+// The formatter's own footnote and citation markup is restored after sanitizing, so it keeps its ids and classes.
+const formatterCases = [
+    {
+        name: 'footnote references keep their anchors; model ids cannot take them over',
+        markdown: 'Note[^a]\n\n[^a]: text\n\n<span id="fn1-a">x</span>',
+        includes: ['<sup class="footnote-ref"><a href="#fn', '<span id="user-content-fn'],
+        check: output => (output.match(/id="fn\d+-a"/g) || []).length === 1
+    },
+    {
+        name: 'citation links survive sanitizing but not inside code spans',
+        markdown: 'See [1] and `arr[1]`.',
+        metadata: { groundingChunks: [{ web: { uri: 'https://a.com', title: 'A' } }] },
+        includes: ['<a href="https://a.com/" class="citation-ref" target="_blank" rel="noopener noreferrer">[1]</a>', '<code>arr[1]</code>']
+    },
+    {
+        name: 'Markdown tables keep their wrapper; raw HTML tables do not get one',
+        markdown: '| a |\n| - |\n| 1 |\n\n<div class="data-table-wrapper"><table><tr><td>2</td></tr></table></div>',
+        includes: ['<div class="data-table-wrapper"><table><thead>'],
+        check: output => (output.match(/data-table-wrapper/g) || []).length === 1
+    }
+];
+
+await runCases([...cases, ...formatterCases], async (testCase) => {
+    if (testCase.html !== undefined) {
+        const output = HtmlSanitizer.sanitize(testCase.html);
+        return { input: testCase.html, output, problems: checkOutput(output, testCase) };
+    }
+    const output = (await MessageFormatter.format(testCase.markdown, testCase.metadata || null)).trim();
+    const problems = checkOutput(output, testCase);
+    if (testCase.check && !testCase.check(output)) problems.push('custom check failed');
+    return { input: testCase.markdown, output, problems };
+});
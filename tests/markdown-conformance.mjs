@@ -0,0 +1,125 @@
+// Markdown conformance fixtures for formatter.js.
+// Run from the repository root with: node tests/markdown-conformance.mjs
+//
+// Each case gives the Markdown input and either the exact HTML expected (`html`)
+// or fragments that must (`includes`) or must not (`excludes`) appear. Code blocks carry
+// toolbar markup and highlighting, so those cases check fragments only.
+
+import { runCases, checkOutput } from './run-cases.mjs';
+
+globalThis.window = { location: { origin: 'http://localhost' } };
+
+const { MessageFormatter } = await import('../formatter.js');
+
+const LINK_ATTRS = 'target="_blank" rel="noopener noreferrer"';
+
+const cases = [
+    // Headings
+    { name: 'ATX heading with closing hashes', markdown: '# Heading ##', html: '<h1 id="heading">Heading</h1>' },
+    { name: 'hash without a space is text', markdown: '#hashtag', html: '<p>#hashtag</p>' },
+    { name: 'setext headings', markdown: 'Title\n=====\n\nSub\n---', html: '<h1 id="title">Title</h1>\n<h2 id="sub">Sub</h2>' },
+    { name: 'setext underline directly after a paragraph', markdown: 'para\n---', html: '<h2 id="para">para</h2>' },
+
+    // Code
+    { name: 'indented code block', markdown: '    const x = 1;\n\npara', includes: ['const x = 1;', '<p>para</p>'] },
+    { name: 'multi-backtick code span', markdown: 'a `` x ` y `` b', html: '<p>a <code>x ` y</code> b</p>' },
+    {
+        name: 'fence metadata highlights lines and names the file',
+        markdown: '```js {2} title="app.js"\nlet a;\nlet b;\n```',
+        includes: ['data-filename="app.js"', '<span class="code-block-title">app.js</span>', '<span class="code-line is-highlighted" data-line="2">'],
+        excludes: ['is-collapsed']
+    },
+    { name: 'diff block renders inline and side-by-side tables', markdown: '```diff\n@@ -1,2 +1,2 @@\n keep\n-old\n+new\n```', includes: ['diff-preview-container', 'diff-table diff-inline', 'diff-table diff-split', '<tr class="diff-line diff-del">', 'data-previewable="diff"'] },
+    {
+        name: 'tool call markup with the message key renders as a tool step',
+        markdown: 'Checking.\n\n<tool_call key="k1">{"name":"calculator","args":{"expression":"1+1"},"result":"\\u0060x\\u0060"}</tool_call>\n\nDone.',
+        options: { toolCallKey: 'k1' },
+        includes: ['tool-call-step', 'Used tool: calculator', '<p>Done.</p>'],
+        excludes: ['&lt;tool_call']
+    },
+    {
+        name: 'tool call markup without the message key stays text',
+        markdown: '<tool_call>{"name":"a"}</tool_call>\n\n<tool_call key="k2">{"name":"b"}</tool_call>',
+        options: { toolCallKey: 'k1' },
+        includes: ['&lt;tool_call&gt;', '&lt;tool_call key=&quot;k2&quot;&gt;'],
+        excludes: ['tool-call-step']
+    },
+    { name: 'tool call markup inside a fence stays code', markdown: '```xml\n<tool_call key="k1">{"name":"x"}</tool_call>\n```', options: { toolCallKey: 'k1' }, includes: ['data-raw-content="%3Ctool_call'], excludes: ['tool-call-step'] },
+    { name: 'no emphasis inside code span', markdown: '`*not em*`', html: '<p><code>*not em*</code></p>' },
+
+    // Emphasis
+    { name: 'nested emphasis', markdown: '**bold *italic* bold** and *it **b** it*', html: '<p><strong>bold <em>italic</em> bold</strong> and <em>it <strong>b</strong> it</em></p>' },
+    { name: 'intraword underscores stay literal', markdown: 'snake_case_name', html: '<p>snake_case_name</p>' },
+    { name: 'spaced asterisks stay literal', markdown: '2 * 3 * 4', html: '<p>2 * 3 * 4</p>' },
+    { name: 'strikethrough', markdown: '~~gone~~', html: '<p><s>gone</s></p>' },
+    { name: 'backslash escapes', markdown: '\\*not em\\* \\# \\_x\\_ \\`y\\`', html: '<p>*not em* # _x_ `y`</p>' },
+
+    // Line breaks and entities
+    { name: 'hard breaks', markdown: 'one\\\ntwo  \nthree', html: '<p>one<br>two<br>three</p>' },
+    { name: 'entities pass through', markdown: '&copy; &amp; a < b', html: '<p>&copy; &amp; a &lt; b</p>' },
+
+    // Links
+    { name: 'inline link with title', markdown: '[link](https://a.com "T")', html: `<p><a href="https://a.com/" title="T" ${LINK_ATTRS}>link</a></p>` },
+    { name: 'image with title', markdown: '![img](https://a.com/i.png "IT")', html: '<p><img src="https://a.com/i.png" alt="img" title="IT" class="markdown-image" loading="lazy"></p>' },
+    {
+        name: 'full, shortcut and collapsed reference links',
+        markdown: '[the docs][docs], [docs] and [Docs][].\n\n[docs]: https://example.com/d "Docs"',
+        html: `<p><a href="https://example.com/d" title="Docs" ${LINK_ATTRS}>the docs</a>, <a href="https://example.com/d" title="Docs" ${LINK_ATTRS}>docs</a> and <a href="https://example.com/d" title="Docs" ${LINK_ATTRS}>Docs</a>.</p>`
+    },
+    { name: 'unresolved reference stays literal', markdown: '[missing][nope]', html: '<p>[missing][nope]</p>' },
+    { name: 'unsafe link scheme is not linked', markdown: '[x](javascript:alert(1))', excludes: ['href="javascript:'] },
+    { name: 'angle autolinks', markdown: '<https://x.io> <me@x.io>', html: `<p><a href="https://x.io/" ${LINK_ATTRS}>https://x.io</a> <a href="mailto:me@x.io" ${LINK_ATTRS}>me@x.io</a></p>` },
+    { name: 'bare URL drops trailing punctuation', markdown: 'See https://a.com/x?y=1.', html: `<p>See <a href="https://a.com/x?y=1" ${LINK_ATTRS}>https://a.com/x?y=1</a>.</p>` },
+    { name: 'bare URL keeps balanced parentheses', markdown: 'https://example.com/a_(b)', html: `<p><a href="https://example.com/a_(b)" ${LINK_ATTRS}>https://example.com/a_(b)</a></p>` },
+    { name: 'www autolink', markdown: 'www.test.org', html: `<p><a href="http://www.test.org/" ${LINK_ATTRS}>www.test.org</a></p>` },
+
+    // Lists
+    { name: 'tight list', markdown: '- a\n- b', html: '<ul><li>a</li><li>b</li></ul>' },
+    { name: 'loose list', markdown: '- a\n\n- b', html: '<ul><li><p>a</p></li><li><p>b</p></li></ul>' },
+    { name: 'ordered list start number', markdown: '3. three\n4. four', html: '<ol start="3"><li>three</li><li>four</li></ol>' },
+    { name: 'paren delimiter', markdown: '1) one\n2) two', html: '<ol><li>one</li><li>two</li></ol>' },
+    { name: 'changing the bullet starts a new list', markdown: '* a\n* b\n+ c', html: '<ul><li>a</li><li>b</li></ul>\n<ul><li>c</li></ul>' },
+    { name: 'nested list stays tight', markdown: '1. one\n   - x\n   - y\n2. two', html: '<ol><li>one\n<ul><li>x</li><li>y</li></ul></li><li>two</li></ol>' },
+    { name: 'lazy continuation', markdown: '- item\nlazy line\n- next', html: '<ul><li>item<br>lazy line</li><li>next</li></ul>' },
+    { name: 'fenced code inside a list item', markdown: '- a\n\n  ```js\n  let x;\n  ```\n\n- b', includes: ['<ul><li><p>a</p>', 'code-block-wrapper', '</li><li><p>b</p></li></ul>'] },
+    { name: 'task list', markdown: '- [x] done\n- [ ] todo', includes: ['contains-task-list', '<input type="checkbox" checked disabled> done'] },
+
+    // Tables
+    {
+        name: 'table alignment, empty cells and escaped pipes',
+        markdown: '| a | b |\n|---|:-:|\n| 1 | |\n| x \\| y | 2 |',
+        html: '<div class="data-table-wrapper"><table><thead><tr><th style="text-align: left">a</th><th style="text-align: center">b</th></tr></thead><tbody><tr><td style="text-align: left">1</td><td style="text-align: center"></td></tr><tr><td style="text-align: left">x | y</td><td style="text-align: center">2</td></tr></tbody></table></div>'
+    },
+    {
+        name: 'pipes inside code spans do not split cells',
+        markdown: '| op | meaning |\n|---|---|\n| `a || b` | or |\n| ``x ` | y`` | `|` |',
+        includes: ['<td style="text-align: left"><code>a || b</code></td><td style="text-align: left">or</td>', '<td style="text-align: left"><code>x ` | y</code></td><td style="text-align: left"><code>|</code></td>']
+    },
+    { name: 'delimiter row must match the header', markdown: '| a | b |\n|---|\n| 1 | 2 |', excludes: ['<table>'] },
+
+    // Footnotes
+    {
+        name: 'footnote definitions render with backlinks to every reference',
+        markdown: 'One[^a] and again[^a].\n\n[^a]: The **note**.',
+        includes: [
+            '<sup class="footnote-ref"><a href="#fn', '-ref-a-2">[1]</a></sup>',
+            '<p>The <strong>note</strong>. <a href="#fn', 'class="footnote-backref" aria-label="Back to reference 1.2">&#8617;<sup>2</sup></a></p>'
+        ],
+        excludes: ['[^a]:']
+    },
+    { name: 'multi-paragraph footnote', markdown: 'x[^n]\n\n[^n]: First.\n\n    Second.', includes: ['<p>First.</p>\n<p>Second. <a href='] },
+    { name: 'undefined footnote stays literal', markdown: 'x[^missing]', html: '<p>x[^missing]</p>' },
+
+    // Raw HTML: passed to the DOM sanitizer in the browser, shown as text where there is no DOM (as here)
+    { name: 'raw inline HTML is escaped without a DOM', markdown: 'Press <kbd>Ctrl</kbd>', html: '<p>Press &lt;kbd&gt;Ctrl&lt;/kbd&gt;</p>' },
+    { name: 'HTML block is not split into paragraphs', markdown: 'text\n<table>\n<tr><td>x</td></tr>\n</table>', html: '<p>text</p>\n<p>&lt;table&gt;<br>&lt;tr&gt;&lt;td&gt;x&lt;/td&gt;&lt;/tr&gt;<br>&lt;/table&gt;</p>' },
+
+    // Block quotes and rules
+    { name: 'block quote', markdown: '> quoted', html: '<blockquote><p>quoted</p></blockquote>' },
+    { name: 'thematic break', markdown: 'a\n\n***\n\nb', html: '<p>a</p>\n<hr>\n<p>b</p>' }
+];
+
+await runCases(cases, async (testCase) => {
+    const output = (await MessageFormatter.format(testCase.markdown, null, testCase.options)).trim();
+    return { input: testCase.markdown, output, problems: checkOutput(output, { ...testCase, expected: testCase.html }) };
+});
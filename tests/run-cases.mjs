@@ -0,0 +1,36 @@
+// Shared runner for the fixture files in this directory.
+//
+// `runCases` passes each case to `check`, which returns `{ input, output, problems }`: the input worth showing
+// on failure (optional), the actual output and the list of problems found (empty when the case passes).
+// It prints ok/FAIL per case and a pass count, and exits with status 1 when any case failed.
+
+export async function runCases(cases, check) {
+    let failed = 0;
+    for (const testCase of cases) {
+        const { input, output, problems } = await check(testCase);
+        if (problems.length) {
+            failed++;
+            const shownInput = input === undefined ? '' : `\n  input: ${JSON.stringify(input)}`;
+            console.log(`FAIL ${testCase.name}${shownInput}\n  actual:\n${output}\n  ${problems.join('\n  ')}`);
+        } else {
+            console.log(`ok   ${testCase.name}`);
+        }
+    }
+
+    console.log(`\n${cases.length - failed}/${cases.length} passed`);
+    if (failed) process.exit(1);
+}
+
+// Compares `output` with the exact `expected` text (when given) and the fragments that must (`includes`)
+// or must not (`excludes`) appear in it.
+export function checkOutput(output, { expected, includes = [], excludes = [] }) {
+    const problems = [];
+    if (expected !== undefined && output !== expected) problems.push(`expected:\n${expected}`);
+    for (const fragment of includes) {
+        if (!output.includes(fragment)) problems.push(`missing: ${fragment}`);
+    }
+    for (const fragment of excludes) {
+        if (output.includes(fragment)) problems.push(`unexpected: ${fragment}`);
+    }
+    return problems;
+}